@@ -3,21 +3,11 @@
  * Tracks performance and accuracy of AMD system
  */
 
-// Store AMD results for analysis
-const amdResults = new Map();
+import { recordMetric, resolveMetricWindow } from './db/metrics.js';
+import { getMetricTotals } from './db/repositories/metric.repository.js';
 
-// Track detection accuracy
-const amdStats = {
-  total: 0,
-  human: 0,
-  machine: 0,
-  fax: 0,
-  unknown: 0,
-  falsePositives: 0, // Human detected as machine
-  falseNegatives: 0, // Machine detected as human
-  detectionTimes: [],
-  averageDetectionTime: 0
-};
+// Per-call detection state while calls are in progress (statistics are kept in MongoDB, see db/metrics.js)
+const amdResults = new Map();
 
 /**
  * Record AMD detection result
@@ -32,11 +22,7 @@ export function recordAMDResult(callSid, amdData) {
   const callInfo = amdResults.get(callSid);
   if (callInfo && callInfo.callStartTime) {
     detectionTime = Date.now() - callInfo.callStartTime;
-    amdStats.detectionTimes.push(detectionTime);
-    
-    // Update average detection time
-    const sum = amdStats.detectionTimes.reduce((a, b) => a + b, 0);
-    amdStats.averageDetectionTime = Math.round(sum / amdStats.detectionTimes.length);
+    recordMetric('amd.detection_time', detectionTime, {}, callSid);
   }
   
   // Store result
@@ -48,25 +34,10 @@ export function recordAMDResult(callSid, amdData) {
     timestamp: Timestamp || new Date().toISOString()
   });
   
-  // Update statistics
-  amdStats.total++;
-  
-  if (AnsweredBy === 'human') {
-    amdStats.human++;
-  } else if (AnsweredBy && AnsweredBy.startsWith('machine_')) {
-    amdStats.machine++;
-  } else if (AnsweredBy === 'fax') {
-    amdStats.fax++;
-  } else {
-    amdStats.unknown++;
-  }
+  recordMetric('amd.result', 1, { answeredBy: AnsweredBy || 'unknown' }, callSid);
   
   // Log performance metrics
   console.log(`[AMD Metrics] Detection for ${callSid}: ${AnsweredBy} (${detectionTime ? detectionTime + 'ms' : 'N/A'})`);
-  
-  if (amdStats.total % 10 === 0) {
-    logAMDPerformance();
-  }
 }
 
 /**
@@ -84,42 +55,75 @@ export function recordCallStart(callSid) {
  * Mark a detection as false positive or negative
  * @param {string} callSid - Call SID
  * @param {string} actualResult - What the actual result should have been
+ * @param {string} detected - What was detected (defaults to the result recorded for the call on this instance)
  */
-export function markAMDError(callSid, actualResult) {
-  const result = amdResults.get(callSid);
-  if (!result) return;
-  
-  const detected = result.answeredBy;
+export function markAMDError(callSid, actualResult, detected = amdResults.get(callSid)?.answeredBy) {
+  if (!detected) return;
   
   // False positive: Detected as machine but was human
-  if (detected && detected.startsWith('machine_') && actualResult === 'human') {
-    amdStats.falsePositives++;
+  if (detected.startsWith('machine') && actualResult === 'human') {
+    recordMetric('amd.error', 1, { kind: 'false_positive' }, callSid);
     console.log(`[AMD Metrics] False positive detected for ${callSid}: Detected ${detected}, was human`);
   }
   
   // False negative: Detected as human but was machine
   if (detected === 'human' && actualResult === 'machine') {
-    amdStats.falseNegatives++;
+    recordMetric('amd.error', 1, { kind: 'false_negative' }, callSid);
     console.log(`[AMD Metrics] False negative detected for ${callSid}: Detected human, was machine`);
   }
   
   // Update the result
-  result.actualResult = actualResult;
-  result.wasError = true;
-  amdResults.set(callSid, result);
+  const result = amdResults.get(callSid);
+  if (result) {
+    result.actualResult = actualResult;
+    result.wasError = true;
+  }
 }
 
 /**
- * Get AMD statistics
- * @returns {Object} AMD performance statistics
+ * Get AMD statistics for a time window
+ * @param {Object} window - { startDate, endDate } (defaults to the last 24 hours)
+ * @returns {Promise<Object>} AMD performance statistics
  */
-export function getAMDStats() {
+export async function getAMDStats(window = resolveMetricWindow()) {
+  const [results, detectionTimes, errors] = await Promise.all([
+    getMetricTotals('amd.result', window, 'answeredBy'),
+    getMetricTotals('amd.detection_time', window),
+    getMetricTotals('amd.error', window, 'kind')
+  ]);
+
+  const amdStats = {
+    total: 0,
+    human: 0,
+    machine: 0,
+    fax: 0,
+    unknown: 0,
+    falsePositives: errors.find(error => error.group === 'false_positive')?.count || 0, // Human detected as machine
+    falseNegatives: errors.find(error => error.group === 'false_negative')?.count || 0, // Machine detected as human
+    averageDetectionTime: detectionTimes[0]?.average || 0
+  };
+
+  for (const { group, count } of results) {
+    amdStats.total += count;
+    if (group === 'human') {
+      amdStats.human += count;
+    } else if (group && group.startsWith('machine_')) {
+      amdStats.machine += count;
+    } else if (group === 'fax') {
+      amdStats.fax += count;
+    } else {
+      amdStats.unknown += count;
+    }
+  }
+
   const accuracy = amdStats.total > 0 
     ? ((amdStats.total - amdStats.falsePositives - amdStats.falseNegatives) / amdStats.total * 100).toFixed(2)
     : 0;
     
   return {
     ...amdStats,
+    startDate: window.startDate.toISOString(),
+    endDate: window.endDate.toISOString(),
     accuracy: `${accuracy}%`,
     humanDetectionRate: amdStats.total > 0 ? `${(amdStats.human / amdStats.total * 100).toFixed(2)}%` : '0%',
     machineDetectionRate: amdStats.total > 0 ? `${(amdStats.machine / amdStats.total * 100).toFixed(2)}%` : '0%',
@@ -129,11 +133,12 @@ export function getAMDStats() {
 
 /**
  * Log AMD performance metrics
+ * @returns {Promise<void>}
  */
-export function logAMDPerformance() {
-  const stats = getAMDStats();
+export async function logAMDPerformance() {
+  const stats = await getAMDStats();
   
-  console.log('[AMD Metrics] ===== Performance Report =====');
+  console.log('[AMD Metrics] ===== Performance Report (last 24 hours) =====');
   console.log(`[AMD Metrics] Total calls: ${stats.total}`);
   console.log(`[AMD Metrics] Accuracy: ${stats.accuracy}`);
   console.log(`[AMD Metrics] Human detection rate: ${stats.humanDetectionRate}`);
@@ -155,7 +160,7 @@ export function getCallAMDResult(callSid) {
 }
 
 /**
- * Clean up old AMD results (older than 24 hours)
+ * Clean up per-call state for calls started more than 24 hours ago
  */
 export function cleanupOldResults() {
   const oneDayAgo = Date.now() - (24 * 60 * 60 * 1000);
@@ -176,13 +181,6 @@ export function cleanupOldResults() {
 // Clean up old results every hour
 setInterval(cleanupOldResults, 60 * 60 * 1000);
 
-// Log performance every 100 calls
-setInterval(() => {
-  if (amdStats.total > 0 && amdStats.total % 100 === 0) {
-    logAMDPerformance();
-  }
-}, 60 * 1000);
-
 export default {
   recordAMDResult,
   recordCallStart,
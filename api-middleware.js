@@ -2,7 +2,8 @@
  * API Middleware for standardized error handling and authentication
  * Provides consistent API responses and security for sensitive operations
  */
-import { createHash } from 'crypto';
+import { createHash, timingSafeEqual } from 'crypto';
+import { findActiveApiKey, touchApiKey } from './db/repositories/apiKey.repository.js';
 
 // Standard error codes
 export const ERROR_CODES = {
@@ -17,29 +18,110 @@ export const ERROR_CODES = {
   RATE_LIMITED: 'RATE_LIMITED'
 };
 
+// Scope hierarchy - a key satisfies any scope at or below its highest scope
+const SCOPE_LEVELS = {
+  'read-only': 1,
+  'campaign-operator': 2,
+  'admin': 3
+};
+
+// Routes called by Twilio and ElevenLabs (they authenticate with their own signatures)
+export const AUTH_EXEMPT_ROUTES = [
+  '/call-status-callback',
+  '/amd-status-callback',
+  '/recording-status-callback',
+  '/quality-insights-callback',
+  '/outbound-call-twiml',
+  '/inbound-call-twiml',
+  '/fallback-twiml',
+  '/transfer-twiml',
+  '/transfer-whisper',
+  '/transfer-status',
+  '/voicemail-twiml',
+  '/outbound-media-stream',
+  '/webhooks/elevenlabs',
+  '/api/recordings/:recordingSid/shared', // Checks its own signed, expiring link
+  '/healthz' // Platform health probe, exposes no data
+];
+
+// Extract the API key from the Authorization header or api_key query parameter
+function getProvidedApiKey(request) {
+  const authHeader = request.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.substring(7); // Remove 'Bearer ' prefix
+  }
+  
+  return request.query?.api_key || null;
+}
+
+// Constant-time comparison for the bootstrap key
+function keysMatch(providedKey, expectedKey) {
+  const provided = createHash('sha256').update(providedKey).digest();
+  const expected = createHash('sha256').update(expectedKey).digest();
+  return timingSafeEqual(provided, expected);
+}
+
 // Verify API key from request
-export function verifyApiKey(request) {
-  const apiKey = process.env.API_KEY;
+// Returns the authenticated key ({ id, label, scopes, source }) or null
+export async function verifyApiKey(request) {
+  const providedKey = getProvidedApiKey(request);
+  
+  if (!providedKey) {
+    return null;
+  }
   
+  // The API_KEY environment variable is a bootstrap admin key (used to mint the first stored keys)
+  if (process.env.API_KEY && keysMatch(providedKey, process.env.API_KEY)) {
+    return { id: null, label: 'environment', scopes: ['admin'], source: 'environment' };
+  }
+  
+  const apiKey = await findActiveApiKey(providedKey);
+  if (!apiKey) {
+    return null;
+  }
+  
+  // Track usage without delaying the request
+  touchApiKey(apiKey._id, request.ip);
+  
+  return {
+    id: apiKey._id.toString(),
+    label: apiKey.label,
+    scopes: apiKey.scopes,
+    source: 'database'
+  };
+}
+
+// Check if an authenticated key grants the required scope
+export function hasScope(apiKey, requiredScope) {
   if (!apiKey) {
-    console.warn('[API] API_KEY not configured in environment variables');
     return false;
   }
   
-  // Check for API key in Authorization header
-  const authHeader = request.headers.authorization;
-  if (authHeader && authHeader.startsWith('Bearer ')) {
-    const providedKey = authHeader.substring(7); // Remove 'Bearer ' prefix
-    return providedKey === apiKey;
+  const level = Math.max(0, ...apiKey.scopes.map(scope => SCOPE_LEVELS[scope] || 0));
+  return level >= SCOPE_LEVELS[requiredScope];
+}
+
+// Determine the scope a request needs
+// Key management, admin tools and deletions need admin; other writes need campaign-operator
+export function getRequiredScope(method, url) {
+  if (url.startsWith('/api/db/api-keys') || url.startsWith('/api/admin/')) {
+    return 'admin';
   }
   
-  // Check for API key in query parameter
-  const queryKey = request.query.api_key;
-  if (queryKey) {
-    return queryKey === apiKey;
+  if (method === 'DELETE' || url.endsWith('/bulk-delete')) {
+    return 'admin';
   }
   
-  return false;
+  if (method === 'GET' || method === 'HEAD') {
+    return 'read-only';
+  }
+  
+  return 'campaign-operator';
+}
+
+// Check if a route is exempt from API key authentication
+export function isAuthExempt(url) {
+  return AUTH_EXEMPT_ROUTES.includes(url);
 }
 
 // Create a standardized API response
@@ -65,8 +147,23 @@ export function createApiResponse(success, data = null, error = null) {
 }
 
 // Authentication middleware for protected routes
-export function authMiddleware(request, reply) {
-  if (!verifyApiKey(request)) {
+export async function authMiddleware(request, reply) {
+  const url = request.routeOptions?.url || request.url.split('?')[0];
+  
+  let apiKey = null;
+  try {
+    apiKey = await verifyApiKey(request);
+  } catch (error) {
+    console.error('[API] Error verifying API key:', error);
+    return reply.code(503).send(
+      createApiResponse(false, null, {
+        code: ERROR_CODES.SERVICE_UNAVAILABLE,
+        message: 'Unable to verify API key'
+      })
+    );
+  }
+  
+  if (!apiKey) {
     return reply.code(401).send(
       createApiResponse(false, null, {
         code: ERROR_CODES.UNAUTHORIZED,
@@ -75,6 +172,20 @@ export function authMiddleware(request, reply) {
       })
     );
   }
+  
+  const requiredScope = getRequiredScope(request.method, url);
+  if (!hasScope(apiKey, requiredScope)) {
+    return reply.code(403).send(
+      createApiResponse(false, null, {
+        code: ERROR_CODES.FORBIDDEN,
+        message: 'Insufficient scope',
+        details: `This request requires the ${requiredScope} scope`
+      })
+    );
+  }
+  
+  // Make the authenticated key available to route handlers
+  request.apiKey = apiKey;
 }
 
 // Error handler wrapper for route handlers
@@ -285,11 +396,34 @@ export function registerApiMiddleware(server) {
     }
   });
   
-  console.log('[API] Middleware registered: CORS, rate limiting');
+  // Require an API key on every route except the Twilio and ElevenLabs callbacks
+  server.addHook('onRequest', async (request, reply) => {
+    // Skip WebSocket routes (Twilio media streams) and CORS preflight requests
+    if (request.routeOptions?.websocket || request.method === 'OPTIONS') {
+      return;
+    }
+    
+    // Rate limiter may already have rejected the request
+    if (reply.sent) {
+      return;
+    }
+    
+    const url = request.routeOptions?.url || request.url.split('?')[0];
+    if (isAuthExempt(url)) {
+      return;
+    }
+    
+    return authMiddleware(request, reply);
+  });
+  
+  console.log('[API] Middleware registered: CORS, rate limiting, API key authentication');
 }
 
 export default {
   verifyApiKey,
+  hasScope,
+  getRequiredScope,
+  isAuthExempt,
   createApiResponse,
   authMiddleware,
   withErrorHandler,
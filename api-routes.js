@@ -17,6 +17,9 @@ import {
 } from './enhanced-call-handler.js';
 import { fixTerminatedByValues } from './db/api/admin.api.js';
 import { fixTerminatedByWithVoiceInsights } from './db/api/admin-voice-insights.api.js';
+import { normalizePhoneNumber, isValidPhoneRegion } from './db/utils/phone-number.js';
+import { resolveMetricWindow } from './db/metrics.js';
+import { getLatencyStats } from './latency-monitor.js';
 
 /**
  * Register enhanced API routes with standardized response formats and error handling
@@ -28,8 +31,17 @@ export function registerApiRoutes(server, twilioClient, activeCalls) {
   // Register the authentication decorator
   server.decorate('authenticate', authenticate);
 
-  // Get call statistics
+  // Get call statistics: calls on this instance, and latency between startDate and endDate (default: the last 24 hours)
   server.get('/api/call-stats', asyncHandler(async (request, reply) => {
+    const window = resolveMetricWindow(request.query);
+    if (!window) {
+      throw ApiError.badRequest(
+        'startDate and endDate must be valid dates, with startDate before endDate',
+        'INVALID_PARAMETER',
+        { startDate: request.query.startDate, endDate: request.query.endDate }
+      );
+    }
+    
     // Basic stats about calls
     const stats = {
       totalCalls: activeCalls.size,
@@ -64,6 +76,8 @@ export function registerApiRoutes(server, twilioClient, activeCalls) {
       }
     }
     
+    stats.latency = await getLatencyStats(window);
+    
     return createSuccessResponse(stats, 'Call statistics retrieved successfully');
   }));
 
@@ -296,7 +310,7 @@ export function registerApiRoutes(server, twilioClient, activeCalls) {
   // Validate phone number endpoint
   server.post('/api/validate-phone', asyncHandler(async (request, reply) => {
     console.log('[Phone Validation] Received request:', request.body);
-    const { phoneNumber } = request.body;
+    const { phoneNumber, defaultRegion } = request.body;
     
     if (!phoneNumber) {
       console.log('[Phone Validation] Missing phone number in request');
@@ -306,24 +320,22 @@ export function registerApiRoutes(server, twilioClient, activeCalls) {
       );
     }
     
-    // Basic phone validation
-    // Remove all non-digit characters except + at the beginning
-    const cleaned = phoneNumber.toString().replace(/[^\d+]/g, '');
-    
-    // Check if it's a valid format
-    // E.164 format: + followed by 1-15 digits
-    // or US format: 10 or 11 digits
-    const isE164 = /^\+[1-9]\d{1,14}$/.test(cleaned);
-    const isUS10 = /^[2-9]\d{9}$/.test(cleaned);
-    const isUS11 = /^1[2-9]\d{9}$/.test(cleaned);
-    const isUSWithPlus = /^\+1[2-9]\d{9}$/.test(cleaned);
+    if (defaultRegion && !isValidPhoneRegion(defaultRegion)) {
+      throw ApiError.badRequest(
+        `Unsupported default region: ${defaultRegion}`,
+        'INVALID_REGION'
+      );
+    }
     
-    const isValid = isE164 || isUS10 || isUS11 || isUSWithPlus;
+    // Same normalization as contact imports and outbound calls
+    // Numbers without a country code are read in defaultRegion (DEFAULT_PHONE_REGION if omitted)
+    const normalized = normalizePhoneNumber(phoneNumber, { defaultRegion });
+    const cleaned = phoneNumber.toString().replace(/[^\d+]/g, '');
     
-    if (!isValid) {
+    if (!normalized.valid) {
       const invalidResponse = createSuccessResponse({
         isValid: false,
-        error: 'Invalid phone number format',
+        error: normalized.reason,
         originalNumber: phoneNumber,
         cleanedNumber: cleaned
       }, 'Phone validation completed');
@@ -332,21 +344,13 @@ export function registerApiRoutes(server, twilioClient, activeCalls) {
       return invalidResponse;
     }
     
-    // Format the number to E.164 if it's valid
-    let formatted = cleaned;
-    if (isUS10) {
-      formatted = '+1' + cleaned;
-    } else if (isUS11 && !cleaned.startsWith('+')) {
-      formatted = '+' + cleaned;
-    } else if (!cleaned.startsWith('+')) {
-      formatted = '+' + cleaned;
-    }
-    
     const response = createSuccessResponse({
       isValid: true,
       originalNumber: phoneNumber,
-      formattedNumber: formatted,
-      cleanedNumber: cleaned
+      formattedNumber: normalized.e164,
+      cleanedNumber: cleaned,
+      type: normalized.type,
+      country: normalized.country
     }, 'Phone number is valid');
     
     console.log('[Phone Validation] Sending response:', response);
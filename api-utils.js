@@ -118,6 +118,27 @@ export const authenticate = (request, reply, done) => {
   done(ApiError.unauthorized('Invalid or missing API key', 'INVALID_API_KEY'));
 };
 
+/**
+ * Get the public base URL of this server (the URL Twilio uses to reach us)
+ * @param {Object} [request] - Fastify request (omitted by background workers)
+ * @returns {String} Base URL without a trailing slash
+ */
+export const getBaseUrl = (request = null) => {
+  if (process.env.RENDER_EXTERNAL_URL) {
+    return process.env.RENDER_EXTERNAL_URL.replace(/\/$/, '');
+  }
+  if (process.env.SERVER_URL) { // SERVER_URL is still a valid fallback
+    return process.env.SERVER_URL.replace(/\/$/, '');
+  }
+  // Fallback for local development or other environments
+  if (!request) {
+    return `http://localhost:${process.env.PORT || 8000}`;
+  }
+  const protocol = request.protocol || (request.headers['x-forwarded-proto'] ? request.headers['x-forwarded-proto'].split(',')[0] : 'http');
+  const hostname = request.hostname || request.headers.host;
+  return `${protocol}://${hostname}`;
+};
+
 /**
  * Validate if a string is a valid Twilio Call SID
  * @param {String} callSid - Call SID to validate
@@ -186,6 +207,7 @@ export default {
   createSuccessResponse,
   ApiError,
   authenticate,
+  getBaseUrl,
   isValidCallSid,
   validateActiveCall,
   formatCallData
@@ -2,8 +2,10 @@
  * Call Termination Tracker
  * Enhanced tracking of who terminated the call and why
  */
+import { recordMetric, resolveMetricWindow } from './db/metrics.js';
+import { getMetricTotals } from './db/repositories/metric.repository.js';
 
-// Map to store termination reasons for each call
+// Map to store termination reasons for calls in progress (statistics are kept in MongoDB, see db/metrics.js)
 const callTerminationReasons = new Map();
 
 /**
@@ -27,6 +29,11 @@ export function trackTermination(callSid, source, reason, metadata = {}) {
   
   // Store termination info
   callTerminationReasons.set(callSid, terminationInfo);
+  recordMetric('call.termination', 1, {
+    terminatedBy: terminationInfo.terminatedBy,
+    source,
+    reason
+  }, callSid);
   
   console.log(`[Termination Tracker] Call ${callSid} terminated by: ${terminationInfo.terminatedBy}, source: ${source}, reason: ${reason}`);
   
@@ -60,6 +67,11 @@ function determineTerminatedBy(source, reason, metadata) {
     return 'system'; // System issue
   }
   
+  // Warm transfer to a human agent
+  if (source === 'transfer') {
+    return 'transfer';
+  }
+  
   // API request to terminate
   if (source === 'api') {
     return 'api_request';
@@ -133,31 +145,26 @@ export function clearTerminationInfo(callSid) {
 }
 
 /**
- * Get termination statistics
- * @returns {Object} Statistics about terminations
+ * Get termination statistics for a time window
+ * @param {Object} window - { startDate, endDate } (defaults to the last 24 hours)
+ * @returns {Promise<Object>} Statistics about terminations
  */
-export function getTerminationStats() {
-  const stats = {
-    total: 0,
-    byTerminator: {},
-    bySource: {},
-    byReason: {}
+export async function getTerminationStats(window = resolveMetricWindow()) {
+  const [byTerminator, bySource, byReason] = await Promise.all(
+    ['terminatedBy', 'source', 'reason'].map(dimension => getMetricTotals('call.termination', window, dimension))
+  );
+  
+  // Count per dimension value
+  const toCounts = totals => Object.fromEntries(totals.map(total => [total.group ?? 'unknown', total.count]));
+  
+  return {
+    total: byTerminator.reduce((sum, total) => sum + total.count, 0),
+    byTerminator: toCounts(byTerminator),
+    bySource: toCounts(bySource),
+    byReason: toCounts(byReason),
+    startDate: window.startDate.toISOString(),
+    endDate: window.endDate.toISOString()
   };
-  
-  for (const [callSid, info] of callTerminationReasons.entries()) {
-    stats.total++;
-    
-    // Count by who terminated
-    stats.byTerminator[info.terminatedBy] = (stats.byTerminator[info.terminatedBy] || 0) + 1;
-    
-    // Count by source
-    stats.bySource[info.source] = (stats.bySource[info.source] || 0) + 1;
-    
-    // Count by reason
-    stats.byReason[info.reason] = (stats.byReason[info.reason] || 0) + 1;
-  }
-  
-  return stats;
 }
 
 /**
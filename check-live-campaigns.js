@@ -1,3 +1,4 @@
+import 'dotenv/config';
 // Removed node-fetch import - using native fetch
 async function checkLiveCampaigns() {
   try {
@@ -6,7 +7,8 @@ async function checkLiveCampaigns() {
     const response = await fetch('https://twilio-elevenlabs-app.onrender.com/api/db/campaigns', {
       method: 'GET',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${process.env.API_KEY}`
       }
     });
 
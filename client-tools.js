@@ -0,0 +1,274 @@
+/**
+ * ElevenLabs client tools
+ * Registry of the tools the agent can call on our server during a conversation. The media proxy
+ * dispatches each client_tool_call here and sends the handler's result back as a client_tool_result.
+ * Every invocation is logged as a 'client_tool' call event and added to the call's transcript.
+ */
+import { sendEmail } from './email-tools/api-email-service.js';
+import { getCallBySid } from './db/repositories/call.repository.js';
+import { createCallback, resolveCallbackTime } from './db/repositories/callback.repository.js';
+import { logEvent } from './db/repositories/callEvent.repository.js';
+import { getContactByPhoneNumber, addTagsToContact } from './db/repositories/contact.repository.js';
+import { addSuppression } from './db/repositories/suppression.repository.js';
+import { appendRealtimeTranscriptMessage } from './db/repositories/transcript.repository.js';
+import { emitCallUpdate } from './socket-server.js';
+import { transferCall, TRANSFER_TOOL_NAME } from './transfer.js';
+
+// Results longer than this are cut down in call events and the transcript (the agent gets the full result)
+const MAX_LOGGED_RESULT_LENGTH = 2000;
+
+// Map of tool name -> { handler, description }
+const clientTools = new Map();
+
+/**
+ * Register a client tool
+ * The handler receives the tool's parameters and a context with the call's details, and returns the
+ * result for the agent (a string, or an object sent as JSON). Throwing returns the error to the agent.
+ * @param {string} name - Tool name, as configured on the ElevenLabs agent
+ * @param {Function} handler - async (parameters, context) => result
+ * @param {string} description - What the tool does (optional, shown by getClientTools)
+ */
+export function registerClientTool(name, handler, description = '') {
+  if (!name || typeof handler !== 'function') {
+    throw new Error('Client tool name and handler are required');
+  }
+
+  if (clientTools.has(name)) {
+    console.log(`[Client Tools] Replacing handler for ${name}`);
+  }
+
+  clientTools.set(name, { handler, description });
+}
+
+/**
+ * Remove a client tool
+ * @param {string} name - Tool name
+ * @returns {boolean} True if the tool was registered
+ */
+export function unregisterClientTool(name) {
+  return clientTools.delete(name);
+}
+
+/**
+ * List the registered client tools
+ * @returns {Array} { name, description }
+ */
+export function getClientTools() {
+  return [...clientTools.entries()].map(([name, { description }]) => ({ name, description }));
+}
+
+/**
+ * Load the prospect's contact for a tool handler
+ * @param {Object} context - Handler context
+ * @returns {Promise<Object>} Contact document
+ * @throws {Error} If the call or contact cannot be found
+ */
+async function requireContact(context) {
+  if (context.contact) {
+    return context.contact;
+  }
+
+  const call = await requireCall(context);
+  const prospectNumber = call.direction === 'inbound' ? call.from : call.to;
+  const contact = prospectNumber ? await getContactByPhoneNumber(prospectNumber) : null;
+  if (!contact) {
+    throw new Error('No contact record was found for this call');
+  }
+
+  context.contact = contact;
+  return contact;
+}
+
+/**
+ * Load the call for a tool handler
+ * @param {Object} context - Handler context
+ * @returns {Promise<Object>} Call document
+ * @throws {Error} If the call cannot be found
+ */
+async function requireCall(context) {
+  if (context.call) {
+    return context.call;
+  }
+
+  const call = context.callSid ? await getCallBySid(context.callSid) : null;
+  if (!call) {
+    throw new Error('Call not found');
+  }
+
+  context.call = call;
+  return call;
+}
+
+/**
+ * Run a client tool call from the agent
+ * @param {Object} toolCall - client_tool_call payload (tool_name, tool_call_id, parameters)
+ * @param {Object} context - callSid, conversationId, baseUrl, timeInCall
+ * @returns {Promise<Object>} { result, isError } to send back to the agent
+ */
+export async function handleClientToolCall(toolCall = {}, context = {}) {
+  const { tool_name: toolName, tool_call_id: toolCallId, parameters = {} } = toolCall;
+  const { callSid, conversationId = null, timeInCall = 0 } = context;
+  const tool = clientTools.get(toolName);
+  const startedAt = Date.now();
+
+  let result;
+  let isError = false;
+
+  if (!tool) {
+    result = `Unknown tool: ${toolName}`;
+    isError = true;
+  } else {
+    try {
+      const value = await tool.handler(parameters || {}, { ...context });
+      result = typeof value === 'string' ? value : JSON.stringify(value ?? { success: true });
+    } catch (error) {
+      console.error(`[Client Tools] ${toolName} failed for call ${callSid}:`, error.message);
+      result = error.message || 'Tool failed';
+      isError = true;
+    }
+  }
+
+  const durationMs = Date.now() - startedAt;
+  const loggedResult = result.length > MAX_LOGGED_RESULT_LENGTH ? `${result.slice(0, MAX_LOGGED_RESULT_LENGTH - 3)}...` : result;
+  console.log(`[Client Tools] ${toolName} for call ${callSid} ${isError ? 'failed' : 'succeeded'} in ${durationMs}ms`);
+
+  if (callSid) {
+    try {
+      await logEvent(callSid, 'client_tool', {
+        toolName,
+        toolCallId,
+        parameters,
+        result: loggedResult,
+        isError,
+        durationMs
+      }, { source: 'elevenlabs_stream' });
+    } catch (error) {
+      console.error(`[Client Tools] Error logging ${toolName} for call ${callSid}:`, error);
+    }
+
+    // Same shape as the tool calls in ElevenLabs' own transcripts, so the transcript view shows both alike
+    try {
+      await appendRealtimeTranscriptMessage(callSid, conversationId, 'agent', null, timeInCall, {
+        tool_calls: [{ request_id: toolCallId, tool_name: toolName, params_as_json: JSON.stringify(parameters) }],
+        tool_results: [{ request_id: toolCallId, tool_name: toolName, result_value: loggedResult, is_error: isError }]
+      });
+    } catch (error) {
+      console.error(`[Client Tools] Error adding ${toolName} to the transcript for call ${callSid}:`, error);
+    }
+
+    emitCallUpdate(callSid, 'client_tool', { toolName, isError });
+  }
+
+  return { result, isError };
+}
+
+/**
+ * Parse a list of tags given as an array or a comma-separated string
+ * @param {Array<string>|string} tags - Tags
+ * @returns {Array<string>} Trimmed, non-empty tags
+ */
+function parseTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags ?? '').split(',');
+  return [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+}
+
+registerClientTool('get_contact', async (parameters, context) => {
+  const contact = await requireContact(context);
+  return {
+    name: contact.name || null,
+    phoneNumber: contact.phoneNumber,
+    email: contact.email || null,
+    timezone: contact.timezone || null,
+    tags: contact.tags || [],
+    notes: contact.notes || null,
+    callCount: contact.callCount || 0,
+    lastCallResult: contact.lastCallResult || null,
+    customFields: contact.customFields ? Object.fromEntries(contact.customFields) : {}
+  };
+}, "Look up the prospect's contact record");
+
+registerClientTool('send_follow_up_email', async (parameters, context) => {
+  const { subject, content } = parameters;
+  let { to_email: toEmail, customer_name: customerName } = parameters;
+
+  if (!toEmail || !customerName) {
+    const contact = await requireContact(context).catch(() => null);
+    toEmail = toEmail || contact?.email;
+    customerName = customerName || contact?.name || undefined;
+  }
+  if (!toEmail) {
+    throw new Error('No email address was given and the contact has none on record');
+  }
+
+  const sent = await sendEmail({ to_email: toEmail, subject, content, customer_name: customerName });
+  return `Email sent to ${toEmail} (message ID ${sent.messageId})`;
+}, 'Send the prospect a follow-up email (to_email, subject, content, customer_name)');
+
+registerClientTool('schedule_callback', async (parameters, context) => {
+  const call = await requireCall(context);
+  const contact = await requireContact(context);
+
+  // Times without an offset are the prospect's local time
+  const time = resolveCallbackTime(parameters.callback_time, contact.timezone);
+  if (!time) {
+    throw new Error('callback_time must be a future ISO 8601 date and time within 90 days, e.g. 2025-06-12T14:00');
+  }
+
+  const callback = await createCallback({
+    contactId: contact._id,
+    campaignId: call.campaignId,
+    callbackTime: parameters.callback_time,
+    reason: parameters.reason || null,
+    source: 'agent',
+    originCallSid: call.callSid,
+    createdBy: 'agent'
+  });
+  return `Callback scheduled for ${callback.scheduledFor.toLocaleString('en-US', { timeZone: callback.timezone, dateStyle: 'full', timeStyle: 'short' })} (${callback.timezone})`;
+}, 'Schedule a call back (callback_time in the prospect\'s local time, reason)');
+
+registerClientTool('tag_contact', async (parameters, context) => {
+  const tags = parseTags(parameters.tags);
+  if (tags.length === 0) {
+    throw new Error('At least one tag is required');
+  }
+
+  const contact = await requireContact(context);
+  await addTagsToContact(contact._id, tags);
+  return `Tagged the contact: ${tags.join(', ')}`;
+}, 'Tag the prospect\'s contact record (tags)');
+
+registerClientTool('mark_do_not_call', async (parameters, context) => {
+  const call = await requireCall(context);
+  const phoneNumber = call.direction === 'inbound' ? call.from : call.to;
+
+  const { created } = await addSuppression({
+    phoneNumber,
+    reason: parameters.reason || 'Asked the agent not to be called again',
+    source: 'opt-out',
+    addedBy: 'agent',
+    callSid: call.callSid
+  });
+  return created ? 'The number was added to the do-not-call list' : 'The number is already on the do-not-call list';
+}, 'Add the prospect\'s number to the do-not-call list (reason)');
+
+registerClientTool(TRANSFER_TOOL_NAME, async (parameters, context) => {
+  const transfer = await transferCall(context.callSid, {
+    requestedBy: 'agent',
+    reason: parameters.reason || null,
+    summary: parameters.summary || null,
+    baseUrl: context.baseUrl
+  });
+  if (!transfer.success) {
+    throw new Error(`Transfer failed: ${transfer.error}`);
+  }
+
+  // The ElevenLabs socket is closed by now, so the agent never sees this
+  return `Transferring to ${transfer.transfer.target}`;
+}, 'Warm-transfer the call to a person (reason, summary)');
+
+export default {
+  registerClientTool,
+  unregisterClientTool,
+  getClientTools,
+  handleClientToolCall
+};
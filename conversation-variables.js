@@ -0,0 +1,245 @@
+/**
+ * Conversation dynamic variables
+ * Builds the ElevenLabs dynamic_variables for a call from the contact and campaign,
+ * renders {{variable}} templates in prompts and first messages, and checks a campaign's
+ * variable mapping against the variables its agent declares.
+ */
+import { getContactById } from './db/repositories/contact.repository.js';
+import { getCampaignById } from './db/repositories/campaign.repository.js';
+import { resolveAgentForCampaign } from './db/repositories/agent.repository.js';
+import { getElevenLabsApiUrl } from './service-clients.js';
+
+// {{variable}} references (ElevenLabs template syntax)
+const TEMPLATE_PATTERN = /\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g;
+
+// Variables ElevenLabs provides itself (e.g. system__time, system__caller_id)
+const SYSTEM_VARIABLE_PREFIX = 'system__';
+
+// Variables every call gets from the contact and campaign, regardless of mapping
+export const BUILT_IN_VARIABLES = [
+  'name',
+  'first_name',
+  'last_name',
+  'phone_number',
+  'email',
+  'timezone',
+  'contact_id',
+  'campaign_id',
+  'campaign_name'
+];
+
+/**
+ * Convert a column/field name to a variable name, e.g. "Last Purchase" -> "last_purchase"
+ * @param {string} key - Column or field name
+ * @returns {string} Variable name
+ */
+export function toVariableName(key) {
+  return String(key)
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Convert a stored value to something ElevenLabs accepts as a dynamic variable
+ * @param {*} value - Raw value
+ * @returns {string|number|boolean|null} Variable value, or null to skip it
+ */
+function toVariableValue(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
+    return value;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * List the variables referenced by a template
+ * @param {string} text - Template text
+ * @returns {Array<string>} Unique variable names
+ */
+export function extractTemplateVariables(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+  return [...new Set([...text.matchAll(TEMPLATE_PATTERN)].map(match => match[1]))];
+}
+
+/**
+ * Replace {{variable}} references with values
+ * Unknown references are left in place so ElevenLabs can still fill its own (e.g. system__ variables).
+ * The legacy {name} placeholder is also supported.
+ * @param {string} template - Template text
+ * @param {Object} variables - Variable values
+ * @returns {string} Rendered text
+ */
+export function renderTemplate(template, variables = {}) {
+  if (!template || typeof template !== 'string') {
+    return template;
+  }
+
+  const rendered = template.replace(TEMPLATE_PATTERN, (match, variable) => (
+    variables[variable] !== undefined && variables[variable] !== null ? String(variables[variable]) : match
+  ));
+
+  return variables.name ? rendered.replace(/\{name\}/g, String(variables.name)) : rendered;
+}
+
+/**
+ * Get a campaign's variable mapping as a lookup (field -> variable name)
+ * @param {Object} campaign - Campaign document
+ * @returns {Object} Mapping
+ */
+export function getVariableMapping(campaign) {
+  return Object.fromEntries(
+    (campaign?.variableMapping || []).map(({ field, variable }) => [field, variable])
+  );
+}
+
+/**
+ * Build dynamic variables from a contact and campaign
+ * Custom fields use the campaign's mapping where one exists, otherwise their snake_cased name.
+ * @param {Object} contact - Contact document
+ * @param {Object} campaign - Campaign document (optional)
+ * @returns {Object} Dynamic variables
+ */
+export function buildContactVariables(contact, campaign = null) {
+  const variables = {};
+  const set = (name, value) => {
+    const variableValue = toVariableValue(value);
+    if (name && variableValue !== null) {
+      variables[name] = variableValue;
+    }
+  };
+
+  if (contact) {
+    const customFields = contact.customFields instanceof Map
+      ? Object.fromEntries(contact.customFields)
+      : { ...(contact.customFields || {}) };
+    const mapping = getVariableMapping(campaign);
+
+    for (const [field, value] of Object.entries(customFields)) {
+      set(mapping[field] || toVariableName(field), value);
+    }
+
+    set('name', contact.name);
+    set('first_name', customFields.firstName || contact.name?.split(' ')[0]);
+    set('last_name', customFields.lastName);
+    set('phone_number', contact.phoneNumber); // Stored in E.164
+    set('email', contact.email);
+    set('timezone', contact.timezone);
+    set('contact_id', contact._id?.toString());
+  }
+
+  if (campaign) {
+    set('campaign_id', campaign._id?.toString());
+    set('campaign_name', campaign.name);
+  }
+
+  return variables;
+}
+
+/**
+ * Load the contact and campaign for a call and build its dynamic variables
+ * Lookup failures are logged and result in fewer variables, never a failed call.
+ * @param {Object} params - contactId, campaignId (stream parameters)
+ * @returns {Promise<Object>} Dynamic variables
+ */
+export async function resolveConversationVariables({ contactId, campaignId } = {}) {
+  try {
+    const [contact, campaign] = await Promise.all([
+      contactId ? getContactById(contactId) : null,
+      campaignId ? getCampaignById(campaignId) : null
+    ]);
+
+    return buildContactVariables(contact, campaign);
+  } catch (error) {
+    console.error(`[Variables] Error resolving dynamic variables (contact ${contactId}, campaign ${campaignId}):`, error);
+    return {};
+  }
+}
+
+/**
+ * Get the dynamic variables an ElevenLabs agent declares
+ * Declared = placeholders configured on the agent plus {{variables}} in its prompt and first message.
+ * @param {string} elevenLabsAgentId - ElevenLabs agent ID
+ * @returns {Promise<Array<string>|null>} Variable names, or null if the agent could not be fetched
+ */
+export async function getAgentDeclaredVariables(elevenLabsAgentId) {
+  if (!elevenLabsAgentId || !process.env.ELEVENLABS_API_KEY) {
+    return null;
+  }
+
+  try {
+    const response = await fetch(
+      getElevenLabsApiUrl(`/v1/convai/agents/${encodeURIComponent(elevenLabsAgentId)}`),
+      { headers: { 'xi-api-key': process.env.ELEVENLABS_API_KEY } }
+    );
+
+    if (!response.ok) {
+      console.warn(`[Variables] Could not fetch agent ${elevenLabsAgentId}: ${response.status} ${response.statusText}`);
+      return null;
+    }
+
+    const agentConfig = (await response.json())?.conversation_config?.agent || {};
+    const placeholders = Object.keys(agentConfig.dynamic_variables?.dynamic_variable_placeholders || {});
+
+    return [...new Set([
+      ...placeholders,
+      ...extractTemplateVariables(agentConfig.prompt?.prompt),
+      ...extractTemplateVariables(agentConfig.first_message)
+    ])].filter(variable => !variable.startsWith(SYSTEM_VARIABLE_PREFIX));
+  } catch (error) {
+    console.error(`[Variables] Error fetching agent ${elevenLabsAgentId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Check a campaign's variable mapping against its agent's declared variables
+ * Mapped variables the agent does not declare make the campaign invalid. Declared variables
+ * nothing supplies are reported as missing (the agent's placeholder value will be used).
+ * @param {Object} campaign - Campaign document
+ * @returns {Promise<Object>} { valid, checked, unknownVariables, missingVariables, declaredVariables }
+ */
+export async function validateCampaignVariables(campaign) {
+  const mapping = getVariableMapping(campaign);
+  const mappedVariables = [...new Set(Object.values(mapping))];
+  const { elevenLabsAgentId } = await resolveAgentForCampaign(campaign?._id);
+
+  const declaredVariables = await getAgentDeclaredVariables(elevenLabsAgentId);
+  if (!declaredVariables) {
+    // Cannot verify without the agent config; don't block the campaign on an ElevenLabs outage
+    return { valid: true, checked: false, unknownVariables: [], missingVariables: [], declaredVariables: [] };
+  }
+
+  const supplied = new Set([...BUILT_IN_VARIABLES, ...mappedVariables]);
+  const unknownVariables = mappedVariables.filter(variable => !declaredVariables.includes(variable));
+  const missingVariables = declaredVariables.filter(variable => !supplied.has(variable));
+
+  return {
+    valid: unknownVariables.length === 0,
+    checked: true,
+    unknownVariables,
+    missingVariables,
+    declaredVariables
+  };
+}
+
+export default {
+  BUILT_IN_VARIABLES,
+  toVariableName,
+  extractTemplateVariables,
+  renderTemplate,
+  getVariableMapping,
+  buildContactVariables,
+  resolveConversationVariables,
+  getAgentDeclaredVariables,
+  validateCampaignVariables
+};
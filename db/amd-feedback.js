@@ -0,0 +1,127 @@
+/**
+ * AMD Feedback
+ * Periodically checks each ended call's AMD result against who its transcript shows actually answered,
+ * and counts the result against the AMD config version the call used
+ */
+import { getAmdConfigRepository } from './index.js';
+import { classifyDetection, deriveAnsweredBy } from './utils/amd-ground-truth.js';
+import { markAMDError } from '../amd-metrics.js';
+
+// How often to look for calls to evaluate
+const FEEDBACK_INTERVAL = parseInt(process.env.AMD_FEEDBACK_INTERVAL_MS, 10) || 5 * 60 * 1000;
+
+// Calls evaluated per run
+const BATCH_SIZE = 200;
+
+// Give ElevenLabs time to finish the transcript after the call ends
+const SETTLE_DELAY = 2 * 60 * 1000;
+
+// After this long without a finished transcript the call is counted as unevaluated
+const TRANSCRIPT_WAIT = 60 * 60 * 1000;
+
+let feedbackInterval = null;
+let running = false;
+
+/**
+ * Evaluate one call, or leave it for the next run if its transcript may still arrive
+ * @param {Object} call - Call (callSid, answeredBy, enhancedAnsweredBy, amdConfigVersion, endTime)
+ * @param {Object|null} transcript - Call's transcript
+ * @returns {Promise<string|null>} Who actually answered, or null if the call was left for later
+ */
+async function evaluateCall(call, transcript) {
+  let truth;
+  if (transcript?.status === 'done') {
+    truth = deriveAnsweredBy(transcript);
+  } else if (Date.now() - new Date(call.endTime).getTime() > TRANSCRIPT_WAIT) {
+    truth = { actual: 'unknown', reason: transcript ? `Transcript ${transcript.status}` : 'No transcript' };
+  } else {
+    return null;
+  }
+
+  const detected = classifyDetection(call.answeredBy);
+  const enhancedDetected = classifyDetection(call.enhancedAnsweredBy || call.answeredBy);
+
+  const counted = await getAmdConfigRepository().recordAmdFeedback(call.callSid, call.amdConfigVersion, {
+    actual: truth.actual,
+    detected,
+    enhancedDetected,
+    reason: truth.reason
+  });
+  if (!counted) {
+    return null;
+  }
+
+  if (truth.actual !== 'unknown' && enhancedDetected !== truth.actual) {
+    console.log(`[AMD Feedback] Call ${call.callSid} (AMD config v${call.amdConfigVersion}) detected as ${call.enhancedAnsweredBy || call.answeredBy}, was ${truth.actual}: ${truth.reason}`);
+    markAMDError(call.callSid, truth.actual, call.answeredBy);
+  }
+
+  return truth.actual;
+}
+
+/**
+ * Evaluate the calls that have ended since the last run
+ * @returns {Promise<Object>} Counts of calls evaluated as human, machine and unknown
+ */
+export async function runAmdFeedback() {
+  const counts = { human: 0, machine: 0, unknown: 0 };
+  if (running) {
+    return counts;
+  }
+
+  running = true;
+  try {
+    const pending = await getAmdConfigRepository().getCallsAwaitingAmdFeedback(new Date(Date.now() - SETTLE_DELAY), BATCH_SIZE);
+
+    for (const { call, transcript } of pending) {
+      try {
+        const actual = await evaluateCall(call, transcript);
+        if (actual) {
+          counts[actual]++;
+        }
+      } catch (error) {
+        // Already logged by the repository; the call is retried on the next run
+      }
+    }
+
+    const evaluated = counts.human + counts.machine + counts.unknown;
+    if (evaluated > 0) {
+      console.log(`[AMD Feedback] Evaluated ${evaluated} calls (${counts.human} human, ${counts.machine} machine, ${counts.unknown} unknown)`);
+    }
+
+    return counts;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start evaluating calls periodically
+ */
+export function initializeAmdFeedback() {
+  if (feedbackInterval) {
+    return;
+  }
+
+  feedbackInterval = setInterval(() => {
+    runAmdFeedback().catch(error => console.error('[AMD Feedback] Error evaluating calls:', error.message));
+  }, FEEDBACK_INTERVAL);
+
+  console.log(`[AMD Feedback] Evaluating AMD results every ${Math.round(FEEDBACK_INTERVAL / 1000)}s`);
+}
+
+/**
+ * Stop evaluating calls
+ */
+export function shutdownAmdFeedback() {
+  if (feedbackInterval) {
+    clearInterval(feedbackInterval);
+    feedbackInterval = null;
+  }
+}
+
+export default {
+  runAmdFeedback,
+  initializeAmdFeedback,
+  shutdownAmdFeedback
+};
@@ -0,0 +1,276 @@
+/**
+ * Agent API Routes
+ * Provides API endpoints for the ElevenLabs agent registry
+ */
+import {
+  saveAgent,
+  getAgentById,
+  getAgents,
+  updateAgent,
+  deleteAgent
+} from '../repositories/agent.repository.js';
+import { getCacheValue, setCacheValue } from '../utils/cache.js';
+
+// Cache TTL in milliseconds (5 minutes)
+const CACHE_TTL = 300000;
+
+// Fields clients are allowed to set on an agent
+const AGENT_FIELDS = ['name', 'elevenLabsAgentId', 'defaultFirstMessage', 'voiceNotes', 'isActive'];
+
+/**
+ * Pick the writable agent fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Agent data
+ */
+function pickAgentFields(body = {}) {
+  return Object.fromEntries(
+    Object.entries(body).filter(([key]) => AGENT_FIELDS.includes(key))
+  );
+}
+
+/**
+ * Register agent API routes with Fastify
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} options - Route options
+ */
+export async function registerAgentApiRoutes(fastify, options = {}) {
+  // Get all agents
+  fastify.get('/api/db/agents', async (request, reply) => {
+    try {
+      const { search, isActive, page, limit, sortBy, sortOrder } = request.query;
+
+      // Generate cache key based on query parameters
+      const cacheKey = `agent_list_${search || 'none'}_${isActive || 'all'}_${page || 1}_${limit || 20}_${sortBy || 'createdAt'}_${sortOrder || -1}`;
+
+      // Try to get data from cache
+      const cachedData = getCacheValue(cacheKey);
+      if (cachedData) {
+        console.log(`[MongoDB] Using cached agent list data`);
+        return {
+          success: true,
+          data: cachedData,
+          cached: true,
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      // Build filters
+      const filters = {};
+      if (search) filters.search = search;
+      if (isActive !== undefined) filters.isActive = isActive === 'true';
+
+      // Build pagination
+      const pagination = {
+        page: page ? parseInt(page) : 1,
+        limit: limit ? parseInt(limit) : 20,
+        sortBy: sortBy || 'createdAt',
+        sortOrder: sortOrder ? parseInt(sortOrder) : -1
+      };
+
+      // Get agents
+      const result = await getAgents(filters, pagination);
+
+      // Cache the data
+      setCacheValue(cacheKey, result, CACHE_TTL);
+
+      return {
+        success: true,
+        data: result,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error getting agents:`, error);
+      return reply.code(500).send({
+        success: false,
+        error: 'Error getting agents',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Get agent by ID
+  fastify.get('/api/db/agents/:agentId', async (request, reply) => {
+    try {
+      const { agentId } = request.params;
+
+      // Generate cache key
+      const cacheKey = `agent_${agentId}`;
+
+      // Try to get data from cache
+      const cachedData = getCacheValue(cacheKey);
+      if (cachedData) {
+        console.log(`[MongoDB] Using cached agent data for ${agentId}`);
+        return {
+          success: true,
+          data: cachedData,
+          cached: true,
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      // Get agent
+      const agent = await getAgentById(agentId);
+
+      if (!agent) {
+        return reply.code(404).send({
+          success: false,
+          error: `Agent not found with ID: ${agentId}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Cache the data
+      setCacheValue(cacheKey, agent, CACHE_TTL);
+
+      return {
+        success: true,
+        data: agent,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error getting agent:`, error);
+      return reply.code(500).send({
+        success: false,
+        error: 'Error getting agent',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Create agent
+  fastify.post('/api/db/agents', async (request, reply) => {
+    try {
+      const agentData = pickAgentFields(request.body);
+
+      if (!agentData.name || !agentData.elevenLabsAgentId) {
+        return reply.code(400).send({
+          success: false,
+          error: 'Agent name and ElevenLabs agent ID are required',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Save agent
+      const savedAgent = await saveAgent(agentData);
+
+      return {
+        success: true,
+        data: savedAgent,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error creating agent:`, error);
+
+      // Duplicate ElevenLabs agent ID
+      if (error.code === 11000) {
+        return reply.code(409).send({
+          success: false,
+          error: 'An agent with this ElevenLabs agent ID already exists',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      return reply.code(500).send({
+        success: false,
+        error: 'Error creating agent',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Update agent
+  fastify.put('/api/db/agents/:agentId', async (request, reply) => {
+    try {
+      const { agentId } = request.params;
+      const updateData = pickAgentFields(request.body);
+
+      if (Object.keys(updateData).length === 0) {
+        return reply.code(400).send({
+          success: false,
+          error: 'Update data is required',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Update agent
+      const updatedAgent = await updateAgent(agentId, updateData);
+
+      if (!updatedAgent) {
+        return reply.code(404).send({
+          success: false,
+          error: `Agent not found with ID: ${agentId}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      return {
+        success: true,
+        data: updatedAgent,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error updating agent:`, error);
+
+      // Duplicate ElevenLabs agent ID
+      if (error.code === 11000) {
+        return reply.code(409).send({
+          success: false,
+          error: 'An agent with this ElevenLabs agent ID already exists',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      return reply.code(500).send({
+        success: false,
+        error: 'Error updating agent',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Delete agent
+  fastify.delete('/api/db/agents/:agentId', async (request, reply) => {
+    try {
+      const { agentId } = request.params;
+
+      // Delete agent
+      const result = await deleteAgent(agentId);
+
+      if (!result) {
+        return reply.code(404).send({
+          success: false,
+          error: `Agent not found with ID: ${agentId}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      return {
+        success: true,
+        message: `Agent deleted successfully`,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error deleting agent:`, error);
+
+      // Agent still assigned to campaigns
+      if (error.message.includes('cannot be deleted')) {
+        return reply.code(409).send({
+          success: false,
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      return reply.code(500).send({
+        success: false,
+        error: 'Error deleting agent',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+}
@@ -0,0 +1,145 @@
+/**
+ * AMD Config API Routes
+ * Provides API endpoints for versioned answering machine detection settings
+ */
+import {
+  AMD_SETTING_KEYS,
+  createAmdConfig,
+  getAmdConfigs,
+  getAmdConfigByVersion,
+  setDefaultAmdConfig
+} from '../repositories/amdConfig.repository.js';
+
+/**
+ * Send an error response in the API's format
+ * @param {Object} reply - Fastify reply
+ * @param {number} code - HTTP status code
+ * @param {string} error - Error message
+ * @param {string} details - Error details
+ * @returns {Object} Fastify reply
+ */
+function sendError(reply, code, error, details) {
+  return reply.code(code).send({
+    success: false,
+    error,
+    details,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Parse a version route parameter
+ * @param {string} value - Route parameter
+ * @returns {number|null} Version, or null if it is not a positive integer
+ */
+function parseVersion(value) {
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+/**
+ * Register AMD config API routes with Fastify
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} options - Route options
+ */
+export async function registerAmdConfigApiRoutes(fastify, options = {}) {
+  // List AMD config versions with their detection accuracy counts
+  fastify.get('/api/db/amd-configs', async (request, reply) => {
+    try {
+      const configs = await getAmdConfigs();
+
+      return {
+        success: true,
+        data: configs,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error getting AMD configs:`, error);
+      return sendError(reply, 500, 'Error getting AMD configs', error.message);
+    }
+  });
+
+  // Get an AMD config version
+  fastify.get('/api/db/amd-configs/:version', async (request, reply) => {
+    try {
+      const version = parseVersion(request.params.version);
+      if (!version) {
+        return sendError(reply, 400, 'Version must be a positive integer');
+      }
+
+      const config = await getAmdConfigByVersion(version);
+      if (!config) {
+        return sendError(reply, 404, 'AMD config not found');
+      }
+
+      return {
+        success: true,
+        data: config,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error getting AMD config:`, error);
+      return sendError(reply, 500, 'Error getting AMD config', error.message);
+    }
+  });
+
+  // Create a new version; versions are not edited so their accuracy stays comparable
+  fastify.post('/api/db/amd-configs', async (request, reply) => {
+    try {
+      const body = request.body || {};
+      const settings = body.settings || {};
+
+      const unknownSettings = Object.keys(settings).filter(key => !AMD_SETTING_KEYS.includes(key));
+      if (unknownSettings.length > 0) {
+        return sendError(reply, 400, 'Invalid AMD config', `Unknown settings: ${unknownSettings.join(', ')}`);
+      }
+
+      const config = await createAmdConfig({
+        name: body.name,
+        description: body.description,
+        settings,
+        isDefault: body.isDefault === true
+      });
+
+      return reply.code(201).send({
+        success: true,
+        data: config,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error(`[API] Error creating AMD config:`, error);
+      if (error.name === 'ValidationError' || error.name === 'CastError') {
+        return sendError(reply, 400, 'Invalid AMD config', error.message);
+      }
+      return sendError(reply, 500, 'Error creating AMD config', error.message);
+    }
+  });
+
+  // Make a version the default for campaigns without an amdConfigVersion
+  fastify.post('/api/db/amd-configs/:version/default', async (request, reply) => {
+    try {
+      const version = parseVersion(request.params.version);
+      if (!version) {
+        return sendError(reply, 400, 'Version must be a positive integer');
+      }
+
+      const config = await setDefaultAmdConfig(version);
+      if (!config) {
+        return sendError(reply, 404, 'AMD config not found');
+      }
+
+      return {
+        success: true,
+        data: config,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error setting default AMD config:`, error);
+      return sendError(reply, 500, 'Error setting default AMD config', error.message);
+    }
+  });
+}
+
+export default {
+  registerAmdConfigApiRoutes
+};
@@ -337,10 +337,10 @@ export function registerAnalyticsApiRoutes(fastify, options = {}) {
   // Get topic distribution data
   fastify.get('/api/db/analytics/topics', async (request, reply) => {
     try {
-      const { startDate, endDate } = request.query;
+      const { startDate, endDate, campaignId } = request.query;
       
       // Generate cache key
-      const cacheKey = `topics_${startDate || 'all'}_${endDate || 'all'}`;
+      const cacheKey = `topics_${startDate || 'all'}_${endDate || 'all'}_${campaignId || 'all'}`;
       
       // Try to get data from cache
       const cachedData = getCacheValue(cacheKey);
@@ -356,7 +356,8 @@ export function registerAnalyticsApiRoutes(fastify, options = {}) {
       // Get topic distribution data
       const topicDistribution = await analyticsRepository.getTopicDistribution({
         startDate,
-        endDate
+        endDate,
+        campaignId
       });
       
       // Cache the data
@@ -376,6 +377,49 @@ export function registerAnalyticsApiRoutes(fastify, options = {}) {
     }
   });
   
+  // Get call disposition distribution
+  fastify.get('/api/db/analytics/dispositions', async (request, reply) => {
+    try {
+      const { startDate, endDate, campaignId } = request.query;
+      
+      // Generate cache key
+      const cacheKey = `dispositions_${startDate || 'all'}_${endDate || 'all'}_${campaignId || 'all'}`;
+      
+      // Try to get data from cache
+      const cachedData = getCacheValue(cacheKey);
+      if (cachedData) {
+        console.log('[MongoDB] Using cached disposition distribution data');
+        return {
+          success: true,
+          data: cachedData,
+          cached: true
+        };
+      }
+      
+      // Get disposition distribution data
+      const dispositionDistribution = await analyticsRepository.getDispositionDistribution({
+        startDate,
+        endDate,
+        campaignId
+      });
+      
+      // Cache the data
+      setCacheValue(cacheKey, dispositionDistribution, CACHE_TTL);
+      
+      return {
+        success: true,
+        data: dispositionDistribution
+      };
+    } catch (error) {
+      console.error('[API] Error getting disposition distribution:', error);
+      return reply.code(500).send({
+        success: false,
+        error: 'Failed to get disposition distribution data',
+        details: error.message
+      });
+    }
+  });
+  
   // Get campaign performance data
   fastify.get('/api/db/analytics/campaign/:campaignId/performance', async (request, reply) => {
     try {
@@ -499,6 +543,13 @@ export function registerAnalyticsApiRoutes(fastify, options = {}) {
             format: format || 'json'
           });
           break;
+        case 'disposition_summary':
+          reportData = await analyticsRepository.generateDispositionReport({
+            startDate,
+            endDate,
+            format: format || 'json'
+          });
+          break;
         default:
           return reply.code(400).send({
             success: false,
@@ -571,9 +622,18 @@ export function registerAnalyticsApiRoutes(fastify, options = {}) {
       
       // Import termination tracker
       const { getTerminationStats } = await import('../../call-termination-tracker.js');
+      const { resolveMetricWindow } = await import('../metrics.js');
+      
+      const window = resolveMetricWindow({ startDate, endDate });
+      if (!window) {
+        return reply.code(400).send({
+          success: false,
+          error: 'startDate and endDate must be valid dates, with startDate before endDate'
+        });
+      }
       
-      // Get termination stats from in-memory tracker
-      const inMemoryStats = getTerminationStats();
+      // Get termination stats recorded by the tracker
+      const trackerStats = await getTerminationStats(window);
       
       // Query database for termination data
       const calls = await callRepository.getCallHistory({
@@ -621,9 +681,9 @@ export function registerAnalyticsApiRoutes(fastify, options = {}) {
           byTerminator: dbTerminationStats,
           breakdown: terminationBreakdown
         },
-        inMemoryStats: {
-          ...inMemoryStats,
-          note: 'Real-time stats from current server session'
+        trackerStats: {
+          ...trackerStats,
+          note: 'Terminations recorded by the termination tracker in this time range (default: the last 24 hours)'
         },
         recentTerminations,
         timeRange: {
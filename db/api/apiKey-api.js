@@ -0,0 +1,131 @@
+/**
+ * API Key Admin Routes
+ * Provides API endpoints to mint, list and revoke API keys (admin scope required)
+ */
+import {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey
+} from '../repositories/apiKey.repository.js';
+import { API_KEY_SCOPES } from '../models/apiKey.model.js';
+
+/**
+ * Register API key admin routes with Fastify
+ * The admin scope is enforced by the authentication hook in api-middleware.js
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} options - Route options
+ */
+export async function registerApiKeyApiRoutes(fastify, options = {}) {
+  // List API keys
+  fastify.get('/api/db/api-keys', async (request, reply) => {
+    try {
+      const { includeRevoked } = request.query;
+
+      const apiKeys = await getApiKeys({ includeRevoked: includeRevoked === 'true' });
+
+      return {
+        success: true,
+        data: apiKeys,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error getting API keys:`, error);
+      return reply.code(500).send({
+        success: false,
+        error: 'Error getting API keys',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Mint API key
+  fastify.post('/api/db/api-keys', async (request, reply) => {
+    try {
+      const { label, scopes, expiresAt } = request.body || {};
+
+      if (!label) {
+        return reply.code(400).send({
+          success: false,
+          error: 'Label is required',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const requestedScopes = Array.isArray(scopes) && scopes.length > 0 ? scopes : ['read-only'];
+      const invalidScopes = requestedScopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+      if (invalidScopes.length > 0) {
+        return reply.code(400).send({
+          success: false,
+          error: `Invalid scopes: ${invalidScopes.join(', ')}. Valid scopes: ${API_KEY_SCOPES.join(', ')}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (expiresAt && (isNaN(new Date(expiresAt).getTime()) || new Date(expiresAt) <= new Date())) {
+        return reply.code(400).send({
+          success: false,
+          error: 'expiresAt must be a valid future date',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const { apiKey, key } = await createApiKey({
+        label,
+        scopes: requestedScopes,
+        expiresAt,
+        createdBy: request.apiKey?.label || null
+      });
+
+      return {
+        success: true,
+        data: {
+          ...apiKey.toJSON(),
+          key // Plaintext key is only returned once
+        },
+        message: 'Store this key now - it cannot be retrieved again',
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error creating API key:`, error);
+      return reply.code(500).send({
+        success: false,
+        error: 'Error creating API key',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Revoke API key
+  fastify.delete('/api/db/api-keys/:keyId', async (request, reply) => {
+    try {
+      const { keyId } = request.params;
+
+      const apiKey = await revokeApiKey(keyId);
+
+      if (!apiKey) {
+        return reply.code(404).send({
+          success: false,
+          error: `Active API key not found with ID: ${keyId}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      return {
+        success: true,
+        data: apiKey,
+        message: 'API key revoked',
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error revoking API key:`, error);
+      return reply.code(500).send({
+        success: false,
+        error: 'Error revoking API key',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+}
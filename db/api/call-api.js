@@ -7,12 +7,18 @@ import {
   getActiveCalls,
   getCallHistory,
   updateCallStatus,
-  deleteCall,
-  saveCall
+  saveCall,
+  overrideCallDisposition
 } from '../repositories/call.repository.js';
+import { getCampaignDispositions } from '../repositories/campaign.repository.js';
+import { getDispositionCodes, findDispositionCode } from '../utils/disposition.js';
+import { deleteCall, restoreCall } from '../deletion-service.js';
 import { invalidateCacheByPattern } from '../utils/cache.js';
+import { transferCall } from '../../transfer.js';
+import { getBaseUrl } from '../../api-utils.js';
 import * as csv from 'fast-csv'; // Import fast-csv
 import { Readable } from 'stream'; // Import Readable stream
+import mongoose from 'mongoose';
 
 /**
  * Register call API routes with Fastify
@@ -89,7 +95,7 @@ export async function registerCallApiRoutes(fastify, options = {}) {
     try {
       // Extract query parameters
       const { 
-        status, from, to, agentId, campaignId, 
+        status, from, to, agentId, campaignId, disposition,
         startDate, endDate, page, limit 
       } = request.query;
       
@@ -101,6 +107,7 @@ export async function registerCallApiRoutes(fastify, options = {}) {
       if (to) filters.to = to;
       if (agentId) filters.agentId = agentId;
       if (campaignId) filters.campaignId = campaignId;
+      if (disposition) filters.disposition = disposition;
       if (startDate || endDate) {
         filters.startDate = startDate;
         filters.endDate = endDate;
@@ -132,6 +139,47 @@ export async function registerCallApiRoutes(fastify, options = {}) {
     }
   });
   
+  // Warm-transfer a live call to a person (the campaign's transfer target unless one is given)
+  fastify.post('/api/db/calls/:callSid/transfer', async (request, reply) => {
+    try {
+      const { callSid } = request.params;
+      const { target, reason, summary } = request.body || {};
+      
+      const result = await transferCall(callSid, {
+        requestedBy: 'supervisor',
+        target: target || null,
+        reason: reason || 'Supervisor transfer',
+        summary: summary || null,
+        baseUrl: getBaseUrl(request)
+      });
+      
+      if (!result.success) {
+        return reply.code(result.statusCode || 500).send({
+          success: false,
+          error: result.error,
+          details: result.details,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      invalidateCacheByPattern(`call_details_${callSid}`);
+      
+      return {
+        success: true,
+        data: result.transfer,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error transferring call:`, error);
+      return reply.code(500).send({
+        success: false,
+        error: 'Error transferring call',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+  
   // Update call status
   fastify.put('/api/db/calls/:callSid/status', async (request, reply) => {
     try {
@@ -178,6 +226,65 @@ export async function registerCallApiRoutes(fastify, options = {}) {
     }
   });
   
+  // Set a call's disposition by hand (one of its campaign's disposition codes)
+  fastify.put('/api/db/calls/:callSid/disposition', async (request, reply) => {
+    try {
+      const { callSid } = request.params;
+      const { code, notes } = request.body || {};
+      
+      if (!code) {
+        return reply.code(400).send({
+          success: false,
+          error: 'Disposition code is required',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const call = await getCallBySid(callSid);
+      if (!call) {
+        return reply.code(404).send({
+          success: false,
+          error: `Call not found with SID: ${callSid}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      // Calls without a campaign use the default codes
+      const dispositions = mongoose.isValidObjectId(call.campaignId) ? await getCampaignDispositions(call.campaignId) : null;
+      const codes = getDispositionCodes(dispositions);
+      const dispositionCode = findDispositionCode(codes, code);
+      if (!dispositionCode) {
+        return reply.code(400).send({
+          success: false,
+          error: `Unknown disposition code: ${code}`,
+          details: { codes: codes.map(candidate => candidate.code) },
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const updatedCall = await overrideCallDisposition(call, dispositionCode, {
+        notes: notes || null,
+        setBy: request.apiKey?.label || null
+      });
+      
+      invalidateCacheByPattern('dashboard_');
+      
+      return {
+        success: true,
+        data: updatedCall,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error setting call disposition:`, error);
+      return reply.code(500).send({
+        success: false,
+        error: 'Error setting call disposition',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+  
   // Get call statistics
   fastify.get('/api/db/calls/stats', async (request, reply) => {
     try {
@@ -283,10 +390,11 @@ export async function registerCallApiRoutes(fastify, options = {}) {
     }
   });
   
-  // Delete call
+  // Delete call (?permanent=true also removes its transcripts, recordings, events and metric samples)
   fastify.delete('/api/db/calls/:callSid', async (request, reply) => {
     try {
       const { callSid } = request.params;
+      const { permanent } = request.query;
       
       if (!callSid) {
         return reply.code(400).send({
@@ -296,19 +404,14 @@ export async function registerCallApiRoutes(fastify, options = {}) {
         });
       }
       
-      // Delete the call
-      const result = await deleteCall(callSid);
+      // Delete the call (the deletion service invalidates the call's cache entries)
+      const result = await deleteCall(callSid, { permanent: permanent === 'true' });
       
       if (result) {
-        // Invalidate related cache entries
-        invalidateCacheByPattern(`call_details_${callSid}`);
-        invalidateCacheByPattern('dashboard_');
-        
-        console.log(`[API] Invalidated cache for deleted call ${callSid}`);
-        
         return {
           success: true,
-          message: `Call ${callSid} deleted successfully`,
+          data: result,
+          message: result.permanent ? `Call ${callSid} permanently deleted` : `Call ${callSid} deleted successfully`,
           timestamp: new Date().toISOString()
         };
       } else {
@@ -329,13 +432,53 @@ export async function registerCallApiRoutes(fastify, options = {}) {
     }
   });
 
+  // Restore a deleted call
+  fastify.post('/api/db/calls/:callSid/restore', async (request, reply) => {
+    try {
+      const { callSid } = request.params;
+
+      const restoredCall = await restoreCall(callSid);
+
+      if (!restoredCall) {
+        return reply.code(404).send({
+          success: false,
+          error: `No deleted call found with SID: ${callSid}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      return {
+        success: true,
+        data: restoredCall,
+        message: `Call ${callSid} restored successfully`,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error restoring call:`, error);
+      return reply.code(500).send({
+        success: false,
+        error: 'Error restoring call',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
   // Export call logs as CSV
   fastify.get('/api/db/calls/actions/export', async (request, reply) => { // Changed path
     try {
       console.log('[API] Starting call log export');
-      // Fetch all calls (consider adding filters based on request.query if needed later)
+      // Optionally narrowed to a campaign, disposition or date range
+      const { campaignId, disposition, startDate, endDate } = request.query;
+      const filters = {};
+      if (campaignId) filters.campaignId = campaignId;
+      if (disposition) filters.disposition = disposition;
+      if (startDate || endDate) {
+        filters.startDate = startDate;
+        filters.endDate = endDate;
+      }
       // Using a large limit for now, but ideally this should stream or paginate large datasets
-      const { calls } = await getCallHistory({}, { page: 1, limit: 10000 }); 
+      const { calls } = await getCallHistory(filters, { page: 1, limit: 10000 }); 
       console.log(`[API] Fetched ${calls.length} calls for export`);
 
       if (!calls || calls.length === 0) {
@@ -347,7 +490,7 @@ export async function registerCallApiRoutes(fastify, options = {}) {
         'callSid', 'conversationId', 'status', 'from', 'to', 'direction', 
         'startTime', 'answerTime', 'endTime', 'duration', 'billableDuration', 
         'region', 'callerId', 'answeredBy', 'machineBehavior', 'outcome', 
-        'terminatedBy', 'agentId', 'prompt', 'firstMessage', 'contactName', 
+        'disposition', 'dispositionLabel', 'dispositionSource', 'terminatedBy', 'agentId', 'prompt', 'firstMessage', 'contactName', 
         'campaignId', 'tags', 'createdAt', 'updatedAt'
         // Add qualityMetrics fields if needed, e.g., 'qualityMetrics.mos'
         // Add recording URL if available (might need modification if multiple recordings)
@@ -385,6 +528,9 @@ export async function registerCallApiRoutes(fastify, options = {}) {
           answeredBy: call.answeredBy,
           machineBehavior: call.machineBehavior,
           outcome: call.outcome,
+          disposition: call.disposition?.code,
+          dispositionLabel: call.disposition?.label,
+          dispositionSource: call.disposition?.source,
           terminatedBy: call.terminatedBy,
           agentId: call.agentId,
           prompt: call.prompt, // Be cautious with potentially long text
@@ -0,0 +1,180 @@
+/**
+ * Callback API Routes
+ * Provides API endpoints for scheduling and reviewing the callbacks prospects asked for
+ */
+import mongoose from 'mongoose';
+import {
+  createCallback,
+  resolveCallbackTime,
+  getCallbackById,
+  getCallbacks,
+  getCallbackSummary,
+  cancelCallback
+} from '../repositories/callback.repository.js';
+import { getContactById } from '../repositories/contact.repository.js';
+
+/**
+ * Send an error response
+ * @param {Object} reply - Fastify reply
+ * @param {number} code - HTTP status code
+ * @param {string} error - Error message
+ * @param {string} details - Error details
+ * @returns {Object} Fastify reply
+ */
+function sendError(reply, code, error, details) {
+  return reply.code(code).send({
+    success: false,
+    error,
+    details,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Register callback API routes with Fastify
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} options - Route options
+ */
+export async function registerCallbackApiRoutes(fastify, options = {}) {
+  // Schedule a callback for a contact
+  fastify.post('/api/db/contacts/:contactId/callbacks', async (request, reply) => {
+    try {
+      const { contactId } = request.params;
+      const { callbackTime, reason, campaignId } = request.body || {};
+
+      if (!mongoose.Types.ObjectId.isValid(contactId)) {
+        return sendError(reply, 400, 'Invalid contact ID');
+      }
+      if (campaignId && !mongoose.Types.ObjectId.isValid(campaignId)) {
+        return sendError(reply, 400, 'Invalid campaign ID');
+      }
+
+      const contact = await getContactById(contactId);
+      if (!contact) {
+        return sendError(reply, 404, 'Contact not found');
+      }
+
+      if (!resolveCallbackTime(callbackTime, contact.timezone)) {
+        return sendError(
+          reply,
+          400,
+          'callbackTime must be a future ISO 8601 date and time within 90 days',
+          'Times without an offset are read in the contact\'s timezone'
+        );
+      }
+
+      const callback = await createCallback({
+        contactId,
+        campaignId,
+        callbackTime,
+        reason,
+        source: 'api',
+        createdBy: request.apiKey?.label || null
+      });
+
+      return reply.code(201).send({
+        success: true,
+        data: callback,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error(`[API] Error scheduling callback:`, error);
+      return sendError(reply, 500, 'Error scheduling callback', error.message);
+    }
+  });
+
+  // List callbacks
+  fastify.get('/api/db/callbacks', async (request, reply) => {
+    try {
+      const { status, contactId, campaignId, startDate, endDate, page = 1, limit = 50 } = request.query;
+
+      const result = await getCallbacks(
+        { status, contactId, campaignId, startDate, endDate },
+        { page: parseInt(page), limit: parseInt(limit) }
+      );
+
+      return {
+        success: true,
+        data: result.callbacks,
+        pagination: result.pagination,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error getting callbacks:`, error);
+      return sendError(reply, 500, 'Error getting callbacks', error.message);
+    }
+  });
+
+  // Upcoming and overdue callbacks (dashboard)
+  fastify.get('/api/db/callbacks/summary', async (request, reply) => {
+    try {
+      const { limit = 10 } = request.query;
+
+      const summary = await getCallbackSummary(parseInt(limit));
+
+      return {
+        success: true,
+        data: summary,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error getting callback summary:`, error);
+      return sendError(reply, 500, 'Error getting callback summary', error.message);
+    }
+  });
+
+  // Get a callback
+  fastify.get('/api/db/callbacks/:id', async (request, reply) => {
+    try {
+      const { id } = request.params;
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return sendError(reply, 400, 'Invalid callback ID');
+      }
+
+      const callback = await getCallbackById(id);
+      if (!callback) {
+        return sendError(reply, 404, 'Callback not found');
+      }
+
+      return {
+        success: true,
+        data: callback,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error getting callback:`, error);
+      return sendError(reply, 500, 'Error getting callback', error.message);
+    }
+  });
+
+  // Cancel a scheduled callback
+  fastify.post('/api/db/callbacks/:id/cancel', async (request, reply) => {
+    try {
+      const { id } = request.params;
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return sendError(reply, 400, 'Invalid callback ID');
+      }
+
+      const callback = await cancelCallback(id);
+      if (!callback) {
+        const existing = await getCallbackById(id);
+        return existing
+          ? sendError(reply, 409, `Callback is ${existing.status}, only scheduled callbacks can be canceled`)
+          : sendError(reply, 404, 'Callback not found');
+      }
+
+      return {
+        success: true,
+        data: callback,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error canceling callback:`, error);
+      return sendError(reply, 500, 'Error canceling callback', error.message);
+    }
+  });
+}
+
+export default {
+  registerCallbackApiRoutes
+};
@@ -7,12 +7,12 @@ import {
   getCampaignById,
   getCampaigns,
   updateCampaign,
-  deleteCampaign,
   addContactsToCampaign,
   removeContactsFromCampaign,
   getCampaignContacts,
   updateCampaignStatus,
-  updateCampaignStats
+  updateCampaignStats,
+  getCampaignDispositions
 } from '../repositories/campaign.repository.js';
 import {
   startCampaign as startCampaignEngine,
@@ -21,8 +21,13 @@ import {
   stopCampaign as stopCampaignEngine,
   getActiveCampaigns
 } from '../campaign-engine.js';
+import { deleteCampaign, restoreCampaign } from '../deletion-service.js';
+import { cancelCampaignCallbacks } from '../repositories/callback.repository.js';
 import { saveContact, getContactByPhoneNumber, getContacts as getContactsFromRepo } from '../repositories/contact.repository.js'; // Corrected import
+import { getAgentById } from '../repositories/agent.repository.js';
+import { validateCampaignVariables } from '../../conversation-variables.js';
 import { getCacheValue, setCacheValue } from '../utils/cache.js';
+import { getDispositionCodes } from '../utils/disposition.js';
 import fs from 'node:fs';
 import { pipeline } from 'node:stream/promises';
 import csvParser from 'fast-csv';
@@ -33,6 +38,29 @@ import path from 'node:path';
 // Cache TTL in milliseconds (5 minutes)
 const CACHE_TTL = 300000;
 
+/**
+ * Check that an agent assigned to a campaign exists and is active
+ * @param {string} agentId - Agent registry ID
+ * @returns {Promise<string|null>} Error message or null if the agent is valid
+ */
+async function validateCampaignAgent(agentId) {
+  try {
+    const agent = await getAgentById(agentId);
+    
+    if (!agent) {
+      return `Agent not found with ID: ${agentId}`;
+    }
+    
+    if (!agent.isActive) {
+      return `Agent ${agent.name} is inactive`;
+    }
+    
+    return null;
+  } catch (error) {
+    return `Invalid agent ID: ${agentId}`;
+  }
+}
+
 /**
  * Register campaign API routes with Fastify
  * @param {Object} fastify - Fastify instance
@@ -173,6 +201,17 @@ export async function registerCampaignApiRoutes(fastify, options = {}) {
         });
       }
       
+      if (campaignData.agentId) {
+        const agentError = await validateCampaignAgent(campaignData.agentId);
+        if (agentError) {
+          return reply.code(400).send({
+            success: false,
+            error: agentError,
+            timestamp: new Date().toISOString()
+          });
+        }
+      }
+      
       // Save campaign
       const savedCampaign = await saveCampaign(campaignData);
       
@@ -214,6 +253,17 @@ export async function registerCampaignApiRoutes(fastify, options = {}) {
         });
       }
       
+      if (updateData.agentId) {
+        const agentError = await validateCampaignAgent(updateData.agentId);
+        if (agentError) {
+          return reply.code(400).send({
+            success: false,
+            error: agentError,
+            timestamp: new Date().toISOString()
+          });
+        }
+      }
+      
       // Update campaign
       const updatedCampaign = await updateCampaign(campaignId, updateData);
       
@@ -241,10 +291,11 @@ export async function registerCampaignApiRoutes(fastify, options = {}) {
     }
   });
   
-  // Delete campaign
+  // Delete campaign (?permanent=true also removes its calls and callbacks, ?stop=true stops it first if running)
   fastify.delete('/api/db/campaigns/:campaignId', async (request, reply) => {
     try {
       const { campaignId } = request.params;
+      const { permanent, stop } = request.query;
       
       if (!campaignId) {
         return reply.code(400).send({
@@ -255,7 +306,7 @@ export async function registerCampaignApiRoutes(fastify, options = {}) {
       }
       
       // Delete campaign
-      const result = await deleteCampaign(campaignId);
+      const result = await deleteCampaign(campaignId, { permanent: permanent === 'true', stop: stop === 'true' });
       
       if (!result) {
         return reply.code(404).send({
@@ -267,11 +318,22 @@ export async function registerCampaignApiRoutes(fastify, options = {}) {
       
       return {
         success: true,
-        message: `Campaign deleted successfully`,
+        data: result,
+        message: result.permanent ? 'Campaign permanently deleted' : 'Campaign deleted successfully',
         timestamp: new Date().toISOString()
       };
     } catch (error) {
       console.error(`[API] Error deleting campaign:`, error);
+      
+      // Running campaigns must be stopped first
+      if (error.message.includes('cannot be deleted')) {
+        return reply.code(409).send({
+          success: false,
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
       return reply.code(500).send({
         success: false,
         error: 'Error deleting campaign',
@@ -281,6 +343,38 @@ export async function registerCampaignApiRoutes(fastify, options = {}) {
     }
   });
   
+  // Restore a deleted campaign
+  fastify.post('/api/db/campaigns/:campaignId/restore', async (request, reply) => {
+    try {
+      const { campaignId } = request.params;
+      
+      const restoredCampaign = await restoreCampaign(campaignId);
+      
+      if (!restoredCampaign) {
+        return reply.code(404).send({
+          success: false,
+          error: `No deleted campaign found with ID: ${campaignId}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      return {
+        success: true,
+        data: restoredCampaign,
+        message: 'Campaign restored successfully',
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error restoring campaign:`, error);
+      return reply.code(500).send({
+        success: false,
+        error: 'Error restoring campaign',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+  
   // Get campaign contacts
   fastify.get('/api/db/campaigns/:campaignId/contacts', async (request, reply) => {
     try {
@@ -474,6 +568,20 @@ export async function registerCampaignApiRoutes(fastify, options = {}) {
         });
       }
       
+      // Verify mapped dynamic variables are declared by the campaign's agent
+      const variableCheck = await validateCampaignVariables(campaign);
+      if (!variableCheck.valid) {
+        return reply.code(400).send({
+          success: false,
+          error: `Variable mapping uses variables the agent does not declare: ${variableCheck.unknownVariables.join(', ')}`,
+          details: {
+            unknownVariables: variableCheck.unknownVariables,
+            declaredVariables: variableCheck.declaredVariables
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+      
       // Start the campaign engine
       const engineStarted = await startCampaignEngine(campaignId);
       
@@ -636,6 +744,9 @@ export async function registerCampaignApiRoutes(fastify, options = {}) {
         });
       }
       
+      // Also covers campaigns that were paused rather than running
+      await cancelCampaignCallbacks(campaignId, 'Campaign was stopped');
+      
       return {
         success: true,
         data: updatedCampaign,
@@ -684,6 +795,8 @@ export async function registerCampaignApiRoutes(fastify, options = {}) {
         });
       }
       
+      await cancelCampaignCallbacks(campaignId, 'Campaign was cancelled');
+      
       return {
         success: true,
         data: updatedCampaign,
@@ -772,6 +885,40 @@ export async function registerCampaignApiRoutes(fastify, options = {}) {
     }
   });
   
+  // Get the disposition codes the campaign's calls are dispositioned with
+  fastify.get('/api/db/campaigns/:campaignId/dispositions', async (request, reply) => {
+    try {
+      const { campaignId } = request.params;
+      
+      const dispositions = await getCampaignDispositions(campaignId);
+      if (!dispositions) {
+        return reply.code(404).send({
+          success: false,
+          error: `Campaign not found with ID: ${campaignId}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      return {
+        success: true,
+        data: {
+          codes: getDispositionCodes(dispositions),
+          defaultCode: dispositions.defaultCode || null,
+          isDefault: !(dispositions.codes?.length > 0)
+        },
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error getting campaign dispositions:`, error);
+      return reply.code(500).send({
+        success: false,
+        error: 'Error getting campaign dispositions',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+  
   // Get active campaigns with progress
   fastify.get('/api/db/campaigns/active', async (request, reply) => {
     try {
@@ -806,6 +953,8 @@ export async function registerCampaignApiRoutes(fastify, options = {}) {
               callsCompleted: campaign.stats?.callsCompleted || 0,
               callsAnswered: campaign.stats?.callsAnswered || 0,
               callsFailed: campaign.stats?.callsFailed || 0,
+              callsNoAnswer: campaign.stats?.callsNoAnswer || 0,
+              voicemailsLeft: campaign.stats?.voicemailsLeft || 0,
               percentComplete: campaign.contactIds.length > 0 
                 ? Math.round(((campaign.stats?.callsPlaced || 0) / campaign.contactIds.length) * 100)
                 : 0
@@ -898,6 +1047,8 @@ export async function registerCampaignApiRoutes(fastify, options = {}) {
           callsCompleted: campaign.stats?.callsCompleted || 0,
           callsAnswered: campaign.stats?.callsAnswered || 0,
           callsFailed: campaign.stats?.callsFailed || 0,
+          callsNoAnswer: campaign.stats?.callsNoAnswer || 0,
+          voicemailsLeft: campaign.stats?.voicemailsLeft || 0,
           averageDuration: campaign.stats?.averageDuration || 0,
           percentComplete: campaign.contactIds.length > 0 
             ? Math.round(((campaign.stats?.callsPlaced || 0) / campaign.contactIds.length) * 100)
@@ -8,13 +8,14 @@ import {
   getContactByPhoneNumber,
   getContacts,
   updateContact,
-  deleteContact,
   addTagsToContact,
   removeTagsFromContact,
   updateContactCallHistory,
   importContacts
 } from '../repositories/contact.repository.js';
+import { deleteContact, restoreContact } from '../deletion-service.js';
 import { getCacheValue, setCacheValue, clearCache, invalidateCacheByPattern, getCacheStats } from '../utils/cache.js';
+import { normalizePhoneNumber, isValidPhoneRegion } from '../utils/phone-number.js';
 
 // Cache TTL in milliseconds (5 minutes)
 const CACHE_TTL = 300000;
@@ -209,8 +210,17 @@ export async function registerContactApiRoutes(fastify, options = {}) {
         });
       }
       
-      // Format phone number (remove non-numeric characters)
-      const formattedPhoneNumber = phoneNumber.replace(/\D/g, '');
+      // Normalize phone number to E.164 (?defaultRegion=GB for numbers without a country code)
+      const normalized = normalizePhoneNumber(phoneNumber, { defaultRegion: request.query.defaultRegion });
+      if (!normalized.e164) {
+        return reply.code(400).send({
+          success: false,
+          error: 'Invalid phone number',
+          details: normalized.reason,
+          timestamp: new Date().toISOString()
+        });
+      }
+      const formattedPhoneNumber = normalized.e164;
       
       // Generate cache key
       const cacheKey = `contact_phone_${formattedPhoneNumber}`;
@@ -283,8 +293,8 @@ export async function registerContactApiRoutes(fastify, options = {}) {
         });
       }
       
-      // Save contact
-      const savedContact = await saveContact(contactData);
+      // Save contact (?defaultRegion=GB for a number without a country code)
+      const savedContact = await saveContact(contactData, { defaultRegion: request.query.defaultRegion });
       
       // Transform MongoDB _id to id for frontend compatibility
       const transformedContact = transformContact(savedContact);
@@ -296,6 +306,14 @@ export async function registerContactApiRoutes(fastify, options = {}) {
       };
     } catch (error) {
       console.error(`[API] Error creating contact:`, error);
+      if (error.name === 'ValidationError') {
+        return reply.code(400).send({
+          success: false,
+          error: 'Invalid contact data',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
       return reply.code(500).send({
         success: false,
         error: 'Error creating contact',
@@ -327,8 +345,8 @@ export async function registerContactApiRoutes(fastify, options = {}) {
         });
       }
       
-      // Update contact
-      const updatedContact = await updateContact(contactId, updateData);
+      // Update contact (?defaultRegion=GB for a number without a country code)
+      const updatedContact = await updateContact(contactId, updateData, { defaultRegion: request.query.defaultRegion });
       
       if (!updatedContact) {
         return reply.code(404).send({
@@ -348,6 +366,14 @@ export async function registerContactApiRoutes(fastify, options = {}) {
       };
     } catch (error) {
       console.error(`[API] Error updating contact:`, error);
+      if (error.name === 'ValidationError') {
+        return reply.code(400).send({
+          success: false,
+          error: 'Invalid contact data',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
       return reply.code(500).send({
         success: false,
         error: 'Error updating contact',
@@ -357,10 +383,11 @@ export async function registerContactApiRoutes(fastify, options = {}) {
     }
   });
   
-  // Delete contact
+  // Delete contact (?permanent=true also removes its callbacks and takes it off its campaigns)
   fastify.delete('/api/db/contacts/:contactId', async (request, reply) => {
     try {
       const { contactId } = request.params;
+      const { permanent } = request.query;
       
       if (!contactId) {
         return reply.code(400).send({
@@ -371,7 +398,7 @@ export async function registerContactApiRoutes(fastify, options = {}) {
       }
       
       // Delete contact
-      const result = await deleteContact(contactId);
+      const result = await deleteContact(contactId, { permanent: permanent === 'true' });
       
       if (!result) {
         return reply.code(404).send({
@@ -383,7 +410,8 @@ export async function registerContactApiRoutes(fastify, options = {}) {
       
       return {
         success: true,
-        message: `Contact deleted successfully`,
+        data: result,
+        message: result.permanent ? 'Contact permanently deleted' : 'Contact deleted successfully',
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -397,6 +425,38 @@ export async function registerContactApiRoutes(fastify, options = {}) {
     }
   });
   
+  // Restore a deleted contact
+  fastify.post('/api/db/contacts/:contactId/restore', async (request, reply) => {
+    try {
+      const { contactId } = request.params;
+      
+      const restoredContact = await restoreContact(contactId);
+      
+      if (!restoredContact) {
+        return reply.code(404).send({
+          success: false,
+          error: `No deleted contact found with ID: ${contactId}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      return {
+        success: true,
+        data: transformContact(restoredContact),
+        message: 'Contact restored successfully',
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error restoring contact:`, error);
+      return reply.code(500).send({
+        success: false,
+        error: 'Error restoring contact',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+  
   // Add tags to contact
   fastify.post('/api/db/contacts/:contactId/tags', async (request, reply) => {
     try {
@@ -571,10 +631,10 @@ export async function registerContactApiRoutes(fastify, options = {}) {
     }
   });
   
-  // Bulk delete contacts
+  // Bulk delete contacts (permanent: true also removes their callbacks and takes them off their campaigns)
   fastify.post('/api/db/contacts/bulk-delete', async (request, reply) => {
     try {
-      const { contactIds } = request.body;
+      const { contactIds, permanent } = request.body;
       
       if (!contactIds || !Array.isArray(contactIds) || contactIds.length === 0) {
         return reply.code(400).send({
@@ -595,7 +655,7 @@ export async function registerContactApiRoutes(fastify, options = {}) {
       
       for (const contactId of contactIds) {
         try {
-          const result = await deleteContact(contactId);
+          const result = await deleteContact(contactId, { permanent: permanent === true || permanent === 'true' });
           if (result) {
             results.success++;
           } else {
@@ -628,7 +688,7 @@ export async function registerContactApiRoutes(fastify, options = {}) {
   // Import contacts
   fastify.post('/api/db/contacts/import', async (request, reply) => {
     try {
-      const { contacts, campaignId } = request.body;
+      const { contacts, campaignId, defaultRegion, rejectInvalid } = request.body;
       
       if (!contacts || !Array.isArray(contacts) || contacts.length === 0) {
         return reply.code(400).send({
@@ -638,13 +698,21 @@ export async function registerContactApiRoutes(fastify, options = {}) {
         });
       }
       
+      if (defaultRegion && !isValidPhoneRegion(defaultRegion)) {
+        return reply.code(400).send({
+          success: false,
+          error: `Unsupported default region: ${defaultRegion}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
       // Import contacts
-      const result = await importContacts(contacts, campaignId);
+      const result = await importContacts(contacts, campaignId, { defaultRegion, rejectInvalid: Boolean(rejectInvalid) });
       
       return {
         success: true,
         data: result,
-        message: `Imported ${result.created} new contacts, updated ${result.updated} existing contacts`,
+        message: `Imported ${result.created} new contacts, updated ${result.updated} existing contacts, ${result.failed} rejected, ${result.flagged} flagged as invalid`,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
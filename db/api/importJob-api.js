@@ -0,0 +1,344 @@
+/**
+ * Import Job API Routes
+ * Provides API endpoints for uploading CSV contact lists, mapping their columns and following the import
+ */
+import * as csv from 'fast-csv';
+import {
+  createImportJob,
+  getImportJobById,
+  getImportJobs,
+  queueImportJob,
+  cancelImportJob,
+  getImportRejectionsCursor
+} from '../repositories/importJob.repository.js';
+import { getCampaignById } from '../repositories/campaign.repository.js';
+import { isValidPhoneRegion } from '../utils/phone-number.js';
+import {
+  IMPORT_MAX_FILE_SIZE,
+  saveImportUpload,
+  removeImportUpload,
+  scanImportFile,
+  suggestColumnMapping,
+  validateColumnMapping,
+  previewImportRows,
+  startImportJob
+} from '../import-jobs.js';
+
+/**
+ * Send an error response in the API's format
+ * @param {Object} reply - Fastify reply
+ * @param {number} code - HTTP status code
+ * @param {string} error - Error message
+ * @param {string} details - Error details
+ * @returns {Object} Fastify reply
+ */
+function sendError(reply, code, error, details) {
+  return reply.code(code).send({
+    success: false,
+    error,
+    details,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Job as returned by the API, with a suggested mapping while it waits for one
+ * @param {Object} job - Import job document
+ * @returns {Object} Job data
+ */
+function formatJob(job) {
+  const data = job.toObject ? job.toObject() : job;
+  if (data.status === 'awaiting-mapping') {
+    data.suggestedMapping = suggestColumnMapping(data.columns);
+  }
+  return data;
+}
+
+/**
+ * Import options from a request body, falling back to the campaign's region
+ * @param {Object} body - Request body
+ * @param {Object} campaign - Campaign the contacts are added to (optional)
+ * @returns {Object} { defaultRegion, rejectInvalid }
+ */
+function getImportOptions(body = {}, campaign = null) {
+  return {
+    defaultRegion: body.defaultRegion ? String(body.defaultRegion).toUpperCase() : campaign?.defaultRegion || null,
+    rejectInvalid: body.rejectInvalid === true || body.rejectInvalid === 'true'
+  };
+}
+
+/**
+ * Register import job API routes with Fastify
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} options - Route options
+ */
+export async function registerImportJobApiRoutes(fastify, options = {}) {
+  // Upload a CSV file; the job waits for its column mapping
+  fastify.post('/api/db/import-jobs', async (request, reply) => {
+    let upload = null;
+
+    try {
+      if (!request.isMultipart()) {
+        return sendError(reply, 400, 'A multipart CSV upload is required');
+      }
+
+      for await (const part of request.parts({ limits: { fileSize: IMPORT_MAX_FILE_SIZE } })) {
+        if (part.type === 'file' && !upload) {
+          upload = { fileName: part.filename, ...(await saveImportUpload(part.file)) };
+
+          if (part.file.truncated) {
+            await removeImportUpload(upload.filePath);
+            return sendError(reply, 413, `File is larger than ${IMPORT_MAX_FILE_SIZE} bytes`);
+          }
+        }
+      }
+
+      if (!upload) {
+        return sendError(reply, 400, 'CSV file is required');
+      }
+
+      let scan;
+      try {
+        scan = await scanImportFile(upload.filePath);
+      } catch (error) {
+        await removeImportUpload(upload.filePath);
+        return sendError(reply, 400, 'Invalid CSV file', error.message);
+      }
+
+      if (scan.totalRows === 0) {
+        await removeImportUpload(upload.filePath);
+        return sendError(reply, 400, 'CSV file has no data rows');
+      }
+
+      const job = await createImportJob({
+        ...upload,
+        columns: scan.columns,
+        previewRows: scan.previewRows,
+        progress: { totalRows: scan.totalRows },
+        createdBy: request.apiKey?.label || null
+      });
+
+      return reply.code(201).send({
+        success: true,
+        data: formatJob(job),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error(`[API] Error uploading import file:`, error);
+      if (upload) {
+        await removeImportUpload(upload.filePath);
+      }
+      return sendError(reply, 500, 'Error uploading import file', error.message);
+    }
+  });
+
+  // List import jobs
+  fastify.get('/api/db/import-jobs', async (request, reply) => {
+    try {
+      const { status, campaignId, page = 1, limit = 20 } = request.query;
+
+      const result = await getImportJobs(
+        { status, campaignId },
+        { page: parseInt(page), limit: parseInt(limit) }
+      );
+
+      return {
+        success: true,
+        data: result.jobs,
+        pagination: result.pagination,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error getting import jobs:`, error);
+      return sendError(reply, 500, 'Error getting import jobs', error.message);
+    }
+  });
+
+  // Get an import job and its progress
+  fastify.get('/api/db/import-jobs/:jobId', async (request, reply) => {
+    try {
+      const job = await getImportJobById(request.params.jobId);
+
+      if (!job) {
+        return sendError(reply, 404, 'Import job not found');
+      }
+
+      return {
+        success: true,
+        data: formatJob(job),
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error getting import job:`, error);
+      return sendError(reply, 500, 'Error getting import job', error.message);
+    }
+  });
+
+  // Preview how the first rows import with a column mapping
+  fastify.post('/api/db/import-jobs/:jobId/preview', async (request, reply) => {
+    try {
+      const body = request.body || {};
+      const job = await getImportJobById(request.params.jobId);
+
+      if (!job) {
+        return sendError(reply, 404, 'Import job not found');
+      }
+
+      const mapping = body.mapping || suggestColumnMapping(job.columns);
+      const mappingError = validateColumnMapping(mapping, job.columns);
+      if (mappingError) {
+        return sendError(reply, 400, 'Invalid column mapping', mappingError);
+      }
+
+      const importOptions = getImportOptions(body);
+      if (importOptions.defaultRegion && !isValidPhoneRegion(importOptions.defaultRegion)) {
+        return sendError(reply, 400, `Unsupported region: ${importOptions.defaultRegion}`);
+      }
+
+      return {
+        success: true,
+        data: {
+          mapping,
+          rows: previewImportRows(job, mapping, importOptions),
+          totalRows: job.progress.totalRows
+        },
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error previewing import job:`, error);
+      return sendError(reply, 500, 'Error previewing import job', error.message);
+    }
+  });
+
+  // Confirm the column mapping and start importing
+  fastify.post('/api/db/import-jobs/:jobId/start', async (request, reply) => {
+    try {
+      const body = request.body || {};
+      const { jobId } = request.params;
+      const job = await getImportJobById(jobId);
+
+      if (!job) {
+        return sendError(reply, 404, 'Import job not found');
+      }
+      if (job.status !== 'awaiting-mapping') {
+        return sendError(reply, 409, `Import job is already ${job.status}`);
+      }
+
+      let campaign = null;
+      if (body.campaignId) {
+        campaign = await getCampaignById(body.campaignId);
+        if (!campaign) {
+          return sendError(reply, 404, 'Campaign not found');
+        }
+      }
+
+      const mapping = body.mapping || suggestColumnMapping(job.columns);
+      const mappingError = validateColumnMapping(mapping, job.columns);
+      if (mappingError) {
+        return sendError(reply, 400, 'Invalid column mapping', mappingError);
+      }
+
+      const importOptions = getImportOptions(body, campaign);
+      if (importOptions.defaultRegion && !isValidPhoneRegion(importOptions.defaultRegion)) {
+        return sendError(reply, 400, `Unsupported region: ${importOptions.defaultRegion}`);
+      }
+
+      const queued = await queueImportJob(jobId, {
+        mapping,
+        campaignId: campaign?._id || null,
+        options: {
+          ...importOptions,
+          startCampaign: Boolean(campaign) && (body.startCampaign === true || body.startCampaign === 'true')
+        }
+      });
+      if (!queued) {
+        return sendError(reply, 409, 'Import job has already been started');
+      }
+
+      // If another instance claims it first the job still runs; it just runs there
+      await startImportJob(jobId);
+
+      return reply.code(202).send({
+        success: true,
+        data: formatJob(await getImportJobById(jobId)),
+        message: 'Import started. Subscribe to the job over Socket.IO (subscribe_to_import_job) for progress.',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error(`[API] Error starting import job:`, error);
+      if (error.name === 'ValidationError') {
+        return sendError(reply, 400, 'Invalid import job', error.message);
+      }
+      return sendError(reply, 500, 'Error starting import job', error.message);
+    }
+  });
+
+  // Cancel an import job; a running job stops after its current batch
+  fastify.post('/api/db/import-jobs/:jobId/cancel', async (request, reply) => {
+    try {
+      const { jobId } = request.params;
+      const previous = await getImportJobById(jobId);
+
+      if (!previous) {
+        return sendError(reply, 404, 'Import job not found');
+      }
+
+      const job = await cancelImportJob(jobId);
+      if (!job) {
+        return sendError(reply, 409, `Import job is already ${previous.status}`);
+      }
+
+      // A running job removes its own file when it stops
+      if (previous.status !== 'running') {
+        await removeImportUpload(job.filePath);
+      }
+
+      return {
+        success: true,
+        data: formatJob(job),
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error canceling import job:`, error);
+      return sendError(reply, 500, 'Error canceling import job', error.message);
+    }
+  });
+
+  // Download the rows the job rejected, with the reason, as CSV
+  fastify.get('/api/db/import-jobs/:jobId/rejections', async (request, reply) => {
+    try {
+      const { jobId } = request.params;
+      const job = await getImportJobById(jobId);
+
+      if (!job) {
+        return sendError(reply, 404, 'Import job not found');
+      }
+
+      const columns = job.columns || [];
+      const csvStream = csv.format({ headers: ['rowNumber', 'reason', ...columns] })
+        .transform(rejection => [
+          rejection.rowNumber,
+          rejection.reason,
+          ...columns.map(column => rejection.row?.[column] ?? '')
+        ]);
+
+      const cursor = getImportRejectionsCursor(jobId);
+      cursor.on('error', error => {
+        console.error(`[API] Error streaming rejections for import job ${jobId}:`, error);
+        csvStream.destroy(error);
+      });
+      cursor.pipe(csvStream);
+
+      reply.header('Content-Type', 'text/csv');
+      reply.header('Content-Disposition', `attachment; filename="import_${jobId}_rejections.csv"`);
+      return reply.send(csvStream);
+    } catch (error) {
+      console.error(`[API] Error getting import rejections:`, error);
+      return sendError(reply, 500, 'Error getting import rejections', error.message);
+    }
+  });
+}
+
+export default {
+  registerImportJobApiRoutes
+};
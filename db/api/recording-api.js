@@ -1,11 +1,8 @@
 /**
  * Recording API Routes
  * Provides API endpoints for retrieving recording data from MongoDB
- * Now with server-side file caching to handle platform streaming limitations
+ * Audio is served from recording storage once archived (see recording-archiver.js) and streamed from Twilio until then
  */
-// Removed node-fetch import - using native fetch
-import fs from 'fs';
-import path from 'path';
 import Recording from '../models/recording.model.js';
 import {
   getRecordingsByCallSid,
@@ -15,7 +12,189 @@ import {
 } from '../repositories/recording.repository.js';
 import * as csv from 'fast-csv';
 import { Readable } from 'stream';
-import recordingCache from '../utils/recording-cache.js';
+import { getRecordingStorage } from '../utils/recording-storage.js';
+import { fetchTwilioRecording } from '../recording-archiver.js';
+import { verifyRecordingLink } from '../utils/recording-links.js';
+
+/**
+ * Parse a Range header against an object's size
+ * Only single byte ranges are supported; anything else is served in full.
+ * @param {string} header - Range header
+ * @param {number} size - Object size in bytes
+ * @returns {Object|null|false} { start, end } (inclusive), null for the whole object, or false if unsatisfiable
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+  if (!match || (!match[1] && !match[2])) {
+    return null;
+  }
+
+  let start;
+  let end;
+  if (!match[1]) {
+    // Suffix range: the last N bytes
+    start = Math.max(size - parseInt(match[2], 10), 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] ? Math.min(parseInt(match[2], 10), size - 1) : size - 1;
+  }
+
+  if (start >= size || start > end) {
+    return false;
+  }
+  return { start, end };
+}
+
+/**
+ * Get the file extension for an audio content type
+ * @param {string} contentType - MIME type
+ * @returns {string} mp3 or wav
+ */
+function extensionFor(contentType) {
+  return /wav/.test(contentType || '') ? 'wav' : 'mp3';
+}
+
+/**
+ * Read a stream into a buffer
+ * @param {Object} stream - Node or web readable stream
+ * @returns {Promise<Buffer>} Contents
+ */
+async function streamToBuffer(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Open a recording's audio, from recording storage once archived and from Twilio until then
+ * @param {Object} recording - Recording document
+ * @param {string} range - Range header of the request
+ * @returns {Promise<Object>} { statusCode, body, contentType, extension, headers } or { statusCode, error, headers }
+ */
+async function openRecordingAudio(recording, range) {
+  const storage = getRecordingStorage();
+  const archive = recording.archive || {};
+
+  if (archive.status === 'archived' && storage) {
+    const info = await storage.head(archive.key);
+    if (info) {
+      const byteRange = parseRange(range, info.size);
+      if (byteRange === false) {
+        return { statusCode: 416, error: 'Requested range not satisfiable', headers: { 'Content-Range': `bytes */${info.size}` } };
+      }
+
+      const object = await storage.get(archive.key, byteRange || {});
+      const contentType = object.contentType || archive.contentType;
+      return {
+        statusCode: byteRange ? 206 : 200,
+        body: object.body,
+        contentType,
+        extension: extensionFor(contentType),
+        headers: {
+          'Accept-Ranges': 'bytes',
+          'Content-Length': object.contentLength,
+          ...(byteRange ? { 'Content-Range': `bytes ${byteRange.start}-${byteRange.end}/${info.size}` } : {})
+        }
+      };
+    }
+
+    console.error(`[RecordingAPI] Archived recording ${recording.recordingSid} is missing from ${storage.name} storage (${archive.key})`);
+    if (archive.twilioDeletedAt) {
+      return { statusCode: 404, error: 'Archived recording is missing from storage' };
+    }
+  }
+
+  if (archive.twilioDeletedAt) {
+    return { statusCode: 404, error: 'Recording was archived and deleted from Twilio, but no recording storage is configured' };
+  }
+
+  if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN) {
+    console.error('[RecordingAPI] Missing Twilio credentials for download');
+    return { statusCode: 500, error: 'Server configuration error' };
+  }
+
+  // Twilio serves MP3 and WAV; try WAV if MP3 is not available
+  let response = await fetchTwilioRecording(recording, { extension: 'mp3', range });
+  if (!response.ok && response.status !== 416) {
+    console.warn(`[RecordingAPI] MP3 fetch for ${recording.recordingSid} failed with HTTP ${response.status}, trying WAV`);
+    response = await fetchTwilioRecording(recording, { extension: 'wav', range });
+  }
+
+  if (response.status === 416) {
+    return { statusCode: 416, error: 'Requested range not satisfiable', headers: { 'Content-Range': response.headers.get('content-range') } };
+  }
+  if (!response.ok) {
+    console.error(`[RecordingAPI] Failed to fetch audio for ${recording.recordingSid} from Twilio: HTTP ${response.status}`);
+    return { statusCode: 502, error: 'Failed to retrieve audio from source after attempting available formats' };
+  }
+
+  const contentType = response.headers.get('content-type') || 'audio/mpeg';
+  const headers = {};
+  for (const name of ['Accept-Ranges', 'Content-Length', 'Content-Range']) {
+    const value = response.headers.get(name);
+    if (value) {
+      headers[name] = value;
+    }
+  }
+
+  return {
+    statusCode: response.status,
+    body: Readable.fromWeb(response.body),
+    contentType,
+    extension: extensionFor(contentType),
+    headers
+  };
+}
+
+/**
+ * Handle an audio route: send a recording's audio, honouring Range requests
+ * @param {Object} request - Fastify request
+ * @param {Object} reply - Fastify reply
+ * @param {string} recordingSid - Recording SID
+ * @param {Object} options - attachment (send as a download rather than inline)
+ * @returns {Promise<Object>} Reply
+ */
+async function sendRecordingRoute(request, reply, recordingSid, { attachment }) {
+  try {
+    if (!recordingSid) {
+      return reply.code(400).send({ success: false, error: 'Recording SID is required' });
+    }
+
+    const recording = await getRecordingBySid(recordingSid);
+    if (!recording || !recording.url) {
+      request.log.warn(`[API Download] Recording not found or URL missing for SID: ${recordingSid}`);
+      return reply.code(404).send({ success: false, error: 'Recording not found or URL missing' });
+    }
+
+    const audio = await openRecordingAudio(recording, request.headers.range);
+    for (const [name, value] of Object.entries(audio.headers || {})) {
+      reply.header(name, value);
+    }
+
+    if (audio.error) {
+      return reply.code(audio.statusCode).send({ success: false, error: audio.error });
+    }
+
+    reply.code(audio.statusCode);
+    reply.header('Content-Type', audio.contentType);
+    if (attachment) {
+      reply.header('Content-Disposition', `attachment; filename="recording_${recordingSid}.${audio.extension}"`);
+    }
+    return reply.send(audio.body);
+  } catch (error) {
+    request.log.error(`[API Download] Error sending recording ${recordingSid}:`, error);
+    if (!reply.sent) {
+      return reply.code(500).send({
+        success: false,
+        error: 'Error processing recording download',
+        details: error.message
+      });
+    }
+  }
+}
 
 /**
  * Register recording API routes with Fastify
@@ -23,8 +202,7 @@ import recordingCache from '../utils/recording-cache.js';
  * @param {Object} options - Route options
  */
 export async function registerRecordingApiRoutes(fastify, options = {}) {
-  // Initialize recording cache
-  console.log(`[RecordingAPI] Initializing recording routes with server-side file caching`);
+  console.log(`[RecordingAPI] Initializing recording routes`);
   
 // Simple test route
   fastify.get('/api/ping-recordings', async (request, reply) => {
@@ -202,343 +380,66 @@ export async function registerRecordingApiRoutes(fastify, options = {}) {
     }
   });
 
-  // DIRECT STREAMING DOWNLOAD ROUTE: Fetches from Twilio and streams directly
+  // Download a recording as a file
   fastify.get('/api/recordings/:recordingSid/download', async (request, reply) => {
-    const { recordingSid } = request.params;
-    // ADD EXTRA LOGGING to see the exact parameter received by the handler
-    request.log.info(`[API Download] Handler received request. Params: ${JSON.stringify(request.params)}, Parsed recordingSid: '${recordingSid}'`);
-
-    try {
-      if (!recordingSid) {
-        return reply.code(400).send({ success: false, error: 'Recording SID is required' });
-      }
-
-      // 1. Fetch recording details from DB
-      const recording = await getRecordingBySid(recordingSid);
-      if (!recording || !recording.url) {
-        request.log.warn(`[API Download] Recording not found or URL missing for SID: ${recordingSid}`);
-        return reply.code(404).send({ success: false, error: 'Recording not found or URL missing' });
-      }
-
-      // 2. Get credentials needed for Twilio API access
-      const accountSid = process.env.TWILIO_ACCOUNT_SID;
-      const authToken = process.env.TWILIO_AUTH_TOKEN;
-      if (!accountSid || !authToken) {
-        request.log.error('[API Download] Missing Twilio credentials for download');
-        return reply.code(500).send({ success: false, error: 'Server configuration error' });
-      }
-
-      // 3. Determine the correct Twilio URL and expected file extension
-      let twilioUrl = recording.url; // Start with the URL from the DB
-      let fileExtension = 'mp3'; // Default to mp3
-
-      // Check if the DB URL already has a valid extension
-      if (twilioUrl.toLowerCase().endsWith('.wav')) {
-          fileExtension = 'wav';
-          // No need to modify twilioUrl if it already ends in .wav
-      } else if (twilioUrl.toLowerCase().endsWith('.mp3')) {
-          fileExtension = 'mp3';
-          // No need to modify twilioUrl if it already ends in .mp3
-      } else {
-          // If no extension, assume it's the base URL and append .mp3 (Twilio's default)
-          twilioUrl = `${recording.url}.mp3`;
-          fileExtension = 'mp3';
-          request.log.info(`[API Download] Recording URL from DB has no extension, appending .mp3: ${twilioUrl}`);
-      }
-
-
-      // 4. Fetch audio data directly from Twilio URL
-      request.log.info(`[API Download] Fetching audio directly from Twilio URL: ${twilioUrl}`);
-      const response = await fetch(twilioUrl, {
-        headers: {
-          'Authorization': `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`
-        }
-      });
-
-      if (!response.ok) {
-        request.log.error(`[API Download] Failed to fetch audio from Twilio. Status: ${response.status} ${response.statusText}, URL: ${twilioUrl}`);
-        // Attempt to fetch the other format if the first failed (e.g., try WAV if MP3 failed)
-        if (fileExtension === 'mp3') {
-            const wavUrl = twilioUrl.replace('.mp3', '.wav');
-            request.log.warn(`[API Download] MP3 fetch failed, attempting WAV fetch from: ${wavUrl}`);
-            const wavResponse = await fetch(wavUrl, { headers: { 'Authorization': `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}` } });
-            if (wavResponse.ok) {
-                request.log.info(`[API Download] WAV fetch successful after MP3 failed.`);
-                fileExtension = 'wav';
-                const contentType = wavResponse.headers.get('content-type') || 'audio/wav';
-                reply.header('Content-Type', contentType);
-                reply.header('Content-Disposition', `attachment; filename="recording_${recordingSid}.${fileExtension}"`);
-                request.log.info(`[API Download] Sending WAV stream via reply.send() for ${recordingSid}`);
-                return reply.send(wavResponse.body);
-            } else {
-                 request.log.error(`[API Download] WAV fetch also failed. Status: ${wavResponse.status} ${wavResponse.statusText}`);
-            }
-        }
-        // If fallback also failed or wasn't attempted, return error
-        return reply.code(502).send({ success: false, error: 'Failed to retrieve audio from source after attempting available formats' });
-      }
-
-      // 5. Stream the response body directly
-      const contentType = response.headers.get('content-type') || (fileExtension === 'wav' ? 'audio/wav' : 'audio/mpeg');
-      reply.header('Content-Type', contentType);
-      reply.header('Content-Disposition', `attachment; filename="recording_${recordingSid}.${fileExtension}"`);
-      // Do not set Content-Length when streaming chunked responses, let the server handle it.
-      request.log.info(`[API Download] Sending ${fileExtension} stream via reply.send() for ${recordingSid}`);
-      return reply.send(response.body);
-
-    } catch (error) {
-      request.log.error(`[API Download] Error processing direct stream download for ${recordingSid}:`, error);
-      if (!reply.sent) {
-        reply.code(500).send({
-          success: false,
-          error: 'Error processing recording download',
-          details: error.message
-        });
-      }
-    }
+    return sendRecordingRoute(request, reply, request.params.recordingSid, { attachment: true });
   });
-          // REMOVED Orphaned catch block from previous caching implementation
-      // REMOVED extra closing brace and orphaned catch block below
-    // } catch (error) {
-    //   request.log.error(`[API Download] Error processing download for ${recordingSid}:`, error);
-    //   if (!reply.sent) {
-    //     reply.code(500).send({
-    //       success: false,
-    //       error: 'Error processing recording download',
-    //       details: error.message
-    //     });
-    //   }
-    // }
-  // }); // REMOVED extra closing }); - This belongs to the outer route definition
   
-  // ENHANCED MEDIA ROUTE: Alternative path with file caching (avoiding "download" word)
+  // Play a recording inline (the dashboard's audio player; avoids the word "download" for platforms that block it)
   fastify.get('/api/media/recordings/:recordingSid', async (request, reply) => {
+    return sendRecordingRoute(request, reply, request.params.recordingSid, { attachment: false });
+  });
+  
+  // Play a recording from a signed link (exempt from API key auth; see recording-links.js)
+  fastify.get('/api/recordings/:recordingSid/shared', async (request, reply) => {
     const { recordingSid } = request.params;
-    console.log(`[API Media] Route hit for recordingSid: ${recordingSid}`);
-    
-    try {
-      if (!recordingSid) {
-        return reply.code(400).send({ success: false, error: 'Recording SID is required' });
-      }
-      
-      // 1. Fetch recording details from DB
-      const recording = await getRecordingBySid(recordingSid);
-      if (!recording || !recording.url) {
-        request.log.warn(`[API Media] Recording not found or URL missing for SID: ${recordingSid}`);
-        return reply.code(404).send({ success: false, error: 'Recording not found or URL missing' });
-      }
-      
-      // 2. Get credentials needed for Twilio API access
-      const accountSid = process.env.TWILIO_ACCOUNT_SID;
-      const authToken = process.env.TWILIO_AUTH_TOKEN;
-      if (!accountSid || !authToken) {
-        request.log.error('[API Media] Missing Twilio credentials for download');
-        return reply.code(500).send({ success: false, error: 'Server configuration error' });
-      }
-      
-      // Determine file extension from URL or default to MP3
-      const fileExtension = recording.url.endsWith('.wav') ? 'wav' : 'mp3';
-      
-      try {
-        // 3. Get or cache the recording file
-        request.log.info(`[API Media] Getting cached file for ${recordingSid}`);
-        const filePath = await recordingCache.getRecordingFile(
-          recording.url, 
-          recordingSid, 
-          accountSid, 
-          authToken, 
-          fileExtension
-        );
-        
-        // 4. Check if the file exists
-        if (!fs.existsSync(filePath)) {
-          request.log.error(`[API Media] Cached file not found: ${filePath}`);
-          return reply.code(500).send({ success: false, error: 'Cached file not found' });
-        }
-        
-        // 5. Get MIME type from file extension
-        const contentType = recordingCache.getAudioMimeType(fileExtension);
-        
-        // 6. Send the file with minimal headers (more compatible)
-        request.log.info(`[API Media] Sending file from cache: ${filePath}`);
-        
-        // Set only Content-Type header, avoid Content-Disposition for better streaming
-        reply.header('Content-Type', contentType);
-        
-        // Create read stream from file and send it
-        const fileStream = fs.createReadStream(filePath);
-        return reply.send(fileStream);
-        
-      } catch (cacheError) {
-        request.log.error(`[API Media] Cache error for ${recordingSid}:`, cacheError);
-        return reply.code(500).send({
-          success: false,
-          error: 'Error with cached recording',
-          details: cacheError.message
-        });
-      }
-    } catch (error) {
-      request.log.error(`[API Media] Error processing media for ${recordingSid}:`, error);
-      if (!reply.sent) {
-        reply.code(500).send({
-          success: false,
-          error: 'Error processing recording media',
-          details: error.message
-        });
-      }
+    const { expires, signature } = request.query;
+    if (!verifyRecordingLink(recordingSid, expires, signature)) {
+      return reply.code(403).send({ success: false, error: 'Recording link is invalid or has expired' });
     }
+    return sendRecordingRoute(request, reply, recordingSid, { attachment: false });
   });
   
-  // Keep the query parameter approach (also with file caching)
+  // Download a recording with the SID as a query parameter
   fastify.get('/api/recordings/download', async (request, reply) => {
-    const { recordingSid } = request.query;
-    console.log(`[API Download Query] Route hit with query param recordingSid: ${recordingSid}`);
-    
-    try {
-      if (!recordingSid) {
-        return reply.code(400).send({ success: false, error: 'Recording SID is required as a query parameter' });
-      }
-      
-      // 1. Fetch recording details from DB
-      const recording = await getRecordingBySid(recordingSid);
-      if (!recording || !recording.url) {
-        request.log.warn(`[API Download Query] Recording not found or URL missing for SID: ${recordingSid}`);
-        return reply.code(404).send({ success: false, error: 'Recording not found or URL missing' });
-      }
-      
-      // 2. Get credentials needed for Twilio API access
-      const accountSid = process.env.TWILIO_ACCOUNT_SID;
-      const authToken = process.env.TWILIO_AUTH_TOKEN;
-      if (!accountSid || !authToken) {
-        request.log.error('[API Download Query] Missing Twilio credentials for download');
-        return reply.code(500).send({ success: false, error: 'Server configuration error' });
-      }
-      
-      // Determine file extension from URL or default to MP3
-      const fileExtension = recording.url.endsWith('.wav') ? 'wav' : 'mp3';
-      
-      try {
-        // 3. Get or cache the recording file
-        request.log.info(`[API Download Query] Getting cached file for ${recordingSid}`);
-        const filePath = await recordingCache.getRecordingFile(
-          recording.url, 
-          recordingSid, 
-          accountSid, 
-          authToken, 
-          fileExtension
-        );
-        
-        // 4. Check if the file exists
-        if (!fs.existsSync(filePath)) {
-          request.log.error(`[API Download Query] Cached file not found: ${filePath}`);
-          return reply.code(500).send({ success: false, error: 'Cached file not found' });
-        }
-        
-        // 5. Get MIME type from file extension
-        const contentType = recordingCache.getAudioMimeType(fileExtension);
-        
-        // 6. Send the file using reply.sendFile()
-        request.log.info(`[API Download Query] Sending file from cache: ${filePath}`);
-        
-        // Set appropriate headers
-        reply.header('Content-Type', contentType);
-        reply.header('Content-Disposition', `attachment; filename="recording_${recordingSid}.${fileExtension}"`);
-        
-        // Create read stream from file and send it
-        const fileStream = fs.createReadStream(filePath);
-        return reply.send(fileStream);
-        
-      } catch (cacheError) {
-        request.log.error(`[API Download Query] Cache error for ${recordingSid}:`, cacheError);
-        return reply.code(500).send({
-          success: false,
-          error: 'Error with cached recording',
-          details: cacheError.message
-        });
-      }
-    } catch (error) {
-      request.log.error(`[API Download Query] Error processing download for ${recordingSid}:`, error);
-      if (!reply.sent) {
-        reply.code(500).send({
-          success: false,
-          error: 'Error processing recording download',
-          details: error.message
-        });
-      }
-    }
+    return sendRecordingRoute(request, reply, request.query.recordingSid, { attachment: true });
   });
 
-  // NEW ALTERNATIVE PATH 3: Base64 encoded data endpoint (kept for backward compatibility)
+  // Base64 encoded data endpoint (kept for backward compatibility)
   fastify.get('/api/recordings/data/:recordingSid', async (request, reply) => {
     const { recordingSid } = request.params;
-    console.log(`[API Base64] Route hit for recordingSid: ${recordingSid}`);
     
     try {
-      if (!recordingSid) {
-        return reply.code(400).send({ 
-          success: false, 
-          error: 'Recording SID is required' 
-        });
-      }
-      
-      // 1. Fetch recording details from DB
-      const recording = await getRecordingBySid(recordingSid);
+      const recording = recordingSid ? await getRecordingBySid(recordingSid) : null;
       if (!recording || !recording.url) {
-        request.log.warn(`[API Base64] Recording not found or URL missing for SID: ${recordingSid}`);
         return reply.code(404).send({ 
           success: false, 
-          error: 'Recording not found or URL missing' 
-        });
-      }
-      
-      // 2. Fetch audio data from Twilio URL
-      const accountSid = process.env.TWILIO_ACCOUNT_SID;
-      const authToken = process.env.TWILIO_AUTH_TOKEN;
-      if (!accountSid || !authToken) {
-        request.log.error('[API Base64] Missing Twilio credentials for download');
-        return reply.code(500).send({ 
-          success: false, 
-          error: 'Server configuration error' 
+          error: 'Recording not found or URL missing',
+          timestamp: new Date().toISOString()
         });
       }
       
-      const twilioUrl = recording.url.endsWith('.mp3') ? recording.url : `${recording.url}.mp3`;
-      request.log.info(`[API Base64] Fetching audio from Twilio URL: ${twilioUrl}`);
-      
-      const response = await fetch(twilioUrl, {
-        headers: {
-          'Authorization': `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`
-        }
-      });
-      
-      if (!response.ok) {
-        request.log.error(`[API Base64] Failed to fetch audio from Twilio. Status: ${response.status} ${response.statusText}`);
-        return reply.code(502).send({ 
+      const audio = await openRecordingAudio(recording);
+      if (audio.error) {
+        return reply.code(audio.statusCode).send({ 
           success: false, 
-          error: 'Failed to retrieve audio from source' 
+          error: audio.error,
+          timestamp: new Date().toISOString()
         });
       }
       
-      // 3. Get the audio buffer and convert to base64
-      const contentType = response.headers.get('content-type') || 'audio/mpeg';
-      const fileExtension = contentType.includes('wav') ? 'wav' : 'mp3';
-      const arrayBuffer = await response.arrayBuffer();
-      const buffer = Buffer.from(arrayBuffer);
-      const base64Data = buffer.toString('base64');
-      
-      // 4. Return JSON with base64 encoded data and metadata
-      request.log.info(`[API Base64] Sending base64 encoded data for ${recordingSid} (${buffer.length} bytes)`);
+      const buffer = await streamToBuffer(audio.body);
       
       return {
         success: true,
         data: {
           recordingSid,
-          contentType,
-          fileExtension,
-          filename: `recording_${recordingSid}.${fileExtension}`,
+          contentType: audio.contentType,
+          fileExtension: audio.extension,
+          filename: `recording_${recordingSid}.${audio.extension}`,
           duration: recording.duration || 0,
           sizeBytes: buffer.length,
-          base64Data: base64Data
+          base64Data: buffer.toString('base64')
         },
         timestamp: new Date().toISOString()
       };
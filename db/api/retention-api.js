@@ -0,0 +1,97 @@
+/**
+ * Retention API Routes
+ * Provides admin endpoints for the retention job, its audit log and the unredacted transcripts policies keep
+ * (under /api/admin, so they need the admin scope)
+ */
+import { getAuditLogs } from '../repositories/auditLog.repository.js';
+import { getTranscriptWithOriginals } from '../repositories/transcript.repository.js';
+import { runRetentionJob } from '../retention-job.js';
+
+/**
+ * Send an error response
+ * @param {Object} reply - Fastify reply
+ * @param {number} code - HTTP status code
+ * @param {string} error - Error message
+ * @param {string} details - Error details
+ * @returns {Object} Fastify reply
+ */
+function sendError(reply, code, error, details) {
+  return reply.code(code).send({
+    success: false,
+    error,
+    details,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Register retention API routes with Fastify
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} options - Route options
+ */
+export async function registerRetentionApiRoutes(fastify, options = {}) {
+  // List purges, newest first
+  fastify.get('/api/admin/audit-logs', async (request, reply) => {
+    try {
+      const { action, callSid, campaignId, startDate, endDate, page = 1, limit = 50 } = request.query;
+
+      const result = await getAuditLogs(
+        { action, callSid, campaignId, startDate, endDate },
+        { page: parseInt(page), limit: parseInt(limit) }
+      );
+
+      return {
+        success: true,
+        data: result.entries,
+        pagination: result.pagination,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error getting audit logs:`, error);
+      return sendError(reply, 500, 'Error getting audit logs', error.message);
+    }
+  });
+
+  // Purge expired recordings and transcripts now instead of waiting for the next run
+  fastify.post('/api/admin/retention/run', async (request, reply) => {
+    try {
+      const result = await runRetentionJob();
+
+      return {
+        success: true,
+        data: result,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error running retention job:`, error);
+      return sendError(reply, 500, 'Error running retention job', error.message);
+    }
+  });
+
+  // Get a call's transcript with the unredacted messages (only kept when the campaign's policy allows it)
+  fastify.get('/api/admin/calls/:callSid/transcript/original', async (request, reply) => {
+    try {
+      const { callSid } = request.params;
+
+      const transcript = await getTranscriptWithOriginals(callSid);
+      if (!transcript) {
+        return sendError(reply, 404, 'Transcript not found');
+      }
+
+      console.log(`[API] Unredacted transcript of call ${callSid} read by ${request.apiKey?.label || 'unknown key'}`);
+
+      return {
+        success: true,
+        data: transcript,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error getting unredacted transcript:`, error);
+      return sendError(reply, 500, 'Error getting unredacted transcript', error.message);
+    }
+  });
+}
+
+export default {
+  registerRetentionApiRoutes
+};
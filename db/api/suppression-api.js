@@ -0,0 +1,270 @@
+/**
+ * Suppression API Routes
+ * Provides API endpoints for the global do-not-call list
+ */
+import {
+  getSuppression,
+  addSuppression,
+  importSuppressions,
+  getSuppressions,
+  exportSuppressions,
+  removeSuppression,
+  normalizeSuppressionNumber
+} from '../repositories/suppression.repository.js';
+import { parse } from 'csv-parse';
+import * as csv from 'fast-csv';
+
+// CSV columns accepted as the phone number on import
+const PHONE_COLUMNS = ['phoneNumber', 'phone_number', 'phone', 'number', 'Phone', 'Phone Number', 'Number'];
+
+// Columns written on export
+const EXPORT_HEADERS = ['phoneNumber', 'reason', 'source', 'addedBy', 'addedAt', 'callSid'];
+
+/**
+ * Read do-not-call entries from an uploaded CSV
+ * A header row is optional; without one the first column is the number and the second the reason.
+ * @param {string} csvText - CSV content
+ * @returns {Promise<Array<Object>>} Entries ({ phoneNumber, reason })
+ */
+async function parseSuppressionCsv(csvText) {
+  const rows = await new Promise((resolve, reject) => {
+    parse(csvText, {
+      skip_empty_lines: true,
+      trim: true,
+      relax_column_count: true
+    }, (err, records) => {
+      if (err) reject(err);
+      else resolve(records);
+    });
+  });
+
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const header = rows[0];
+  const phoneIndex = header.findIndex(column => PHONE_COLUMNS.includes(column));
+  if (phoneIndex === -1) {
+    return rows.map(([phoneNumber, reason]) => ({ phoneNumber, reason }));
+  }
+
+  const reasonIndex = header.findIndex(column => column.toLowerCase() === 'reason');
+  return rows.slice(1).map(row => ({
+    phoneNumber: row[phoneIndex],
+    reason: reasonIndex === -1 ? undefined : row[reasonIndex]
+  }));
+}
+
+/**
+ * Register suppression API routes with Fastify
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} options - Route options
+ */
+export async function registerSuppressionApiRoutes(fastify, options = {}) {
+  // List the do-not-call list
+  fastify.get('/api/db/suppressions', async (request, reply) => {
+    try {
+      const { source, search, startDate, endDate, page = 1, limit = 50 } = request.query;
+
+      const result = await getSuppressions(
+        { source, search, startDate, endDate },
+        { page: parseInt(page), limit: parseInt(limit) }
+      );
+
+      return {
+        success: true,
+        data: result.suppressions,
+        pagination: result.pagination,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error getting suppressions:`, error);
+      return reply.code(500).send({
+        success: false,
+        error: 'Error getting suppressions',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Export the do-not-call list as CSV (default) or JSON
+  fastify.get('/api/db/suppressions/export', async (request, reply) => {
+    try {
+      const { format = 'csv', source, search, startDate, endDate } = request.query;
+
+      const suppressions = await exportSuppressions({ source, search, startDate, endDate });
+
+      if (format === 'json') {
+        return {
+          success: true,
+          data: suppressions,
+          count: suppressions.length,
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      const rows = suppressions.map(suppression => ({
+        ...suppression,
+        addedAt: suppression.addedAt?.toISOString()
+      }));
+      const csvText = await csv.writeToString(rows, { headers: EXPORT_HEADERS });
+
+      reply.header('Content-Type', 'text/csv');
+      reply.header('Content-Disposition', 'attachment; filename="do_not_call_export.csv"');
+      return reply.send(csvText);
+    } catch (error) {
+      console.error(`[API] Error exporting suppressions:`, error);
+      return reply.code(500).send({
+        success: false,
+        error: 'Error exporting suppressions',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Check whether a number is on the do-not-call list
+  fastify.get('/api/db/suppressions/:phoneNumber', async (request, reply) => {
+    try {
+      const { phoneNumber } = request.params;
+
+      const suppression = await getSuppression(phoneNumber);
+
+      return {
+        success: true,
+        data: {
+          suppressed: Boolean(suppression),
+          suppression
+        },
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error checking suppression:`, error);
+      return reply.code(500).send({
+        success: false,
+        error: 'Error checking suppression',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Add a number to the do-not-call list
+  fastify.post('/api/db/suppressions', async (request, reply) => {
+    try {
+      const { phoneNumber, reason, addedBy } = request.body || {};
+
+      if (!normalizeSuppressionNumber(phoneNumber)) {
+        return reply.code(400).send({
+          success: false,
+          error: 'A valid phone number is required',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const { suppression, created } = await addSuppression({
+        phoneNumber,
+        reason,
+        source: 'manual',
+        addedBy: addedBy || request.apiKey?.label || null
+      });
+
+      return reply.code(created ? 201 : 200).send({
+        success: true,
+        data: suppression,
+        created,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error(`[API] Error adding suppression:`, error);
+      return reply.code(500).send({
+        success: false,
+        error: 'Error adding suppression',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Bulk import numbers: JSON { numbers: [...], reason } or a multipart CSV upload
+  fastify.post('/api/db/suppressions/import', async (request, reply) => {
+    try {
+      let entries = [];
+      let reason = null;
+
+      if (request.isMultipart()) {
+        for await (const part of request.parts()) {
+          if (part.type === 'file') {
+            entries = await parseSuppressionCsv((await part.toBuffer()).toString('utf-8'));
+          } else if (part.fieldname === 'reason') {
+            reason = part.value;
+          }
+        }
+      } else {
+        entries = request.body?.numbers;
+        reason = request.body?.reason || null;
+      }
+
+      if (!Array.isArray(entries) || entries.length === 0) {
+        return reply.code(400).send({
+          success: false,
+          error: 'A numbers array or CSV file with phone numbers is required',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const result = await importSuppressions(entries, {
+        reason,
+        source: 'import',
+        addedBy: request.apiKey?.label || null
+      });
+
+      return {
+        success: true,
+        data: result,
+        message: `Added ${result.added} numbers to the do-not-call list, ${result.existing} already listed`,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error importing suppressions:`, error);
+      return reply.code(500).send({
+        success: false,
+        error: 'Error importing suppressions',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Remove a number from the do-not-call list
+  fastify.delete('/api/db/suppressions/:phoneNumber', async (request, reply) => {
+    try {
+      const { phoneNumber } = request.params;
+
+      const removed = await removeSuppression(phoneNumber);
+
+      if (!removed) {
+        return reply.code(404).send({
+          success: false,
+          error: `${phoneNumber} is not on the do-not-call list`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      return {
+        success: true,
+        message: `${phoneNumber} removed from the do-not-call list`,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error removing suppression:`, error);
+      return reply.code(500).send({
+        success: false,
+        error: 'Error removing suppression',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+}
@@ -0,0 +1,195 @@
+/**
+ * Topic API Routes
+ * Provides API endpoints for the topic taxonomy used by transcript topic extraction
+ */
+import {
+  saveTopic,
+  getTopics,
+  updateTopic,
+  deleteTopic,
+  reprocessTranscriptTopics
+} from '../repositories/topic.repository.js';
+
+// Fields clients are allowed to set on a topic
+const TOPIC_FIELDS = ['name', 'description', 'keywords', 'isActive'];
+
+/**
+ * Pick the writable topic fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Topic data
+ */
+function pickTopicFields(body = {}) {
+  return Object.fromEntries(
+    Object.entries(body).filter(([key]) => TOPIC_FIELDS.includes(key))
+  );
+}
+
+/**
+ * Send a 400 for validation errors and duplicate names, 500 otherwise
+ * @param {Object} reply - Fastify reply
+ * @param {Error} error - Error thrown by the repository
+ * @param {string} message - Error message for unexpected failures
+ */
+function sendTopicError(reply, error, message) {
+  if (error.code === 11000) {
+    return reply.code(409).send({
+      success: false,
+      error: 'A topic with this name already exists',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return reply.code(400).send({
+      success: false,
+      error: 'Invalid topic data',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return reply.code(500).send({
+    success: false,
+    error: message,
+    details: error.message,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Register topic API routes with Fastify
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} options - Route options
+ */
+export async function registerTopicApiRoutes(fastify, options = {}) {
+  // List topics
+  fastify.get('/api/db/topics', async (request, reply) => {
+    try {
+      const { isActive } = request.query;
+
+      const filters = {};
+      if (isActive !== undefined) filters.isActive = isActive === 'true';
+
+      const topics = await getTopics(filters);
+
+      return {
+        success: true,
+        data: topics,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error getting topics:`, error);
+      return sendTopicError(reply, error, 'Error getting topics');
+    }
+  });
+
+  // Create topic
+  fastify.post('/api/db/topics', async (request, reply) => {
+    try {
+      const topicData = pickTopicFields(request.body);
+
+      if (!topicData.name || !Array.isArray(topicData.keywords) || topicData.keywords.length === 0) {
+        return reply.code(400).send({
+          success: false,
+          error: 'Topic name and at least one keyword are required',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const savedTopic = await saveTopic(topicData);
+
+      return {
+        success: true,
+        data: savedTopic,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error creating topic:`, error);
+      return sendTopicError(reply, error, 'Error creating topic');
+    }
+  });
+
+  // Update topic
+  fastify.put('/api/db/topics/:topicId', async (request, reply) => {
+    try {
+      const { topicId } = request.params;
+      const updateData = pickTopicFields(request.body);
+
+      if (Object.keys(updateData).length === 0) {
+        return reply.code(400).send({
+          success: false,
+          error: 'Update data is required',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const updatedTopic = await updateTopic(topicId, updateData);
+
+      if (!updatedTopic) {
+        return reply.code(404).send({
+          success: false,
+          error: `Topic not found with ID: ${topicId}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      return {
+        success: true,
+        data: updatedTopic,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error updating topic:`, error);
+      return sendTopicError(reply, error, 'Error updating topic');
+    }
+  });
+
+  // Delete topic
+  fastify.delete('/api/db/topics/:topicId', async (request, reply) => {
+    try {
+      const { topicId } = request.params;
+
+      const result = await deleteTopic(topicId);
+
+      if (!result) {
+        return reply.code(404).send({
+          success: false,
+          error: `Topic not found with ID: ${topicId}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      return {
+        success: true,
+        message: `Topic deleted successfully`,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error deleting topic:`, error);
+      return sendTopicError(reply, error, 'Error deleting topic');
+    }
+  });
+
+  // Re-run topic extraction over stored transcripts (e.g. after editing the taxonomy)
+  fastify.post('/api/db/topics/reprocess', async (request, reply) => {
+    try {
+      const { startDate, endDate, campaignId, onlyMissing } = request.body || {};
+
+      const result = await reprocessTranscriptTopics({
+        startDate,
+        endDate,
+        campaignId,
+        onlyMissing: onlyMissing === true || onlyMissing === 'true'
+      });
+
+      return {
+        success: true,
+        data: result,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`[API] Error reprocessing transcript topics:`, error);
+      return sendTopicError(reply, error, 'Error reprocessing transcript topics');
+    }
+  });
+}
@@ -7,6 +7,7 @@ import {
   getTranscriptByConversationId,
   // Removed imports for searchTranscripts, getTranscriptsBySentiment, saveTranscript
 } from '../repositories/transcript.repository.js';
+import { getElevenLabsApiUrl } from '../../service-clients.js';
 
 /**
  * Register transcript API routes with Fastify
@@ -51,7 +52,7 @@ export async function registerTranscriptApiRoutes(fastify, options = {}) {
             // Fetch from ElevenLabs API
             const apiKey = process.env.ELEVENLABS_API_KEY;
             if (apiKey) {
-              const elevenLabsUrl = `https://api.elevenlabs.io/v1/convai/conversations/${call.conversationId}`;
+              const elevenLabsUrl = getElevenLabsApiUrl(`/v1/convai/conversations/${call.conversationId}`);
               const response = await fetch(elevenLabsUrl, {
                 method: 'GET',
                 headers: { 'xi-api-key': apiKey }
@@ -180,7 +181,7 @@ export async function registerTranscriptApiRoutes(fastify, options = {}) {
             // Fetch from ElevenLabs API
             const apiKey = process.env.ELEVENLABS_API_KEY;
             if (apiKey) {
-              const elevenLabsUrl = `https://api.elevenlabs.io/v1/convai/conversations/${call.conversationId}`;
+              const elevenLabsUrl = getElevenLabsApiUrl(`/v1/convai/conversations/${call.conversationId}`);
               const response = await fetch(elevenLabsUrl, {
                 method: 'GET',
                 headers: { 'xi-api-key': apiKey }
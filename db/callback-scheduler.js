@@ -0,0 +1,261 @@
+/**
+ * Callback Scheduler
+ * Dials the callbacks prospects asked for once they are due. The agent is told it is a callback
+ * (and what about) through its first message and the callback_* dynamic variables.
+ * A campaign's callbacks are dialed by the instance running the campaign, in one of its call
+ * slots, and their results update the contact like any other campaign call.
+ */
+import { getCallbackRepository, getCampaignRepository, getContactRepository } from './index.js';
+import { makeOutboundCall } from '../outbound.js';
+import { INSTANCE_ID, reserveCallbackSlot, completeCallbackSlot } from './campaign-engine.js';
+import { RUNNABLE_CAMPAIGN_STATUSES } from './repositories/campaign.repository.js';
+import { CALLBACK_CONTACT_STATUSES } from './repositories/contact.repository.js';
+import { isWithinCallingWindow } from './utils/calling-window.js';
+
+// How often to look for due callbacks
+const SCHEDULER_INTERVAL = parseInt(process.env.CALLBACK_SCHEDULER_INTERVAL_MS, 10) || 60 * 1000;
+
+// Callbacks dialed per run
+const BATCH_SIZE = 20;
+
+// Dial attempts before a callback is marked failed, and the wait between them
+const MAX_DIAL_ATTEMPTS = 3;
+const RETRY_DELAY = 10 * 60 * 1000;
+
+// Campaign statuses its callbacks wait in until the campaign runs again; other non-running statuses cancel them
+const WAITING_CAMPAIGN_STATUSES = ['draft', 'paused'];
+
+let schedulerInterval = null;
+let running = false;
+
+/**
+ * Build the agent's opening line for a callback
+ * @param {Object} callback - Callback document
+ * @param {Object} contact - Contact document
+ * @returns {string} First message
+ */
+export function buildCallbackFirstMessage(callback, contact) {
+  const greeting = contact?.name ? `Hi ${contact.name}` : 'Hi there';
+  const topic = callback.reason ? ` about ${callback.reason}` : '';
+  return `${greeting}, you asked us to call you back${topic}. Is now still a good time?`;
+}
+
+/**
+ * Check whether a due callback may be dialed now
+ * @param {Object} callback - Callback document
+ * @param {Object|null} campaign - The callback's campaign (null without one, or if it was deleted)
+ * @param {Object|null} contact - The callback's contact (null if it was deleted)
+ * @returns {Object} { action: 'dial' | 'wait' | 'cancel', reason }
+ */
+function checkCallback(callback, campaign, contact) {
+  if (!contact) {
+    return { action: 'cancel', reason: 'Contact no longer exists' };
+  }
+
+  if (callback.campaignId) {
+    if (!campaign) {
+      return { action: 'cancel', reason: 'Campaign no longer exists' };
+    }
+    if (WAITING_CAMPAIGN_STATUSES.includes(campaign.status)) {
+      return { action: 'wait' };
+    }
+    if (!RUNNABLE_CAMPAIGN_STATUSES.includes(campaign.status)) {
+      return { action: 'cancel', reason: `Campaign is ${campaign.status}` };
+    }
+  }
+
+  // A contact on another call is called back on a later run
+  if (contact.status === 'calling') {
+    return { action: 'wait' };
+  }
+  if (!CALLBACK_CONTACT_STATUSES.includes(contact.status)) {
+    return { action: 'cancel', reason: `Contact is ${contact.status}` };
+  }
+
+  if (!isWithinCallingWindow(campaign?.settings?.callingWindow, callback.timezone)) {
+    return { action: 'wait' };
+  }
+
+  return { action: 'dial' };
+}
+
+/**
+ * Dial one claimed callback
+ * Campaign callbacks claim their contact first, so the campaign engine does not dial it at the same time.
+ * @param {Object} callback - Claimed callback document
+ * @param {Object|null} campaign - The callback's campaign
+ * @param {Object} contact - The callback's contact
+ * @param {string|null} slot - Campaign call slot reserved for the callback
+ * @returns {Promise<string>} Resulting callback status
+ */
+async function dialCallback(callback, campaign, contact, slot) {
+  const callbackRepository = getCallbackRepository();
+  const contactRepository = getContactRepository();
+
+  let claimedContact = null;
+  if (campaign) {
+    claimedContact = await contactRepository.claimContactForCallback(contact._id, INSTANCE_ID);
+    if (!claimedContact) {
+      // The contact was claimed or changed since it was checked; the next run checks it again
+      await completeCallbackSlot(campaign, slot);
+      await callbackRepository.completeCallbackDial(callback._id, { status: 'scheduled', error: 'Contact was busy' });
+      return 'scheduled';
+    }
+  }
+
+  const result = await makeOutboundCall({
+    to: callback.phoneNumber,
+    from: campaign?.callerId,
+    region: campaign?.region,
+    prompt: campaign?.prompt,
+    firstMessage: buildCallbackFirstMessage(callback, contact),
+    name: contact.name,
+    campaignId: callback.campaignId ? callback.campaignId.toString() : null,
+    contactId: contact._id.toString(),
+    dynamicVariables: {
+      is_callback: true,
+      callback_reason: callback.reason || '',
+      callback_requested_for: callback.localTime || callback.scheduledFor.toISOString()
+    }
+  });
+
+  if (result.success) {
+    if (campaign) {
+      await completeCallbackSlot(campaign, slot, claimedContact, result.callSid);
+    }
+    await callbackRepository.completeCallbackDial(callback._id, { status: 'dialed', callSid: result.callSid });
+    console.log(`[Callbacks] Dialed callback ${callback._id} for ${contact.name || callback.phoneNumber}: ${result.callSid}`);
+    return 'dialed';
+  }
+
+  if (campaign) {
+    await completeCallbackSlot(campaign, slot);
+    await contactRepository.releaseCallbackClaim(contact._id, result.suppressed ? 'do-not-call' : claimedContact.status);
+  }
+
+  // Numbers added to the do-not-call list since the callback was scheduled are never dialed
+  if (result.suppressed) {
+    await callbackRepository.completeCallbackDial(callback._id, { status: 'canceled', error: result.error });
+    return 'canceled';
+  }
+
+  if (callback.attempts < MAX_DIAL_ATTEMPTS) {
+    await callbackRepository.completeCallbackDial(callback._id, {
+      status: 'scheduled',
+      error: result.error,
+      retryAt: new Date(Date.now() + RETRY_DELAY)
+    });
+    console.log(`[Callbacks] Could not dial callback ${callback._id} (attempt ${callback.attempts}/${MAX_DIAL_ATTEMPTS}), retrying: ${result.error}`);
+    return 'scheduled';
+  }
+
+  await callbackRepository.completeCallbackDial(callback._id, { status: 'failed', error: result.error });
+  console.error(`[Callbacks] Gave up on callback ${callback._id} after ${callback.attempts} attempts: ${result.error}`);
+  return 'failed';
+}
+
+/**
+ * Dial the callbacks that are due
+ * Callbacks wait while their campaign is paused, running on another instance or has no free call slot,
+ * while their contact is on another call, and while the calling window is closed in the contact's timezone.
+ * They are canceled if the campaign was stopped or deleted, or the contact can no longer be called.
+ * @returns {Promise<Object>} Counts of callbacks by resulting status
+ */
+export async function runCallbackScheduler() {
+  const counts = { dialed: 0, scheduled: 0, failed: 0, canceled: 0, waiting: 0 };
+  if (running) {
+    return counts;
+  }
+  running = true;
+
+  try {
+    const callbackRepository = getCallbackRepository();
+    const due = await callbackRepository.getDueCallbacks(BATCH_SIZE);
+    const campaigns = new Map();
+
+    for (const callback of due) {
+      let slot = null;
+      let campaign = null;
+      try {
+        const campaignId = callback.campaignId?.toString();
+        if (campaignId && !campaigns.has(campaignId)) {
+          campaigns.set(campaignId, await getCampaignRepository().getCampaignById(campaignId));
+        }
+        campaign = campaigns.get(campaignId) || null;
+        const contact = await getContactRepository().getContactById(callback.contactId);
+
+        const check = checkCallback(callback, campaign, contact);
+        if (check.action === 'cancel') {
+          // A callback left in 'dialing' by a crashed instance is not 'scheduled', so it is closed directly
+          const canceled = callback.status === 'dialing'
+            ? await callbackRepository.completeCallbackDial(callback._id, { status: 'canceled', error: check.reason })
+            : await callbackRepository.cancelCallback(callback._id, check.reason);
+          if (canceled) {
+            console.log(`[Callbacks] Canceled callback ${callback._id}: ${check.reason}`);
+            counts.canceled++;
+          }
+          continue;
+        }
+
+        // Campaign callbacks take one of the campaign's call slots on the instance running it
+        slot = check.action === 'dial' && campaign ? reserveCallbackSlot(campaign, contact._id) : null;
+        if (check.action === 'wait' || (campaign && !slot)) {
+          counts.waiting++;
+          continue;
+        }
+
+        const claimed = await callbackRepository.claimCallback(callback._id, INSTANCE_ID);
+        if (!claimed) {
+          if (slot) {
+            await completeCallbackSlot(campaign, slot);
+          }
+          continue;
+        }
+
+        counts[await dialCallback(claimed, campaign, contact, slot)]++;
+      } catch (error) {
+        // Left in 'dialing'; picked up again once the claim goes stale
+        console.error(`[Callbacks] Error dialing callback ${callback._id}:`, error.message);
+        if (slot) {
+          await completeCallbackSlot(campaign, slot).catch(() => {});
+        }
+      }
+    }
+
+    return counts;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start dialing due callbacks periodically
+ */
+export function initializeCallbackScheduler() {
+  if (schedulerInterval) {
+    return;
+  }
+
+  schedulerInterval = setInterval(() => {
+    runCallbackScheduler().catch(error => console.error('[Callbacks] Error running callback scheduler:', error.message));
+  }, SCHEDULER_INTERVAL);
+
+  console.log(`[Callbacks] Checking for due callbacks every ${Math.round(SCHEDULER_INTERVAL / 1000)}s`);
+}
+
+/**
+ * Stop dialing callbacks
+ */
+export function shutdownCallbackScheduler() {
+  if (schedulerInterval) {
+    clearInterval(schedulerInterval);
+    schedulerInterval = null;
+  }
+}
+
+export default {
+  buildCallbackFirstMessage,
+  runCallbackScheduler,
+  initializeCallbackScheduler,
+  shutdownCallbackScheduler
+};
@@ -2,9 +2,16 @@
  * Campaign Execution Engine
  * Manages the execution of outbound calling campaigns
  */
-import { getCampaignRepository, getContactRepository, getCallRepository } from './index.js';
+import { hostname } from 'os';
+import { randomBytes } from 'crypto';
+import { getCampaignRepository, getContactRepository, getCallRepository, getCallbackRepository } from './index.js';
+import { RUNNABLE_CAMPAIGN_STATUSES } from './repositories/campaign.repository.js';
 import { makeOutboundCall } from '../outbound.js';
 import { updateCampaignStatusWithSocket } from '../campaign-socket-integration.js';
+import { isCallingWindowEnabled, getEligibleTimezones } from './utils/calling-window.js';
+import { validateCampaignVariables } from '../conversation-variables.js';
+import { queueSheetWriteBack } from './sheet-writeback.js';
+import { isSheetSyncDue, syncCampaignSheet } from './sheet-sync.js';
 
 // Active campaigns map
 const activeCampaigns = new Map();
@@ -22,25 +29,42 @@ const MAX_CONCURRENT_CALLS = 5;
 // INCREASED from 5000ms to prevent race conditions
 const DEFAULT_CALL_DELAY = 10000;  // 10 seconds between campaign cycles
 
+// Default retry settings (mirror campaignSettingsSchema defaults)
+const DEFAULT_RETRY_COUNT = 1;
+const DEFAULT_RETRY_DELAY = 3600000;  // 1 hour between retries
+
+// Call results that should be retried after the campaign's retryDelay
+const RETRYABLE_RESULTS = ['busy', 'no-answer', 'voicemail'];
+
+// Call statuses after which a call is over
+const FINAL_CALL_STATUSES = ['completed', 'failed', 'busy', 'no-answer', 'canceled'];
+
+// Execution lease: only the instance holding a campaign's lease places its calls. The lease is
+// renewed every heartbeat; when an instance stops renewing (crash, deploy) another one takes over.
+const LEASE_DURATION = parseInt(process.env.CAMPAIGN_LEASE_DURATION_MS, 10) || 30000;
+const HEARTBEAT_INTERVAL = Math.floor(LEASE_DURATION / 3);
+
+// Unique per process, so a restarted instance never mistakes its predecessor's leases for its own
+export const INSTANCE_ID = `${process.env.INSTANCE_ID || process.env.RAILWAY_REPLICA_ID || hostname()}-${process.pid}-${randomBytes(3).toString('hex')}`;
+
+// Scheduler heartbeat timer, and a flag to prevent overlapping heartbeats
+let heartbeatInterval = null;
+let heartbeatInProgress = false;
+
 /**
  * Initialize campaign engine
  * @returns {Promise<void>}
  */
 export async function initializeCampaignEngine() {
   try {
-    console.log('[Campaign Engine] Initializing campaign engine');
+    console.log(`[Campaign Engine] Initializing campaign engine (instance ${INSTANCE_ID})`);
     
-    // Get campaign repository
-    const campaignRepository = getCampaignRepository();
+    // Run the active campaigns no live instance holds a lease for
+    await runSchedulerHeartbeat();
     
-    // Get active campaigns
-    const { campaigns } = await campaignRepository.getCampaigns({ status: 'active' });
-    
-    console.log(`[Campaign Engine] Found ${campaigns.length} active campaigns`);
-    
-    // Start each active campaign
-    for (const campaign of campaigns) {
-      await startCampaign(campaign._id);
+    // Keep renewing our leases and pick up campaigns left behind by other instances
+    if (!heartbeatInterval) {
+      heartbeatInterval = setInterval(runSchedulerHeartbeat, HEARTBEAT_INTERVAL);
     }
     
     console.log('[Campaign Engine] Campaign engine initialized');
@@ -49,12 +73,172 @@ export async function initializeCampaignEngine() {
   }
 }
 
+/**
+ * Scheduler heartbeat
+ * Renews the leases of campaigns running on this instance (stopping any it no longer holds)
+ * and takes over runnable campaigns whose lease has expired or was released.
+ * @returns {Promise<void>}
+ */
+async function runSchedulerHeartbeat() {
+  if (heartbeatInProgress) {
+    return;
+  }
+  
+  heartbeatInProgress = true;
+  
+  try {
+    const campaignRepository = getCampaignRepository();
+    
+    for (const campaignId of [...activeCampaigns.keys()]) {
+      try {
+        const renewed = await campaignRepository.renewCampaignLease(campaignId, INSTANCE_ID, LEASE_DURATION);
+        if (!renewed) {
+          console.log(`[Campaign Engine] Lease lost for campaign ${campaignId} (taken over, paused or stopped), stopping it on this instance`);
+          stopRunningLocally(campaignId);
+          await campaignRepository.releaseCampaignLease(campaignId, INSTANCE_ID);
+        }
+      } catch (error) {
+        console.error(`[Campaign Engine] Error renewing lease for campaign ${campaignId}:`, error);
+      }
+    }
+    
+    const unleasedCampaigns = await campaignRepository.getUnleasedRunnableCampaigns();
+    for (const campaign of unleasedCampaigns) {
+      const campaignId = campaign._id.toString();
+      if (!activeCampaigns.has(campaignId)) {
+        await claimAndRunCampaign(campaignId);
+      }
+    }
+  } catch (error) {
+    console.error('[Campaign Engine] Error in scheduler heartbeat:', error);
+  } finally {
+    heartbeatInProgress = false;
+  }
+}
+
+/**
+ * Acquire a campaign's lease and run it on this instance
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<boolean>} True if this instance now runs the campaign
+ */
+async function claimAndRunCampaign(campaignId) {
+  const campaignRepository = getCampaignRepository();
+  
+  const { acquired, previousOwnerId } = await campaignRepository.acquireCampaignLease(campaignId, INSTANCE_ID, LEASE_DURATION);
+  if (!acquired) {
+    return false;
+  }
+  
+  if (previousOwnerId) {
+    // Contacts that instance left in 'calling' are reconciled by the first cycle
+    console.log(`[Campaign Engine] Taking over campaign ${campaignId} from instance ${previousOwnerId} (lease expired)`);
+  }
+  
+  const campaign = await campaignRepository.getCampaignById(campaignId);
+  if (!campaign) {
+    await campaignRepository.releaseCampaignLease(campaignId, INSTANCE_ID);
+    return false;
+  }
+  
+  runCampaignLocally(campaignId, campaign);
+  
+  return true;
+}
+
+/**
+ * Start executing a campaign on this instance (the caller must hold its lease)
+ * @param {string} campaignId - Campaign ID
+ * @param {Object} campaign - Campaign document
+ */
+function runCampaignLocally(campaignId, campaign) {
+  // Add campaign to active campaigns map
+  activeCampaigns.set(campaignId, {
+    id: campaignId,
+    name: campaign.name,
+    activeCalls: new Map(),
+    settings: campaign.settings || {},
+    stats: campaign.stats || {}
+  });
+  
+  // Start campaign execution interval
+  const callDelay = campaign.settings?.callDelay || DEFAULT_CALL_DELAY;
+  console.log(`[Campaign Engine] Starting campaign with ${callDelay}ms interval and max ${campaign.settings?.maxConcurrentCalls || 1} concurrent calls`);
+  const interval = setInterval(() => executeCampaignCycle(campaignId), callDelay);
+  
+  // Store interval reference
+  campaignIntervals.set(campaignId, interval);
+  
+  console.log(`[Campaign Engine] Campaign running on instance ${INSTANCE_ID}: ${campaign.name} (${campaignId})`);
+  
+  // Execute first cycle immediately
+  executeCampaignCycle(campaignId);
+}
+
+/**
+ * Stop executing a campaign on this instance (does not change its status or lease)
+ * @param {string} campaignId - Campaign ID
+ */
+function stopRunningLocally(campaignId) {
+  // Clear execution interval FIRST to prevent any more cycles
+  const interval = campaignIntervals.get(campaignId);
+  if (interval) {
+    clearInterval(interval);
+    campaignIntervals.delete(campaignId);
+    console.log(`[Campaign Engine] Interval cleared for campaign: ${campaignId}`);
+  }
+  
+  activeCampaigns.delete(campaignId);
+  campaignCycleInProgress.delete(campaignId);
+}
+
+/**
+ * Check whether a campaign is running on this instance, or is runnable and may be running on another
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<boolean>} True if the campaign is running somewhere
+ */
+async function isCampaignRunning(campaignId) {
+  if (activeCampaigns.has(campaignId)) {
+    return true;
+  }
+  
+  const campaign = await getCampaignRepository().getCampaignById(campaignId);
+  return Boolean(campaign && RUNNABLE_CAMPAIGN_STATUSES.includes(campaign.status));
+}
+
+/**
+ * Stop the campaign engine on this instance and release its leases,
+ * so other instances take its campaigns over without waiting for the leases to expire
+ * @returns {Promise<void>}
+ */
+export async function shutdownCampaignEngine() {
+  if (heartbeatInterval) {
+    clearInterval(heartbeatInterval);
+    heartbeatInterval = null;
+  }
+  
+  const campaignRepository = getCampaignRepository();
+  
+  for (const campaignId of [...activeCampaigns.keys()]) {
+    stopRunningLocally(campaignId);
+    try {
+      await campaignRepository.releaseCampaignLease(campaignId, INSTANCE_ID);
+    } catch (error) {
+      console.error(`[Campaign Engine] Error releasing lease for campaign ${campaignId}:`, error);
+    }
+  }
+  
+  console.log(`[Campaign Engine] Campaign engine stopped on instance ${INSTANCE_ID}`);
+}
+
 /**
  * Start a campaign
  * @param {string} campaignId - Campaign ID
  * @returns {Promise<boolean>} Success status
  */
 export async function startCampaign(campaignId) {
+  // Map keys are strings; callers pass either strings or ObjectIds
+  campaignId = String(campaignId);
+  
   try {
     console.log(`[Campaign Engine] Starting campaign: ${campaignId}`);
     
@@ -75,30 +259,23 @@ export async function startCampaign(campaignId) {
       return true;
     }
     
+    // Mapped dynamic variables must be declared by the campaign's agent
+    const variableCheck = await validateCampaignVariables(campaign);
+    if (!variableCheck.valid) {
+      console.error(`[Campaign Engine] Campaign ${campaignId} maps variables its agent does not declare: ${variableCheck.unknownVariables.join(', ')}`);
+      return false;
+    }
+    if (variableCheck.missingVariables.length > 0) {
+      console.warn(`[Campaign Engine] Agent variables not supplied by campaign ${campaignId} (agent placeholders will be used): ${variableCheck.missingVariables.join(', ')}`);
+    }
+    
     // Update campaign status to active
     await campaignRepository.updateCampaignStatus(campaignId, 'active');
     
-    // Add campaign to active campaigns map
-    activeCampaigns.set(campaignId, {
-      id: campaignId,
-      name: campaign.name,
-      activeCalls: new Map(),
-      settings: campaign.settings || {},
-      stats: campaign.stats || {}
-    });
-    
-    // Start campaign execution interval
-    const callDelay = campaign.settings?.callDelay || DEFAULT_CALL_DELAY;
-    console.log(`[Campaign Engine] Starting campaign with ${callDelay}ms interval and max ${campaign.settings?.maxConcurrentCalls || 1} concurrent calls`);
-    const interval = setInterval(() => executeCampaignCycle(campaignId), callDelay);
-    
-    // Store interval reference
-    campaignIntervals.set(campaignId, interval);
-    
-    console.log(`[Campaign Engine] Campaign started: ${campaign.name} (${campaignId})`);
+    // Run it here unless another instance already holds its lease
+    const runningHere = await claimAndRunCampaign(campaignId);
     
-    // Execute first cycle immediately
-    executeCampaignCycle(campaignId);
+    console.log(`[Campaign Engine] Campaign started: ${campaign.name} (${campaignId})${runningHere ? '' : ' - already running on another instance'}`);
     
     return true;
   } catch (error) {
@@ -113,35 +290,27 @@ export async function startCampaign(campaignId) {
  * @returns {Promise<boolean>} Success status
  */
 export async function pauseCampaign(campaignId) {
+  campaignId = String(campaignId);
+  
   try {
     console.log(`[Campaign Engine] Pausing campaign: ${campaignId}`);
     
     // Get campaign repository
     const campaignRepository = getCampaignRepository();
     
-    // Check if campaign is active
-    if (!activeCampaigns.has(campaignId)) {
+    // Check if campaign is active (an instance running it elsewhere stops when its lease renewal sees the new status)
+    if (!(await isCampaignRunning(campaignId))) {
       console.log(`[Campaign Engine] Campaign not active: ${campaignId}`);
       return false;
     }
     
-    // Clear execution interval FIRST to prevent any more cycles
-    const interval = campaignIntervals.get(campaignId);
-    if (interval) {
-      clearInterval(interval);
-      campaignIntervals.delete(campaignId);
-      console.log(`[Campaign Engine] Interval cleared for campaign: ${campaignId}`);
-    }
+    // CRITICAL FIX: Stop local execution before changing the status
+    // This prevents any possibility of executeCampaignCycle running
+    stopRunningLocally(campaignId);
     
     // Update campaign status to paused in database
     const updatedCampaign = await campaignRepository.updateCampaignStatus(campaignId, 'paused');
-    
-    // CRITICAL FIX: Remove campaign from active campaigns entirely
-    // This prevents any possibility of executeCampaignCycle running
-    activeCampaigns.delete(campaignId);
-    
-    // Also remove from cycle in progress map
-    campaignCycleInProgress.delete(campaignId);
+    await campaignRepository.releaseCampaignLease(campaignId, INSTANCE_ID);
     
     // Emit Socket.IO event for immediate UI update
     if (updatedCampaign) {
@@ -163,6 +332,8 @@ export async function pauseCampaign(campaignId) {
  * @returns {Promise<boolean>} Success status
  */
 export async function resumeCampaign(campaignId) {
+  campaignId = String(campaignId);
+  
   try {
     console.log(`[Campaign Engine] Resuming campaign: ${campaignId}`);
     
@@ -177,31 +348,18 @@ export async function resumeCampaign(campaignId) {
       return false;
     }
     
-    // Add campaign to active campaigns map 
-    // (it was removed when paused, so we always need to re-add it)
-    activeCampaigns.set(campaignId, {
-      id: campaignId,
-      name: campaign.name,
-      activeCalls: new Map(),
-      settings: campaign.settings || {},
-      stats: campaign.stats || {}
-    });
+    if (activeCampaigns.has(campaignId)) {
+      console.log(`[Campaign Engine] Campaign already active: ${campaignId}`);
+      return true;
+    }
     
     // Update campaign status to active
     await campaignRepository.updateCampaignStatus(campaignId, 'active');
     
-    // Start campaign execution interval
-    const callDelay = campaign.settings?.callDelay || DEFAULT_CALL_DELAY;
-    console.log(`[Campaign Engine] Starting campaign with ${callDelay}ms interval and max ${campaign.settings?.maxConcurrentCalls || 1} concurrent calls`);
-    const interval = setInterval(() => executeCampaignCycle(campaignId), callDelay);
-    
-    // Store interval reference
-    campaignIntervals.set(campaignId, interval);
-    
-    console.log(`[Campaign Engine] Campaign resumed: ${campaign.name} (${campaignId})`);
+    // Run it here unless another instance still holds its lease
+    const runningHere = await claimAndRunCampaign(campaignId);
     
-    // Execute first cycle immediately
-    executeCampaignCycle(campaignId);
+    console.log(`[Campaign Engine] Campaign resumed: ${campaign.name} (${campaignId})${runningHere ? '' : ' - running on another instance'}`);
     
     return true;
   } catch (error) {
@@ -216,39 +374,38 @@ export async function resumeCampaign(campaignId) {
  * @returns {Promise<boolean>} Success status
  */
 export async function stopCampaign(campaignId) {
+  campaignId = String(campaignId);
+  
   try {
     console.log(`[Campaign Engine] Stopping campaign: ${campaignId}`);
     
     // Get campaign repository
     const campaignRepository = getCampaignRepository();
     
-    // Check if campaign is active
-    if (!activeCampaigns.has(campaignId)) {
+    // Check if campaign is active (an instance running it elsewhere stops when its lease renewal sees the new status)
+    if (!(await isCampaignRunning(campaignId))) {
       console.log(`[Campaign Engine] Campaign not active: ${campaignId}`);
       return false;
     }
     
-    // Clear execution interval
-    const interval = campaignIntervals.get(campaignId);
-    if (interval) {
-      clearInterval(interval);
-      campaignIntervals.delete(campaignId);
-    }
+    // Clear execution interval and remove campaign from active campaigns map
+    stopRunningLocally(campaignId);
     
     // Get campaign for Socket.IO update
     const campaign = await campaignRepository.getCampaignById(campaignId);
     
     // Update campaign status to completed
     await campaignRepository.updateCampaignStatus(campaignId, 'completed');
+    await campaignRepository.releaseCampaignLease(campaignId, INSTANCE_ID);
+    
+    // Callbacks are only dialed for running campaigns
+    await getCallbackRepository().cancelCampaignCallbacks(campaignId, 'Campaign was stopped');
     
     // Emit Socket.IO event for campaign completion
     if (campaign) {
       updateCampaignStatusWithSocket(campaign, 'completed');
     }
     
-    // Remove campaign from active campaigns map
-    activeCampaigns.delete(campaignId);
-    
     console.log(`[Campaign Engine] Campaign stopped: ${campaignId}`);
     
     return true;
@@ -299,6 +456,21 @@ async function executeCampaignCycle(campaignId) {
       return;
     }
     
+    // Only the lease holder may dial: stop if the campaign was paused/stopped elsewhere,
+    // another instance took it over, or our lease lapsed without being renewed
+    if (!RUNNABLE_CAMPAIGN_STATUSES.includes(campaign.status)
+        || campaign.execution?.ownerId !== INSTANCE_ID
+        || !(campaign.execution.leaseExpiresAt > new Date())) {
+      console.log(`[Campaign Engine] Campaign ${campaignId} is ${campaign.status}, lease held by ${campaign.execution?.ownerId || 'nobody'} - stopping it on this instance`);
+      stopRunningLocally(campaignId);
+      return;
+    }
+    
+    // Continuous sheet campaigns pick up rows added to the sheet since the last sync
+    if (isSheetSyncDue(campaign)) {
+      await syncCampaignSheet(campaign);
+    }
+    
     // Get maximum concurrent calls
     const maxConcurrentCalls = campaign.settings?.maxConcurrentCalls || MAX_CONCURRENT_CALLS;
     
@@ -307,8 +479,10 @@ async function executeCampaignCycle(campaignId) {
     for (const [callSid, callData] of campaignData.activeCalls.entries()) {
       try {
         const call = await callRepository.getCallBySid(callSid);
-        if (call && ['completed', 'failed', 'busy', 'no-answer', 'canceled'].includes(call.status)) {
+        if (call && FINAL_CALL_STATUSES.includes(call.status)) {
+          // The status callback may have reached another instance; finalize the contact here
           console.log(`[Campaign Engine] Cleaning up stale active call: ${callSid} (status: ${call.status})`);
+          await handleCallStatusUpdate(callSid, call.status);
           campaignData.activeCalls.delete(callSid);
         }
       } catch (error) {
@@ -317,23 +491,21 @@ async function executeCampaignCycle(campaignId) {
       }
     }
     
-    // CRITICAL FIX: If there are no active calls but contacts are stuck in "calling" status,
-    // reset ONE contact back to pending to break the deadlock
-    if (campaignData.activeCalls.size === 0) {
-      const callingContacts = await contactRepository.getContacts(
-        { campaignId, status: 'calling' },
-        { limit: 1 }
-      );
+    // Contacts stuck in "calling" (claimed by a crashed instance or a failed cycle) are tracked again or released
+    await reclaimStaleContacts(campaignId, campaignData);
+    
+    // Only claim contacts whose local time is inside the campaign's calling window
+    const callingWindow = campaign.settings?.callingWindow;
+    let timezones = null;
+    
+    if (isCallingWindowEnabled(callingWindow)) {
+      const pendingTimezones = await contactRepository.getPendingContactTimezones(campaignId);
+      timezones = getEligibleTimezones(callingWindow, pendingTimezones);
       
-      if (callingContacts.contacts.length > 0) {
-        const stuckContact = callingContacts.contacts[0];
-        console.log(`[Campaign Engine] Found stuck contact in calling status with no active calls: ${stuckContact.name}`);
-        console.log(`[Campaign Engine] Resetting contact to pending to break deadlock`);
-        
-        await contactRepository.updateContact(stuckContact._id, {
-          status: 'pending',
-          callCount: Math.max(0, stuckContact.callCount - 1)
-        });
+      if (pendingTimezones.length > 0 && timezones.length === 0) {
+        console.log(`[Campaign Engine] No pending contacts inside calling window for campaign: ${campaignId}`);
+        await setCampaignWindowStatus(campaignId, campaign, 'waiting-for-window');
+        return;
       }
     }
     
@@ -346,11 +518,12 @@ async function executeCampaignCycle(campaignId) {
     
     // CRITICAL FIX: Use atomic contact claiming to prevent duplicate calls
     const availableSlots = maxConcurrentCalls - activeCalls;
+    const maxAttempts = getMaxAttempts(campaign);
     
     // Claim contacts atomically one by one
     let claimedContacts = 0;
     for (let i = 0; i < availableSlots; i++) {
-      const contact = await contactRepository.claimNextContactForCalling(campaignId);
+      const contact = await contactRepository.claimNextContactForCalling(campaignId, { maxAttempts, timezones, ownerId: INSTANCE_ID });
       if (!contact) {
         if (claimedContacts === 0) {
           console.log(`[Campaign Engine] No more contacts to call for campaign: ${campaignId}`);
@@ -362,6 +535,12 @@ async function executeCampaignCycle(campaignId) {
       }
       
       claimedContacts++;
+      
+      // Calling window has opened again
+      if (claimedContacts === 1) {
+        await setCampaignWindowStatus(campaignId, campaign, 'active');
+      }
+      
       // Make call to the atomically claimed contact
       await makeCallToContact(campaignId, contact);
     }
@@ -373,6 +552,72 @@ async function executeCampaignCycle(campaignId) {
   }
 }
 
+/**
+ * Reconcile a campaign's contacts left in "calling" status without a call this instance is tracking
+ * If a call was placed for the claim it is tracked again (and finalized if it has already ended);
+ * otherwise the contact goes back to pending without using up an attempt.
+ * @param {string} campaignId - Campaign ID
+ * @param {Object} campaignData - Entry from the activeCampaigns map
+ * @returns {Promise<void>}
+ */
+async function reclaimStaleContacts(campaignId, campaignData) {
+  const contactRepository = getContactRepository();
+  const callRepository = getCallRepository();
+  
+  const trackedContactIds = [...campaignData.activeCalls.values()].map(callData => callData.contactId);
+  const staleContacts = await contactRepository.getStaleCallingContacts(campaignId, trackedContactIds);
+  
+  for (const contact of staleContacts) {
+    try {
+      // Contacts claimed before claimedAt was recorded cannot be matched to a call and are released
+      const lastCall = contact.claimedAt
+        ? await callRepository.getMostRecentCall(contact.callIds, { campaignOnly: true })
+        : null;
+      const claimedCall = lastCall && String(lastCall.campaignId) === campaignId && lastCall.createdAt >= contact.claimedAt
+        ? lastCall
+        : null;
+      
+      if (!claimedCall) {
+        await contactRepository.releaseContactClaim(contact._id);
+        console.log(`[Campaign Engine] Released stale claim on contact ${contact.name || contact.phoneNumber} (${contact._id}) by ${contact.claimedBy || 'unknown instance'}, no call was placed`);
+        continue;
+      }
+      
+      campaignData.activeCalls.set(claimedCall.callSid, {
+        contactId: contact._id,
+        phoneNumber: contact.phoneNumber,
+        name: contact.name,
+        attemptNumber: contact.attemptCount || 1,
+        startTime: claimedCall.startTime || claimedCall.createdAt
+      });
+      console.log(`[Campaign Engine] Tracking call ${claimedCall.callSid} (${claimedCall.status}) placed by ${contact.claimedBy || 'unknown instance'} for contact ${contact._id}`);
+      
+      if (FINAL_CALL_STATUSES.includes(claimedCall.status)) {
+        await handleCallStatusUpdate(claimedCall.callSid, claimedCall.status);
+      }
+    } catch (error) {
+      console.error(`[Campaign Engine] Error reclaiming contact ${contact._id} for campaign ${campaignId}:`, error);
+    }
+  }
+}
+
+/**
+ * Switch a running campaign between active and waiting-for-window
+ * @param {string} campaignId - Campaign ID
+ * @param {Object} campaign - Campaign document
+ * @param {string} status - 'active' or 'waiting-for-window'
+ * @returns {Promise<void>}
+ */
+async function setCampaignWindowStatus(campaignId, campaign, status) {
+  if (campaign.status === status || !['active', 'waiting-for-window'].includes(campaign.status)) {
+    return;
+  }
+  
+  console.log(`[Campaign Engine] Campaign ${campaignId} status ${campaign.status} -> ${status}`);
+  await getCampaignRepository().updateCampaignStatus(campaignId, status);
+  campaign.status = status;
+}
+
 /**
  * Get next contacts to call
  * @deprecated Use atomic contact claiming in executeCampaignCycle instead
@@ -458,26 +703,11 @@ async function makeCallToContact(campaignId, contact) {
     
     if (callResult.success) {
       console.log(`[Campaign Engine] Call initiated successfully: ${callResult.callSid}`);
-      
-      // Add call to active calls map
-      campaignData.activeCalls.set(callResult.callSid, {
-        contactId: contact._id,
-        phoneNumber: contact.phoneNumber,
-        name: contact.name,
-        startTime: new Date()
-      });
-      
-      // Update campaign stats
-      campaignData.stats.callsPlaced = (campaignData.stats.callsPlaced || 0) + 1;
-      activeCampaigns.set(campaignId, campaignData);
-      
-      // Update campaign stats in database
-      await campaignRepository.updateCampaignStats(campaignId, {
-        callsPlaced: (campaign.stats?.callsPlaced || 0) + 1
-      });
-      
-      // Update contact call history with the actual call ID
-      await updateContactCallHistory(contact._id, callResult.callSid);
+      await trackPlacedCall(campaign, campaignData, contact, callResult.callSid);
+    } else if (callResult.suppressed) {
+      // Number was added to the do-not-call list after the contact was claimed
+      console.log(`[Campaign Engine] Skipping do-not-call contact: ${contact.name} (${contact._id})`);
+      await contactRepository.updateContact(contact._id, { status: 'do-not-call' });
     } else {
       console.error(`[Campaign Engine] Failed to initiate call: ${callResult.error}`);
       
@@ -490,7 +720,12 @@ async function makeCallToContact(campaignId, contact) {
         // CRITICAL: For balance issues, mark as failed with special error code
         // DO NOT reset to pending - this causes infinite retry loop!
         console.log(`[Campaign Engine] Twilio balance issue detected - marking contact as failed with balance error: ${contact.name}`);
-        await contactRepository.updateContact(contact._id, {
+        await contactRepository.recordCallAttempt(contact._id, {
+          attemptNumber: contact.attemptCount || 1,
+          campaignId,
+          result: 'twilio_balance_error',
+          error: callResult.details || callResult.error
+        }, {
           status: 'failed',
           lastCallResult: 'failed',
           lastCallError: 'Insufficient Twilio balance - campaign auto-paused',
@@ -517,7 +752,12 @@ async function makeCallToContact(campaignId, contact) {
         }
       } else {
         // For other errors, mark as failed
-        await contactRepository.updateContact(contact._id, {
+        await contactRepository.recordCallAttempt(contact._id, {
+          attemptNumber: contact.attemptCount || 1,
+          campaignId,
+          result: 'failed_to_initiate',
+          error: callResult.details || callResult.error
+        }, {
           status: 'failed',
           lastCallResult: 'failed_to_initiate',
           lastCallError: callResult.error,
@@ -531,6 +771,79 @@ async function makeCallToContact(campaignId, contact) {
   }
 }
 
+/**
+ * Track a call placed for one of a campaign's contacts, so its result updates the contact
+ * @param {Object} campaign - Campaign document
+ * @param {Object} campaignData - Entry from the activeCampaigns map
+ * @param {Object} contact - Contact called
+ * @param {string} callSid - Call SID
+ * @returns {Promise<void>}
+ */
+async function trackPlacedCall(campaign, campaignData, contact, callSid) {
+  // Add call to active calls map
+  campaignData.activeCalls.set(callSid, {
+    contactId: contact._id,
+    phoneNumber: contact.phoneNumber,
+    name: contact.name,
+    attemptNumber: contact.attemptCount || 1,
+    startTime: new Date()
+  });
+  
+  // Update campaign stats
+  campaignData.stats.callsPlaced = (campaignData.stats.callsPlaced || 0) + 1;
+  
+  // Update campaign stats in database
+  await getCampaignRepository().updateCampaignStats(campaign._id, {
+    callsPlaced: (campaign.stats?.callsPlaced || 0) + 1
+  });
+  
+  // Update contact call history with the actual call ID
+  await updateContactCallHistory(contact._id, callSid);
+}
+
+/**
+ * Reserve one of a campaign's call slots for a callback, so callbacks count toward maxConcurrentCalls
+ * Only the instance running the campaign dials its callbacks. The reservation also keeps the
+ * contact from being released by reclaimStaleContacts while the callback is being dialed.
+ * @param {Object} campaign - Campaign document
+ * @param {string} contactId - Contact to be called back
+ * @returns {string|null} Reservation key, or null if the campaign is not running here or has no free slot
+ */
+export function reserveCallbackSlot(campaign, contactId) {
+  const campaignData = activeCampaigns.get(String(campaign._id));
+  if (!campaignData || campaignData.paused) {
+    return null;
+  }
+  
+  const maxConcurrentCalls = campaign.settings?.maxConcurrentCalls || MAX_CONCURRENT_CALLS;
+  if (campaignData.activeCalls.size >= maxConcurrentCalls) {
+    return null;
+  }
+  
+  const key = `callback:${contactId}`;
+  campaignData.activeCalls.set(key, { contactId, startTime: new Date() });
+  return key;
+}
+
+/**
+ * Finish a callback's reservation: track the call that was placed, or free the slot if none was
+ * @param {Object} campaign - Campaign document
+ * @param {string} key - Reservation key from reserveCallbackSlot
+ * @param {Object|null} contact - Contact called back (with its attemptCount), or null if the dial failed
+ * @param {string|null} callSid - Call SID of the callback
+ * @returns {Promise<void>}
+ */
+export async function completeCallbackSlot(campaign, key, contact = null, callSid = null) {
+  const campaignData = activeCampaigns.get(String(campaign._id));
+  if (!campaignData?.activeCalls.delete(key)) {
+    return;
+  }
+  
+  if (contact && callSid) {
+    await trackPlacedCall(campaign, campaignData, contact, callSid);
+  }
+}
+
 /**
  * Update contact call history
  * @param {string} contactId - Contact ID
@@ -597,13 +910,14 @@ export async function handleCallStatusUpdate(callSid, status) {
     }
     
     // Handle different call statuses
-    if (['completed', 'failed', 'busy', 'no-answer', 'canceled'].includes(status)) {
+    if (FINAL_CALL_STATUSES.includes(status)) {
       // Call has ended
       const callData = campaignData.activeCalls.get(callSid);
       
       if (callData) {
         // Calculate call duration
         const duration = callData.startTime ? Math.floor((Date.now() - callData.startTime) / 1000) : 0;
+        const callResult = await resolveCallResult(callSid, status);
         
         // Update campaign stats
         const statsUpdate = {};
@@ -619,19 +933,19 @@ export async function handleCallStatusUpdate(callSid, status) {
           statsUpdate.callsFailed = (campaign.stats?.callsFailed || 0) + 1;
         }
         
+        // Voicemails left and no-answers are also counted on their own
+        if (callResult.result === 'voicemail-left') {
+          statsUpdate.voicemailsLeft = (campaign.stats?.voicemailsLeft || 0) + 1;
+        } else if (status === 'no-answer') {
+          statsUpdate.callsNoAnswer = (campaign.stats?.callsNoAnswer || 0) + 1;
+        }
+        
         // Update campaign stats in database
         await campaignRepository.updateCampaignStats(campaignId, statsUpdate);
         
-        // Update contact status based on call outcome
+        // Update contact status based on call outcome, re-queueing retryable results
         if (callData.contactId) {
-          const contactRepository = getContactRepository();
-          const contactStatus = status === 'completed' ? 'completed' : 'failed';
-          await contactRepository.updateContact(callData.contactId, {
-            status: contactStatus,
-            lastCallResult: status,
-            lastCallDate: new Date()
-          });
-          console.log(`[Campaign Engine] Updated contact ${callData.contactId} status to ${contactStatus}`);
+          await updateContactAfterCall(campaign, callSid, callData, callResult, duration);
         }
         
         // Remove call from active calls map
@@ -670,6 +984,99 @@ export async function handleCallStatusUpdate(callSid, status) {
   }
 }
 
+/**
+ * Get the maximum number of attempts per contact for a campaign
+ * @param {Object} campaign - Campaign document
+ * @returns {number} Initial call plus configured retries
+ */
+function getMaxAttempts(campaign) {
+  const retryCount = campaign.settings?.retryCount ?? DEFAULT_RETRY_COUNT;
+  return 1 + Math.max(0, retryCount);
+}
+
+/**
+ * Resolve the result of a finished call, distinguishing voicemail from a human answer
+ * 'voicemail-left' means the campaign's voicemail drop left a message; plain 'voicemail' means it hung up.
+ * @param {string} callSid - Call SID
+ * @param {string} status - Final Twilio call status
+ * @returns {Promise<Object>} Result and answeredBy value
+ */
+async function resolveCallResult(callSid, status) {
+  let answeredBy = null;
+  let voicemailLeft = false;
+  
+  try {
+    const call = await getCallRepository().getCallBySid(callSid);
+    answeredBy = call?.enhancedAnsweredBy || call?.answeredBy || null;
+    voicemailLeft = Boolean(call?.voicemail?.leftAt);
+  } catch (error) {
+    console.error(`[Campaign Engine] Error loading call ${callSid} to resolve result:`, error);
+  }
+  
+  if (status === 'completed' && voicemailLeft) {
+    return { result: 'voicemail-left', answeredBy };
+  }
+  
+  if (status === 'completed' && answeredBy && answeredBy.startsWith('machine')) {
+    return { result: 'voicemail', answeredBy };
+  }
+  
+  return { result: status, answeredBy };
+}
+
+/**
+ * Record the attempt on the contact and either finalize it or schedule a retry
+ * @param {Object} campaign - Campaign document
+ * @param {string} callSid - Call SID
+ * @param {Object} callData - Active call entry from the campaign's activeCalls map
+ * @param {Object} callResult - Result and answeredBy value from resolveCallResult
+ * @param {number} duration - Call duration in seconds
+ * @returns {Promise<void>}
+ */
+async function updateContactAfterCall(campaign, callSid, callData, callResult, duration) {
+  const contactRepository = getContactRepository();
+  const { result, answeredBy } = callResult;
+  const attemptNumber = callData.attemptNumber || 1;
+  const maxAttempts = getMaxAttempts(campaign);
+  const now = new Date();
+  
+  const contactUpdate = {
+    lastCallResult: result,
+    lastCallDate: now
+  };
+  
+  let nextAttemptAt = null;
+  if (RETRYABLE_RESULTS.includes(result) && attemptNumber < maxAttempts) {
+    const retryDelay = campaign.settings?.retryDelay || DEFAULT_RETRY_DELAY;
+    nextAttemptAt = new Date(now.getTime() + retryDelay);
+    contactUpdate.status = 'pending';
+    contactUpdate.nextAttemptAt = nextAttemptAt;
+  } else {
+    // A voicemail left reached the contact, so it is not retried
+    contactUpdate.status = ['completed', 'voicemail-left'].includes(result) ? 'completed' : 'failed';
+    contactUpdate.nextAttemptAt = null;
+  }
+  
+  await contactRepository.recordCallAttempt(callData.contactId, {
+    attemptNumber,
+    campaignId: campaign._id,
+    callSid,
+    result,
+    answeredBy,
+    duration,
+    ...(nextAttemptAt ? { nextAttemptAt } : {})
+  }, contactUpdate);
+  
+  // Calls that never reached the agent (busy, no-answer) get no post-call webhook, so queue the write-back here too
+  queueSheetWriteBack(callSid);
+  
+  if (nextAttemptAt) {
+    console.log(`[Campaign Engine] Contact ${callData.contactId} re-queued after ${result} (attempt ${attemptNumber}/${maxAttempts}), next attempt at ${nextAttemptAt.toISOString()}`);
+  } else {
+    console.log(`[Campaign Engine] Updated contact ${callData.contactId} status to ${contactUpdate.status} after ${result} (attempt ${attemptNumber}/${maxAttempts})`);
+  }
+}
+
 /**
  * Calculate average duration
  * @param {number} currentAverage - Current average duration
@@ -706,6 +1113,17 @@ async function checkAndCompleteCampaign(campaignId) {
     const contactRepository = getContactRepository();
     const campaignRepository = getCampaignRepository();
     
+    // Continuous sheet campaigns keep waiting for new rows until they are stopped
+    const campaign = await campaignRepository.getCampaignById(campaignId);
+    if (campaign?.sheetInfo?.syncMode === 'continuous') {
+      return;
+    }
+    
+    // Pending contacts out of attempts are never claimed again, so they are finished as failed
+    if (campaign) {
+      await contactRepository.failExhaustedContacts(campaignId, getMaxAttempts(campaign));
+    }
+    
     // Check if there are any contacts still pending
     const pendingResult = await contactRepository.getContacts(
       {
@@ -738,9 +1156,12 @@ async function checkAndCompleteCampaign(campaignId) {
     
     const callingContacts = callingResult?.pagination?.total || 0;
     
-    console.log(`[Campaign Engine] Campaign ${campaignId} completion check: pending=${pendingContacts}, calling=${callingContacts}, activeCalls=${campaignData.activeCalls.size}`);
+    // Callbacks prospects asked for are still part of the campaign
+    const openCallbacks = await getCallbackRepository().countOpenCallbacks(campaignId);
+    
+    console.log(`[Campaign Engine] Campaign ${campaignId} completion check: pending=${pendingContacts}, calling=${callingContacts}, callbacks=${openCallbacks}, activeCalls=${campaignData.activeCalls.size}`);
     
-    if (pendingContacts === 0 && callingContacts === 0) {
+    if (pendingContacts === 0 && callingContacts === 0 && openCallbacks === 0) {
       console.log(`[Campaign Engine] All contacts processed for campaign ${campaignId}. Marking as completed.`);
       
       // Get final stats for the campaign
@@ -778,7 +1199,7 @@ async function checkAndCompleteCampaign(campaignId) {
       
       console.log(`[Campaign Engine] Campaign ${campaignId} has been automatically completed`);
     } else {
-      console.log(`[Campaign Engine] Campaign ${campaignId} still has contacts to process or active calls`);
+      console.log(`[Campaign Engine] Campaign ${campaignId} still has contacts to process, callbacks or active calls`);
     }
   } catch (error) {
     console.error(`[Campaign Engine] Error checking campaign completion for ${campaignId}:`, error);
@@ -800,11 +1221,15 @@ export function getActiveCampaigns() {
 }
 
 export default {
+  INSTANCE_ID,
   initializeCampaignEngine,
+  shutdownCampaignEngine,
   startCampaign,
   pauseCampaign,
   resumeCampaign,
   stopCampaign,
   handleCallStatusUpdate,
+  reserveCallbackSlot,
+  completeCallbackSlot,
   getActiveCampaigns
 };
\ No newline at end of file
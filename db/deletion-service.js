@@ -0,0 +1,340 @@
+/**
+ * Deletion Service
+ * Deletes campaigns, contacts and calls. By default they are soft-deleted: deletedAt is set, which
+ * hides them from every query (see utils/soft-delete.js) until they are restored. Permanent deletion
+ * also removes the data that belongs to them, in a transaction, and reports what was removed:
+ *   call     - its transcripts, recordings (and their archived audio), events and metric samples
+ *   contact  - its callbacks; it is taken off its campaigns (its calls are call history and are kept)
+ *   campaign - its calls (with their data) and callbacks; its contacts are taken off it
+ * Soft-deleting a campaign cancels its scheduled callbacks.
+ */
+import Call from './models/call.model.js';
+import Contact from './models/contact.model.js';
+import Campaign from './models/campaign.model.js';
+import Transcript from './models/transcript.model.js';
+import Recording from './models/recording.model.js';
+import CallEvent from './models/callEvent.model.js';
+import MetricSample from './models/metricSample.model.js';
+import Callback from './models/callback.model.js';
+import { RUNNABLE_CAMPAIGN_STATUSES } from './repositories/campaign.repository.js';
+import { stopCampaign, getActiveCampaigns } from './campaign-engine.js';
+import { removeArchivedRecordings } from './recording-archiver.js';
+import { invalidateCacheByPattern } from './utils/cache.js';
+import { runInTransaction } from './utils/transaction.js';
+
+/**
+ * Delete the data that belongs to calls
+ * One at a time, as a transaction's operations cannot run in parallel.
+ * @param {Array<string>} callSids - Call SIDs
+ * @param {Object|null} session - Transaction session
+ * @returns {Promise<Object>} Removed document counts
+ */
+async function deleteCallData(callSids, session) {
+  const filter = { callSid: { $in: callSids } };
+  const transcripts = await Transcript.deleteMany(filter, { session });
+  const recordings = await Recording.deleteMany(filter, { session });
+  const events = await CallEvent.deleteMany(filter, { session });
+  const metricSamples = await MetricSample.deleteMany(filter, { session });
+
+  return {
+    transcripts: transcripts.deletedCount,
+    recordings: recordings.deletedCount,
+    events: events.deletedCount,
+    metricSamples: metricSamples.deletedCount
+  };
+}
+
+/**
+ * Get the storage keys of calls' archived recordings
+ * Collected before the recordings are deleted, and removed from storage once the transaction has committed.
+ * @param {Array<string>} callSids - Call SIDs
+ * @returns {Promise<Array<string>>} Object keys
+ */
+async function getArchivedRecordingKeys(callSids) {
+  const recordings = await Recording.find(
+    { callSid: { $in: callSids }, 'archive.status': 'archived' },
+    'archive.key'
+  ).lean();
+
+  return recordings.map(recording => recording.archive.key).filter(Boolean);
+}
+
+/**
+ * Check whether the campaign engine is running a campaign
+ * @param {Object} campaign - Campaign document
+ * @returns {boolean} Whether it is running
+ */
+function isCampaignRunning(campaign) {
+  const campaignId = campaign._id.toString();
+  return RUNNABLE_CAMPAIGN_STATUSES.includes(campaign.status) || getActiveCampaigns().some(active => active.id === campaignId);
+}
+
+/**
+ * Delete a campaign
+ * A running campaign is refused unless stop is set, which stops it through the campaign engine first.
+ * @param {string} campaignId - Campaign ID
+ * @param {Object} options - permanent (also remove its calls and callbacks), stop
+ * @returns {Promise<Object|null>} { permanent, deletedAt } or { permanent, removed }, or null if not found
+ * @throws {Error} If the campaign is running or deletion fails
+ */
+export async function deleteCampaign(campaignId, { permanent = false, stop = false } = {}) {
+  try {
+    const campaign = await Campaign.findById(campaignId).setOptions({ withDeleted: permanent });
+    if (!campaign) {
+      return null;
+    }
+
+    if (isCampaignRunning(campaign)) {
+      if (!stop) {
+        throw new Error(`Campaign ${campaign.name} is running and cannot be deleted until it is stopped`);
+      }
+
+      console.log(`[Deletion] Stopping campaign ${campaign.name} (${campaignId}) before deleting it`);
+      if (!(await stopCampaign(campaignId))) {
+        throw new Error(`Campaign ${campaign.name} could not be stopped, so it was not deleted`);
+      }
+    }
+
+    let result;
+    if (permanent) {
+      let archivedKeys = [];
+      const removed = await runInTransaction(async (session) => {
+        const calls = await Call.find({ campaignId: campaign._id }, '_id callSid', { session, withDeleted: true });
+        archivedKeys = await getArchivedRecordingKeys(calls.map(call => call.callSid));
+        const callIds = calls.map(call => call._id);
+
+        const callData = await deleteCallData(calls.map(call => call.callSid), session);
+        const deletedCalls = await Call.deleteMany({ campaignId: campaign._id }, { session });
+        const deletedCallbacks = await Callback.deleteMany({ campaignId: campaign._id }, { session });
+        const updatedContacts = await Contact.updateMany(
+          { campaignIds: campaign._id },
+          { $pull: { campaignIds: campaign._id, callIds: { $in: callIds } } },
+          { session, withDeleted: true }
+        );
+        await Campaign.deleteOne({ _id: campaign._id }, { session });
+
+        return {
+          campaigns: 1,
+          calls: deletedCalls.deletedCount,
+          ...callData,
+          callbacks: deletedCallbacks.deletedCount,
+          contactsUpdated: updatedContacts.modifiedCount
+        };
+      });
+      removed.archivedRecordings = await removeArchivedRecordings(archivedKeys);
+
+      result = { permanent: true, removed };
+      console.log(`[Deletion] Permanently deleted campaign ${campaign.name} (${campaignId}):`, removed);
+    } else {
+      const deletedAt = new Date();
+      await Campaign.updateOne({ _id: campaign._id }, { $set: { deletedAt } });
+      const canceled = await Callback.updateMany(
+        { campaignId: campaign._id, status: 'scheduled' },
+        { $set: { status: 'canceled', error: 'Campaign was deleted' } }
+      );
+
+      result = { permanent: false, deletedAt, callbacksCanceled: canceled.modifiedCount };
+      console.log(`[Deletion] Deleted campaign ${campaign.name} (${campaignId})`);
+    }
+
+    invalidateCacheByPattern('campaign_');
+    invalidateCacheByPattern('dashboard_');
+
+    return result;
+  } catch (error) {
+    console.error(`[Deletion] Error deleting campaign ${campaignId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Restore a soft-deleted campaign
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object|null>} Restored campaign, or null if no deleted campaign has the ID
+ * @throws {Error} If the update fails
+ */
+export async function restoreCampaign(campaignId) {
+  try {
+    const campaign = await Campaign.findOneAndUpdate(
+      { _id: campaignId, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null } },
+      { new: true }
+    );
+
+    if (campaign) {
+      console.log(`[Deletion] Restored campaign ${campaign.name} (${campaignId})`);
+      invalidateCacheByPattern('campaign_');
+      invalidateCacheByPattern('dashboard_');
+    }
+
+    return campaign;
+  } catch (error) {
+    console.error(`[Deletion] Error restoring campaign ${campaignId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a contact
+ * @param {string} contactId - Contact ID
+ * @param {Object} options - permanent (also remove its callbacks and take it off its campaigns)
+ * @returns {Promise<Object|null>} { permanent, deletedAt } or { permanent, removed }, or null if not found
+ * @throws {Error} If deletion fails
+ */
+export async function deleteContact(contactId, { permanent = false } = {}) {
+  try {
+    const contact = await Contact.findById(contactId).setOptions({ withDeleted: permanent });
+    if (!contact) {
+      return null;
+    }
+
+    let result;
+    if (permanent) {
+      const removed = await runInTransaction(async (session) => {
+        const deletedCallbacks = await Callback.deleteMany({ contactId: contact._id }, { session });
+        const updatedCampaigns = await Campaign.updateMany(
+          { contactIds: contact._id },
+          [
+            { $set: { contactIds: { $filter: { input: '$contactIds', cond: { $ne: ['$$this', contact._id] } } } } },
+            { $set: { 'stats.totalContacts': { $size: '$contactIds' } } }
+          ],
+          { session, withDeleted: true }
+        );
+        await Contact.deleteOne({ _id: contact._id }, { session });
+
+        return {
+          contacts: 1,
+          callbacks: deletedCallbacks.deletedCount,
+          campaignsUpdated: updatedCampaigns.modifiedCount
+        };
+      });
+
+      result = { permanent: true, removed };
+      console.log(`[Deletion] Permanently deleted contact ${contact.name || contact.phoneNumber} (${contactId}):`, removed);
+    } else {
+      const deletedAt = new Date();
+      await Contact.updateOne({ _id: contact._id }, { $set: { deletedAt } });
+
+      result = { permanent: false, deletedAt };
+      console.log(`[Deletion] Deleted contact ${contact.name || contact.phoneNumber} (${contactId})`);
+    }
+
+    invalidateCacheByPattern('contact_');
+    invalidateCacheByPattern('campaign_');
+
+    return result;
+  } catch (error) {
+    console.error(`[Deletion] Error deleting contact ${contactId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Restore a soft-deleted contact
+ * @param {string} contactId - Contact ID
+ * @returns {Promise<Object|null>} Restored contact, or null if no deleted contact has the ID
+ * @throws {Error} If the update fails
+ */
+export async function restoreContact(contactId) {
+  try {
+    const contact = await Contact.findOneAndUpdate(
+      { _id: contactId, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null } },
+      { new: true }
+    );
+
+    if (contact) {
+      console.log(`[Deletion] Restored contact ${contact.name || contact.phoneNumber} (${contactId})`);
+      invalidateCacheByPattern('contact_');
+      invalidateCacheByPattern('campaign_');
+    }
+
+    return contact;
+  } catch (error) {
+    console.error(`[Deletion] Error restoring contact ${contactId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a call
+ * @param {string} callSid - Call SID
+ * @param {Object} options - permanent (also remove its transcripts, recordings, events and metric samples)
+ * @returns {Promise<Object|null>} { permanent, deletedAt } or { permanent, removed }, or null if not found
+ * @throws {Error} If deletion fails
+ */
+export async function deleteCall(callSid, { permanent = false } = {}) {
+  try {
+    const call = await Call.findOne({ callSid }).setOptions({ withDeleted: permanent });
+    if (!call) {
+      return null;
+    }
+
+    let result;
+    if (permanent) {
+      const archivedKeys = await getArchivedRecordingKeys([callSid]);
+      const removed = await runInTransaction(async (session) => {
+        const callData = await deleteCallData([callSid], session);
+        await Campaign.updateMany({ callIds: call._id }, { $pull: { callIds: call._id } }, { session, withDeleted: true });
+        await Contact.updateMany({ callIds: call._id }, { $pull: { callIds: call._id } }, { session, withDeleted: true });
+        await Call.deleteOne({ _id: call._id }, { session });
+
+        return { calls: 1, ...callData };
+      });
+      removed.archivedRecordings = await removeArchivedRecordings(archivedKeys);
+
+      result = { permanent: true, removed };
+      console.log(`[Deletion] Permanently deleted call ${callSid}:`, removed);
+    } else {
+      const deletedAt = new Date();
+      await Call.updateOne({ _id: call._id }, { $set: { deletedAt } });
+
+      result = { permanent: false, deletedAt };
+      console.log(`[Deletion] Deleted call ${callSid}`);
+    }
+
+    invalidateCacheByPattern(`call_details_${callSid}`);
+    invalidateCacheByPattern('dashboard_');
+
+    return result;
+  } catch (error) {
+    console.error(`[Deletion] Error deleting call ${callSid}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Restore a soft-deleted call
+ * @param {string} callSid - Call SID
+ * @returns {Promise<Object|null>} Restored call, or null if no deleted call has the SID
+ * @throws {Error} If the update fails
+ */
+export async function restoreCall(callSid) {
+  try {
+    const call = await Call.findOneAndUpdate(
+      { callSid, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null } },
+      { new: true }
+    );
+
+    if (call) {
+      console.log(`[Deletion] Restored call ${callSid}`);
+      invalidateCacheByPattern(`call_details_${callSid}`);
+      invalidateCacheByPattern('dashboard_');
+    }
+
+    return call;
+  } catch (error) {
+    console.error(`[Deletion] Error restoring call ${callSid}:`, error);
+    throw error;
+  }
+}
+
+export default {
+  deleteCampaign,
+  restoreCampaign,
+  deleteContact,
+  restoreContact,
+  deleteCall,
+  restoreCall
+};
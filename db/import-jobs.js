@@ -0,0 +1,529 @@
+/**
+ * Contact Import Jobs
+ * Runs CSV contact imports in the background. The upload is stored on disk and scanned for its
+ * columns and a preview; once the columns are mapped the file is streamed through csv-parse and
+ * contacts are upserted in bulkWrite batches. Progress is saved after every batch, so a job whose
+ * server stops is resumed where it left off, and is emitted over Socket.IO. Rejected rows are kept
+ * with their reason for download.
+ */
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { pipeline } from 'stream/promises';
+import { parse } from 'csv-parse';
+import { getImportJobRepository, getContactRepository, getCampaignRepository } from './index.js';
+import { INSTANCE_ID, initializeCampaignEngine, startCampaign } from './campaign-engine.js';
+import { normalizePhoneNumber, resolvePhoneRegion, toContactPhoneFields } from './utils/phone-number.js';
+import { resolveContactTimezone } from './utils/timezone.js';
+import { emitImportJobUpdate } from '../socket-server.js';
+
+// Where uploaded files are kept until their job finishes
+export const IMPORT_UPLOAD_DIR = process.env.IMPORT_UPLOAD_DIR || path.join(process.cwd(), 'uploads', 'imports');
+
+// Largest accepted upload (100 MB by default)
+export const IMPORT_MAX_FILE_SIZE = parseInt(process.env.IMPORT_MAX_FILE_SIZE, 10) || 100 * 1024 * 1024;
+
+// Rows written per bulkWrite (and per progress update)
+const BATCH_SIZE = parseInt(process.env.IMPORT_BATCH_SIZE, 10) || 500;
+
+// Rows shown in the mapping preview
+const PREVIEW_ROW_COUNT = 20;
+
+// A running job whose progress has not moved for this long is taken over by another instance
+const STALE_JOB_AFTER = 120000;
+
+// How often this instance looks for queued or abandoned jobs
+const RESUME_INTERVAL = 60000;
+
+// Header names recognised for each contact field (compared in lower case without spaces or underscores)
+const COLUMN_ALIASES = {
+  phone: ['phone', 'phonenumber', 'mobile', 'mobilenumber', 'cell', 'number'],
+  firstName: ['firstname', 'first'],
+  lastName: ['lastname', 'last'],
+  name: ['name', 'fullname', 'contactname'],
+  email: ['email', 'emailaddress'],
+  timezone: ['timezone']
+};
+
+// Same rule as the contact model's email validator
+const EMAIL_PATTERN = /^\S+@\S+\.\S+$/;
+
+const CSV_PARSE_OPTIONS = {
+  columns: header => header.map(column => String(column).trim()),
+  skip_empty_lines: true,
+  trim: true,
+  bom: true,
+  relax_column_count: true
+};
+
+// Jobs running on this instance: jobId -> parser (destroyed to stop the job)
+const runningJobs = new Map();
+
+let resumeInterval = null;
+
+/**
+ * Store an uploaded file for a new import job
+ * @param {Readable} fileStream - Uploaded file stream
+ * @returns {Promise<Object>} { filePath, fileSize }
+ */
+export async function saveImportUpload(fileStream) {
+  await fsp.mkdir(IMPORT_UPLOAD_DIR, { recursive: true });
+
+  const filePath = path.join(IMPORT_UPLOAD_DIR, `${Date.now()}-${randomBytes(6).toString('hex')}.csv`);
+  await pipeline(fileStream, fs.createWriteStream(filePath));
+
+  const { size } = await fsp.stat(filePath);
+  return { filePath, fileSize: size };
+}
+
+/**
+ * Delete an uploaded file (missing files are ignored)
+ * @param {string} filePath - Path from saveImportUpload
+ * @returns {Promise<void>}
+ */
+export async function removeImportUpload(filePath) {
+  try {
+    await fsp.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`[Import Jobs] Error removing upload ${filePath}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Read the columns, first rows and row count of an uploaded CSV
+ * @param {string} filePath - Path from saveImportUpload
+ * @returns {Promise<Object>} { columns, previewRows, totalRows }
+ * @throws {Error} If the file is not valid CSV
+ */
+export async function scanImportFile(filePath) {
+  let columns = [];
+  const previewRows = [];
+  let totalRows = 0;
+
+  const parser = fs.createReadStream(filePath).pipe(parse({
+    ...CSV_PARSE_OPTIONS,
+    columns: header => {
+      columns = CSV_PARSE_OPTIONS.columns(header);
+      return columns;
+    }
+  }));
+
+  for await (const record of parser) {
+    totalRows++;
+    if (previewRows.length < PREVIEW_ROW_COUNT) {
+      previewRows.push(record);
+    }
+  }
+
+  return { columns, previewRows, totalRows };
+}
+
+/**
+ * Guess the column mapping from the header row
+ * @param {Array<string>} columns - CSV header row
+ * @returns {Object} Mapping (phone, name, firstName, lastName, email, timezone); other columns become custom fields
+ */
+export function suggestColumnMapping(columns = []) {
+  const mapping = {};
+
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const column = columns.find(column => aliases.includes(column.toLowerCase().replace(/[\s_]/g, '')));
+    if (column) {
+      mapping[field] = column;
+    }
+  }
+
+  return mapping;
+}
+
+/**
+ * Check a column mapping against the file's columns
+ * @param {Object} mapping - Column mapping
+ * @param {Array<string>} columns - CSV header row
+ * @returns {string|null} Problem with the mapping, or null if it can be used
+ */
+export function validateColumnMapping(mapping, columns = []) {
+  if (!mapping?.phone) {
+    return 'A phone column is required';
+  }
+
+  for (const field of Object.keys(COLUMN_ALIASES)) {
+    if (mapping[field] && !columns.includes(mapping[field])) {
+      return `Column "${mapping[field]}" (${field}) is not in the file`;
+    }
+  }
+
+  if (mapping.customFields !== undefined) {
+    if (!Array.isArray(mapping.customFields)) {
+      return 'customFields must be an array of { column, field }';
+    }
+    for (const entry of mapping.customFields) {
+      if (!entry?.column || !columns.includes(entry.column)) {
+        return `Custom field column "${entry?.column}" is not in the file`;
+      }
+      if (!entry.field || /[.$]/.test(entry.field)) {
+        return `Invalid custom field name for column "${entry.column}" (names cannot contain . or $)`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Remove surrounding quotes and whitespace from a CSV value
+ * @param {*} value - Cell value
+ * @returns {string} Cleaned value
+ */
+function cleanValue(value) {
+  if (!value) return '';
+  return String(value).replace(/^["']|["']$/g, '').trim();
+}
+
+/**
+ * Map one CSV row to a contact
+ * @param {Object} record - Row keyed by column name
+ * @param {Object} mapping - Column mapping
+ * @param {Object} options - defaultRegion, rejectInvalid
+ * @returns {Object} { contact } or { reason } if the row is rejected
+ */
+export function mapImportRow(record, mapping, options = {}) {
+  const value = field => (mapping[field] ? cleanValue(record[mapping[field]]) : '');
+
+  const phoneNumber = value('phone');
+  if (!phoneNumber) {
+    return { reason: 'No phone number' };
+  }
+
+  const normalized = normalizePhoneNumber(phoneNumber, { defaultRegion: options.defaultRegion });
+  if (!normalized.e164) {
+    return { reason: normalized.reason };
+  }
+  if (options.rejectInvalid) {
+    const region = resolvePhoneRegion(options.defaultRegion);
+    if (!normalized.valid) {
+      return { reason: normalized.reason };
+    }
+    if (normalized.country !== region) {
+      return { reason: `Only ${region} numbers are supported` };
+    }
+  }
+
+  const email = value('email');
+  if (email && !EMAIL_PATTERN.test(email)) {
+    return { reason: `Invalid email address: ${email}` };
+  }
+
+  const firstName = value('firstName');
+  const lastName = value('lastName');
+  const name = `${firstName} ${lastName}`.trim() || value('name') || 'Unknown';
+
+  // Mapped custom fields, or every column not mapped to a contact field
+  const customFields = {};
+  const customColumns = mapping.customFields
+    || Object.keys(record)
+      .filter(column => !Object.keys(COLUMN_ALIASES).some(field => mapping[field] === column))
+      .map(column => ({ column, field: column.replace(/[.$]/g, '_') })); // Map keys cannot contain . or $
+  for (const { column, field } of customColumns) {
+    const cleaned = cleanValue(record[column]);
+    if (cleaned) {
+      customFields[field] = cleaned;
+    }
+  }
+  if (firstName) customFields.firstName = firstName;
+  if (lastName) customFields.lastName = lastName;
+
+  return {
+    contact: {
+      ...toContactPhoneFields(normalized),
+      name,
+      email: email.toLowerCase(),
+      timezone: resolveContactTimezone(normalized.e164, value('timezone')),
+      customFields
+    }
+  };
+}
+
+/**
+ * Map a job's preview rows with a candidate mapping
+ * @param {Object} job - Import job
+ * @param {Object} mapping - Column mapping
+ * @param {Object} options - defaultRegion, rejectInvalid
+ * @returns {Array<Object>} { rowNumber, contact } or { rowNumber, reason } per preview row
+ */
+export function previewImportRows(job, mapping, options = {}) {
+  return (job.previewRows || []).map((record, index) => ({
+    rowNumber: index + 2, // 1-indexed + header
+    ...mapImportRow(record, mapping, options)
+  }));
+}
+
+/**
+ * Summary of a job sent to clients
+ * @param {Object} job - Import job document
+ * @returns {Object} { status, progress, campaignId, error }
+ */
+function describeJob(job) {
+  return {
+    status: job.status,
+    progress: job.progress?.toObject ? job.progress.toObject() : job.progress,
+    campaignId: job.campaignId || null,
+    error: job.error || null
+  };
+}
+
+/**
+ * Add the imported contacts to the campaign's stats and start it if the job asks to
+ * @param {Object} job - Completed import job
+ * @returns {Promise<void>}
+ */
+async function finishCampaignImport(job) {
+  const campaignRepository = getCampaignRepository();
+  const campaignId = job.campaignId.toString();
+  const imported = job.progress.created + job.progress.updated;
+
+  const campaign = await campaignRepository.getCampaignById(campaignId);
+  if (!campaign) {
+    console.warn(`[Import Jobs] Campaign ${campaignId} of import job ${job._id} no longer exists`);
+    return;
+  }
+
+  await campaignRepository.updateCampaignStats(campaignId, {
+    totalContacts: (campaign.stats?.totalContacts || 0) + imported
+  });
+
+  if (!job.options?.startCampaign || imported === 0) {
+    return;
+  }
+
+  await initializeCampaignEngine();
+  const engineStarted = await startCampaign(campaignId);
+  if (!engineStarted) {
+    // Fallback to set campaign as active; the engine picks up active campaigns on its next heartbeat
+    await campaignRepository.updateCampaignStatus(campaignId, 'active');
+  }
+  console.log(`[Import Jobs] Started campaign ${campaignId} with ${imported} imported contacts`);
+}
+
+/**
+ * Import a job's file, resuming after the rows already processed
+ * Rows before the resume point are still read (without writing) so duplicates within the file
+ * are detected exactly as in an uninterrupted run.
+ * @param {Object} job - Claimed import job
+ * @returns {Promise<void>}
+ */
+async function runImportJob(job) {
+  const jobId = job._id.toString();
+  const importJobRepository = getImportJobRepository();
+  const contactRepository = getContactRepository();
+  const options = { defaultRegion: job.options?.defaultRegion, rejectInvalid: job.options?.rejectInvalid };
+  const resumeAfter = job.progress.processedRows;
+
+  // E.164 number -> row it was first seen on
+  const seenNumbers = new Map();
+  let batch = [];
+  let rejections = [];
+  let rowNumber = 1;
+  let current = job;
+
+  const writeBatch = async () => {
+    const processedRows = batch.length + rejections.length;
+    const { created, updated, errors } = await contactRepository.bulkUpsertContacts(batch.map(row => row.contact), job.campaignId);
+    for (const { index, error } of errors) {
+      rejections.push({ rowNumber: batch[index].rowNumber, reason: error, row: batch[index].record });
+    }
+
+    current = await importJobRepository.recordImportBatch(jobId, INSTANCE_ID, {
+      processedRows,
+      created,
+      updated,
+      rejected: rejections.length
+    }, rejections);
+    batch = [];
+    rejections = [];
+
+    if (current) {
+      emitImportJobUpdate(jobId, describeJob(current));
+    }
+    return Boolean(current);
+  };
+
+  const parser = fs.createReadStream(job.filePath).pipe(parse(CSV_PARSE_OPTIONS));
+  runningJobs.set(jobId, parser);
+  console.log(`[Import Jobs] Running import job ${jobId}${resumeAfter > 0 ? ` from row ${resumeAfter + 2}` : ''}`);
+
+  try {
+    for await (const record of parser) {
+      rowNumber++;
+
+      let result = mapImportRow(record, job.mapping, options);
+      if (result.contact) {
+        const firstRow = seenNumbers.get(result.contact.phoneNumber);
+        if (firstRow) {
+          result = { reason: `Duplicate phone number (first seen on row ${firstRow})` };
+        } else {
+          seenNumbers.set(result.contact.phoneNumber, rowNumber);
+        }
+      }
+
+      if (rowNumber - 1 <= resumeAfter) {
+        continue;
+      }
+
+      if (result.contact) {
+        batch.push({ rowNumber, record, contact: result.contact });
+      } else {
+        rejections.push({ rowNumber, reason: result.reason, row: record });
+      }
+
+      if (batch.length + rejections.length >= BATCH_SIZE && !(await writeBatch())) {
+        break;
+      }
+    }
+
+    if (current && batch.length + rejections.length > 0) {
+      await writeBatch();
+    }
+
+    // Canceled, released on shutdown, or taken over by another instance
+    if (!current) {
+      const latest = await importJobRepository.getImportJobById(jobId);
+      console.log(`[Import Jobs] Stopped import job ${jobId} (${latest?.status})`);
+      if (latest?.status === 'canceled') {
+        emitImportJobUpdate(jobId, describeJob(latest));
+        await removeImportUpload(job.filePath);
+      }
+      return;
+    }
+
+    const finished = await importJobRepository.finishImportJob(jobId, INSTANCE_ID, 'completed');
+    if (!finished) {
+      return;
+    }
+    emitImportJobUpdate(jobId, describeJob(finished));
+    await removeImportUpload(job.filePath);
+
+    if (finished.campaignId) {
+      await finishCampaignImport(finished);
+    }
+  } catch (error) {
+    console.error(`[Import Jobs] Import job ${jobId} failed at row ${rowNumber}:`, error);
+
+    try {
+      const failed = await importJobRepository.finishImportJob(jobId, INSTANCE_ID, 'failed', error.message);
+      if (failed) {
+        emitImportJobUpdate(jobId, describeJob(failed));
+        await removeImportUpload(job.filePath);
+      }
+    } catch (finishError) {
+      // Already logged by the repository; the job is resumed once its heartbeat is stale
+    }
+  } finally {
+    runningJobs.delete(jobId);
+    parser.destroy();
+  }
+}
+
+/**
+ * Run a queued job (or one abandoned by another instance) on this instance
+ * Returns once the job is claimed; the import itself runs in the background.
+ * @param {string} jobId - Import job ID
+ * @returns {Promise<boolean>} True if the job is running here
+ */
+export async function startImportJob(jobId) {
+  jobId = String(jobId);
+  if (runningJobs.has(jobId)) {
+    return true;
+  }
+
+  const job = await getImportJobRepository().claimImportJob(jobId, INSTANCE_ID, new Date(Date.now() - STALE_JOB_AFTER));
+  if (!job) {
+    return false;
+  }
+
+  emitImportJobUpdate(jobId, describeJob(job));
+  runImportJob(job);
+  return true;
+}
+
+/**
+ * Start every queued or abandoned job whose file is on this instance's disk
+ * @returns {Promise<number>} Number of jobs started
+ */
+async function resumeImportJobs() {
+  const jobs = await getImportJobRepository().getResumableImportJobs(new Date(Date.now() - STALE_JOB_AFTER));
+  let started = 0;
+
+  for (const job of jobs) {
+    try {
+      await fsp.access(job.filePath);
+    } catch (error) {
+      continue; // Uploaded to another instance
+    }
+
+    if (await startImportJob(job._id)) {
+      started++;
+    }
+  }
+
+  if (started > 0) {
+    console.log(`[Import Jobs] Resumed ${started} import jobs`);
+  }
+  return started;
+}
+
+/**
+ * Resume unfinished jobs now and keep checking for abandoned ones
+ * @returns {Promise<void>}
+ */
+export async function initializeImportJobs() {
+  if (resumeInterval) {
+    return;
+  }
+
+  resumeInterval = setInterval(() => {
+    resumeImportJobs().catch(error => console.error('[Import Jobs] Error resuming import jobs:', error.message));
+  }, RESUME_INTERVAL);
+
+  await resumeImportJobs();
+}
+
+/**
+ * Stop this instance's jobs and put them back in the queue for the next instance
+ * @returns {Promise<void>}
+ */
+export async function shutdownImportJobs() {
+  if (resumeInterval) {
+    clearInterval(resumeInterval);
+    resumeInterval = null;
+  }
+
+  const importJobRepository = getImportJobRepository();
+  for (const [jobId, parser] of runningJobs) {
+    try {
+      await importJobRepository.releaseImportJob(jobId, INSTANCE_ID);
+      parser.destroy();
+      console.log(`[Import Jobs] Released import job ${jobId}`);
+    } catch (error) {
+      // Already logged by the repository; the job is resumed once its heartbeat is stale
+    }
+  }
+}
+
+export default {
+  IMPORT_UPLOAD_DIR,
+  IMPORT_MAX_FILE_SIZE,
+  saveImportUpload,
+  removeImportUpload,
+  scanImportFile,
+  suggestColumnMapping,
+  validateColumnMapping,
+  mapImportRow,
+  previewImportRows,
+  startImportJob,
+  initializeImportJobs,
+  shutdownImportJobs
+};
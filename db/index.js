@@ -9,6 +9,17 @@ import Transcript from './models/transcript.model.js';
 import CallEvent from './models/callEvent.model.js';
 import Campaign from './models/campaign.model.js';
 import Contact from './models/contact.model.js';
+import Agent from './models/agent.model.js';
+import ApiKey from './models/apiKey.model.js';
+import Topic from './models/topic.model.js';
+import Suppression from './models/suppression.model.js';
+import ImportJob from './models/importJob.model.js';
+import ImportRejection from './models/importRejection.model.js';
+import AmdConfig from './models/amdConfig.model.js';
+import MetricSample from './models/metricSample.model.js';
+import MetricRollup from './models/metricRollup.model.js';
+import Callback from './models/callback.model.js';
+import AuditLog from './models/auditLog.model.js';
 import * as callRepository from './repositories/call.repository.js';
 import * as recordingRepository from './repositories/recording.repository.js';
 import * as transcriptRepository from './repositories/transcript.repository.js';
@@ -16,6 +27,15 @@ import * as callEventRepository from './repositories/callEvent.repository.js';
 import * as analyticsRepository from './repositories/analytics.repository.js';
 import * as campaignRepository from './repositories/campaign.repository.js';
 import * as contactRepository from './repositories/contact.repository.js';
+import * as agentRepository from './repositories/agent.repository.js';
+import * as apiKeyRepository from './repositories/apiKey.repository.js';
+import * as topicRepository from './repositories/topic.repository.js';
+import * as suppressionRepository from './repositories/suppression.repository.js';
+import * as importJobRepository from './repositories/importJob.repository.js';
+import * as amdConfigRepository from './repositories/amdConfig.repository.js';
+import * as metricRepository from './repositories/metric.repository.js';
+import * as callbackRepository from './repositories/callback.repository.js';
+import * as auditLogRepository from './repositories/auditLog.repository.js';
 import * as webhookHandler from './webhook-handler-db.js';
 import { registerCallApiRoutes } from './api/call-api.js';
 import { registerRecordingApiRoutes } from './api/recording-api.js';
@@ -25,6 +45,14 @@ import { registerCallEventApiRoutes } from './api/callEvent-api.js';
 import { registerDashboardApiRoutes } from './api/dashboard-api.js';
 import { registerCampaignApiRoutes } from './api/campaign-api.js';
 import { registerContactApiRoutes } from './api/contact-api.js';
+import { registerAgentApiRoutes } from './api/agent-api.js';
+import { registerApiKeyApiRoutes } from './api/apiKey-api.js';
+import { registerTopicApiRoutes } from './api/topic-api.js';
+import { registerSuppressionApiRoutes } from './api/suppression-api.js';
+import { registerImportJobApiRoutes } from './api/importJob-api.js';
+import { registerAmdConfigApiRoutes } from './api/amdConfig-api.js';
+import { registerCallbackApiRoutes } from './api/callback-api.js';
+import { registerRetentionApiRoutes } from './api/retention-api.js';
 
 /**
  * Initialize MongoDB integration
@@ -39,6 +67,20 @@ export async function initializeMongoDB(fastify, options = {}) {
     // Connect to MongoDB
     const connection = await connectToDatabase();
     
+    // Seed the topic taxonomy on first run
+    try {
+      await topicRepository.ensureDefaultTopics();
+    } catch (error) {
+      console.error('[MongoDB] Could not seed default topics:', error.message);
+    }
+    
+    // Seed AMD config version 1 from amd-config.js on first run
+    try {
+      await amdConfigRepository.ensureDefaultAmdConfig();
+    } catch (error) {
+      console.error('[MongoDB] Could not seed default AMD config:', error.message);
+    }
+    
     // Register API routes if fastify instance is provided
     if (fastify) {
       // Register call API routes
@@ -74,6 +116,38 @@ export async function initializeMongoDB(fastify, options = {}) {
       // Register contact API routes
       registerContactApiRoutes(fastify, options);
       console.log('[MongoDB] Registered contact API routes');
+      
+      // Register agent API routes
+      registerAgentApiRoutes(fastify, options);
+      console.log('[MongoDB] Registered agent API routes');
+      
+      // Register API key admin routes
+      registerApiKeyApiRoutes(fastify, options);
+      console.log('[MongoDB] Registered API key admin routes');
+      
+      // Register topic taxonomy routes
+      registerTopicApiRoutes(fastify, options);
+      console.log('[MongoDB] Registered topic API routes');
+      
+      // Register do-not-call list routes
+      registerSuppressionApiRoutes(fastify, options);
+      console.log('[MongoDB] Registered suppression API routes');
+      
+      // Register contact import job routes
+      registerImportJobApiRoutes(fastify, options);
+      console.log('[MongoDB] Registered import job API routes');
+      
+      // Register versioned AMD config routes
+      registerAmdConfigApiRoutes(fastify, options);
+      console.log('[MongoDB] Registered AMD config API routes');
+      
+      // Register callback routes
+      registerCallbackApiRoutes(fastify, options);
+      console.log('[MongoDB] Registered callback API routes');
+      
+      // Register retention and audit log routes
+      registerRetentionApiRoutes(fastify, options);
+      console.log('[MongoDB] Registered retention API routes');
     }
     
     // Set up active calls reference if provided
@@ -98,7 +172,18 @@ export async function initializeMongoDB(fastify, options = {}) {
         Transcript,
         CallEvent,
         Campaign,
-        Contact
+        Contact,
+        Agent,
+        ApiKey,
+        Topic,
+        Suppression,
+        ImportJob,
+        ImportRejection,
+        AmdConfig,
+        MetricSample,
+        MetricRollup,
+        Callback,
+        AuditLog
       },
       repositories: {
         call: callRepository,
@@ -107,7 +192,16 @@ export async function initializeMongoDB(fastify, options = {}) {
         callEvent: callEventRepository,
         analytics: analyticsRepository,
         campaign: campaignRepository,
-        contact: contactRepository
+        contact: contactRepository,
+        agent: agentRepository,
+        apiKey: apiKeyRepository,
+        topic: topicRepository,
+        suppression: suppressionRepository,
+        importJob: importJobRepository,
+        amdConfig: amdConfigRepository,
+        metric: metricRepository,
+        callback: callbackRepository,
+        auditLog: auditLogRepository
       },
       webhookHandler,
       closeConnection
@@ -241,6 +335,70 @@ export function getContactRepository() {
   return contactRepository;
 }
 
+/**
+ * Get agent repository
+ * @returns {Object} Agent repository
+ */
+export function getAgentRepository() {
+  return agentRepository;
+}
+
+/**
+ * Get topic repository
+ * @returns {Object} Topic repository
+ */
+export function getTopicRepository() {
+  return topicRepository;
+}
+
+/**
+ * Get suppression repository
+ * @returns {Object} Suppression repository
+ */
+export function getSuppressionRepository() {
+  return suppressionRepository;
+}
+
+/**
+ * Get import job repository
+ * @returns {Object} Import job repository
+ */
+export function getImportJobRepository() {
+  return importJobRepository;
+}
+
+/**
+ * Get AMD config repository
+ * @returns {Object} AMD config repository
+ */
+export function getAmdConfigRepository() {
+  return amdConfigRepository;
+}
+
+/**
+ * Get metric repository
+ * @returns {Object} Metric repository
+ */
+export function getMetricRepository() {
+  return metricRepository;
+}
+
+/**
+ * Get callback repository
+ * @returns {Object} Callback repository
+ */
+export function getCallbackRepository() {
+  return callbackRepository;
+}
+
+/**
+ * Get audit log repository
+ * @returns {Object} Audit log repository
+ */
+export function getAuditLogRepository() {
+  return auditLogRepository;
+}
+
 export {
   connectToDatabase,
   closeConnection,
@@ -260,12 +418,31 @@ export default {
   getAnalyticsRepository,
   getCampaignRepository,
   getContactRepository,
+  getAgentRepository,
+  getTopicRepository,
+  getSuppressionRepository,
+  getImportJobRepository,
+  getAmdConfigRepository,
+  getMetricRepository,
+  getCallbackRepository,
+  getAuditLogRepository,
   models: {
     Call,
     Recording,
     Transcript,
     CallEvent,
     Campaign,
-    Contact
+    Contact,
+    Agent,
+    ApiKey,
+    Topic,
+    Suppression,
+    ImportJob,
+    ImportRejection,
+    AmdConfig,
+    MetricSample,
+    MetricRollup,
+    Callback,
+    AuditLog
   }
 };
\ No newline at end of file
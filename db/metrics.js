@@ -0,0 +1,160 @@
+/**
+ * Metrics Writer
+ * Buffers AMD, latency and termination measurements and writes them to MongoDB in batches:
+ * raw samples to metric_samples (expired after METRIC_SAMPLE_TTL_DAYS) and per-minute
+ * rollups to metric_rollups, which the stats endpoints read.
+ */
+import { saveMetricSamples, addMetricRollups } from './repositories/metric.repository.js';
+
+// How long samples are collected before they are written in one batch
+const FLUSH_INTERVAL = parseInt(process.env.METRICS_FLUSH_INTERVAL_MS, 10) || 10000;
+
+// Flush straight away once this many samples are queued
+const MAX_BATCH_SIZE = 500;
+
+// Drop the oldest samples beyond this while MongoDB is unavailable
+const MAX_PENDING_SAMPLES = 10000;
+
+// Window the stats endpoints cover when none is given
+const DEFAULT_WINDOW = 24 * 60 * 60 * 1000;
+
+let pendingSamples = [];
+let flushTimer = null;
+let flushInProgress = false;
+
+/**
+ * Record a measurement
+ * @param {string} name - Metric name, e.g. 'latency.audio_round_trip'
+ * @param {number} value - Measured value (1 for events that are only counted)
+ * @param {Object} dimensions - Values to group by, e.g. { answeredBy: 'human' }
+ * @param {string} callSid - Call the measurement belongs to (optional, kept on the raw sample only)
+ */
+export function recordMetric(name, value, dimensions = {}, callSid = null) {
+  if (!name || typeof value !== 'number' || !Number.isFinite(value)) {
+    return;
+  }
+
+  pendingSamples.push({ name, value, dimensions, callSid, timestamp: new Date() });
+
+  if (pendingSamples.length >= MAX_BATCH_SIZE) {
+    flushMetrics();
+  } else {
+    scheduleFlush();
+  }
+}
+
+/**
+ * Start the flush timer if one is not already pending
+ */
+function scheduleFlush() {
+  if (!flushTimer) {
+    flushTimer = setTimeout(flushMetrics, FLUSH_INTERVAL);
+  }
+}
+
+/**
+ * Dimensions as a stable string for the rollup key
+ * @param {Object} dimensions - Dimensions
+ * @returns {string} e.g. 'reason=inactivity|source=system'
+ */
+function dimensionKey(dimensions = {}) {
+  return Object.keys(dimensions)
+    .sort()
+    .map(key => `${key}=${dimensions[key]}`)
+    .join('|');
+}
+
+/**
+ * Combine samples into per-minute rollups
+ * @param {Array} samples - Samples
+ * @returns {Array} Rollups
+ */
+function buildRollups(samples) {
+  const rollups = new Map();
+
+  for (const sample of samples) {
+    const minute = new Date(Math.floor(sample.timestamp.getTime() / 60000) * 60000);
+    const key = dimensionKey(sample.dimensions);
+    const id = `${sample.name}\n${minute.getTime()}\n${key}`;
+
+    const rollup = rollups.get(id);
+    if (rollup) {
+      rollup.count++;
+      rollup.sum += sample.value;
+      rollup.min = Math.min(rollup.min, sample.value);
+      rollup.max = Math.max(rollup.max, sample.value);
+    } else {
+      rollups.set(id, {
+        name: sample.name,
+        minute,
+        dimensions: sample.dimensions,
+        key,
+        count: 1,
+        sum: sample.value,
+        min: sample.value,
+        max: sample.value
+      });
+    }
+  }
+
+  return [...rollups.values()];
+}
+
+/**
+ * Write every queued sample to MongoDB
+ * Samples are put back on the queue if the write fails.
+ * @returns {Promise<void>}
+ */
+export async function flushMetrics() {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+
+  if (flushInProgress || pendingSamples.length === 0) {
+    return;
+  }
+
+  flushInProgress = true;
+  const batch = pendingSamples;
+  pendingSamples = [];
+
+  try {
+    // Rollups first: they back the stats, raw samples are only kept for investigation
+    await addMetricRollups(buildRollups(batch));
+    try {
+      await saveMetricSamples(batch);
+    } catch (error) {
+      // Already logged by the repository; the rollups are written, so the samples are not retried
+    }
+  } catch (error) {
+    pendingSamples = [...batch, ...pendingSamples].slice(-MAX_PENDING_SAMPLES);
+  } finally {
+    flushInProgress = false;
+    if (pendingSamples.length > 0) {
+      scheduleFlush();
+    }
+  }
+}
+
+/**
+ * Resolve the time window for a stats request
+ * @param {Object} query - Request query (startDate, endDate)
+ * @returns {Object|null} { startDate, endDate }, or null if a date is invalid
+ */
+export function resolveMetricWindow({ startDate, endDate } = {}) {
+  const end = endDate ? new Date(endDate) : new Date();
+  const start = startDate ? new Date(startDate) : new Date(end.getTime() - DEFAULT_WINDOW);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || start >= end) {
+    return null;
+  }
+
+  return { startDate: start, endDate: end };
+}
+
+export default {
+  recordMetric,
+  flushMetrics,
+  resolveMetricWindow
+};
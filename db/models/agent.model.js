@@ -0,0 +1,54 @@
+/**
+ * Agent Model
+ * Mongoose schema for the agents collection (ElevenLabs agent registry)
+ */
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+/**
+ * Agent Schema
+ * Maps a named agent to its ElevenLabs Conversational AI agent ID
+ */
+const agentSchema = new Schema({
+  // Basic agent information
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  elevenLabsAgentId: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true,
+    index: true
+  },
+
+  // Agent defaults (campaign settings take precedence)
+  defaultFirstMessage: {
+    type: String
+  },
+  voiceNotes: {
+    type: String
+  },
+
+  // Inactive agents cannot be assigned to new campaigns
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  }
+}, {
+  timestamps: true,
+  collection: 'agents'
+});
+
+// Create indexes for common query patterns
+agentSchema.index({ createdAt: -1 });
+
+// Create the model
+const Agent = mongoose.model('Agent', agentSchema);
+
+export default Agent;
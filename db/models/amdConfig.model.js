@@ -0,0 +1,112 @@
+/**
+ * AMD Config Model
+ * Mongoose schema for the amd_configs collection (versioned answering machine detection settings)
+ */
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+/**
+ * Detection Counts Schema
+ * How calls that were actually answered by one party were detected
+ */
+const detectionCountsSchema = new Schema({
+  human: { type: Number, default: 0 },
+  machine: { type: Number, default: 0 },
+  unknown: { type: Number, default: 0 }
+}, { _id: false });
+
+/**
+ * Confusion Matrix Schema
+ * Actual answerer (from the transcript) -> detected answerer
+ */
+const confusionMatrixSchema = new Schema({
+  human: { type: detectionCountsSchema, default: () => ({}) },
+  machine: { type: detectionCountsSchema, default: () => ({}) }
+}, { _id: false });
+
+/**
+ * AMD Config Schema
+ * Settings are never edited once calls have used them; changing a threshold means creating a new version
+ */
+const amdConfigSchema = new Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String
+  },
+  // Used by campaigns that do not pick a version
+  isDefault: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+
+  // Twilio machine detection parameters (ranges as accepted by Twilio)
+  settings: {
+    machineDetection: {
+      type: String,
+      enum: ['Enable', 'DetectMessageEnd'],
+      default: 'Enable'
+    },
+    machineDetectionTimeout: {             // Seconds
+      type: Number,
+      min: 3,
+      max: 59,
+      default: 30
+    },
+    machineDetectionSpeechThreshold: {     // Milliseconds
+      type: Number,
+      min: 1000,
+      max: 6000,
+      default: 2400
+    },
+    machineDetectionSpeechEndThreshold: {  // Milliseconds
+      type: Number,
+      min: 500,
+      max: 5000,
+      default: 1200
+    },
+    machineDetectionSilenceTimeout: {      // Milliseconds
+      type: Number,
+      min: 2000,
+      max: 10000,
+      default: 5000
+    }
+  },
+
+  // Detection accuracy against transcript ground truth (see db/amd-feedback.js)
+  feedback: {
+    matrix: {                // Twilio's answeredBy
+      type: confusionMatrixSchema,
+      default: () => ({})
+    },
+    enhancedMatrix: {        // enhancedAnsweredBy (amd-config.js post-processing)
+      type: confusionMatrixSchema,
+      default: () => ({})
+    },
+    unevaluated: {           // Calls whose transcript could not tell who answered
+      type: Number,
+      default: 0
+    },
+    lastEvaluatedAt: {
+      type: Date,
+      default: null
+    }
+  }
+}, {
+  timestamps: true,
+  collection: 'amd_configs'
+});
+
+// Create the model
+const AmdConfig = mongoose.model('AmdConfig', amdConfigSchema);
+
+export default AmdConfig;
@@ -0,0 +1,90 @@
+/**
+ * API Key Model
+ * Mongoose schema for the apiKeys collection
+ */
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Scopes in increasing order of privilege
+export const API_KEY_SCOPES = ['read-only', 'campaign-operator', 'admin'];
+
+/**
+ * API Key Schema
+ * Stores hashed API keys (the plaintext key is only returned once, when minted)
+ */
+const apiKeySchema = new Schema({
+  // Human readable label, e.g. "Dashboard (production)"
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // SHA-256 hash of the key and a short prefix to identify it in listings
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  keyPrefix: {
+    type: String,
+    required: true
+  },
+
+  // Access control
+  scopes: {
+    type: [{ type: String, enum: API_KEY_SCOPES }],
+    default: () => ['read-only'],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+
+  // Lifecycle
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  createdBy: {
+    type: String,
+    default: null
+  },
+
+  // Usage tracking
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'apiKeys'
+});
+
+// Create indexes for common query patterns
+apiKeySchema.index({ createdAt: -1 });
+
+// Never expose the hash when serializing
+apiKeySchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.keyHash;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Create the model
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,68 @@
+/**
+ * Audit Log Model
+ * Mongoose schema for the audit_logs collection (data removed by retention policies)
+ */
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+/**
+ * Audit Log Schema
+ * One entry per purge; entries are never updated or deleted
+ */
+const auditLogSchema = new Schema({
+  action: {
+    type: String,
+    enum: ['recording_purged', 'transcript_purged'],
+    required: true,
+    index: true
+  },
+
+  // What was removed: the recording SID or transcript ID, and the call it belonged to
+  resourceId: {
+    type: String,
+    required: true
+  },
+  callSid: {
+    type: String,
+    default: null,
+    index: true
+  },
+  campaignId: {
+    type: String,
+    default: null,
+    index: true
+  },
+
+  // Policy that removed it: its retention days and where they came from ('campaign' or 'default')
+  policy: {
+    days: { type: Number, required: true },
+    source: { type: String, enum: ['campaign', 'default'], required: true }
+  },
+
+  // When the removed data was created, and what else went with it (e.g. archived audio, Twilio's copy)
+  resourceCreatedAt: {
+    type: Date,
+    default: null
+  },
+  details: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Server instance that did the purge
+  performedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  collection: 'audit_logs'
+});
+
+auditLogSchema.index({ createdAt: -1 });
+
+// Create the model
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -3,6 +3,7 @@
  * Mongoose schema for the calls collection
  */
 import mongoose from 'mongoose';
+import { softDeletePlugin } from '../utils/soft-delete.js';
 
 const { Schema } = mongoose;
 
@@ -95,11 +96,41 @@ const callSchema = new Schema({
     type: String 
   },
   
+  // Voicemail left by the campaign's voicemail drop (see voicemail.js)
+  voicemail: {
+    strategy: { type: String, enum: ['audio', 'message'] },
+    answeredBy: { type: String },
+    leftAt: { type: Date }
+  },
+  
+  // Warm transfer to a human (see transfer.js)
+  transfer: {
+    target: { type: String },
+    targetType: { type: String, enum: ['number', 'sip'] },
+    requestedBy: { type: String, enum: ['agent', 'supervisor'] },
+    reason: { type: String },
+    summary: { type: String },
+    requestedAt: { type: Date },
+    dialStatus: { type: String },   // Twilio DialCallStatus: completed, busy, no-answer, failed, canceled
+    dialDuration: { type: Number }  // Seconds the prospect spent with the human
+  },
+  
   // Call outcome
   outcome: { 
     type: String,
     enum: ['held', 'voicemail', 'no-answer', 'failed', 'unknown']
   },
+  // Business outcome, from the campaign's disposition codes (see db/utils/disposition.js) or set by hand
+  disposition: {
+    code: { type: String, index: true },
+    label: { type: String },
+    source: { type: String, enum: ['rule', 'default', 'manual'] },
+    matchedBy: { type: String },   // Conditions that matched, for 'rule'
+    autoCode: { type: String },    // Resolved from the analysis (kept when overridden by hand)
+    notes: { type: String },
+    setBy: { type: String },
+    setAt: { type: Date }
+  },
   terminatedBy: { 
     type: String 
   },
@@ -112,8 +143,22 @@ const callSchema = new Schema({
   enhancedAnsweredBy: {
     type: String
   },
-  amdConfidence: {
-    type: Number
+  amdConfidence: {   // 'high', 'medium' or 'low' (from enhanceAMDDetection)
+    type: String
+  },
+  
+  // AMD settings version the call was placed with (see amdConfig.model.js)
+  amdConfigVersion: {
+    type: Number,
+    default: null
+  },
+  // Who actually answered, according to the transcript (see db/amd-feedback.js)
+  amdFeedback: {
+    actual: { type: String, enum: ['human', 'machine', 'unknown'] },
+    detected: { type: String, enum: ['human', 'machine', 'unknown'] },
+    enhancedDetected: { type: String, enum: ['human', 'machine', 'unknown'] },
+    reason: { type: String },
+    evaluatedAt: { type: Date }
   },
   
   // Call quality metrics
@@ -123,6 +168,13 @@ const callSchema = new Schema({
     latency: Number,
     packetLoss: Number
   },
+  // Round trip from audio sent to ElevenLabs to its audio reply (milliseconds, from media-proxy-handler.js)
+  audioLatency: {
+    min: Number,
+    avg: Number,
+    max: Number,
+    samples: Number
+  },
   
   // Metadata
   agentId: { 
@@ -176,6 +228,9 @@ callSchema.index({ status: 1, createdAt: -1 }); // Active calls sorted by time
 callSchema.index({ campaignId: 1, status: 1 }); // Campaign performance
 callSchema.index({ agentId: 1, createdAt: -1 }); // Agent performance over time
 
+// Deleted calls are hidden until restored or deleted permanently
+callSchema.plugin(softDeletePlugin);
+
 // Create the model
 const Call = mongoose.model('Call', callSchema);
 
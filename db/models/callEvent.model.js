@@ -38,7 +38,10 @@ const callEventSchema = new Schema({
       'transcript_saved', // ADDED for when full transcript is saved
       'crm_webhook_sent', // ADDED for CRM webhook success
       'crm_webhook_failed', // ADDED for CRM webhook failure
-      'crm_webhook_error' // ADDED for CRM webhook errors
+      'crm_webhook_error', // ADDED for CRM webhook errors
+      'voicemail_left',
+      'transfer',
+      'client_tool'
     ],
     index: true
   },
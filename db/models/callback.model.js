@@ -0,0 +1,111 @@
+/**
+ * Callback Model
+ * Mongoose schema for the callbacks collection (calls back that prospects asked for)
+ */
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+/**
+ * Callback Schema
+ * One scheduled redial of a contact, dialed by db/callback-scheduler.js once it is due
+ */
+const callbackSchema = new Schema({
+  contactId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Contact',
+    required: true,
+    index: true
+  },
+  campaignId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Campaign',
+    default: null,
+    index: true
+  },
+
+  // E.164 number to dial, copied from the contact
+  phoneNumber: {
+    type: String,
+    required: true
+  },
+
+  // When to call, and the contact's local time and timezone it was asked for in
+  scheduledFor: {
+    type: Date,
+    required: true
+  },
+  localTime: {
+    type: String,
+    default: null
+  },
+  timezone: {
+    type: String,
+    default: null
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+
+  // How the callback was created, and the call the prospect asked for it on
+  source: {
+    type: String,
+    enum: ['agent', 'data_collection', 'api'],
+    required: true,
+    index: true
+  },
+  originCallSid: {
+    type: String,
+    default: null,
+    index: true
+  },
+  createdBy: {
+    type: String,
+    default: null
+  },
+
+  status: {
+    type: String,
+    enum: ['scheduled', 'dialing', 'dialed', 'failed', 'canceled'],
+    default: 'scheduled',
+    index: true
+  },
+
+  // Dialing (claimedBy/claimedAt are only meaningful while status is 'dialing')
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  claimedBy: {
+    type: String,
+    default: null
+  },
+  claimedAt: {
+    type: Date,
+    default: null
+  },
+  dialedAt: {
+    type: Date,
+    default: null
+  },
+  dialedCallSid: {
+    type: String,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'callbacks'
+});
+
+// Due callbacks, and the dashboard's upcoming/overdue lists
+callbackSchema.index({ status: 1, scheduledFor: 1 });
+
+// Create the model
+const Callback = mongoose.model('Callback', callbackSchema);
+
+export default Callback;
@@ -3,9 +3,47 @@
  * Mongoose schema for the campaigns collection
  */
 import mongoose from 'mongoose';
+import { isValidPhoneRegion } from '../utils/phone-number.js';
+import { softDeletePlugin } from '../utils/soft-delete.js';
+import { CONDITION_SOURCES, CONDITION_OPERATORS } from '../utils/disposition.js';
 
 const { Schema } = mongoose;
 
+/**
+ * Sheet Sync Status Schema
+ * Outcome of the continuous sync of a campaign's Google Sheet
+ */
+const sheetSyncStatusSchema = new Schema({
+  lastSyncedAt: { 
+    type: Date, 
+    default: null 
+  },
+  lastRowsAdded: { 
+    type: Number, 
+    default: 0 
+  },
+  rowsAdded: {      // Total across all syncs
+    type: Number, 
+    default: 0 
+  },
+  rowsExcluded: {   // Rows marked DNC/Skip in the last sync
+    type: Number, 
+    default: 0 
+  },
+  lastError: { 
+    type: String, 
+    default: null 
+  },
+  lastErrorAt: { 
+    type: Date, 
+    default: null 
+  },
+  recentErrors: [{  // Most recent sync errors (newest last)
+    message: String,
+    at: Date
+  }]
+}, { _id: false });
+
 /**
  * Sheet Info Schema
  * For Google Sheets integration
@@ -31,6 +69,23 @@ const sheetInfoSchema = new Schema({
   },
   customMessageColumn: { 
     type: String 
+  },
+  
+  // 'snapshot' imports the sheet once at start; 'continuous' keeps polling it for new rows
+  syncMode: { 
+    type: String, 
+    enum: ['snapshot', 'continuous'], 
+    default: 'snapshot' 
+  },
+  syncInterval: { 
+    type: Number, 
+    default: 60000,  // 1 minute between polls
+    min: 15000,      // Minimum 15 seconds (Sheets API read quota)
+    max: 3600000     // Maximum 1 hour
+  },
+  sync: {
+    type: sheetSyncStatusSchema,
+    default: () => ({})
   }
 }, { _id: false });
 
@@ -55,7 +110,15 @@ const campaignStatsSchema = new Schema({
     type: Number, 
     default: 0 
   },
-  callsFailed: { 
+  callsFailed: {      // Includes no-answers
+    type: Number, 
+    default: 0 
+  },
+  callsNoAnswer: { 
+    type: Number, 
+    default: 0 
+  },
+  voicemailsLeft: { 
     type: Number, 
     default: 0 
   },
@@ -65,6 +128,185 @@ const campaignStatsSchema = new Schema({
   }
 }, { _id: false });
 
+/**
+ * Calling Window Schema
+ * Restricts when contacts may be called, evaluated in each contact's local time
+ */
+const callingWindowSchema = new Schema({
+  enabled: { 
+    type: Boolean, 
+    default: false 
+  },
+  days: {
+    type: [{ type: Number, min: 0, max: 6 }],  // 0 = Sunday ... 6 = Saturday
+    default: () => [1, 2, 3, 4, 5]
+  },
+  startTime: { 
+    type: String, 
+    default: '09:00',
+    match: /^\d{2}:\d{2}$/
+  },
+  endTime: { 
+    type: String, 
+    default: '18:00',
+    match: /^\d{2}:\d{2}$/
+  },
+  timezone: { 
+    type: String,
+    default: null   // Used for contacts without a timezone (falls back to DEFAULT_TIMEZONE)
+  }
+}, { _id: false });
+
+/**
+ * Voicemail Settings Schema
+ * What to do when answering machine detection reports a machine
+ */
+const voicemailSettingsSchema = new Schema({
+  // 'hangup' ends the call; 'audio' and 'message' wait for the end of the greeting and leave a voicemail
+  strategy: { 
+    type: String, 
+    enum: ['hangup', 'audio', 'message'], 
+    default: 'hangup' 
+  },
+  audioUrl: {       // Recording played for 'audio'
+    type: String, 
+    default: null 
+  },
+  message: {        // {{variable}} template spoken with <Say> for 'message'
+    type: String, 
+    default: null 
+  },
+  voice: {          // <Say> voice, e.g. "Polly.Olivia-Neural"
+    type: String, 
+    default: null 
+  },
+  language: {       // <Say> language, e.g. "en-AU"
+    type: String, 
+    default: null 
+  }
+}, { _id: false });
+
+/**
+ * Transfer Settings Schema
+ * Where a live call goes when the prospect asks for a person (see transfer.js)
+ */
+const transferSettingsSchema = new Schema({
+  target: {             // Phone number or SIP address (sip:agent@example.com); TRANSFER_DEFAULT_TARGET if unset
+    type: String,
+    trim: true,
+    default: null
+  },
+  whisper: {            // Read the summary to the human before connecting them
+    type: Boolean,
+    default: true
+  },
+  sms: {                // Also text the summary and transcript so far (phone number targets only)
+    type: Boolean,
+    default: false
+  },
+  timeout: {            // Seconds to ring the human
+    type: Number,
+    default: 30,
+    min: 5,
+    max: 120
+  },
+  unavailableMessage: { // Said to the prospect when the human does not answer
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+/**
+ * Retention Settings Schema
+ * How long the campaign's call data is kept (see db/retention-job.js); unset values fall back to RETENTION_* variables
+ */
+const retentionSettingsSchema = new Schema({
+  recordingDays: {            // Delete recordings (and their audio) this many days after the call; null = keep
+    type: Number,
+    default: null,
+    min: 1
+  },
+  transcriptDays: {           // Delete transcripts this many days after the call; null = keep
+    type: Number,
+    default: null,
+    min: 1
+  },
+  keepOriginalTranscripts: {  // Keep unredacted transcript messages alongside the redacted ones
+    type: Boolean,
+    default: null
+  }
+}, { _id: false });
+
+/**
+ * Disposition Condition Schema
+ * A test on the call's ElevenLabs analysis (see db/utils/disposition.js)
+ */
+const dispositionConditionSchema = new Schema({
+  source: {             // data_collection, evaluation_criteria (tests its result) or call_successful
+    type: String,
+    enum: CONDITION_SOURCES,
+    required: true
+  },
+  id: {                 // data_collection_id or criteria_id (not used for call_successful)
+    type: String,
+    trim: true,
+    default: null
+  },
+  operator: {
+    type: String,
+    enum: CONDITION_OPERATORS,
+    default: 'equals'
+  },
+  value: {              // Compared case-insensitively; an array for 'in'
+    type: Schema.Types.Mixed,
+    default: null
+  }
+}, { _id: false });
+
+/**
+ * Disposition Code Schema
+ * A business outcome and the conditions that assign it
+ */
+const dispositionCodeSchema = new Schema({
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z0-9_]+$/
+  },
+  label: {
+    type: String,
+    trim: true
+  },
+  match: {              // 'all' conditions or 'any' condition
+    type: String,
+    enum: ['all', 'any'],
+    default: 'all'
+  },
+  conditions: [dispositionConditionSchema]
+}, { _id: false });
+
+/**
+ * Disposition Settings Schema
+ * How the campaign's calls are dispositioned; without codes DEFAULT_DISPOSITION_CODES are used
+ */
+const dispositionSettingsSchema = new Schema({
+  codes: {              // Tried in order, the first that matches wins
+    type: [dispositionCodeSchema],
+    validate: {
+      validator: codes => new Set(codes.map(code => code.code)).size === codes.length,
+      message: 'Disposition codes must be unique'
+    }
+  },
+  defaultCode: {        // Code for analyzed calls no code matches (null = leave them undispositioned)
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  }
+}, { _id: false });
+
 /**
  * Campaign Settings Schema
  * For campaign execution settings
@@ -93,6 +335,67 @@ const campaignSettingsSchema = new Schema({
     default: 3600000, // 1 hour between retries
     min: 60000,       // Minimum 1 minute
     max: 86400000     // Maximum 24 hours
+  },
+  callingWindow: {
+    type: callingWindowSchema,
+    default: () => ({})
+  },
+  voicemail: {
+    type: voicemailSettingsSchema,
+    default: () => ({})
+  },
+  transfer: {
+    type: transferSettingsSchema,
+    default: () => ({})
+  },
+  retention: {
+    type: retentionSettingsSchema,
+    default: () => ({})
+  },
+  dispositions: {
+    type: dispositionSettingsSchema,
+    default: () => ({})
+  }
+}, { _id: false });
+
+/**
+ * Variable Mapping Schema
+ * Maps a contact custom field (CSV / Google Sheets column) to an ElevenLabs dynamic variable
+ */
+const variableMappingSchema = new Schema({
+  field: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  variable: {
+    type: String,
+    required: true,
+    trim: true,
+    match: /^[A-Za-z0-9_]+$/
+  }
+}, { _id: false });
+
+/**
+ * Execution Lease Schema
+ * The server instance running the campaign; other instances may take over once the lease expires
+ */
+const executionLeaseSchema = new Schema({
+  ownerId: {
+    type: String,
+    default: null
+  },
+  acquiredAt: {
+    type: Date,
+    default: null
+  },
+  heartbeatAt: {
+    type: Date,
+    default: null
+  },
+  leaseExpiresAt: {
+    type: Date,
+    default: null
   }
 }, { _id: false });
 
@@ -114,18 +417,24 @@ const campaignSchema = new Schema({
   },
   status: { 
     type: String, 
-    enum: ['draft', 'active', 'paused', 'completed', 'cancelled'],
+    enum: ['draft', 'active', 'waiting-for-window', 'paused', 'completed', 'cancelled'],
     default: 'draft',
     index: true
   },
   
   // Campaign configuration
+  agentId: { 
+    type: Schema.Types.ObjectId,
+    ref: 'Agent',
+    index: true
+  },
   prompt: { 
     type: String 
   },
   firstMessage: { 
     type: String 
   },
+  variableMapping: [variableMappingSchema], // Unmapped custom fields are passed as snake_cased variables
   callerId: { 
     type: String 
   },
@@ -133,6 +442,20 @@ const campaignSchema = new Schema({
     type: String,
     default: 'us1'
   },
+  defaultRegion: {  // Country for contact numbers without a country code (falls back to DEFAULT_PHONE_REGION)
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: null,
+    validate: {
+      validator: value => value === null || isValidPhoneRegion(value),
+      message: props => `${props.value} is not a supported country code`
+    }
+  },
+  amdConfigVersion: {  // AMD settings version for this campaign's calls (null = the default version)
+    type: Number,
+    default: null
+  },
   
   // Google Sheets integration
   sheetInfo: sheetInfoSchema,
@@ -156,6 +479,10 @@ const campaignSchema = new Schema({
   nextExecution: {
     type: Date
   },
+  execution: {
+    type: executionLeaseSchema,
+    default: () => ({})
+  },
   
   // References to related collections
   contactIds: [{ 
@@ -175,6 +502,10 @@ const campaignSchema = new Schema({
 campaignSchema.index({ createdAt: -1 });
 campaignSchema.index({ status: 1, createdAt: -1 });
 campaignSchema.index({ status: 1, nextExecution: 1 });
+campaignSchema.index({ status: 1, 'execution.leaseExpiresAt': 1 });
+
+// Deleted campaigns are hidden until restored or deleted permanently
+campaignSchema.plugin(softDeletePlugin);
 
 // Create the model
 const Campaign = mongoose.model('Campaign', campaignSchema);
@@ -3,6 +3,7 @@
  * Mongoose schema for the contacts collection
  */
 import mongoose from 'mongoose';
+import { softDeletePlugin } from '../utils/soft-delete.js';
 
 const { Schema } = mongoose;
 
@@ -22,18 +23,72 @@ const sheetInfoSchema = new Schema({
   }
 }, { _id: false });
 
+/**
+ * Call Attempt Schema
+ * One entry per dial attempt made by the campaign engine
+ */
+const callAttemptSchema = new Schema({
+  attemptNumber: { 
+    type: Number, 
+    required: true 
+  },
+  campaignId: { 
+    type: Schema.Types.ObjectId,
+    ref: 'Campaign'
+  },
+  callSid: { 
+    type: String 
+  },
+  result: { 
+    type: String 
+  },
+  answeredBy: { 
+    type: String 
+  },
+  duration: { 
+    type: Number 
+  },
+  error: { 
+    type: String 
+  },
+  attemptedAt: { 
+    type: Date, 
+    default: Date.now 
+  },
+  nextAttemptAt: { 
+    type: Date 
+  }
+}, { _id: false });
+
 /**
  * Contact Schema
  * Stores contact data for outbound calling
  */
 const contactSchema = new Schema({
   // Basic contact information
-  phoneNumber: { 
+  phoneNumber: {    // E.164, normalized by db/utils/phone-number.js
     type: String, 
     required: true,
     trim: true,
     index: true
   },
+  phoneNumberRaw: { // As provided (CSV cell, sheet row, API request)
+    type: String,
+    trim: true
+  },
+  phoneType: {      // mobile, landline, landline-or-mobile, voip, toll-free, ...
+    type: String,
+    default: null
+  },
+  phoneCountry: {   // ISO country code of the number
+    type: String,
+    default: null
+  },
+  phoneValid: {     // False for numbers that parse but fail validation (flagged, still dialable)
+    type: Boolean,
+    default: true,
+    index: true
+  },
   name: { 
     type: String, 
     trim: true,
@@ -46,6 +101,11 @@ const contactSchema = new Schema({
     match: [/^\S+@\S+\.\S+$/, 'Please use a valid email address.'],
     index: true
   },
+  timezone: {
+    type: String,
+    trim: true,
+    default: null   // IANA timezone, from CSV or derived from the phone number
+  },
   
   // Contact metadata
   tags: [{ 
@@ -70,6 +130,27 @@ const contactSchema = new Schema({
     ref: 'Call'
   }],
   
+  // Retry scheduling (attemptCount is only incremented when the engine claims the contact)
+  attemptCount: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: null
+  },
+  callAttempts: [callAttemptSchema],
+  
+  // Server instance that claimed the contact for calling, and when (only meaningful while status is 'calling')
+  claimedBy: {
+    type: String,
+    default: null
+  },
+  claimedAt: {
+    type: Date,
+    default: null
+  },
+  
   // Campaign association
   campaignIds: [{ 
     type: Schema.Types.ObjectId,
@@ -97,7 +178,7 @@ const contactSchema = new Schema({
   // Last call result tracking
   lastCallResult: {
     type: String,
-    enum: ['completed', 'failed', 'busy', 'no-answer', 'canceled', 'failed_to_initiate', 'twilio_balance_error', null],
+    enum: ['completed', 'failed', 'busy', 'no-answer', 'voicemail', 'voicemail-left', 'canceled', 'failed_to_initiate', 'twilio_balance_error', null],
     default: null
   },
   
@@ -111,6 +192,16 @@ const contactSchema = new Schema({
     default: null
   },
   
+  // Disposition of the contact's latest dispositioned call
+  disposition: {
+    code: { type: String, default: null },
+    label: { type: String },
+    source: { type: String },
+    callSid: { type: String },
+    callAt: { type: Date },       // When that call was placed (an older call's disposition does not replace it)
+    setAt: { type: Date }
+  },
+  
   // Contact priority (for campaign execution)
   priority: {
     type: Number,
@@ -129,10 +220,16 @@ contactSchema.index({ createdAt: -1 });
 contactSchema.index({ 'customFields.company': 1 });
 contactSchema.index({ status: 1, priority: -1 });
 contactSchema.index({ campaignIds: 1, status: 1 });
+contactSchema.index({ campaignIds: 1, status: 1, nextAttemptAt: 1 });
+contactSchema.index({ campaignIds: 1, status: 1, timezone: 1 });
+contactSchema.index({ campaignIds: 1, 'disposition.code': 1 });
 
 // Create compound indexes
 contactSchema.index({ phoneNumber: 1, campaignIds: 1 }, { unique: true });
 
+// Deleted contacts are hidden (and not dialed) until restored or deleted permanently
+contactSchema.plugin(softDeletePlugin);
+
 // Create the model
 const Contact = mongoose.model('Contact', contactSchema);
 
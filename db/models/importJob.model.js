@@ -0,0 +1,137 @@
+/**
+ * Import Job Model
+ * Mongoose schema for the import_jobs collection (CSV contact imports run in the background)
+ */
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+/**
+ * Column Mapping Schema
+ * CSV column read into each contact field
+ */
+const columnMappingSchema = new Schema({
+  phone: {
+    type: String
+  },
+  name: {
+    type: String
+  },
+  firstName: {
+    type: String
+  },
+  lastName: {
+    type: String
+  },
+  email: {
+    type: String
+  },
+  timezone: {
+    type: String
+  },
+  // Columns kept as custom fields; when unset every unmapped column is kept under its own name
+  customFields: {
+    type: [{
+      _id: false,
+      column: { type: String, required: true },
+      field: { type: String, required: true }
+    }],
+    default: undefined
+  }
+}, { _id: false });
+
+/**
+ * Import Job Schema
+ * One entry per uploaded file; progress is saved after every batch so a job can resume
+ */
+const importJobSchema = new Schema({
+  status: {
+    type: String,
+    enum: ['awaiting-mapping', 'queued', 'running', 'completed', 'failed', 'canceled'],
+    default: 'awaiting-mapping',
+    index: true
+  },
+
+  // Uploaded file, kept on the disk of the instance that received it until the job finishes
+  fileName: {
+    type: String
+  },
+  filePath: {
+    type: String,
+    required: true
+  },
+  fileSize: {
+    type: Number
+  },
+
+  // Header row and the first rows of the file, for the mapping step
+  columns: [{
+    type: String
+  }],
+  previewRows: {
+    type: [Schema.Types.Mixed],
+    default: []
+  },
+  mapping: columnMappingSchema,
+
+  // defaultRegion for numbers without a country code; rejectInvalid also rejects numbers
+  // that parse but are not valid (or are from another country)
+  options: {
+    defaultRegion: { type: String, default: null },
+    rejectInvalid: { type: Boolean, default: false },
+    startCampaign: { type: Boolean, default: false }
+  },
+
+  // Campaign the contacts are added to (optional)
+  campaignId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Campaign',
+    index: true
+  },
+
+  // Data rows, not counting the header
+  progress: {
+    totalRows: { type: Number, default: 0 },
+    processedRows: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    rejected: { type: Number, default: 0 }
+  },
+
+  // Server instance running the job; a running job whose heartbeat stops is taken over
+  workerId: {
+    type: String,
+    default: null
+  },
+  heartbeatAt: {
+    type: Date,
+    default: null
+  },
+
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  error: {
+    type: String,
+    default: null
+  },
+
+  // API key label or user that uploaded the file
+  createdBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'import_jobs'
+});
+
+importJobSchema.index({ createdAt: -1 });
+
+// Create the model
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+
+export default ImportJob;
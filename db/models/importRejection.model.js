@@ -0,0 +1,43 @@
+/**
+ * Import Rejection Model
+ * Mongoose schema for the import_rejections collection (CSV rows an import job could not import)
+ */
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+/**
+ * Import Rejection Schema
+ * One entry per rejected row, with the row as uploaded so it can be fixed and uploaded again
+ */
+const importRejectionSchema = new Schema({
+  jobId: {
+    type: Schema.Types.ObjectId,
+    ref: 'ImportJob',
+    required: true
+  },
+  // Row number in the uploaded file (the header is row 1)
+  rowNumber: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  row: {
+    type: Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true,
+  collection: 'import_rejections'
+});
+
+// A resumed job may reprocess its last batch; rejections are upserted by row
+importRejectionSchema.index({ jobId: 1, rowNumber: 1 }, { unique: true });
+
+// Create the model
+const ImportRejection = mongoose.model('ImportRejection', importRejectionSchema);
+
+export default ImportRejection;
@@ -0,0 +1,44 @@
+/**
+ * Metric Rollup Model
+ * Mongoose schema for the metric_rollups collection (per-minute aggregates of metric samples)
+ */
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+/**
+ * Metric Rollup Schema
+ * Count, sum, min and max of one metric with one set of dimensions over one minute
+ */
+const metricRollupSchema = new Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  minute: {              // Start of the minute
+    type: Date,
+    required: true
+  },
+  dimensions: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  key: {                 // Dimensions as a string, e.g. 'answeredBy=human' ('' for none)
+    type: String,
+    default: ''
+  },
+  count: { type: Number, default: 0 },
+  sum: { type: Number, default: 0 },
+  min: { type: Number },
+  max: { type: Number }
+}, {
+  collection: 'metric_rollups',
+  versionKey: false
+});
+
+metricRollupSchema.index({ name: 1, minute: 1, key: 1 }, { unique: true });
+
+// Create the model
+const MetricRollup = mongoose.model('MetricRollup', metricRollupSchema);
+
+export default MetricRollup;
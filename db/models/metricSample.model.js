@@ -0,0 +1,48 @@
+/**
+ * Metric Sample Model
+ * Mongoose schema for the metric_samples collection (raw AMD, latency and termination measurements)
+ */
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Raw samples are kept this long; the per-minute rollups in metric_rollups are kept
+export const METRIC_SAMPLE_TTL_DAYS = parseInt(process.env.METRIC_SAMPLE_TTL_DAYS, 10) || 7;
+
+/**
+ * Metric Sample Schema
+ * One measurement, e.g. an audio round trip of 640ms or an AMD result of machine_start
+ */
+const metricSampleSchema = new Schema({
+  name: {                // e.g. 'latency.audio_round_trip', 'amd.result'
+    type: String,
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true
+  },
+  dimensions: {          // e.g. { answeredBy: 'human' }
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  callSid: {
+    type: String,
+    default: null
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  }
+}, {
+  collection: 'metric_samples',
+  versionKey: false
+});
+
+metricSampleSchema.index({ name: 1, timestamp: -1 });
+metricSampleSchema.index({ timestamp: 1 }, { expireAfterSeconds: METRIC_SAMPLE_TTL_DAYS * 24 * 60 * 60 });
+
+// Create the model
+const MetricSample = mongoose.model('MetricSample', metricSampleSchema);
+
+export default MetricSample;
@@ -85,6 +85,27 @@ const recordingSchema = new Schema({
     type: String, 
     enum: ['pending', 'in-progress', 'completed', 'failed', 'not-requested'], 
     default: 'not-requested' 
+  },
+  
+  // Copy kept in recording storage (see utils/recording-storage.js and recording-archiver.js)
+  archive: {
+    status: {
+      type: String,
+      enum: ['pending', 'archiving', 'archived', 'failed']
+    },
+    driver: String,
+    key: String,
+    size: Number,
+    contentType: String,
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastError: String,
+    claimedBy: String,
+    claimedAt: Date,
+    archivedAt: Date,
+    twilioDeletedAt: Date
   }
 }, {
   timestamps: true, // Adds createdAt and updatedAt fields
@@ -93,6 +114,7 @@ const recordingSchema = new Schema({
 
 // Create indexes
 recordingSchema.index({ callSid: 1, createdAt: -1 });
+recordingSchema.index({ status: 1, 'archive.status': 1 });
 
 // Create the model
 const Recording = mongoose.model('Recording', recordingSchema);
@@ -0,0 +1,58 @@
+/**
+ * Suppression Model
+ * Mongoose schema for the suppressions collection (the global do-not-call list)
+ */
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+/**
+ * Suppression Schema
+ * One entry per number that must never be dialed, across all contacts and campaigns
+ */
+const suppressionSchema = new Schema({
+  // E.164, same format as contact phone numbers
+  phoneNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+
+  // How the number was added
+  source: {
+    type: String,
+    enum: ['manual', 'import', 'opt-out', 'contact'],
+    default: 'manual',
+    index: true
+  },
+
+  // API key label or user that added the number ('system' for automatic opt-outs)
+  addedBy: {
+    type: String,
+    default: null
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+
+  // Call the opt-out was detected in (source: 'opt-out')
+  callSid: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'suppressions'
+});
+
+// Create the model
+const Suppression = mongoose.model('Suppression', suppressionSchema);
+
+export default Suppression;
@@ -0,0 +1,49 @@
+/**
+ * Topic Model
+ * Mongoose schema for the topics collection (the taxonomy used for transcript topic extraction)
+ */
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+/**
+ * Topic Schema
+ * Maps a topic name to the keywords and phrases that indicate it
+ */
+const topicSchema = new Schema({
+  // Topic name shown in analytics, e.g. "Pricing"
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: null
+  },
+
+  // Keywords or multi-word phrases, matched case-insensitively on word boundaries
+  keywords: {
+    type: [{ type: String, trim: true, lowercase: true }],
+    validate: {
+      validator: keywords => keywords.length > 0,
+      message: 'At least one keyword is required'
+    }
+  },
+
+  // Inactive topics are kept but not used for extraction
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  }
+}, {
+  timestamps: true,
+  collection: 'topics'
+});
+
+// Create the model
+const Topic = mongoose.model('Topic', topicSchema);
+
+export default Topic;
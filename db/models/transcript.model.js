@@ -20,7 +20,11 @@ const transcriptItemSchema = new Schema({
     required: true
   },
   message: {
-    type: String // Optional in ElevenLabs API
+    type: String // Optional in ElevenLabs API; PII is masked before saving (see db/utils/pii-redaction.js)
+  },
+  original_message: { // Unredacted message, only kept when the campaign's retention policy allows it
+    type: String,
+    select: false
   },
   // Optional fields from ElevenLabs API (using Mixed for flexibility)
   tool_calls: [Schema.Types.Mixed],
@@ -77,6 +81,32 @@ const analysisSchema = new Schema({
   }
 }, { _id: false }); // Subdocument
 
+/**
+ * Transcript Topic Schema
+ * Topics extracted from the conversation (see db/utils/topic-extraction.js)
+ */
+const transcriptTopicSchema = new Schema({
+  name: { type: String, required: true },
+  score: { type: Number, default: null }, // Keyword match score (null for data collection topics)
+  matchedKeywords: [String],
+  source: {
+    type: String,
+    enum: ['data_collection', 'keyword'],
+    required: true
+  }
+}, { _id: false }); // Subdocument
+
+/**
+ * Redaction Counts Schema
+ * PII masked in a transcript's messages, by type
+ */
+const redactionCountsSchema = new Schema({
+  email: { type: Number, default: 0 },
+  card: { type: Number, default: 0 },
+  phone: { type: Number, default: 0 },
+  address: { type: Number, default: 0 }
+}, { _id: false }); // Subdocument
+
 /**
  * Transcript Schema (Main Schema)
  * Stores detailed conversation transcripts fetched from ElevenLabs
@@ -120,6 +150,30 @@ const transcriptSchema = new Schema({
     required: false
   },
 
+  // Topic extraction results, persisted so they can be aggregated by date range and campaign
+  topics: [transcriptTopicSchema],
+  topicsExtractedAt: {
+    type: Date,
+    default: null
+  },
+  campaignId: { // Copied from the call when topics are extracted
+    type: String,
+    default: null,
+    index: true
+  },
+
+  // PII masked when the transcript was saved
+  redaction: {
+    counts: {
+      type: redactionCountsSchema,
+      default: () => ({})
+    },
+    originalsKept: { // Whether unredacted messages are kept in original_message
+      type: Boolean,
+      default: false
+    }
+  },
+
   // Timestamps managed by Mongoose
   // createdAt and updatedAt will be added automatically by { timestamps: true }
 
@@ -131,6 +185,7 @@ const transcriptSchema = new Schema({
 // Ensure compound indexes are still relevant or update if needed
 // transcriptSchema.index({ callSid: 1, createdAt: -1 }); // Keep if useful for querying
 // transcriptSchema.index({ conversationId: 1, createdAt: -1 }); // Add if useful
+transcriptSchema.index({ topicsExtractedAt: 1, createdAt: -1 }); // Topic distribution
 
 // Create the model
 const Transcript = mongoose.models.Transcript || mongoose.model('Transcript', transcriptSchema);
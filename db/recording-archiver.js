@@ -0,0 +1,283 @@
+/**
+ * Recording Archiver
+ * Copies completed recordings from Twilio into recording storage (see utils/recording-storage.js), so
+ * they survive Twilio's retention. Recordings are queued as their completed callback arrives and swept
+ * up periodically, which also retries failures and recordings from before archiving was enabled.
+ * With RECORDING_DELETE_FROM_TWILIO=true Twilio's copy is deleted once the archive is stored.
+ */
+import { getRecordingRepository } from './index.js';
+import { INSTANCE_ID } from './campaign-engine.js';
+import { getRecordingStorage, buildRecordingKey, getContentType } from './utils/recording-storage.js';
+import { createTwilioClient } from '../service-clients.js';
+
+// How often to look for recordings that still have to be archived
+const ARCHIVER_INTERVAL = parseInt(process.env.RECORDING_ARCHIVER_INTERVAL_MS, 10) || 5 * 60 * 1000;
+
+// Recordings archived per sweep
+const BATCH_SIZE = 20;
+
+// Archive attempts before a recording is marked failed
+const MAX_ARCHIVE_ATTEMPTS = 5;
+
+let archiverInterval = null;
+let running = false;
+
+// Recordings queued by their callbacks, archived one at a time
+const queue = [];
+let draining = null;
+
+/**
+ * Get the Twilio media URL of a recording
+ * @param {Object} recording - Recording document
+ * @param {string} extension - File extension
+ * @returns {string} Media URL
+ */
+export function getTwilioMediaUrl(recording, extension = 'mp3') {
+  const baseUrl = recording.url.replace(/\.(mp3|wav)$/i, '');
+  return `${baseUrl}.${extension}`;
+}
+
+/**
+ * Fetch a recording's audio from Twilio
+ * @param {Object} recording - Recording document
+ * @param {Object} options - extension, range (a Range header to pass on)
+ * @returns {Promise<Response>} Fetch response (check ok before reading it)
+ */
+export function fetchTwilioRecording(recording, { extension = 'mp3', range } = {}) {
+  const credentials = Buffer.from(`${process.env.TWILIO_ACCOUNT_SID}:${process.env.TWILIO_AUTH_TOKEN}`).toString('base64');
+  return fetch(getTwilioMediaUrl(recording, extension), {
+    headers: {
+      Authorization: `Basic ${credentials}`,
+      ...(range ? { Range: range } : {})
+    }
+  });
+}
+
+/**
+ * Delete Twilio's copy of an archived recording, if the policy asks for it
+ * Failures are logged and left for Twilio's own retention; the archive is already safe.
+ * @param {string} recordingSid - Recording SID
+ * @returns {Promise<void>}
+ */
+async function deleteTwilioCopy(recordingSid) {
+  if (process.env.RECORDING_DELETE_FROM_TWILIO !== 'true') {
+    return;
+  }
+
+  try {
+    await createTwilioClient().recordings(recordingSid).remove();
+    await getRecordingRepository().markTwilioCopyDeleted(recordingSid);
+    console.log(`[Recordings] Deleted Twilio's copy of archived recording ${recordingSid}`);
+  } catch (error) {
+    console.error(`[Recordings] Error deleting Twilio's copy of recording ${recordingSid}:`, error.message);
+  }
+}
+
+/**
+ * Archive one claimed recording
+ * @param {Object} storage - Storage driver
+ * @param {Object} recording - Claimed recording document
+ * @returns {Promise<string>} Resulting archive status
+ */
+async function archiveClaimedRecording(storage, recording) {
+  const recordingRepository = getRecordingRepository();
+  const { recordingSid } = recording;
+
+  try {
+    const response = await fetchTwilioRecording(recording);
+    if (!response.ok) {
+      throw new Error(`Twilio returned HTTP ${response.status} for the recording's audio`);
+    }
+
+    const body = Buffer.from(await response.arrayBuffer());
+    const key = buildRecordingKey(recording, 'mp3');
+    const contentType = getContentType(key);
+    await storage.put(key, body, { contentType });
+
+    await recordingRepository.completeRecordingArchive(recordingSid, {
+      status: 'archived',
+      driver: storage.name,
+      key,
+      size: body.length,
+      contentType
+    });
+    console.log(`[Recordings] Archived recording ${recordingSid} to ${storage.name} storage as ${key} (${body.length} bytes)`);
+
+    await deleteTwilioCopy(recordingSid);
+    return 'archived';
+  } catch (error) {
+    const status = recording.archive.attempts < MAX_ARCHIVE_ATTEMPTS ? 'pending' : 'failed';
+    await recordingRepository.completeRecordingArchive(recordingSid, { status, error: error.message });
+
+    if (status === 'failed') {
+      console.error(`[Recordings] Gave up archiving recording ${recordingSid} after ${recording.archive.attempts} attempts: ${error.message}`);
+    } else {
+      console.error(`[Recordings] Could not archive recording ${recordingSid} (attempt ${recording.archive.attempts}/${MAX_ARCHIVE_ATTEMPTS}), retrying: ${error.message}`);
+    }
+    return status;
+  }
+}
+
+/**
+ * Archive a recording now, unless another instance is already archiving it
+ * @param {string} recordingSid - Recording SID
+ * @returns {Promise<string|null>} Resulting archive status, or null if archiving is off or the recording was not claimed
+ */
+export async function archiveRecording(recordingSid) {
+  const storage = getRecordingStorage();
+  if (!storage) {
+    return null;
+  }
+
+  const claimed = await getRecordingRepository().claimRecordingArchive(recordingSid, INSTANCE_ID);
+  if (!claimed) {
+    return null;
+  }
+
+  return archiveClaimedRecording(storage, claimed);
+}
+
+/**
+ * Archive queued recordings one at a time
+ * @returns {Promise<void>}
+ */
+async function drainQueue() {
+  while (queue.length > 0) {
+    const recordingSid = queue.shift();
+    try {
+      await archiveRecording(recordingSid);
+    } catch (error) {
+      // Left as it is; the next sweep picks it up again
+      console.error(`[Recordings] Error archiving recording ${recordingSid}:`, error.message);
+    }
+  }
+  draining = null;
+}
+
+/**
+ * Queue a completed recording for archiving
+ * Does nothing when no recording storage is configured.
+ * @param {string} recordingSid - Recording SID
+ */
+export function queueRecordingArchive(recordingSid) {
+  if (!getRecordingStorage() || queue.includes(recordingSid)) {
+    return;
+  }
+
+  queue.push(recordingSid);
+  if (!draining) {
+    draining = drainQueue();
+  }
+}
+
+/**
+ * Archive the completed recordings that have not been archived yet
+ * @returns {Promise<Object>} Counts of recordings by resulting archive status
+ */
+export async function runRecordingArchiver() {
+  const counts = { archived: 0, pending: 0, failed: 0 };
+  const storage = getRecordingStorage();
+  if (running || !storage) {
+    return counts;
+  }
+  running = true;
+
+  try {
+    const recordingRepository = getRecordingRepository();
+    const recordings = await recordingRepository.getRecordingsToArchive(BATCH_SIZE);
+
+    for (const recording of recordings) {
+      try {
+        const claimed = await recordingRepository.claimRecordingArchive(recording.recordingSid, INSTANCE_ID);
+        if (!claimed) {
+          continue;
+        }
+
+        counts[await archiveClaimedRecording(storage, claimed)]++;
+      } catch (error) {
+        // Left in 'archiving'; picked up again once the claim goes stale
+        console.error(`[Recordings] Error archiving recording ${recording.recordingSid}:`, error.message);
+      }
+    }
+
+    return counts;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Remove archived recordings from storage
+ * Used once their recording documents are permanently deleted; failures are logged, not thrown.
+ * @param {Array<string>} keys - Object keys
+ * @returns {Promise<number>} Number of objects removed
+ */
+export async function removeArchivedRecordings(keys) {
+  const storage = getRecordingStorage();
+  if (!storage || keys.length === 0) {
+    return 0;
+  }
+
+  let removed = 0;
+  for (const key of keys) {
+    try {
+      await storage.remove(key);
+      removed++;
+    } catch (error) {
+      console.error(`[Recordings] Error removing archived recording ${key}:`, error.message);
+    }
+  }
+  return removed;
+}
+
+/**
+ * Start archiving recordings periodically
+ * Does nothing when no recording storage is configured.
+ */
+export function initializeRecordingArchiver() {
+  if (archiverInterval) {
+    return;
+  }
+
+  const storage = getRecordingStorage();
+  if (!storage) {
+    console.log('[Recordings] No RECORDING_STORAGE_DRIVER configured, recordings are not archived');
+    return;
+  }
+
+  archiverInterval = setInterval(() => {
+    runRecordingArchiver().catch(error => console.error('[Recordings] Error running recording archiver:', error.message));
+  }, ARCHIVER_INTERVAL);
+
+  // Catch up on recordings completed while the server was down
+  runRecordingArchiver().catch(error => console.error('[Recordings] Error running recording archiver:', error.message));
+
+  const twilioPolicy = process.env.RECORDING_DELETE_FROM_TWILIO === 'true' ? ', deleting Twilio\'s copies' : '';
+  console.log(`[Recordings] Archiving recordings to ${storage.name} storage every ${Math.round(ARCHIVER_INTERVAL / 1000)}s${twilioPolicy}`);
+}
+
+/**
+ * Stop archiving recordings
+ * @returns {Promise<void>} Resolves once the queued recordings are archived
+ */
+export async function shutdownRecordingArchiver() {
+  if (archiverInterval) {
+    clearInterval(archiverInterval);
+    archiverInterval = null;
+  }
+
+  if (draining) {
+    await draining;
+  }
+}
+
+export default {
+  getTwilioMediaUrl,
+  fetchTwilioRecording,
+  archiveRecording,
+  queueRecordingArchive,
+  runRecordingArchiver,
+  removeArchivedRecordings,
+  initializeRecordingArchiver,
+  shutdownRecordingArchiver
+};
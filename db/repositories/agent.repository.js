@@ -0,0 +1,259 @@
+/**
+ * Agent Repository
+ * Provides data access methods for the agents collection
+ */
+import Agent from '../models/agent.model.js';
+import Campaign from '../models/campaign.model.js';
+import { invalidateCacheByPattern } from '../utils/cache.js';
+
+/**
+ * Save a new agent to the database
+ * @param {Object} agentData - Agent data to save
+ * @returns {Promise<Object>} Saved agent document
+ * @throws {Error} If saving fails
+ */
+export async function saveAgent(agentData) {
+  try {
+    // Create a new agent document
+    const agent = new Agent(agentData);
+
+    // Save to database
+    const savedAgent = await agent.save();
+    console.log(`[MongoDB] Saved agent: ${savedAgent.name} (${savedAgent._id})`);
+
+    // Invalidate cache
+    invalidateCacheByPattern('agent_');
+
+    return savedAgent;
+  } catch (error) {
+    console.error('[MongoDB] Error saving agent:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get agent by ID
+ * @param {string} agentId - Agent ID
+ * @returns {Promise<Object>} Agent document
+ * @throws {Error} If retrieval fails
+ */
+export async function getAgentById(agentId) {
+  try {
+    if (!agentId) {
+      throw new Error('Agent ID is required');
+    }
+
+    const agent = await Agent.findById(agentId);
+
+    if (!agent) {
+      console.log(`[MongoDB] No agent found with ID: ${agentId}`);
+      return null;
+    }
+
+    return agent;
+  } catch (error) {
+    console.error(`[MongoDB] Error getting agent with ID ${agentId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get agent by ElevenLabs agent ID
+ * @param {string} elevenLabsAgentId - ElevenLabs agent ID
+ * @returns {Promise<Object>} Agent document
+ * @throws {Error} If retrieval fails
+ */
+export async function getAgentByElevenLabsId(elevenLabsAgentId) {
+  try {
+    if (!elevenLabsAgentId) {
+      throw new Error('ElevenLabs agent ID is required');
+    }
+
+    return await Agent.findOne({ elevenLabsAgentId });
+  } catch (error) {
+    console.error(`[MongoDB] Error getting agent with ElevenLabs ID ${elevenLabsAgentId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get agents with pagination and filtering
+ * @param {Object} filters - Filter criteria
+ * @param {Object} pagination - Pagination options
+ * @returns {Promise<Object>} Object with agents array and pagination metadata
+ * @throws {Error} If retrieval fails
+ */
+export async function getAgents(filters = {}, pagination = {}) {
+  try {
+    const { search, isActive } = filters;
+    const { page = 1, limit = 20, sortBy = 'createdAt', sortOrder = -1 } = pagination;
+
+    // Build query
+    const query = {};
+
+    if (isActive !== undefined) {
+      query.isActive = isActive;
+    }
+
+    // Add search filter if provided
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { elevenLabsAgentId: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    // Calculate skip value for pagination
+    const skip = (page - 1) * limit;
+
+    // Build sort object
+    const sort = {};
+    sort[sortBy] = sortOrder;
+
+    // Execute query with pagination
+    const agents = await Agent.find(query)
+      .sort(sort)
+      .skip(skip)
+      .limit(limit);
+
+    // Get total count for pagination
+    const total = await Agent.countDocuments(query);
+
+    console.log(`[MongoDB] Retrieved ${agents.length} agents (page ${page}, total: ${total})`);
+
+    return {
+      agents,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  } catch (error) {
+    console.error('[MongoDB] Error getting agents:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update agent
+ * @param {string} agentId - Agent ID
+ * @param {Object} updateData - Data to update
+ * @returns {Promise<Object>} Updated agent document
+ * @throws {Error} If update fails
+ */
+export async function updateAgent(agentId, updateData) {
+  try {
+    if (!agentId) {
+      throw new Error('Agent ID is required');
+    }
+
+    // Find and update the agent
+    const updatedAgent = await Agent.findByIdAndUpdate(
+      agentId,
+      { $set: updateData },
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedAgent) {
+      console.log(`[MongoDB] No agent found with ID: ${agentId}`);
+      return null;
+    }
+
+    console.log(`[MongoDB] Updated agent: ${updatedAgent.name} (${updatedAgent._id})`);
+
+    // Invalidate cache
+    invalidateCacheByPattern('agent_');
+
+    return updatedAgent;
+  } catch (error) {
+    console.error(`[MongoDB] Error updating agent with ID ${agentId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete agent
+ * Agents still referenced by a campaign cannot be deleted
+ * @param {string} agentId - Agent ID
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ * @throws {Error} If deletion fails or the agent is in use
+ */
+export async function deleteAgent(agentId) {
+  try {
+    if (!agentId) {
+      throw new Error('Agent ID is required');
+    }
+
+    // Deleted campaigns count too, as they can be restored
+    const campaignsUsingAgent = await Campaign.countDocuments({ agentId }).setOptions({ withDeleted: true });
+    if (campaignsUsingAgent > 0) {
+      throw new Error(`Agent is used by ${campaignsUsingAgent} campaign(s) and cannot be deleted`);
+    }
+
+    // Find and delete the agent
+    const result = await Agent.findByIdAndDelete(agentId);
+
+    if (!result) {
+      console.log(`[MongoDB] No agent found with ID: ${agentId}`);
+      return false;
+    }
+
+    console.log(`[MongoDB] Deleted agent: ${result.name} (${result._id})`);
+
+    // Invalidate cache
+    invalidateCacheByPattern('agent_');
+
+    return true;
+  } catch (error) {
+    console.error(`[MongoDB] Error deleting agent with ID ${agentId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Resolve the ElevenLabs agent a campaign should talk through
+ * Falls back to ELEVENLABS_AGENT_ID when the campaign has no agent assigned
+ * @param {string} campaignId - Campaign ID (optional)
+ * @returns {Promise<Object>} elevenLabsAgentId, defaultFirstMessage and the registry agent (if any)
+ */
+export async function resolveAgentForCampaign(campaignId) {
+  const fallback = {
+    agent: null,
+    elevenLabsAgentId: process.env.ELEVENLABS_AGENT_ID,
+    defaultFirstMessage: null
+  };
+
+  if (!campaignId) {
+    return fallback;
+  }
+
+  try {
+    const campaign = await Campaign.findById(campaignId).select('agentId').populate('agentId');
+    const agent = campaign?.agentId;
+
+    if (!agent || !agent.elevenLabsAgentId) {
+      return fallback;
+    }
+
+    return {
+      agent,
+      elevenLabsAgentId: agent.elevenLabsAgentId,
+      defaultFirstMessage: agent.defaultFirstMessage || null
+    };
+  } catch (error) {
+    console.error(`[MongoDB] Error resolving agent for campaign ${campaignId}, using default agent:`, error);
+    return fallback;
+  }
+}
+
+export default {
+  saveAgent,
+  getAgentById,
+  getAgentByElevenLabsId,
+  getAgents,
+  updateAgent,
+  deleteAgent,
+  resolveAgentForCampaign
+};
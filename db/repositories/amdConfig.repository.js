@@ -0,0 +1,340 @@
+/**
+ * AMD Config Repository
+ * Provides data access methods for versioned AMD settings and their detection accuracy
+ */
+import AmdConfig from '../models/amdConfig.model.js';
+import Call from '../models/call.model.js';
+import Transcript from '../models/transcript.model.js';
+import { AMD_CONFIG } from '../../amd-config.js';
+import { summarizeConfusionMatrix } from '../utils/amd-ground-truth.js';
+
+// Twilio parameters a version sets
+export const AMD_SETTING_KEYS = [
+  'machineDetection',
+  'machineDetectionTimeout',
+  'machineDetectionSpeechThreshold',
+  'machineDetectionSpeechEndThreshold',
+  'machineDetectionSilenceTimeout'
+];
+
+// AnsweredBy values reported by Twilio's detection (failed, busy and no-answer calls were never detected)
+const AMD_RESULTS = ['human', 'machine_start', 'machine_end_beep', 'machine_end_silence', 'machine_end_other', 'fax', 'unknown'];
+
+/**
+ * Pick the Twilio parameters out of an object
+ * @param {Object} source - Object holding AMD settings
+ * @returns {Object} Settings
+ */
+function pickSettings(source = {}) {
+  const settings = {};
+  for (const key of AMD_SETTING_KEYS) {
+    if (source[key] !== undefined) {
+      settings[key] = source[key];
+    }
+  }
+  return settings;
+}
+
+/**
+ * Seed version 1 from amd-config.js if no versions exist yet
+ * @returns {Promise<Object|null>} Created version, or null if versions already exist
+ */
+export async function ensureDefaultAmdConfig() {
+  try {
+    const existing = await AmdConfig.estimatedDocumentCount();
+    if (existing > 0) {
+      return null;
+    }
+
+    const config = await new AmdConfig({
+      version: 1,
+      name: 'Default',
+      description: 'Seeded from amd-config.js',
+      isDefault: true,
+      settings: pickSettings(AMD_CONFIG)
+    }).save();
+    console.log('[MongoDB] Seeded AMD config version 1 from amd-config.js');
+
+    return config;
+  } catch (error) {
+    // Another instance seeded it first
+    if (error.code === 11000) {
+      return null;
+    }
+    console.error('[MongoDB] Error seeding default AMD config:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create a new AMD config version
+ * Unset settings are copied from the current default version.
+ * @param {Object} configData - name, description, settings, isDefault
+ * @returns {Promise<Object>} Saved AMD config document
+ * @throws {Error} If saving fails
+ */
+export async function createAmdConfig(configData = {}) {
+  try {
+    const [latest, current] = await Promise.all([
+      AmdConfig.findOne().sort({ version: -1 }).select('version'),
+      AmdConfig.findOne({ isDefault: true })
+    ]);
+
+    const config = await new AmdConfig({
+      version: (latest?.version || 0) + 1,
+      name: configData.name,
+      description: configData.description,
+      settings: {
+        ...pickSettings(current?.settings?.toObject ? current.settings.toObject() : current?.settings),
+        ...pickSettings(configData.settings)
+      }
+    }).save();
+    console.log(`[MongoDB] Created AMD config version ${config.version}`);
+
+    if (configData.isDefault) {
+      return await setDefaultAmdConfig(config.version);
+    }
+
+    return config;
+  } catch (error) {
+    console.error('[MongoDB] Error creating AMD config:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all AMD config versions
+ * @returns {Promise<Array>} AMD config documents, newest version first
+ * @throws {Error} If retrieval fails
+ */
+export async function getAmdConfigs() {
+  try {
+    return await AmdConfig.find().sort({ version: -1 });
+  } catch (error) {
+    console.error('[MongoDB] Error getting AMD configs:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get an AMD config by version
+ * @param {number} version - Version number
+ * @returns {Promise<Object|null>} AMD config document or null if not found
+ * @throws {Error} If retrieval fails
+ */
+export async function getAmdConfigByVersion(version) {
+  try {
+    if (version === undefined || version === null) {
+      throw new Error('AMD config version is required');
+    }
+
+    return await AmdConfig.findOne({ version: Number(version) });
+  } catch (error) {
+    console.error(`[MongoDB] Error getting AMD config version ${version}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the default AMD config
+ * @returns {Promise<Object|null>} AMD config document or null if none exist
+ * @throws {Error} If retrieval fails
+ */
+export async function getDefaultAmdConfig() {
+  try {
+    return await AmdConfig.findOne({ isDefault: true });
+  } catch (error) {
+    console.error('[MongoDB] Error getting default AMD config:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the AMD config a campaign's calls use
+ * @param {number|null} version - Campaign's amdConfigVersion (null for the default)
+ * @returns {Promise<Object|null>} AMD config document, the default if the version does not exist
+ * @throws {Error} If retrieval fails
+ */
+export async function resolveAmdConfig(version = null) {
+  try {
+    if (version !== undefined && version !== null) {
+      const config = await AmdConfig.findOne({ version: Number(version) });
+      if (config) {
+        return config;
+      }
+      console.warn(`[MongoDB] AMD config version ${version} not found, using the default`);
+    }
+
+    return await AmdConfig.findOne({ isDefault: true });
+  } catch (error) {
+    console.error(`[MongoDB] Error resolving AMD config version ${version}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Make a version the default for campaigns that do not pick one
+ * @param {number} version - Version number
+ * @returns {Promise<Object|null>} Updated AMD config document or null if not found
+ * @throws {Error} If update fails
+ */
+export async function setDefaultAmdConfig(version) {
+  try {
+    if (version === undefined || version === null) {
+      throw new Error('AMD config version is required');
+    }
+
+    const config = await AmdConfig.findOneAndUpdate(
+      { version: Number(version) },
+      { $set: { isDefault: true } },
+      { new: true }
+    );
+
+    if (!config) {
+      console.log(`[MongoDB] No AMD config found with version: ${version}`);
+      return null;
+    }
+
+    await AmdConfig.updateMany(
+      { version: { $ne: config.version }, isDefault: true },
+      { $set: { isDefault: false } }
+    );
+    console.log(`[MongoDB] AMD config version ${config.version} is now the default`);
+
+    return config;
+  } catch (error) {
+    console.error(`[MongoDB] Error setting default AMD config to version ${version}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get detection accuracy for every version, for comparing configurations
+ * @returns {Promise<Array>} Per version: version, name, isDefault, settings, evaluated, unevaluated, lastEvaluatedAt,
+ *   twilio and enhanced summaries (see summarizeConfusionMatrix)
+ * @throws {Error} If retrieval fails
+ */
+export async function getAmdAccuracyByVersion() {
+  try {
+    const configs = await AmdConfig.find().sort({ version: -1 }).lean();
+
+    return configs.map(config => {
+      const twilio = summarizeConfusionMatrix(config.feedback?.matrix);
+      return {
+        version: config.version,
+        name: config.name || null,
+        isDefault: config.isDefault,
+        settings: config.settings,
+        evaluated: twilio.humans + twilio.machines,
+        unevaluated: config.feedback?.unevaluated || 0,
+        lastEvaluatedAt: config.feedback?.lastEvaluatedAt || null,
+        twilio,
+        enhanced: summarizeConfusionMatrix(config.feedback?.enhancedMatrix)
+      };
+    });
+  } catch (error) {
+    console.error('[MongoDB] Error getting AMD accuracy by version:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get ended calls whose AMD result has not been checked against their transcript yet
+ * @param {Date} endedBefore - Only calls that ended before this time
+ * @param {number} limit - Maximum number of calls
+ * @returns {Promise<Array>} { call, transcript } pairs, oldest call first; transcript is null if there is none yet
+ * @throws {Error} If retrieval fails
+ */
+export async function getCallsAwaitingAmdFeedback(endedBefore, limit = 200) {
+  try {
+    const calls = await Call.find({
+      amdConfigVersion: { $ne: null },
+      answeredBy: { $in: AMD_RESULTS },
+      endTime: { $lt: endedBefore },
+      'amdFeedback.evaluatedAt': { $exists: false }
+    })
+      .sort({ endTime: 1 })
+      .limit(limit)
+      .select('callSid answeredBy enhancedAnsweredBy amdConfigVersion endTime')
+      .lean();
+
+    if (calls.length === 0) {
+      return [];
+    }
+
+    // Prefer the finished ElevenLabs transcript over one still being built in real time
+    const transcripts = await Transcript.find({ callSid: { $in: calls.map(call => call.callSid) } })
+      .select('callSid status transcript updatedAt')
+      .sort({ updatedAt: 1 })
+      .lean();
+    const byCallSid = new Map();
+    for (const transcript of transcripts) {
+      const current = byCallSid.get(transcript.callSid);
+      if (!current || current.status !== 'done' || transcript.status === 'done') {
+        byCallSid.set(transcript.callSid, transcript);
+      }
+    }
+
+    return calls.map(call => ({ call, transcript: byCallSid.get(call.callSid) || null }));
+  } catch (error) {
+    console.error('[MongoDB] Error getting calls awaiting AMD feedback:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record a call's transcript-derived AMD result and count it against its version
+ * Each call is counted once; a call that was already evaluated is left as is.
+ * @param {string} callSid - Call SID
+ * @param {number} version - AMD config version the call used
+ * @param {Object} feedback - actual, detected, enhancedDetected ('human', 'machine' or 'unknown'), reason
+ * @returns {Promise<boolean>} True if the call was counted
+ * @throws {Error} If update fails
+ */
+export async function recordAmdFeedback(callSid, version, feedback) {
+  try {
+    if (!callSid) {
+      throw new Error('Call SID is required');
+    }
+
+    const evaluatedAt = new Date();
+    const claimed = await Call.updateOne(
+      { callSid, 'amdFeedback.evaluatedAt': { $exists: false } },
+      { $set: { amdFeedback: { ...feedback, evaluatedAt } } }
+    );
+    if (claimed.modifiedCount === 0) {
+      return false;
+    }
+
+    const inc = {};
+    if (feedback.actual === 'unknown') {
+      inc['feedback.unevaluated'] = 1;
+    } else {
+      inc[`feedback.matrix.${feedback.actual}.${feedback.detected}`] = 1;
+      inc[`feedback.enhancedMatrix.${feedback.actual}.${feedback.enhancedDetected}`] = 1;
+    }
+
+    await AmdConfig.updateOne(
+      { version: Number(version) },
+      { $inc: inc, $set: { 'feedback.lastEvaluatedAt': evaluatedAt } }
+    );
+
+    return true;
+  } catch (error) {
+    console.error(`[MongoDB] Error recording AMD feedback for call ${callSid}:`, error);
+    throw error;
+  }
+}
+
+export default {
+  ensureDefaultAmdConfig,
+  createAmdConfig,
+  getAmdConfigs,
+  getAmdConfigByVersion,
+  getDefaultAmdConfig,
+  resolveAmdConfig,
+  setDefaultAmdConfig,
+  getAmdAccuracyByVersion,
+  getCallsAwaitingAmdFeedback,
+  recordAmdFeedback
+};
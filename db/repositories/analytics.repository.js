@@ -514,9 +514,20 @@ export async function getAgentPerformance(options = {}) {
           }
         }
       },
+      // Attach the registry entry (name) for each ElevenLabs agent ID
+      {
+        $lookup: {
+          from: 'agents',
+          localField: '_id',
+          foreignField: 'elevenLabsAgentId',
+          as: 'registryAgent'
+        }
+      },
       {
         $project: {
           agent: '$_id',
+          agentName: { $ifNull: [{ $arrayElemAt: ['$registryAgent.name', 0] }, '$_id'] },
+          registryAgentId: { $arrayElemAt: ['$registryAgent._id', 0] },
           totalCalls: 1,
           completedCalls: 1,
           successRate: {
@@ -546,7 +557,9 @@ export async function getAgentPerformance(options = {}) {
     // Transform results
     const agentPerformance = results.map(agent => {
       return {
-        agent: agent.agent,
+        agent: agent.agentName,
+        agentId: agent.agent,
+        registryAgentId: agent.registryAgentId || null,
         totalCalls: agent.totalCalls,
         completedCalls: agent.completedCalls,
         successRate: parseFloat(agent.successRate.toFixed(1)),
@@ -580,25 +593,73 @@ export async function getTopicDistribution(options = {}) {
   try {
     const { 
       startDate = null, 
-      endDate = null
+      endDate = null,
+      campaignId = null
     } = options;
     
-    // For now, return mock data since the actual implementation would depend on transcript analysis
-    console.log(`[MongoDB] Generated mock topic distribution data`);
+    // Only transcripts that have been through topic extraction
+    const matchQuery = { topicsExtractedAt: { $ne: null } };
+    if (startDate || endDate) {
+      matchQuery.createdAt = {};
+      if (startDate) {
+        matchQuery.createdAt.$gte = new Date(startDate);
+      }
+      if (endDate) {
+        matchQuery.createdAt.$lte = new Date(endDate);
+      }
+    }
+    if (campaignId) {
+      matchQuery.campaignId = campaignId;
+    }
+    
+    // Count each topic once per transcript
+    const pipeline = [
+      { $match: matchQuery },
+      {
+        $facet: {
+          topics: [
+            { $unwind: '$topics' },
+            {
+              $group: {
+                _id: '$topics.name',
+                value: { $sum: 1 }
+              }
+            },
+            { $sort: { value: -1, _id: 1 } }
+          ],
+          totals: [
+            {
+              $group: {
+                _id: null,
+                transcripts: { $sum: 1 },
+                uncategorized: {
+                  $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$topics', []] } }, 0] }, 0, 1] }
+                }
+              }
+            }
+          ]
+        }
+      }
+    ];
+    
+    // Execute aggregation
+    const [result] = await Transcript.aggregate(pipeline);
+    const totals = result?.totals?.[0] || { transcripts: 0, uncategorized: 0 };
+    
+    console.log(`[MongoDB] Retrieved topic distribution (${result?.topics?.length || 0} topics from ${totals.transcripts} transcripts)`);
     
     return {
-      topics: [
-        { name: "Pricing", value: 32 },
-        { name: "Support", value: 27 },
-        { name: "Features", value: 22 },
-        { name: "Technical Issues", value: 18 },
-        { name: "Billing", value: 14 },
-        { name: "Other", value: 7 }
-      ],
-      count: 6,
+      topics: (result?.topics || []).map(item => ({
+        name: item._id,
+        value: item.value
+      })),
+      count: result?.topics?.length || 0,
+      totalTranscripts: totals.transcripts,
+      uncategorized: totals.uncategorized,
       query: {
         startDate,
-        endDate
+        endDate,
+        campaignId
       }
     };
   } catch (error) {
@@ -607,6 +668,96 @@ export async function getTopicDistribution(options = {}) {
   }
 }
 
+/**
+ * Get call disposition distribution
+ * Calls without a disposition (not analyzed, or no code matched) are counted as 'none'.
+ * @param {Object} options - Query options (startDate, endDate, campaignId)
+ * @returns {Promise<Object>} Call disposition distribution
+ * @throws {Error} If retrieval fails
+ */
+export async function getDispositionDistribution(options = {}) {
+  try {
+    const { 
+      startDate = null, 
+      endDate = null,
+      campaignId = null
+    } = options;
+    
+    // Build match query
+    const matchQuery = {};
+    if (startDate || endDate) {
+      matchQuery.createdAt = {};
+      if (startDate) {
+        matchQuery.createdAt.$gte = new Date(startDate);
+      }
+      if (endDate) {
+        matchQuery.createdAt.$lte = new Date(endDate);
+      }
+    }
+    if (campaignId) {
+      matchQuery.campaignId = campaignId;
+    }
+    
+    // Build aggregation pipeline
+    const pipeline = [
+      { $match: matchQuery },
+      {
+        $group: {
+          _id: { $ifNull: ['$disposition.code', 'none'] },
+          label: { $last: '$disposition.label' },
+          count: { $sum: 1 },
+          manual: { $sum: { $cond: [{ $eq: ['$disposition.source', 'manual'] }, 1, 0] } },
+          // Manual dispositions that differ from the one resolved from the analysis
+          overridden: {
+            $sum: {
+              $cond: [
+                {
+                  $and: [
+                    { $eq: ['$disposition.source', 'manual'] },
+                    { $ne: [{ $ifNull: ['$disposition.autoCode', null] }, null] },
+                    { $ne: ['$disposition.autoCode', '$disposition.code'] }
+                  ]
+                },
+                1,
+                0
+              ]
+            }
+          }
+        }
+      },
+      { $sort: { count: -1, _id: 1 } }
+    ];
+    
+    // Execute aggregation
+    const results = await Call.aggregate(pipeline);
+    
+    // Get total count for percentages
+    const totalCalls = results.reduce((sum, item) => sum + item.count, 0);
+    
+    console.log(`[MongoDB] Retrieved call disposition distribution (${results.length} dispositions)`);
+    
+    return {
+      distribution: results.map(item => ({
+        disposition: item._id,
+        label: item._id === 'none' ? 'No disposition' : (item.label || item._id),
+        count: item.count,
+        manual: item.manual,
+        overridden: item.overridden,
+        percentage: totalCalls > 0 ? Math.round((item.count / totalCalls) * 100) : 0
+      })),
+      total: totalCalls,
+      query: {
+        startDate,
+        endDate,
+        campaignId
+      }
+    };
+  } catch (error) {
+    console.error(`[MongoDB] Error getting call disposition distribution:`, error);
+    throw error;
+  }
+}
+
 /**
  * Get call volume data
  * @param {Object} options - Query options
@@ -665,6 +816,9 @@ export async function getCallVolumeData(options = {}) {
       case 'answeredBy':
         groupByField = '$answeredBy';
         break;
+      case 'disposition':
+        groupByField = { $ifNull: ['$disposition.code', 'none'] };
+        break;
       default:
         groupByField = '$status';
     }
@@ -1006,6 +1160,94 @@ export async function generateCampaignPerformanceReport(options = {}) {
   }
 }
 
+/**
+ * Generate disposition report
+ * Dispositions per campaign (calls without a campaign are reported under campaignId null)
+ * @param {Object} options - Report options
+ * @returns {Promise<Object>} Disposition report
+ * @throws {Error} If generation fails
+ */
+export async function generateDispositionReport(options = {}) {
+  try {
+    const { 
+      startDate = null, 
+      endDate = null,
+      format = 'json'
+    } = options;
+    
+    // Build date range query
+    const dateQuery = {};
+    if (startDate || endDate) {
+      dateQuery.createdAt = {};
+      if (startDate) {
+        dateQuery.createdAt.$gte = new Date(startDate);
+      }
+      if (endDate) {
+        dateQuery.createdAt.$lte = new Date(endDate);
+      }
+    }
+    
+    const results = await Call.aggregate([
+      { $match: dateQuery },
+      {
+        $group: {
+          _id: {
+            campaignId: '$campaignId',
+            disposition: { $ifNull: ['$disposition.code', 'none'] }
+          },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.campaignId': 1, count: -1 } }
+    ]);
+    
+    // Campaign names (deleted campaigns included, their calls are still reported)
+    const campaignIds = [...new Set(results.map(item => item._id.campaignId).filter(Boolean))];
+    const campaigns = await Campaign.find({ _id: { $in: campaignIds.filter(id => /^[a-f0-9]{24}$/i.test(id)) } })
+      .select('name')
+      .setOptions({ withDeleted: true })
+      .lean();
+    const campaignNames = new Map(campaigns.map(campaign => [campaign._id.toString(), campaign.name]));
+    
+    const byCampaign = new Map();
+    for (const item of results) {
+      const campaignId = item._id.campaignId || null;
+      if (!byCampaign.has(campaignId)) {
+        byCampaign.set(campaignId, {
+          campaignId,
+          name: campaignId ? campaignNames.get(campaignId) || null : null,
+          totalCalls: 0,
+          dispositions: {}
+        });
+      }
+      const entry = byCampaign.get(campaignId);
+      entry.totalCalls += item.count;
+      entry.dispositions[item._id.disposition] = item.count;
+    }
+    
+    console.log(`[MongoDB] Generated disposition report for ${byCampaign.size} campaigns`);
+    
+    // Prepare report data
+    const reportData = {
+      title: 'Disposition Report',
+      generatedAt: new Date().toISOString(),
+      period: {
+        startDate: startDate ? new Date(startDate).toISOString() : 'All time',
+        endDate: endDate ? new Date(endDate).toISOString() : new Date().toISOString()
+      },
+      campaigns: [...byCampaign.values()]
+    };
+    
+    return {
+      format: 'json',
+      data: reportData
+    };
+  } catch (error) {
+    console.error(`[MongoDB] Error generating disposition report:`, error);
+    throw error;
+  }
+}
+
 export default {
   getCallDurationStats,
   getCallOutcomeDistribution,
@@ -1015,9 +1257,11 @@ export default {
   getDashboardSummary,
   getAgentPerformance,
   getTopicDistribution,
+  getDispositionDistribution,
   getCallVolumeData,
   getSuccessRateAnalytics,
   generateCallSummaryReport,
   generateAgentPerformanceReport,
-  generateCampaignPerformanceReport
+  generateCampaignPerformanceReport,
+  generateDispositionReport
 };
@@ -0,0 +1,184 @@
+/**
+ * API Key Repository
+ * Provides data access methods for the apiKeys collection
+ */
+import { createHash, randomBytes } from 'crypto';
+import ApiKey, { API_KEY_SCOPES } from '../models/apiKey.model.js';
+
+// Prefix for minted keys, makes them recognisable in logs and secret scanners
+const KEY_PREFIX = 'cai_';
+
+// Only write lastUsedAt once per minute per key
+const LAST_USED_RESOLUTION_MS = 60000;
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - Plaintext API key
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+export function hashApiKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Mint a new API key
+ * @param {Object} keyData - Key data (label, scopes, expiresAt, createdBy)
+ * @returns {Promise<Object>} Saved key document and the plaintext key (only available now)
+ * @throws {Error} If saving fails
+ */
+export async function createApiKey(keyData) {
+  try {
+    const { label, scopes = ['read-only'], expiresAt = null, createdBy = null } = keyData;
+
+    if (!label) {
+      throw new Error('Label is required');
+    }
+
+    const invalidScopes = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      throw new Error(`Invalid scopes: ${invalidScopes.join(', ')}`);
+    }
+
+    const key = `${KEY_PREFIX}${randomBytes(24).toString('base64url')}`;
+
+    const apiKey = await ApiKey.create({
+      label,
+      keyHash: hashApiKey(key),
+      keyPrefix: key.substring(0, KEY_PREFIX.length + 6),
+      scopes,
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+      createdBy
+    });
+
+    console.log(`[MongoDB] Minted API key: ${apiKey.label} (${apiKey.keyPrefix}..., scopes: ${scopes.join(', ')})`);
+
+    return { apiKey, key };
+  } catch (error) {
+    console.error('[MongoDB] Error creating API key:', error);
+    throw error;
+  }
+}
+
+/**
+ * Find a usable (not revoked, not expired) API key by its plaintext value
+ * @param {string} key - Plaintext API key
+ * @returns {Promise<Object|null>} Key document or null if unknown, revoked or expired
+ * @throws {Error} If retrieval fails
+ */
+export async function findActiveApiKey(key) {
+  try {
+    if (!key) {
+      return null;
+    }
+
+    const apiKey = await ApiKey.findOne({
+      keyHash: hashApiKey(key),
+      revokedAt: null
+    });
+
+    if (!apiKey) {
+      return null;
+    }
+
+    if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+      console.log(`[MongoDB] API key expired: ${apiKey.label} (${apiKey.keyPrefix}...)`);
+      return null;
+    }
+
+    return apiKey;
+  } catch (error) {
+    console.error('[MongoDB] Error looking up API key:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record that an API key was used
+ * Writes are throttled to once per minute per key.
+ * @param {string} keyId - API key ID
+ * @param {string} ip - Client IP address
+ * @returns {Promise<void>}
+ */
+export async function touchApiKey(keyId, ip = null) {
+  try {
+    const now = new Date();
+
+    await ApiKey.updateOne(
+      {
+        _id: keyId,
+        $or: [
+          { lastUsedAt: null },
+          { lastUsedAt: { $lt: new Date(now.getTime() - LAST_USED_RESOLUTION_MS) } }
+        ]
+      },
+      { $set: { lastUsedAt: now, lastUsedIp: ip } }
+    );
+  } catch (error) {
+    // Usage tracking must never block a request
+    console.error(`[MongoDB] Error updating last used time for API key ${keyId}:`, error);
+  }
+}
+
+/**
+ * Get API keys (hashes are never returned)
+ * @param {Object} filters - Filter criteria (includeRevoked)
+ * @returns {Promise<Array>} API key documents
+ * @throws {Error} If retrieval fails
+ */
+export async function getApiKeys(filters = {}) {
+  try {
+    const query = filters.includeRevoked ? {} : { revokedAt: null };
+
+    const apiKeys = await ApiKey.find(query)
+      .select('-keyHash')
+      .sort({ createdAt: -1 });
+
+    console.log(`[MongoDB] Retrieved ${apiKeys.length} API keys`);
+
+    return apiKeys;
+  } catch (error) {
+    console.error('[MongoDB] Error getting API keys:', error);
+    throw error;
+  }
+}
+
+/**
+ * Revoke an API key
+ * @param {string} keyId - API key ID
+ * @returns {Promise<Object|null>} Revoked key document or null if not found
+ * @throws {Error} If update fails
+ */
+export async function revokeApiKey(keyId) {
+  try {
+    if (!keyId) {
+      throw new Error('API key ID is required');
+    }
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: keyId, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    ).select('-keyHash');
+
+    if (!apiKey) {
+      console.log(`[MongoDB] No active API key found with ID: ${keyId}`);
+      return null;
+    }
+
+    console.log(`[MongoDB] Revoked API key: ${apiKey.label} (${apiKey.keyPrefix}...)`);
+
+    return apiKey;
+  } catch (error) {
+    console.error(`[MongoDB] Error revoking API key with ID ${keyId}:`, error);
+    throw error;
+  }
+}
+
+export default {
+  hashApiKey,
+  createApiKey,
+  findActiveApiKey,
+  touchApiKey,
+  getApiKeys,
+  revokeApiKey
+};
@@ -0,0 +1,69 @@
+/**
+ * Audit Log Repository
+ * Provides data access methods for the audit_logs collection
+ */
+import AuditLog from '../models/auditLog.model.js';
+
+/**
+ * Write an audit log entry
+ * @param {Object} entry - action, resourceId, callSid, campaignId, policy, resourceCreatedAt, details, performedBy
+ * @returns {Promise<Object>} Saved entry
+ * @throws {Error} If saving fails
+ */
+export async function writeAuditLog(entry) {
+  try {
+    return await AuditLog.create(entry);
+  } catch (error) {
+    console.error(`[MongoDB] Error writing audit log entry for ${entry.action} ${entry.resourceId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get audit log entries, newest first
+ * @param {Object} filters - action, callSid, campaignId, startDate, endDate
+ * @param {Object} pagination - page, limit
+ * @returns {Promise<Object>} { entries, pagination }
+ * @throws {Error} If retrieval fails
+ */
+export async function getAuditLogs(filters = {}, pagination = {}) {
+  try {
+    const { page = 1, limit = 50 } = pagination;
+    const query = {};
+
+    if (filters.action) query.action = filters.action;
+    if (filters.callSid) query.callSid = filters.callSid;
+    if (filters.campaignId) query.campaignId = filters.campaignId;
+    if (filters.startDate || filters.endDate) {
+      query.createdAt = {};
+      if (filters.startDate) query.createdAt.$gte = new Date(filters.startDate);
+      if (filters.endDate) query.createdAt.$lte = new Date(filters.endDate);
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(query)
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  } catch (error) {
+    console.error('[MongoDB] Error getting audit logs:', error);
+    throw error;
+  }
+}
+
+export default {
+  writeAuditLog,
+  getAuditLogs
+};
@@ -2,7 +2,12 @@
  * Call Repository
  * Provides data access methods for the calls collection
  */
+import mongoose from 'mongoose';
 import Call from '../models/call.model.js';
+import { getCampaignDispositions } from './campaign.repository.js';
+import { setContactDisposition } from './contact.repository.js';
+import { resolveDisposition } from '../utils/disposition.js';
+import { invalidateCacheByPattern } from '../utils/cache.js';
 
 /**
  * Save a new call to the database
@@ -221,6 +226,46 @@ export async function setTranscriptForCall(callSid, transcriptId) {
   }
 }
 
+/**
+ * Remove a deleted recording's ID from its call (soft-deleted calls included)
+ * @param {string} callSid - Twilio Call SID
+ * @param {ObjectId} recordingId - MongoDB ObjectId of the recording
+ * @returns {Promise<Object|null>} Updated call document
+ * @throws {Error} If the update fails
+ */
+export async function removeRecordingFromCall(callSid, recordingId) {
+  try {
+    return await Call.findOneAndUpdate(
+      { callSid },
+      { $pull: { recordingIds: recordingId } },
+      { new: true, withDeleted: true }
+    );
+  } catch (error) {
+    console.error(`[MongoDB] Error removing recording from call ${callSid}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Clear a deleted transcript's ID from its call (soft-deleted calls included)
+ * @param {string} callSid - Twilio Call SID
+ * @param {ObjectId} transcriptId - MongoDB ObjectId of the transcript
+ * @returns {Promise<Object|null>} Updated call document
+ * @throws {Error} If the update fails
+ */
+export async function clearTranscriptForCall(callSid, transcriptId) {
+  try {
+    return await Call.findOneAndUpdate(
+      { callSid, transcriptId },
+      { $set: { transcriptId: null } },
+      { new: true, withDeleted: true }
+    );
+  } catch (error) {
+    console.error(`[MongoDB] Error clearing transcript for call ${callSid}:`, error);
+    throw error;
+  }
+}
+
 /**
  * Get a call by its SID
  * @param {string} callSid - Twilio Call SID
@@ -247,6 +292,34 @@ export async function getCallBySid(callSid) {
   }
 }
 
+/**
+ * Get the most recent call out of a set of call IDs (e.g. a contact's callIds)
+ * @param {Array} callIds - Call document IDs
+ * @param {Object} filters - Filter criteria (campaignOnly, direction)
+ * @returns {Promise<Object|null>} Most recent call document or null if none match
+ * @throws {Error} If retrieval fails
+ */
+export async function getMostRecentCall(callIds = [], filters = {}) {
+  try {
+    if (!callIds || callIds.length === 0) {
+      return null;
+    }
+
+    const query = { _id: { $in: callIds } };
+    if (filters.campaignOnly) {
+      query.campaignId = { $nin: [null, ''] };
+    }
+    if (filters.direction) {
+      query.direction = filters.direction;
+    }
+
+    return await Call.findOne(query).sort({ startTime: -1, createdAt: -1 });
+  } catch (error) {
+    console.error('[MongoDB] Error retrieving most recent call:', error);
+    throw error;
+  }
+}
+
 /**
  * Get all active calls
  * @returns {Promise<Array>} Array of active call documents
@@ -299,6 +372,10 @@ export async function getCallHistory(filters = {}, pagination = { page: 1, limit
       query.campaignId = filters.campaignId;
     }
     
+    if (filters.disposition) {
+      query['disposition.code'] = filters.disposition;
+    }
+    
     if (filters.startDate || filters.endDate) {
       query.createdAt = {};
       
@@ -359,7 +436,8 @@ export async function getCallHistory(filters = {}, pagination = { page: 1, limit
 }
 
 /**
- * Delete a call and its associated data
+ * Delete a call document
+ * @deprecated Leaves the call's transcripts, recordings and events behind; use deleteCall in deletion-service.js
  * @param {string} callSid - Call SID
  * @returns {Promise<boolean>} Whether the call was deleted
  */
@@ -432,14 +510,125 @@ export async function appendTranscriptSegment(callSid, role, message) {
   }
 }
 
+/**
+ * Disposition a call from its transcript's analysis, using its campaign's disposition codes
+ * A disposition set by hand is not replaced; the resolved code is still recorded as its autoCode.
+ * @param {Object} call - Call document
+ * @param {Object} transcript - Transcript document with analysis
+ * @returns {Promise<Object|null>} Updated call, or null if no code matched
+ * @throws {Error} If update fails
+ */
+export async function applyTranscriptDisposition(call, transcript) {
+  try {
+    if (!call?.callSid) {
+      return null;
+    }
+
+    const dispositions = mongoose.isValidObjectId(call.campaignId) ? await getCampaignDispositions(call.campaignId) : null;
+    const resolved = resolveDisposition(transcript?.analysis, dispositions);
+    if (!resolved) {
+      console.log(`[MongoDB] No disposition matched for call ${call.callSid}`);
+      return null;
+    }
+
+    let updatedCall = await Call.findOneAndUpdate(
+      { callSid: call.callSid, 'disposition.source': { $ne: 'manual' } },
+      {
+        $set: {
+          disposition: {
+            ...resolved,
+            autoCode: resolved.code,
+            setBy: 'system',
+            setAt: new Date()
+          }
+        }
+      },
+      { new: true, withDeleted: true }
+    );
+
+    if (updatedCall) {
+      console.log(`[MongoDB] Dispositioned call ${call.callSid} as ${resolved.code} (${resolved.matchedBy || resolved.source})`);
+      await setContactDisposition(updatedCall, resolved);
+    } else {
+      updatedCall = await Call.findOneAndUpdate(
+        { callSid: call.callSid },
+        { $set: { 'disposition.autoCode': resolved.code } },
+        { new: true, withDeleted: true }
+      );
+      console.log(`[MongoDB] Call ${call.callSid} keeps its manual disposition (resolved as ${resolved.code})`);
+    }
+
+    invalidateCacheByPattern(`call_details_${call.callSid}`);
+
+    return updatedCall;
+  } catch (error) {
+    console.error(`[MongoDB] Error dispositioning call ${call?.callSid}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Set a call's disposition by hand
+ * @param {Object} call - Call document
+ * @param {Object} dispositionCode - One of the campaign's disposition codes ({ code, label })
+ * @param {Object} options - notes, setBy
+ * @returns {Promise<Object|null>} Updated call, or null if not found
+ * @throws {Error} If update fails
+ */
+export async function overrideCallDisposition(call, dispositionCode, options = {}) {
+  try {
+    const { notes = null, setBy = null } = options;
+    const disposition = {
+      code: dispositionCode.code,
+      label: dispositionCode.label || dispositionCode.code,
+      source: 'manual'
+    };
+
+    const updatedCall = await Call.findOneAndUpdate(
+      { callSid: call.callSid },
+      {
+        $set: {
+          'disposition.code': disposition.code,
+          'disposition.label': disposition.label,
+          'disposition.source': disposition.source,
+          'disposition.matchedBy': null,
+          'disposition.notes': notes,
+          'disposition.setBy': setBy,
+          'disposition.setAt': new Date()
+        }
+      },
+      { new: true }
+    );
+
+    if (!updatedCall) {
+      return null;
+    }
+
+    console.log(`[MongoDB] Disposition of call ${call.callSid} set to ${disposition.code} by ${setBy || 'unknown'}`);
+    await setContactDisposition(updatedCall, disposition);
+
+    invalidateCacheByPattern(`call_details_${call.callSid}`);
+
+    return updatedCall;
+  } catch (error) {
+    console.error(`[MongoDB] Error overriding disposition of call ${call?.callSid}:`, error);
+    throw error;
+  }
+}
+
 export default {
   saveCall,
   updateCallStatus,
   addRecordingToCall,
   setTranscriptForCall,
+  removeRecordingFromCall,
+  clearTranscriptForCall,
   getCallBySid,
+  getMostRecentCall,
   getActiveCalls,
   getCallHistory,
   deleteCall,
-  appendTranscriptSegment
+  appendTranscriptSegment,
+  applyTranscriptDisposition,
+  overrideCallDisposition
 };
\ No newline at end of file
@@ -0,0 +1,388 @@
+/**
+ * Callback Repository
+ * Provides data access methods for the callbacks collection
+ */
+import Callback from '../models/callback.model.js';
+import Contact from '../models/contact.model.js';
+import { parseLocalDateTime, DEFAULT_TIMEZONE } from '../utils/timezone.js';
+
+// Latest a callback can be scheduled from now
+const MAX_CALLBACK_DELAY = 90 * 24 * 60 * 60 * 1000;
+
+// A callback left in 'dialing' this long (e.g. the instance dialing it stopped) is picked up again
+const STALE_CLAIM_AGE = 10 * 60 * 1000;
+
+// data_collection_results items read by createCallbackFromTranscript
+export const CALLBACK_TIME_FIELD = 'callback_time';
+export const CALLBACK_REASON_FIELD = 'callback_reason';
+
+/**
+ * Resolve a requested callback time
+ * @param {string|Date} callbackTime - ISO 8601 date and time, read as local time in the timezone unless it has an offset
+ * @param {string} timezone - Contact's timezone
+ * @returns {Object|null} { scheduledFor, localTime, timezone }, or null if the time is invalid, past or too far ahead
+ */
+export function resolveCallbackTime(callbackTime, timezone = null) {
+  const zone = timezone || DEFAULT_TIMEZONE;
+  const scheduledFor = callbackTime instanceof Date ? callbackTime : parseLocalDateTime(callbackTime, zone);
+  if (!scheduledFor || isNaN(scheduledFor.getTime())) {
+    return null;
+  }
+
+  const delay = scheduledFor.getTime() - Date.now();
+  if (delay <= 0 || delay > MAX_CALLBACK_DELAY) {
+    return null;
+  }
+
+  const localTime = new Intl.DateTimeFormat('sv-SE', {
+    timeZone: zone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).format(scheduledFor).replace(' ', 'T');
+
+  return { scheduledFor, localTime, timezone: zone };
+}
+
+/**
+ * Schedule a callback for a contact
+ * @param {Object} callbackData - contactId, callbackTime, reason, campaignId, source, originCallSid, createdBy
+ * @returns {Promise<Object>} Saved callback document
+ * @throws {Error} If the contact is not found, the time is invalid or saving fails
+ */
+export async function createCallback(callbackData = {}) {
+  try {
+    const { contactId, callbackTime, reason = null, campaignId = null, source, originCallSid = null, createdBy = null } = callbackData;
+
+    const contact = contactId ? await Contact.findById(contactId) : null;
+    if (!contact) {
+      throw new Error(`Contact not found: ${contactId}`);
+    }
+
+    const time = resolveCallbackTime(callbackTime, contact.timezone);
+    if (!time) {
+      throw new Error(`Invalid callback time: ${callbackTime}`);
+    }
+
+    const callback = await new Callback({
+      contactId: contact._id,
+      campaignId: campaignId || contact.campaignIds?.[0] || null,
+      phoneNumber: contact.phoneNumber,
+      ...time,
+      reason,
+      source,
+      originCallSid,
+      createdBy
+    }).save();
+
+    console.log(`[MongoDB] Scheduled callback for contact ${contact.name || contact.phoneNumber} (${contact._id}) at ${callback.scheduledFor.toISOString()} (${source})`);
+
+    return callback;
+  } catch (error) {
+    console.error(`[MongoDB] Error scheduling callback for contact ${callbackData.contactId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Schedule the callback a prospect asked for, as captured by the agent's data collection
+ * Skipped when the time was not collected or the call already has a callback (e.g. from the agent's tool call).
+ * @param {Object} call - Call document
+ * @param {Object} transcript - Transcript document with analysis.data_collection_results
+ * @returns {Promise<Object|null>} Saved callback document, or null if none was scheduled
+ * @throws {Error} If saving fails
+ */
+export async function createCallbackFromTranscript(call, transcript) {
+  try {
+    const results = transcript?.analysis?.data_collection_results;
+    const collected = results instanceof Map ? Object.fromEntries(results) : (results || {});
+    const callbackTime = collected[CALLBACK_TIME_FIELD]?.value;
+    if (!call || !callbackTime) {
+      return null;
+    }
+
+    if (await Callback.exists({ originCallSid: call.callSid })) {
+      return null;
+    }
+
+    const prospectNumber = call.direction === 'inbound' ? call.from : call.to;
+    const contact = prospectNumber ? await Contact.findOne({ phoneNumber: prospectNumber }) : null;
+    if (!contact) {
+      console.log(`[MongoDB] No contact for call ${call.callSid}, not scheduling its collected callback`);
+      return null;
+    }
+
+    if (!resolveCallbackTime(String(callbackTime), contact.timezone)) {
+      console.log(`[MongoDB] Collected callback time "${callbackTime}" for call ${call.callSid} is not a valid future time`);
+      return null;
+    }
+
+    return await createCallback({
+      contactId: contact._id,
+      campaignId: call.campaignId,
+      callbackTime: String(callbackTime),
+      reason: collected[CALLBACK_REASON_FIELD]?.value || null,
+      source: 'data_collection',
+      originCallSid: call.callSid,
+      createdBy: 'system'
+    });
+  } catch (error) {
+    console.error(`[MongoDB] Error scheduling collected callback for call ${call?.callSid}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get a callback by ID
+ * @param {string} callbackId - Callback ID
+ * @returns {Promise<Object|null>} Callback document
+ * @throws {Error} If retrieval fails
+ */
+export async function getCallbackById(callbackId) {
+  try {
+    return await Callback.findById(callbackId);
+  } catch (error) {
+    console.error(`[MongoDB] Error getting callback ${callbackId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get callbacks with pagination
+ * @param {Object} filters - status, contactId, campaignId, startDate, endDate (of scheduledFor)
+ * @param {Object} pagination - page, limit
+ * @returns {Promise<Object>} Object with callbacks array and pagination metadata
+ * @throws {Error} If retrieval fails
+ */
+export async function getCallbacks(filters = {}, pagination = {}) {
+  try {
+    const { page = 1, limit = 50 } = pagination;
+    const query = {};
+
+    if (filters.status) query.status = filters.status;
+    if (filters.contactId) query.contactId = filters.contactId;
+    if (filters.campaignId) query.campaignId = filters.campaignId;
+    if (filters.startDate || filters.endDate) {
+      query.scheduledFor = {};
+      if (filters.startDate) query.scheduledFor.$gte = new Date(filters.startDate);
+      if (filters.endDate) query.scheduledFor.$lte = new Date(filters.endDate);
+    }
+
+    const [callbacks, total] = await Promise.all([
+      Callback.find(query)
+        .sort({ scheduledFor: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('contactId', 'name phoneNumber'),
+      Callback.countDocuments(query)
+    ]);
+
+    return {
+      callbacks,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  } catch (error) {
+    console.error('[MongoDB] Error getting callbacks:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get upcoming and overdue callbacks for the dashboard
+ * Overdue callbacks are due but not dialed yet, e.g. because the campaign's calling window is closed.
+ * @param {number} limit - Callbacks per list
+ * @returns {Promise<Object>} { upcoming, overdue, counts: { upcoming, overdue, dialing } }
+ * @throws {Error} If retrieval fails
+ */
+export async function getCallbackSummary(limit = 10) {
+  try {
+    const now = new Date();
+    const upcomingQuery = { status: 'scheduled', scheduledFor: { $gt: now } };
+    const overdueQuery = { status: 'scheduled', scheduledFor: { $lte: now } };
+
+    const [upcoming, overdue, upcomingCount, overdueCount, dialingCount] = await Promise.all([
+      Callback.find(upcomingQuery).sort({ scheduledFor: 1 }).limit(limit).populate('contactId', 'name phoneNumber').lean(),
+      Callback.find(overdueQuery).sort({ scheduledFor: 1 }).limit(limit).populate('contactId', 'name phoneNumber').lean(),
+      Callback.countDocuments(upcomingQuery),
+      Callback.countDocuments(overdueQuery),
+      Callback.countDocuments({ status: 'dialing' })
+    ]);
+
+    return {
+      upcoming,
+      overdue,
+      counts: { upcoming: upcomingCount, overdue: overdueCount, dialing: dialingCount }
+    };
+  } catch (error) {
+    console.error('[MongoDB] Error getting callback summary:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get callbacks that are due to be dialed
+ * @param {number} limit - Maximum number of callbacks
+ * @returns {Promise<Array>} Callback documents, most overdue first
+ * @throws {Error} If retrieval fails
+ */
+export async function getDueCallbacks(limit = 20) {
+  try {
+    const now = new Date();
+    return await Callback.find({
+      $or: [
+        { status: 'scheduled', scheduledFor: { $lte: now } },
+        { status: 'dialing', claimedAt: { $lt: new Date(now.getTime() - STALE_CLAIM_AGE) } }
+      ]
+    })
+      .sort({ scheduledFor: 1 })
+      .limit(limit);
+  } catch (error) {
+    console.error('[MongoDB] Error getting due callbacks:', error);
+    throw error;
+  }
+}
+
+/**
+ * Claim a due callback for dialing, so no other instance dials it too
+ * @param {string} callbackId - Callback ID
+ * @param {string} ownerId - Server instance claiming the callback
+ * @returns {Promise<Object|null>} Claimed callback, or null if it was claimed, canceled or rescheduled meanwhile
+ * @throws {Error} If the update fails
+ */
+export async function claimCallback(callbackId, ownerId) {
+  try {
+    const now = new Date();
+    return await Callback.findOneAndUpdate(
+      {
+        _id: callbackId,
+        $or: [
+          { status: 'scheduled', scheduledFor: { $lte: now } },
+          { status: 'dialing', claimedAt: { $lt: new Date(now.getTime() - STALE_CLAIM_AGE) } }
+        ]
+      },
+      {
+        $set: { status: 'dialing', claimedBy: ownerId, claimedAt: now },
+        $inc: { attempts: 1 }
+      },
+      { new: true }
+    );
+  } catch (error) {
+    console.error(`[MongoDB] Error claiming callback ${callbackId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Record the outcome of dialing a callback
+ * @param {string} callbackId - Callback ID
+ * @param {Object} outcome - status ('dialed', 'failed', 'canceled' or 'scheduled' to retry), callSid, error, retryAt
+ * @returns {Promise<Object|null>} Updated callback document
+ * @throws {Error} If the update fails
+ */
+export async function completeCallbackDial(callbackId, { status, callSid = null, error = null, retryAt = null }) {
+  try {
+    const update = { status, claimedBy: null, claimedAt: null, error };
+    if (status === 'dialed') {
+      update.dialedAt = new Date();
+      update.dialedCallSid = callSid;
+    }
+    if (status === 'scheduled' && retryAt) {
+      update.scheduledFor = retryAt;
+    }
+
+    return await Callback.findByIdAndUpdate(callbackId, { $set: update }, { new: true });
+  } catch (err) {
+    console.error(`[MongoDB] Error updating callback ${callbackId}:`, err);
+    throw err;
+  }
+}
+
+/**
+ * Cancel a scheduled callback
+ * @param {string} callbackId - Callback ID
+ * @param {string} reason - Why it was canceled, kept as the callback's error (optional)
+ * @returns {Promise<Object|null>} Canceled callback, or null if it is not scheduled (already dialed, canceled or not found)
+ * @throws {Error} If the update fails
+ */
+export async function cancelCallback(callbackId, reason = null) {
+  try {
+    const callback = await Callback.findOneAndUpdate(
+      { _id: callbackId, status: 'scheduled' },
+      { $set: { status: 'canceled', ...(reason ? { error: reason } : {}) } },
+      { new: true }
+    );
+
+    if (callback) {
+      console.log(`[MongoDB] Canceled callback ${callbackId}`);
+    }
+
+    return callback;
+  } catch (error) {
+    console.error(`[MongoDB] Error canceling callback ${callbackId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Cancel a campaign's scheduled callbacks (the campaign was stopped or deleted)
+ * @param {string} campaignId - Campaign ID
+ * @param {string} reason - Why they were canceled, kept as the callbacks' error
+ * @returns {Promise<number>} Number of callbacks canceled
+ * @throws {Error} If the update fails
+ */
+export async function cancelCampaignCallbacks(campaignId, reason) {
+  try {
+    const result = await Callback.updateMany(
+      { campaignId, status: 'scheduled' },
+      { $set: { status: 'canceled', error: reason } }
+    );
+
+    if (result.modifiedCount > 0) {
+      console.log(`[MongoDB] Canceled ${result.modifiedCount} callbacks for campaign ${campaignId}: ${reason}`);
+    }
+
+    return result.modifiedCount;
+  } catch (error) {
+    console.error(`[MongoDB] Error canceling callbacks for campaign ${campaignId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Count a campaign's callbacks that are still to be dialed
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<number>} Scheduled and dialing callbacks
+ * @throws {Error} If the count fails
+ */
+export async function countOpenCallbacks(campaignId) {
+  try {
+    return await Callback.countDocuments({ campaignId, status: { $in: ['scheduled', 'dialing'] } });
+  } catch (error) {
+    console.error(`[MongoDB] Error counting open callbacks for campaign ${campaignId}:`, error);
+    throw error;
+  }
+}
+
+export default {
+  CALLBACK_TIME_FIELD,
+  CALLBACK_REASON_FIELD,
+  resolveCallbackTime,
+  createCallback,
+  createCallbackFromTranscript,
+  getCallbackById,
+  getCallbacks,
+  getCallbackSummary,
+  getDueCallbacks,
+  claimCallback,
+  completeCallbackDial,
+  cancelCallback,
+  cancelCampaignCallbacks,
+  countOpenCallbacks
+};
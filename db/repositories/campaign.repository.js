@@ -13,6 +13,12 @@ import {
   updateCampaignStatsWithSocket
 } from '../../campaign-socket-integration.js';
 
+// Statuses in which a campaign is executed by the campaign engine
+export const RUNNABLE_CAMPAIGN_STATUSES = ['active', 'waiting-for-window'];
+
+// Sheet sync errors kept on the campaign for display
+const SHEET_SYNC_ERRORS_KEPT = 10;
+
 /**
  * Save a new campaign to the database
  * @param {Object} campaignData - Campaign data to save
@@ -175,6 +181,7 @@ export async function updateCampaign(campaignId, updateData) {
 
 /**
  * Delete campaign
+ * @deprecated Leaves the campaign's calls and contact references behind; use deleteCampaign in deletion-service.js
  * @param {string} campaignId - Campaign ID
  * @returns {Promise<boolean>} True if deleted, false if not found
  * @throws {Error} If deletion fails
@@ -427,7 +434,12 @@ export async function getCampaignContacts(campaignId, pagination = {}) {
         lastCallResult: contact.lastCallResult,
         answeredBy: answeredBy,
         terminatedBy: lastCall?.terminatedBy || null,
-        lastCallDuration: lastCall?.duration || null
+        lastCallDuration: lastCall?.duration || null,
+        attemptCount: contact.attemptCount || 0,
+        nextAttemptAt: contact.nextAttemptAt || null,
+        callAttempts: (contact.callAttempts || []).filter(
+          attempt => !attempt.campaignId || attempt.campaignId.toString() === campaignId.toString()
+        )
       };
     }));
     
@@ -461,7 +473,7 @@ export async function updateCampaignStatus(campaignId, status) {
       throw new Error('Campaign ID is required');
     }
     
-    if (!status || !['draft', 'active', 'paused', 'completed', 'cancelled'].includes(status)) {
+    if (!status || !['draft', 'active', 'waiting-for-window', 'paused', 'completed', 'cancelled'].includes(status)) {
       throw new Error('Valid status is required');
     }
     
@@ -544,7 +556,243 @@ export async function updateCampaignStats(campaignId, stats) {
   }
 }
 
+/**
+ * Acquire the execution lease for a campaign
+ * Succeeds if the campaign is runnable and the lease is free, expired or already held by this owner.
+ * @param {string} campaignId - Campaign ID
+ * @param {string} ownerId - Server instance ID
+ * @param {number} leaseDuration - Lease duration in milliseconds
+ * @returns {Promise<Object>} { acquired, previousOwnerId } (previousOwnerId is set when taking over another instance's lease)
+ * @throws {Error} If the update fails
+ */
+export async function acquireCampaignLease(campaignId, ownerId, leaseDuration) {
+  try {
+    if (!campaignId || !ownerId) {
+      throw new Error('Campaign ID and owner ID are required');
+    }
+    
+    const now = new Date();
+    
+    // Returns the document as it was before the update, so a takeover can be detected
+    const previous = await Campaign.findOneAndUpdate(
+      {
+        _id: campaignId,
+        status: { $in: RUNNABLE_CAMPAIGN_STATUSES },
+        $or: [
+          { 'execution.ownerId': ownerId },
+          { 'execution.ownerId': null },
+          { 'execution.leaseExpiresAt': { $lte: now } }
+        ]
+      },
+      {
+        $set: {
+          'execution.ownerId': ownerId,
+          'execution.acquiredAt': now,
+          'execution.heartbeatAt': now,
+          'execution.leaseExpiresAt': new Date(now.getTime() + leaseDuration)
+        }
+      },
+      { new: false }
+    ).select('execution');
+    
+    if (!previous) {
+      return { acquired: false, previousOwnerId: null };
+    }
+    
+    const previousOwnerId = previous.execution?.ownerId && previous.execution.ownerId !== ownerId
+      ? previous.execution.ownerId
+      : null;
+    
+    console.log(`[MongoDB] Campaign ${campaignId} lease acquired by ${ownerId}${previousOwnerId ? ` (expired lease of ${previousOwnerId})` : ''}`);
+    
+    invalidateCacheByPattern(`campaign_${campaignId}`);
+    
+    return { acquired: true, previousOwnerId };
+  } catch (error) {
+    console.error(`[MongoDB] Error acquiring lease for campaign ${campaignId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Renew the execution lease (heartbeat)
+ * Fails once another instance has taken the lease over or the campaign is no longer runnable.
+ * @param {string} campaignId - Campaign ID
+ * @param {string} ownerId - Server instance ID
+ * @param {number} leaseDuration - Lease duration in milliseconds
+ * @returns {Promise<boolean>} True if the lease is still held
+ * @throws {Error} If the update fails
+ */
+export async function renewCampaignLease(campaignId, ownerId, leaseDuration) {
+  try {
+    const now = new Date();
+    
+    const result = await Campaign.updateOne(
+      {
+        _id: campaignId,
+        status: { $in: RUNNABLE_CAMPAIGN_STATUSES },
+        'execution.ownerId': ownerId
+      },
+      {
+        $set: {
+          'execution.heartbeatAt': now,
+          'execution.leaseExpiresAt': new Date(now.getTime() + leaseDuration)
+        }
+      }
+    );
+    
+    return result.matchedCount > 0;
+  } catch (error) {
+    console.error(`[MongoDB] Error renewing lease for campaign ${campaignId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Release the execution lease so another instance can take the campaign over immediately
+ * @param {string} campaignId - Campaign ID
+ * @param {string} ownerId - Server instance ID (the lease is only released if this instance holds it)
+ * @returns {Promise<boolean>} True if the lease was released
+ * @throws {Error} If the update fails
+ */
+export async function releaseCampaignLease(campaignId, ownerId) {
+  try {
+    const result = await Campaign.updateOne(
+      { _id: campaignId, 'execution.ownerId': ownerId },
+      { $set: { 'execution.ownerId': null, 'execution.leaseExpiresAt': null } }
+    );
+    
+    if (result.modifiedCount > 0) {
+      console.log(`[MongoDB] Campaign ${campaignId} lease released by ${ownerId}`);
+      invalidateCacheByPattern(`campaign_${campaignId}`);
+    }
+    
+    return result.modifiedCount > 0;
+  } catch (error) {
+    console.error(`[MongoDB] Error releasing lease for campaign ${campaignId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get runnable campaigns that no instance currently holds a valid lease for
+ * @returns {Promise<Array>} Campaigns (_id, name, status, execution)
+ * @throws {Error} If retrieval fails
+ */
+export async function getUnleasedRunnableCampaigns() {
+  try {
+    return await Campaign.find({
+      status: { $in: RUNNABLE_CAMPAIGN_STATUSES },
+      $or: [
+        { 'execution.ownerId': null },
+        { 'execution.leaseExpiresAt': { $lte: new Date() } }
+      ]
+    }).select('_id name status execution').lean();
+  } catch (error) {
+    console.error('[MongoDB] Error getting unleased campaigns:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record the outcome of a Google Sheet sync on the campaign
+ * @param {string} campaignId - Campaign ID
+ * @param {Object} result - rowsAdded and rowsExcluded on success, or error (message) on failure
+ * @returns {Promise<void>}
+ * @throws {Error} If the update fails
+ */
+export async function recordSheetSync(campaignId, result = {}) {
+  try {
+    if (!campaignId) {
+      throw new Error('Campaign ID is required');
+    }
+    
+    const now = new Date();
+    const update = { $set: { 'sheetInfo.sync.lastSyncedAt': now } };
+    
+    if (result.error) {
+      update.$set['sheetInfo.sync.lastError'] = result.error;
+      update.$set['sheetInfo.sync.lastErrorAt'] = now;
+      update.$push = {
+        'sheetInfo.sync.recentErrors': { $each: [{ message: result.error, at: now }], $slice: -SHEET_SYNC_ERRORS_KEPT }
+      };
+    } else {
+      update.$set['sheetInfo.sync.lastRowsAdded'] = result.rowsAdded || 0;
+      update.$set['sheetInfo.sync.rowsExcluded'] = result.rowsExcluded || 0;
+      update.$set['sheetInfo.sync.lastError'] = null;
+      update.$inc = { 'sheetInfo.sync.rowsAdded': result.rowsAdded || 0 };
+    }
+    
+    await Campaign.updateOne({ _id: campaignId }, update);
+    
+    invalidateCacheByPattern(`campaign_${campaignId}`);
+  } catch (error) {
+    console.error(`[MongoDB] Error recording sheet sync for campaign ${campaignId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the shortest retention any campaign sets (deleted campaigns included, as their calls' data is kept)
+ * @param {string} daysField - 'recordingDays' or 'transcriptDays'
+ * @returns {Promise<number|null>} Days, or null if no campaign sets it
+ * @throws {Error} If the aggregation fails
+ */
+export async function getShortestRetentionDays(daysField) {
+  try {
+    const field = `settings.retention.${daysField}`;
+    const [result] = await Campaign.aggregate([
+      { $match: { [field]: { $ne: null } } },
+      { $group: { _id: null, days: { $min: `$${field}` } } }
+    ]).option({ withDeleted: true });
+
+    return result?.days ?? null;
+  } catch (error) {
+    console.error(`[MongoDB] Error getting shortest campaign ${daysField}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get a campaign's retention settings (deleted campaigns included)
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object|null>} settings.retention, or null if the campaign is not found
+ * @throws {Error} If retrieval fails
+ */
+export async function getCampaignRetention(campaignId) {
+  try {
+    const campaign = await Campaign.findById(campaignId, 'settings.retention')
+      .setOptions({ withDeleted: true })
+      .lean();
+
+    return campaign ? campaign.settings?.retention || {} : null;
+  } catch (error) {
+    console.error(`[MongoDB] Error getting retention settings of campaign ${campaignId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get a campaign's disposition settings (deleted campaigns included)
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object|null>} settings.dispositions, or null if the campaign is not found
+ * @throws {Error} If retrieval fails
+ */
+export async function getCampaignDispositions(campaignId) {
+  try {
+    const campaign = await Campaign.findById(campaignId, 'settings.dispositions')
+      .setOptions({ withDeleted: true })
+      .lean();
+
+    return campaign ? campaign.settings?.dispositions || {} : null;
+  } catch (error) {
+    console.error(`[MongoDB] Error getting disposition settings of campaign ${campaignId}:`, error);
+    throw error;
+  }
+}
+
 export default {
+  RUNNABLE_CAMPAIGN_STATUSES,
   saveCampaign,
   getCampaignById,
   getCampaigns,
@@ -554,5 +802,13 @@ export default {
   removeContactsFromCampaign,
   getCampaignContacts,
   updateCampaignStatus,
-  updateCampaignStats
+  updateCampaignStats,
+  acquireCampaignLease,
+  renewCampaignLease,
+  releaseCampaignLease,
+  getUnleasedRunnableCampaigns,
+  recordSheetSync,
+  getShortestRetentionDays,
+  getCampaignRetention,
+  getCampaignDispositions
 };
\ No newline at end of file
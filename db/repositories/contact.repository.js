@@ -2,22 +2,73 @@
  * Contact Repository
  * Provides data access methods for the contacts collection
  */
+import mongoose from 'mongoose';
 import Contact from '../models/contact.model.js';
+import Campaign from '../models/campaign.model.js';
 import { invalidateCacheByPattern } from '../utils/cache.js';
+import { resolveContactTimezone } from '../utils/timezone.js';
+import { normalizePhoneNumber, toContactPhoneFields } from '../utils/phone-number.js';
+import { getSuppression, logSuppressedDial, normalizeSuppressionNumber } from './suppression.repository.js';
+
+// Contacts a scheduled callback may dial: waiting to be called, or finished with their campaign calls
+export const CALLBACK_CONTACT_STATUSES = ['pending', 'completed', 'failed'];
+
+/**
+ * Normalize a contact's phone number in place
+ * Stores E.164 plus the raw value, number type, country and validity.
+ * A phoneNumberRaw already on the data (e.g. from a CSV that was validated first) is kept.
+ * @param {Object} contactData - Contact data with phoneNumber
+ * @param {string} defaultRegion - Region for numbers without a country code
+ * @returns {Object} Result of normalizePhoneNumber
+ * @throws {Error} ValidationError if the number cannot be parsed
+ */
+function normalizeContactPhone(contactData, defaultRegion) {
+  const normalized = normalizePhoneNumber(contactData.phoneNumber, { defaultRegion });
+  if (!normalized.e164) {
+    const error = new Error(`Invalid phone number ${contactData.phoneNumber}: ${normalized.reason}`);
+    error.name = 'ValidationError';
+    throw error;
+  }
+
+  Object.assign(contactData, toContactPhoneFields(normalized), {
+    phoneNumberRaw: contactData.phoneNumberRaw || normalized.raw
+  });
+
+  return normalized;
+}
+
+/**
+ * Get the default phone region of a campaign
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<string|null>} Region code, or null to use DEFAULT_PHONE_REGION
+ */
+async function getCampaignDefaultRegion(campaignId) {
+  if (!campaignId) {
+    return null;
+  }
+
+  const campaign = await Campaign.findById(campaignId).select('defaultRegion').lean();
+  return campaign?.defaultRegion || null;
+}
 
 /**
  * Save a new contact to the database
  * @param {Object} contactData - Contact data to save
+ * @param {Object} options - defaultRegion for a number without a country code (defaults to the campaign's)
  * @returns {Promise<Object>} Saved contact document
- * @throws {Error} If saving fails
+ * @throws {Error} If the phone number is invalid or saving fails
  */
-export async function saveContact(contactData) {
+export async function saveContact(contactData, options = {}) {
   try {
-    // Format phone number (remove non-numeric characters)
+    // Normalize phone number to E.164
     if (contactData.phoneNumber) {
-      contactData.phoneNumber = contactData.phoneNumber.replace(/\D/g, '');
+      const defaultRegion = options.defaultRegion || await getCampaignDefaultRegion(contactData.campaignIds?.[0]);
+      normalizeContactPhone(contactData, defaultRegion);
     }
     
+    // Resolve timezone (explicit value wins, otherwise derived from the phone number)
+    contactData.timezone = resolveContactTimezone(contactData.phoneNumber, contactData.timezone);
+    
     // Create a new contact document
     const contact = new Contact(contactData);
     
@@ -63,18 +114,23 @@ export async function getContactById(contactId) {
 
 /**
  * Get contact by phone number
- * @param {string} phoneNumber - Phone number
+ * @param {string} phoneNumber - Phone number in any format
+ * @param {Object} options - defaultRegion for a number without a country code
  * @returns {Promise<Object>} Contact document
  * @throws {Error} If retrieval fails
  */
-export async function getContactByPhoneNumber(phoneNumber) {
+export async function getContactByPhoneNumber(phoneNumber, options = {}) {
   try {
     if (!phoneNumber) {
       throw new Error('Phone number is required');
     }
     
-    // Format phone number (remove non-numeric characters)
-    const formattedPhoneNumber = phoneNumber.replace(/\D/g, '');
+    // Normalize phone number to E.164
+    const formattedPhoneNumber = normalizePhoneNumber(phoneNumber, options).e164;
+    if (!formattedPhoneNumber) {
+      console.log(`[MongoDB] No contact found with invalid phone number: ${phoneNumber}`);
+      return null;
+    }
     
     const contact = await Contact.findOne({ phoneNumber: formattedPhoneNumber });
     
@@ -170,18 +226,31 @@ export async function getContacts(filters = {}, pagination = {}) {
  * Update contact
  * @param {string} contactId - Contact ID
  * @param {Object} updateData - Data to update
+ * @param {Object} options - defaultRegion for a number without a country code (defaults to the campaign's)
  * @returns {Promise<Object>} Updated contact document
- * @throws {Error} If update fails
+ * @throws {Error} If the phone number is invalid or update fails
  */
-export async function updateContact(contactId, updateData) {
+export async function updateContact(contactId, updateData, options = {}) {
   try {
     if (!contactId) {
       throw new Error('Contact ID is required');
     }
     
-    // Format phone number if provided
+    // Normalize phone number to E.164 if provided
     if (updateData.phoneNumber) {
-      updateData.phoneNumber = updateData.phoneNumber.replace(/\D/g, '');
+      let defaultRegion = options.defaultRegion;
+      if (!defaultRegion) {
+        const campaignIds = updateData.campaignIds || (await Contact.findById(contactId).select('campaignIds').lean())?.campaignIds;
+        defaultRegion = await getCampaignDefaultRegion(campaignIds?.[0]);
+      }
+      normalizeContactPhone(updateData, defaultRegion);
+      
+      // Re-derive the timezone for the new number unless one was given explicitly
+      if (updateData.timezone === undefined) {
+        updateData.timezone = resolveContactTimezone(updateData.phoneNumber);
+      }
+    } else if (updateData.timezone) {
+      updateData.timezone = resolveContactTimezone(null, updateData.timezone);
     }
     
     // Find and update the contact
@@ -211,6 +280,7 @@ export async function updateContact(contactId, updateData) {
 
 /**
  * Delete contact
+ * @deprecated Leaves the contact's callbacks and campaign references behind; use deleteContact in deletion-service.js
  * @param {string} contactId - Contact ID
  * @returns {Promise<boolean>} True if deleted, false if not found
  * @throws {Error} If deletion fails
@@ -369,58 +439,479 @@ export async function updateContactCallHistory(contactId, callId) {
   }
 }
 
+/**
+ * Record a call's disposition on its contact
+ * The contact keeps the disposition of its latest call, so an older call's disposition does not replace a newer one.
+ * @param {Object} call - Call document (_id, callSid, from, to, direction, campaignId, startTime, createdAt)
+ * @param {Object} disposition - { code, label, source }
+ * @returns {Promise<Object|null>} Updated contact, or null if the call has no contact or a newer call is dispositioned
+ * @throws {Error} If update fails
+ */
+export async function setContactDisposition(call, disposition) {
+  try {
+    let contact = await Contact.findOne({ callIds: call._id }).select('_id').lean();
+    if (!contact) {
+      const prospectNumber = call.direction === 'inbound' ? call.from : call.to;
+      const campaignQuery = mongoose.isValidObjectId(call.campaignId) ? { campaignIds: call.campaignId } : {};
+      contact = prospectNumber ? await Contact.findOne({ phoneNumber: prospectNumber, ...campaignQuery }).select('_id').lean() : null;
+    }
+    if (!contact) {
+      return null;
+    }
+
+    const callAt = call.startTime || call.createdAt || new Date();
+    const updatedContact = await Contact.findOneAndUpdate(
+      {
+        _id: contact._id,
+        $or: [{ 'disposition.callAt': null }, { 'disposition.callAt': { $lte: callAt } }]
+      },
+      {
+        $set: {
+          disposition: {
+            code: disposition.code,
+            label: disposition.label,
+            source: disposition.source,
+            callSid: call.callSid,
+            callAt,
+            setAt: new Date()
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (updatedContact) {
+      invalidateCacheByPattern(`contact_${contact._id}`);
+    }
+
+    return updatedContact;
+  } catch (error) {
+    console.error(`[MongoDB] Error setting disposition of call ${call?.callSid} on its contact:`, error);
+    throw error;
+  }
+}
+
 /**
  * Atomically claim a contact for calling
+ * Contacts scheduled for a retry are skipped until their nextAttemptAt has passed,
+ * and contacts that have used up their attempts are never claimed again.
+ * Contacts whose number is on the do-not-call list are marked do-not-call instead of being returned,
+ * and contacts whose number cannot be parsed are marked failed.
  * @param {string} campaignId - Campaign ID
+ * @param {Object} options - Claim options
+ * @param {number} options.maxAttempts - Maximum number of attempts per contact (initial call + retries)
+ * @param {Array<string|null>} options.timezones - Only claim contacts in these timezones (null matches contacts without one)
+ * @param {string} options.ownerId - Server instance claiming the contact (recorded as claimedBy)
  * @returns {Promise<Object|null>} Claimed contact or null if none available
  * @throws {Error} If operation fails
  */
-export async function claimNextContactForCalling(campaignId) {
+export async function claimNextContactForCalling(campaignId, options = {}) {
   try {
     if (!campaignId) {
       throw new Error('Campaign ID is required');
     }
     
+    const { maxAttempts = null, timezones = null, ownerId = null } = options;
+    const now = new Date();
+    
     // Atomically find and update a contact with pending status
     // Remove callCount: 0 restriction to allow reset contacts to be called
-    const contact = await Contact.findOneAndUpdate(
-      {
-        campaignIds: campaignId,
-        status: 'pending'
-        // REMOVED: callCount: 0 - this was preventing reset contacts from being called
-      },
-      {
-        $inc: { callCount: 1 },
-        $set: { 
-          lastContacted: new Date(),
-          status: 'calling'  // Mark as calling to prevent any other process from selecting it
+    const query = {
+      campaignIds: campaignId,
+      status: 'pending',
+      // REMOVED: callCount: 0 - this was preventing reset contacts from being called
+      $or: [
+        { nextAttemptAt: null },
+        { nextAttemptAt: { $lte: now } }
+      ]
+    };
+    
+    if (maxAttempts) {
+      query.attemptCount = { $not: { $gte: maxAttempts } };
+    }
+    
+    if (Array.isArray(timezones)) {
+      query.timezone = { $in: timezones };
+    }
+    
+    // Each suppressed or unparseable contact is moved out of pending, so this ends once a dialable contact (or none) is found
+    while (true) {
+      const contact = await Contact.findOneAndUpdate(
+        query,
+        {
+          $inc: { callCount: 1, attemptCount: 1 },
+          $set: { 
+            lastContacted: now,
+            status: 'calling',  // Mark as calling to prevent any other process from selecting it
+            nextAttemptAt: null,
+            claimedBy: ownerId,
+            claimedAt: now
+          }
+        },
+        {
+          new: true,  // Return the updated document
+          sort: { priority: -1, nextAttemptAt: 1, createdAt: 1 }  // Process by priority first, then due retries, then order added
         }
-      },
+      );
+      
+      if (!contact) {
+        return null;
+      }
+      
+      if (!normalizeSuppressionNumber(contact.phoneNumber)) {
+        // Release the claim without counting it as an attempt; the number can never be dialed
+        await Contact.updateOne(
+          { _id: contact._id },
+          {
+            $inc: { callCount: -1, attemptCount: -1 },
+            $set: {
+              status: 'failed',
+              lastCallResult: 'failed_to_initiate',
+              lastCallError: `Invalid phone number: ${contact.phoneNumber}`,
+              claimedBy: null,
+              claimedAt: null
+            }
+          }
+        );
+        console.warn(`[MongoDB] Marked contact ${contact._id} in campaign ${campaignId} as failed: invalid phone number ${contact.phoneNumber}`);
+        invalidateCacheByPattern('contact_list');
+        continue;
+      }
+      
+      let suppression;
+      try {
+        suppression = await getSuppression(contact.phoneNumber);
+      } catch (error) {
+        // Hand the contact back so it is not left in 'calling' when the list cannot be checked
+        await Contact.updateOne(
+          { _id: contact._id },
+          {
+            $inc: { callCount: -1, attemptCount: -1 },
+            $set: { status: 'pending', claimedBy: null, claimedAt: null }
+          }
+        );
+        throw error;
+      }
+      
+      if (suppression) {
+        // Release the claim without counting it as an attempt
+        await Contact.updateOne(
+          { _id: contact._id },
+          {
+            $inc: { callCount: -1, attemptCount: -1 },
+            $set: { status: 'do-not-call', claimedBy: null, claimedAt: null }
+          }
+        );
+        await logSuppressedDial(suppression, { stage: 'claim', campaignId, contactId: contact._id });
+        invalidateCacheByPattern('contact_list');
+        continue;
+      }
+      
+      console.log(`[MongoDB] Atomically claimed contact for calling: ${contact.name || contact.phoneNumber} (${contact._id}), attempt ${contact.attemptCount}`);
+      
+      return contact;
+    }
+  } catch (error) {
+    console.error(`[MongoDB] Error claiming contact for campaign ${campaignId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get a campaign's contacts stuck in 'calling' status
+ * @param {string} campaignId - Campaign ID
+ * @param {Array<string>} excludeContactIds - Contacts with a call the engine is still tracking
+ * @returns {Promise<Array>} Contact documents
+ * @throws {Error} If retrieval fails
+ */
+export async function getStaleCallingContacts(campaignId, excludeContactIds = []) {
+  try {
+    if (!campaignId) {
+      throw new Error('Campaign ID is required');
+    }
+    
+    return await Contact.find({
+      campaignIds: campaignId,
+      status: 'calling',
+      _id: { $nin: excludeContactIds }
+    });
+  } catch (error) {
+    console.error(`[MongoDB] Error getting stale calling contacts for campaign ${campaignId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Release a claimed contact whose call was never placed, back to pending
+ * The claim's attempt is undone so it does not count against the contact's retries.
+ * @param {string} contactId - Contact ID
+ * @returns {Promise<boolean>} True if the contact was released, false if it was no longer calling
+ * @throws {Error} If the update fails
+ */
+export async function releaseContactClaim(contactId) {
+  try {
+    if (!contactId) {
+      throw new Error('Contact ID is required');
+    }
+    
+    const result = await Contact.updateOne(
+      { _id: contactId, status: 'calling' },
       {
-        new: true,  // Return the updated document
-        sort: { priority: -1, createdAt: 1 }  // Process by priority first, then order added
+        $inc: { callCount: -1, attemptCount: -1 },
+        $set: { status: 'pending', claimedBy: null, claimedAt: null }
       }
     );
     
+    if (result.modifiedCount > 0) {
+      invalidateCacheByPattern(`contact_${contactId}`);
+      invalidateCacheByPattern('contact_list');
+    }
+    
+    return result.modifiedCount > 0;
+  } catch (error) {
+    console.error(`[MongoDB] Error releasing claim on contact ${contactId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Claim a contact for a scheduled callback, so the campaign engine does not dial it at the same time
+ * Only contacts that are pending or whose calls are finished may be called back.
+ * @param {string} contactId - Contact ID
+ * @param {string} ownerId - Server instance claiming the contact
+ * @returns {Promise<Object|null>} Contact as it was before the claim, or null if it cannot be called back now
+ * @throws {Error} If the update fails
+ */
+export async function claimContactForCallback(contactId, ownerId) {
+  try {
+    if (!contactId) {
+      throw new Error('Contact ID is required');
+    }
+    
+    const now = new Date();
+    const contact = await Contact.findOneAndUpdate(
+      { _id: contactId, status: { $in: CALLBACK_CONTACT_STATUSES } },
+      { $set: { status: 'calling', lastContacted: now, claimedBy: ownerId, claimedAt: now } },
+      { new: false }
+    );
+    
     if (contact) {
-      console.log(`[MongoDB] Atomically claimed contact for calling: ${contact.name || contact.phoneNumber} (${contact._id})`);
+      invalidateCacheByPattern(`contact_${contactId}`);
+      invalidateCacheByPattern('contact_list');
     }
     
     return contact;
   } catch (error) {
-    console.error(`[MongoDB] Error claiming contact for campaign ${campaignId}:`, error);
+    console.error(`[MongoDB] Error claiming contact ${contactId} for a callback:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Release a contact claimed for a callback that could not be dialed, back to its earlier status
+ * @param {string} contactId - Contact ID
+ * @param {string} status - Status the contact had before the claim
+ * @returns {Promise<boolean>} True if the contact was released, false if it was no longer calling
+ * @throws {Error} If the update fails
+ */
+export async function releaseCallbackClaim(contactId, status) {
+  try {
+    const result = await Contact.updateOne(
+      { _id: contactId, status: 'calling' },
+      { $set: { status, claimedBy: null, claimedAt: null } }
+    );
+    
+    if (result.modifiedCount > 0) {
+      invalidateCacheByPattern(`contact_${contactId}`);
+      invalidateCacheByPattern('contact_list');
+    }
+    
+    return result.modifiedCount > 0;
+  } catch (error) {
+    console.error(`[MongoDB] Error releasing callback claim on contact ${contactId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Find which of the given phone numbers already belong to a campaign
+ * @param {string} campaignId - Campaign ID
+ * @param {Array<string>} phoneNumbers - Phone numbers (E.164); every number in the campaign if omitted
+ * @returns {Promise<Array<string>>} Phone numbers already in the campaign
+ * @throws {Error} If retrieval fails
+ */
+export async function getCampaignPhoneNumbers(campaignId, phoneNumbers) {
+  try {
+    if (!campaignId) {
+      throw new Error('Campaign ID is required');
+    }
+    
+    return await Contact.distinct('phoneNumber', {
+      campaignIds: campaignId,
+      ...(phoneNumbers ? { phoneNumber: { $in: phoneNumbers } } : {})
+    });
+  } catch (error) {
+    console.error(`[MongoDB] Error getting phone numbers for campaign ${campaignId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Take a campaign's not-yet-called contacts out of the queue
+ * Only pending contacts are changed; contacts mid-call or already called keep their status.
+ * @param {string} campaignId - Campaign ID
+ * @param {Array<string>} phoneNumbers - Phone numbers (E.164)
+ * @param {string} status - New status ('do-not-call' or 'inactive')
+ * @returns {Promise<number>} Number of contacts updated
+ * @throws {Error} If the update fails
+ */
+export async function excludePendingContacts(campaignId, phoneNumbers, status) {
+  try {
+    if (!campaignId) {
+      throw new Error('Campaign ID is required');
+    }
+    
+    if (!phoneNumbers || phoneNumbers.length === 0) {
+      return 0;
+    }
+    
+    const result = await Contact.updateMany(
+      { campaignIds: campaignId, phoneNumber: { $in: phoneNumbers }, status: 'pending' },
+      { $set: { status, nextAttemptAt: null } }
+    );
+    
+    if (result.modifiedCount > 0) {
+      console.log(`[MongoDB] Excluded ${result.modifiedCount} pending contacts from campaign ${campaignId} (${status})`);
+      invalidateCacheByPattern('contact_list');
+      invalidateCacheByPattern(`campaign_${campaignId}`);
+    }
+    
+    return result.modifiedCount;
+  } catch (error) {
+    console.error(`[MongoDB] Error excluding contacts from campaign ${campaignId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Mark a campaign's pending contacts that have used all their attempts as failed
+ * Such contacts can no longer be claimed (e.g. after the campaign's retry count was lowered).
+ * @param {string} campaignId - Campaign ID
+ * @param {number} maxAttempts - Maximum number of attempts per contact (initial call + retries)
+ * @returns {Promise<number>} Number of contacts marked failed
+ * @throws {Error} If the update fails
+ */
+export async function failExhaustedContacts(campaignId, maxAttempts) {
+  try {
+    if (!campaignId) {
+      throw new Error('Campaign ID is required');
+    }
+    
+    const result = await Contact.updateMany(
+      { campaignIds: campaignId, status: 'pending', attemptCount: { $gte: maxAttempts } },
+      { $set: { status: 'failed', nextAttemptAt: null } }
+    );
+    
+    if (result.modifiedCount > 0) {
+      console.log(`[MongoDB] Marked ${result.modifiedCount} contacts in campaign ${campaignId} as failed after ${maxAttempts} attempts`);
+      invalidateCacheByPattern('contact_list');
+    }
+    
+    return result.modifiedCount;
+  } catch (error) {
+    console.error(`[MongoDB] Error failing exhausted contacts for campaign ${campaignId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the distinct timezones of a campaign's pending contacts
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Array<string|null>>} Timezones (null for contacts without one)
+ * @throws {Error} If retrieval fails
+ */
+export async function getPendingContactTimezones(campaignId) {
+  try {
+    if (!campaignId) {
+      throw new Error('Campaign ID is required');
+    }
+    
+    const timezones = await Contact.distinct('timezone', {
+      campaignIds: campaignId,
+      status: 'pending'
+    });
+    
+    // distinct() omits missing values, so check for contacts without a timezone separately
+    const hasUnknown = await Contact.exists({
+      campaignIds: campaignId,
+      status: 'pending',
+      timezone: null
+    });
+    
+    return hasUnknown ? [...timezones.filter(Boolean), null] : timezones.filter(Boolean);
+  } catch (error) {
+    console.error(`[MongoDB] Error getting pending contact timezones for campaign ${campaignId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Record a call attempt on a contact and apply the resulting contact state
+ * @param {string} contactId - Contact ID
+ * @param {Object} attempt - Attempt details (attemptNumber, campaignId, callSid, result, answeredBy, duration, error, nextAttemptAt)
+ * @param {Object} updateData - Contact fields to set alongside the attempt (status, lastCallResult, nextAttemptAt, ...)
+ * @returns {Promise<Object>} Updated contact document
+ * @throws {Error} If update fails
+ */
+export async function recordCallAttempt(contactId, attempt, updateData = {}) {
+  try {
+    if (!contactId) {
+      throw new Error('Contact ID is required');
+    }
+    
+    if (!attempt || typeof attempt !== 'object') {
+      throw new Error('Attempt data is required');
+    }
+    
+    const updatedContact = await Contact.findByIdAndUpdate(
+      contactId,
+      {
+        $push: { callAttempts: { attemptedAt: new Date(), ...attempt } },
+        $set: updateData
+      },
+      { new: true, runValidators: true }
+    );
+    
+    if (!updatedContact) {
+      console.log(`[MongoDB] No contact found with ID: ${contactId}`);
+      return null;
+    }
+    
+    console.log(`[MongoDB] Recorded attempt ${attempt.attemptNumber} (${attempt.result}) for contact: ${updatedContact.name || updatedContact.phoneNumber} (${updatedContact._id})`);
+    
+    // Invalidate cache
+    invalidateCacheByPattern(`contact_${contactId}`);
+    invalidateCacheByPattern('contact_list');
+    
+    return updatedContact;
+  } catch (error) {
+    console.error(`[MongoDB] Error recording call attempt for contact with ID ${contactId}:`, error);
     throw error;
   }
 }
 
 /**
  * Import contacts from array
+ * Phone numbers are normalized to E.164 in the campaign's default region. Numbers that cannot be
+ * parsed are rejected; numbers that parse but are not valid are imported with phoneValid: false,
+ * or rejected when options.rejectInvalid is set. Importing a deleted contact again restores it.
  * @param {Array<Object>} contacts - Array of contact objects
  * @param {string} campaignId - Optional campaign ID to associate contacts with
+ * @param {Object} options - defaultRegion (overrides the campaign's), rejectInvalid
  * @returns {Promise<Object>} Import results
  * @throws {Error} If import fails
  */
-export async function importContacts(contacts, campaignId = null) {
+export async function importContacts(contacts, campaignId = null, options = {}) {
   try {
     if (!contacts || !Array.isArray(contacts) || contacts.length === 0) {
       throw new Error('Contacts array is required');
@@ -431,41 +922,59 @@ export async function importContacts(contacts, campaignId = null) {
       created: 0,
       updated: 0,
       failed: 0,
+      flagged: 0,
       errors: []
     };
     
+    const defaultRegion = options.defaultRegion || await getCampaignDefaultRegion(campaignId);
+    
     // Process each contact
     for (const contactData of contacts) {
       try {
-        // Format phone number
-        if (contactData.phoneNumber) {
-          contactData.phoneNumber = contactData.phoneNumber.replace(/\D/g, '');
-        } else {
+        // Normalize phone number to E.164
+        const normalized = normalizePhoneNumber(contactData.phoneNumber, { defaultRegion });
+        if (!normalized.e164 || (!normalized.valid && options.rejectInvalid)) {
           results.failed++;
           results.errors.push({
             data: contactData,
-            error: 'Phone number is required'
+            error: normalized.reason
           });
           continue;
         }
         
+        normalizeContactPhone(contactData, defaultRegion);
+        if (!normalized.valid) {
+          results.flagged++;
+        }
+        
+        // Resolve timezone (CSV column wins, otherwise derived from the phone number)
+        const timezone = resolveContactTimezone(contactData.phoneNumber, contactData.timezone);
+        if (timezone) {
+          contactData.timezone = timezone;
+        } else {
+          delete contactData.timezone;  // Keep any timezone already stored on an existing contact
+        }
+        
         // Add campaign ID if provided
         if (campaignId) {
           contactData.campaignIds = [campaignId];
         }
         
-        // Check if contact already exists
-        const existingContact = await Contact.findOne({ phoneNumber: contactData.phoneNumber });
+        // Check if contact already exists (a deleted contact is restored rather than duplicated)
+        const existingContact = await Contact.findOne({ phoneNumber: contactData.phoneNumber }).setOptions({ withDeleted: true });
         
         if (existingContact) {
           // Update existing contact
-          const updateData = { ...contactData };
+          const updateData = { ...contactData, deletedAt: null };
           
           // Add campaign ID if provided and not already present
           if (campaignId && !existingContact.campaignIds.includes(campaignId)) {
             updateData.campaignIds = [...existingContact.campaignIds, campaignId];
             // CRITICAL: Reset contact for new campaign
             updateData.callCount = 0;
+            updateData.attemptCount = 0;
+            updateData.nextAttemptAt = null;
+            updateData.callAttempts = [];
             updateData.status = 'pending';
             updateData.lastCallResult = null;
             updateData.lastCallDate = null;
@@ -474,7 +983,8 @@ export async function importContacts(contacts, campaignId = null) {
           
           await Contact.updateOne(
             { _id: existingContact._id },
-            { $set: updateData }
+            { $set: updateData },
+            { withDeleted: true }
           );
           
           results.updated++;
@@ -492,7 +1002,7 @@ export async function importContacts(contacts, campaignId = null) {
       }
     }
     
-    console.log(`[MongoDB] Imported contacts: ${results.created} created, ${results.updated} updated, ${results.failed} failed`);
+    console.log(`[MongoDB] Imported contacts: ${results.created} created, ${results.updated} updated, ${results.failed} failed, ${results.flagged} flagged invalid`);
     
     // Invalidate cache
     invalidateCacheByPattern('contact_list');
@@ -507,7 +1017,105 @@ export async function importContacts(contacts, campaignId = null) {
   }
 }
 
+/**
+ * Upsert a batch of already-normalized contacts with one bulkWrite
+ * Matches importContacts: contacts are found by phone number, and a contact that is new to the
+ * campaign is reset to pending with a clean call history. Only non-empty fields are written, and
+ * custom fields are merged into the existing ones.
+ * @param {Array<Object>} contacts - Contacts with E.164 phoneNumber (see toContactPhoneFields)
+ * @param {string} campaignId - Optional campaign ID to associate contacts with
+ * @returns {Promise<Object>} { created, updated, errors: [{ index, error }] }
+ * @throws {Error} If the batch cannot be written
+ */
+export async function bulkUpsertContacts(contacts, campaignId = null) {
+  try {
+    if (!contacts || contacts.length === 0) {
+      return { created: 0, updated: 0, errors: [] };
+    }
+    
+    const now = new Date();
+    const campaignObjectId = campaignId ? new mongoose.Types.ObjectId(String(campaignId)) : null;
+    const currentCampaignIds = { $ifNull: ['$campaignIds', []] };
+    const isNewToCampaign = campaignObjectId
+      ? { $not: [{ $in: [campaignObjectId, currentCampaignIds] }] }
+      : { $eq: [{ $type: '$status' }, 'missing'] };
+    
+    // Fields reset for a contact that joins the campaign (pipeline updates, so values are $literal)
+    const resetFields = {
+      status: 'pending',
+      callCount: 0,
+      attemptCount: 0,
+      nextAttemptAt: null,
+      callAttempts: [],
+      lastCallResult: null,
+      lastCallDate: null
+    };
+    const resetStage = Object.fromEntries(Object.entries(resetFields).map(([field, value]) => [
+      field,
+      { $cond: [isNewToCampaign, { $literal: value }, `$${field}`] }
+    ]));
+    
+    const operations = contacts.map(({ customFields, ...contact }) => {
+      const fields = Object.fromEntries(Object.entries(contact)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([field, value]) => [field, { $literal: value }]));
+      
+      return {
+        updateOne: {
+          filter: { phoneNumber: contact.phoneNumber },
+          update: [{
+            $set: {
+              ...fields,
+              ...resetStage,
+              customFields: { $mergeObjects: [{ $ifNull: ['$customFields', {}] }, { $literal: customFields || {} }] },
+              campaignIds: campaignObjectId ? { $setUnion: [currentCampaignIds, [campaignObjectId]] } : currentCampaignIds,
+              callIds: { $ifNull: ['$callIds', []] },
+              tags: { $ifNull: ['$tags', []] },
+              priority: { $ifNull: ['$priority', 0] },
+              deletedAt: null, // Importing a deleted contact again restores it
+              createdAt: { $ifNull: ['$createdAt', now] },
+              updatedAt: now
+            }
+          }],
+          upsert: true,
+          timestamps: false,
+          setDefaultsOnInsert: false
+        }
+      };
+    });
+    
+    let result;
+    const errors = [];
+    try {
+      result = await Contact.bulkWrite(operations, { ordered: false });
+    } catch (error) {
+      // Unordered: the other contacts in the batch are still written
+      if (!error.writeErrors) {
+        throw error;
+      }
+      result = error.result;
+      for (const writeError of error.writeErrors) {
+        errors.push({ index: writeError.index, error: writeError.errmsg || writeError.message });
+      }
+    }
+    
+    const created = result.upsertedCount ?? result.nUpserted ?? 0;
+    const updated = result.matchedCount ?? result.nMatched ?? 0;
+    
+    invalidateCacheByPattern('contact_list');
+    if (campaignId) {
+      invalidateCacheByPattern(`campaign_${campaignId}`);
+    }
+    
+    return { created, updated, errors };
+  } catch (error) {
+    console.error('[MongoDB] Error bulk upserting contacts:', error);
+    throw error;
+  }
+}
+
 export default {
+  CALLBACK_CONTACT_STATUSES,
   saveContact,
   getContactById,
   getContactByPhoneNumber,
@@ -517,6 +1125,17 @@ export default {
   addTagsToContact,
   removeTagsFromContact,
   updateContactCallHistory,
+  setContactDisposition,
   importContacts,
-  claimNextContactForCalling
+  bulkUpsertContacts,
+  claimNextContactForCalling,
+  getStaleCallingContacts,
+  releaseContactClaim,
+  claimContactForCallback,
+  releaseCallbackClaim,
+  getCampaignPhoneNumbers,
+  excludePendingContacts,
+  getPendingContactTimezones,
+  failExhaustedContacts,
+  recordCallAttempt
 };
\ No newline at end of file
@@ -0,0 +1,323 @@
+/**
+ * Import Job Repository
+ * Provides data access methods for CSV contact import jobs and their rejected rows
+ */
+import ImportJob from '../models/importJob.model.js';
+import ImportRejection from '../models/importRejection.model.js';
+
+// Job statuses that can still be canceled
+const CANCELABLE_STATUSES = ['awaiting-mapping', 'queued', 'running'];
+
+/**
+ * Create an import job for an uploaded file
+ * @param {Object} jobData - filePath, fileName, fileSize, columns, previewRows, progress.totalRows, createdBy
+ * @returns {Promise<Object>} Saved import job document
+ * @throws {Error} If saving fails
+ */
+export async function createImportJob(jobData) {
+  try {
+    if (!jobData?.filePath) {
+      throw new Error('File path is required');
+    }
+
+    const job = await ImportJob.create(jobData);
+    console.log(`[MongoDB] Created import job ${job._id} for ${job.fileName || job.filePath} (${job.progress.totalRows} rows)`);
+
+    return job;
+  } catch (error) {
+    console.error('[MongoDB] Error creating import job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get import job by ID
+ * @param {string} jobId - Import job ID
+ * @returns {Promise<Object|null>} Import job document
+ * @throws {Error} If retrieval fails
+ */
+export async function getImportJobById(jobId) {
+  try {
+    if (!jobId) {
+      throw new Error('Import job ID is required');
+    }
+
+    return await ImportJob.findById(jobId);
+  } catch (error) {
+    console.error(`[MongoDB] Error getting import job with ID ${jobId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get import jobs with pagination, newest first
+ * @param {Object} filters - status, campaignId
+ * @param {Object} pagination - page, limit
+ * @returns {Promise<Object>} { jobs, pagination }
+ * @throws {Error} If retrieval fails
+ */
+export async function getImportJobs(filters = {}, pagination = {}) {
+  try {
+    const { page = 1, limit = 20 } = pagination;
+    const query = {};
+
+    if (filters.status) {
+      query.status = filters.status;
+    }
+    if (filters.campaignId) {
+      query.campaignId = filters.campaignId;
+    }
+
+    const [jobs, total] = await Promise.all([
+      ImportJob.find(query)
+        .select('-previewRows')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ImportJob.countDocuments(query)
+    ]);
+
+    return {
+      jobs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  } catch (error) {
+    console.error('[MongoDB] Error getting import jobs:', error);
+    throw error;
+  }
+}
+
+/**
+ * Queue a job that is waiting for its column mapping
+ * @param {string} jobId - Import job ID
+ * @param {Object} jobData - mapping, options, campaignId
+ * @returns {Promise<Object|null>} Updated job, or null if the job is not awaiting its mapping
+ * @throws {Error} If update fails
+ */
+export async function queueImportJob(jobId, jobData) {
+  try {
+    if (!jobId) {
+      throw new Error('Import job ID is required');
+    }
+
+    const job = await ImportJob.findOneAndUpdate(
+      { _id: jobId, status: 'awaiting-mapping' },
+      { $set: { ...jobData, status: 'queued' } },
+      { new: true, runValidators: true }
+    );
+
+    if (job) {
+      console.log(`[MongoDB] Queued import job ${jobId}`);
+    }
+
+    return job;
+  } catch (error) {
+    console.error(`[MongoDB] Error queuing import job with ID ${jobId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Claim a job for this instance
+ * Queued jobs can always be claimed; running jobs only once their worker's heartbeat is stale.
+ * @param {string} jobId - Import job ID
+ * @param {string} workerId - Claiming instance
+ * @param {Date} staleBefore - Heartbeats older than this are considered dead
+ * @returns {Promise<Object|null>} Claimed job, or null if another worker holds it
+ * @throws {Error} If update fails
+ */
+export async function claimImportJob(jobId, workerId, staleBefore) {
+  try {
+    const now = new Date();
+
+    return await ImportJob.findOneAndUpdate(
+      {
+        _id: jobId,
+        $or: [
+          { status: 'queued' },
+          { status: 'running', heartbeatAt: { $lt: staleBefore } }
+        ]
+      },
+      {
+        $set: { status: 'running', workerId, heartbeatAt: now },
+        $min: { startedAt: now }
+      },
+      { new: true }
+    );
+  } catch (error) {
+    console.error(`[MongoDB] Error claiming import job with ID ${jobId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get jobs that have no live worker (queued, or running with a stale heartbeat)
+ * @param {Date} staleBefore - Heartbeats older than this are considered dead
+ * @returns {Promise<Array>} Import job documents
+ * @throws {Error} If retrieval fails
+ */
+export async function getResumableImportJobs(staleBefore) {
+  try {
+    return await ImportJob.find({
+      $or: [
+        { status: 'queued' },
+        { status: 'running', heartbeatAt: { $lt: staleBefore } }
+      ]
+    }).select('-previewRows');
+  } catch (error) {
+    console.error('[MongoDB] Error getting resumable import jobs:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save the outcome of a batch of rows
+ * Rejected rows are written before the progress, so a job that dies in between repeats the
+ * batch and upserts the same rejections again.
+ * @param {string} jobId - Import job ID
+ * @param {string} workerId - Instance running the job
+ * @param {Object} counts - processedRows, created, updated, rejected
+ * @param {Array<Object>} rejections - { rowNumber, reason, row }
+ * @returns {Promise<Object|null>} Updated job, or null if the job was canceled or taken over
+ * @throws {Error} If saving fails
+ */
+export async function recordImportBatch(jobId, workerId, counts, rejections = []) {
+  try {
+    if (rejections.length > 0) {
+      await ImportRejection.bulkWrite(rejections.map(rejection => ({
+        updateOne: {
+          filter: { jobId, rowNumber: rejection.rowNumber },
+          update: { $set: { reason: rejection.reason, row: rejection.row } },
+          upsert: true
+        }
+      })), { ordered: false });
+    }
+
+    return await ImportJob.findOneAndUpdate(
+      { _id: jobId, workerId, status: 'running' },
+      {
+        $inc: {
+          'progress.processedRows': counts.processedRows || 0,
+          'progress.created': counts.created || 0,
+          'progress.updated': counts.updated || 0,
+          'progress.rejected': counts.rejected || 0
+        },
+        $set: { heartbeatAt: new Date() }
+      },
+      { new: true }
+    );
+  } catch (error) {
+    console.error(`[MongoDB] Error recording import batch for job ${jobId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Hand a running job back to the queue (e.g. on shutdown) so the next instance resumes it straight away
+ * @param {string} jobId - Import job ID
+ * @param {string} workerId - Instance running the job
+ * @returns {Promise<Object|null>} Updated job, or null if the job is no longer run by this instance
+ * @throws {Error} If update fails
+ */
+export async function releaseImportJob(jobId, workerId) {
+  try {
+    return await ImportJob.findOneAndUpdate(
+      { _id: jobId, workerId, status: 'running' },
+      { $set: { status: 'queued', workerId: null, heartbeatAt: null } },
+      { new: true }
+    );
+  } catch (error) {
+    console.error(`[MongoDB] Error releasing import job with ID ${jobId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Mark a running job as finished
+ * @param {string} jobId - Import job ID
+ * @param {string} workerId - Instance running the job
+ * @param {string} status - 'completed' or 'failed'
+ * @param {string} errorMessage - Reason the job failed
+ * @returns {Promise<Object|null>} Updated job, or null if the job was canceled or taken over
+ * @throws {Error} If update fails
+ */
+export async function finishImportJob(jobId, workerId, status, errorMessage = null) {
+  try {
+    const job = await ImportJob.findOneAndUpdate(
+      { _id: jobId, workerId, status: 'running' },
+      { $set: { status, error: errorMessage, completedAt: new Date(), heartbeatAt: null } },
+      { new: true }
+    );
+
+    if (job) {
+      console.log(`[MongoDB] Import job ${jobId} ${status}: ${job.progress.created} created, ${job.progress.updated} updated, ${job.progress.rejected} rejected`);
+    }
+
+    return job;
+  } catch (error) {
+    console.error(`[MongoDB] Error finishing import job with ID ${jobId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Cancel a job that has not finished
+ * A running job stops after its current batch.
+ * @param {string} jobId - Import job ID
+ * @returns {Promise<Object|null>} Updated job, or null if the job had already finished
+ * @throws {Error} If update fails
+ */
+export async function cancelImportJob(jobId) {
+  try {
+    if (!jobId) {
+      throw new Error('Import job ID is required');
+    }
+
+    const job = await ImportJob.findOneAndUpdate(
+      { _id: jobId, status: { $in: CANCELABLE_STATUSES } },
+      { $set: { status: 'canceled', completedAt: new Date() } },
+      { new: true }
+    );
+
+    if (job) {
+      console.log(`[MongoDB] Canceled import job ${jobId}`);
+    }
+
+    return job;
+  } catch (error) {
+    console.error(`[MongoDB] Error canceling import job with ID ${jobId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get a cursor over a job's rejected rows, in file order
+ * @param {string} jobId - Import job ID
+ * @returns {Object} Mongoose query cursor of plain rejection objects
+ */
+export function getImportRejectionsCursor(jobId) {
+  return ImportRejection.find({ jobId })
+    .select('rowNumber reason row')
+    .sort({ rowNumber: 1 })
+    .lean()
+    .cursor();
+}
+
+export default {
+  createImportJob,
+  getImportJobById,
+  getImportJobs,
+  queueImportJob,
+  claimImportJob,
+  getResumableImportJobs,
+  recordImportBatch,
+  releaseImportJob,
+  finishImportJob,
+  cancelImportJob,
+  getImportRejectionsCursor
+};
@@ -0,0 +1,104 @@
+/**
+ * Metric Repository
+ * Provides data access methods for metric samples and their per-minute rollups
+ */
+import MetricSample from '../models/metricSample.model.js';
+import MetricRollup from '../models/metricRollup.model.js';
+
+/**
+ * Save raw metric samples
+ * @param {Array} samples - Samples (name, value, dimensions, callSid, timestamp)
+ * @returns {Promise<number>} Number of samples saved
+ * @throws {Error} If saving fails
+ */
+export async function saveMetricSamples(samples = []) {
+  try {
+    if (samples.length === 0) {
+      return 0;
+    }
+
+    const saved = await MetricSample.insertMany(samples, { ordered: false, lean: true });
+    return saved.length;
+  } catch (error) {
+    console.error('[MongoDB] Error saving metric samples:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add to per-minute rollups, creating them as needed
+ * @param {Array} rollups - Rollups (name, minute, dimensions, key, count, sum, min, max)
+ * @returns {Promise<void>}
+ * @throws {Error} If update fails
+ */
+export async function addMetricRollups(rollups = []) {
+  try {
+    if (rollups.length === 0) {
+      return;
+    }
+
+    await MetricRollup.bulkWrite(rollups.map(rollup => ({
+      updateOne: {
+        filter: { name: rollup.name, minute: rollup.minute, key: rollup.key },
+        update: {
+          $setOnInsert: { dimensions: rollup.dimensions },
+          $inc: { count: rollup.count, sum: rollup.sum },
+          $min: { min: rollup.min },
+          $max: { max: rollup.max }
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+  } catch (error) {
+    console.error('[MongoDB] Error updating metric rollups:', error);
+    throw error;
+  }
+}
+
+/**
+ * Total a metric's rollups over a time window
+ * @param {string} name - Metric name
+ * @param {Object} window - { startDate, endDate }
+ * @param {string} groupBy - Dimension to group by (optional)
+ * @returns {Promise<Array>} { group, count, sum, min, max, average } per dimension value (one entry without groupBy)
+ * @throws {Error} If retrieval fails
+ */
+export async function getMetricTotals(name, { startDate, endDate }, groupBy = null) {
+  try {
+    if (!name) {
+      throw new Error('Metric name is required');
+    }
+
+    const totals = await MetricRollup.aggregate([
+      { $match: { name, minute: { $gte: startDate, $lt: endDate } } },
+      {
+        $group: {
+          _id: groupBy ? `$dimensions.${groupBy}` : null,
+          count: { $sum: '$count' },
+          sum: { $sum: '$sum' },
+          min: { $min: '$min' },
+          max: { $max: '$max' }
+        }
+      },
+      { $sort: { count: -1 } }
+    ]);
+
+    return totals.map(total => ({
+      group: total._id ?? null,
+      count: total.count,
+      sum: total.sum,
+      min: total.min ?? 0,
+      max: total.max ?? 0,
+      average: total.count > 0 ? Math.round(total.sum / total.count) : 0
+    }));
+  } catch (error) {
+    console.error(`[MongoDB] Error getting totals for metric ${name}:`, error);
+    throw error;
+  }
+}
+
+export default {
+  saveMetricSamples,
+  addMetricRollups,
+  getMetricTotals
+};
@@ -3,7 +3,27 @@
  * Provides data access methods for the recordings collection
  */
 import Recording from '../models/recording.model.js';
-import { addRecordingToCall } from './call.repository.js';
+import { addRecordingToCall, removeRecordingFromCall } from './call.repository.js';
+import { buildRetentionPipeline } from '../utils/retention-policy.js';
+
+// A recording left in 'archiving' this long (e.g. the instance archiving it stopped) is picked up again
+const STALE_ARCHIVE_CLAIM_AGE = 10 * 60 * 1000;
+
+/**
+ * Filter for completed recordings that still have to be archived
+ * @param {Date} now - Current time
+ * @returns {Object} Query filter
+ */
+function archivableFilter(now) {
+  return {
+    status: 'completed',
+    url: { $ne: null },
+    $or: [
+      { 'archive.status': { $in: [null, 'pending'] } },
+      { 'archive.status': 'archiving', 'archive.claimedAt': { $lt: new Date(now.getTime() - STALE_ARCHIVE_CLAIM_AGE) } }
+    ]
+  };
+}
 
 /**
  * Save a new recording to the database
@@ -234,11 +254,151 @@ export async function updateTranscriptionStatus(recordingSid, status) {
   }
 }
 
+/**
+ * Get completed recordings that have not been archived yet, oldest first
+ * @param {number} limit - Maximum number of recordings
+ * @returns {Promise<Array>} Recording documents
+ * @throws {Error} If retrieval fails
+ */
+export async function getRecordingsToArchive(limit = 20) {
+  try {
+    return await Recording.find(archivableFilter(new Date()))
+      .sort({ createdAt: 1 })
+      .limit(limit);
+  } catch (error) {
+    console.error('[MongoDB] Error getting recordings to archive:', error);
+    throw error;
+  }
+}
+
+/**
+ * Claim a recording for archiving, so no other instance archives it too
+ * @param {string} recordingSid - Recording SID
+ * @param {string} ownerId - Server instance claiming the recording
+ * @returns {Promise<Object|null>} Claimed recording, or null if it is not waiting to be archived
+ * @throws {Error} If the update fails
+ */
+export async function claimRecordingArchive(recordingSid, ownerId) {
+  try {
+    const now = new Date();
+    return await Recording.findOneAndUpdate(
+      { recordingSid, ...archivableFilter(now) },
+      {
+        $set: { 'archive.status': 'archiving', 'archive.claimedBy': ownerId, 'archive.claimedAt': now },
+        $inc: { 'archive.attempts': 1 }
+      },
+      { new: true }
+    );
+  } catch (error) {
+    console.error(`[MongoDB] Error claiming recording ${recordingSid} for archiving:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Record the outcome of archiving a recording
+ * @param {string} recordingSid - Recording SID
+ * @param {Object} outcome - status ('archived', 'failed' or 'pending' to retry), driver, key, size, contentType, error
+ * @returns {Promise<Object|null>} Updated recording document
+ * @throws {Error} If the update fails
+ */
+export async function completeRecordingArchive(recordingSid, { status, driver, key, size, contentType, error = null }) {
+  try {
+    const update = {
+      'archive.status': status,
+      'archive.claimedBy': null,
+      'archive.claimedAt': null,
+      'archive.lastError': error
+    };
+    if (status === 'archived') {
+      Object.assign(update, {
+        'archive.driver': driver,
+        'archive.key': key,
+        'archive.size': size,
+        'archive.contentType': contentType,
+        'archive.archivedAt': new Date()
+      });
+    }
+
+    return await Recording.findOneAndUpdate({ recordingSid }, { $set: update }, { new: true });
+  } catch (err) {
+    console.error(`[MongoDB] Error updating archive of recording ${recordingSid}:`, err);
+    throw err;
+  }
+}
+
+/**
+ * Get recordings whose retention has passed, oldest first
+ * @param {Object} options - minDays (shortest retention of any policy), limit
+ * @returns {Promise<Array>} Plain recordings with retentionDays, policySource and campaignId
+ * @throws {Error} If the aggregation fails
+ */
+export async function getExpiredRecordings({ minDays, limit = 100 }) {
+  try {
+    return await Recording.aggregate(buildRetentionPipeline({
+      daysField: 'recordingDays',
+      minDays,
+      limit,
+      project: { recordingSid: 1, duration: 1, archive: 1 }
+    }));
+  } catch (error) {
+    console.error('[MongoDB] Error getting expired recordings:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a recording and take it off its call
+ * Its audio is not touched; remove it from storage and Twilio first.
+ * @param {string} recordingSid - Recording SID
+ * @returns {Promise<Object|null>} Deleted recording, or null if not found
+ * @throws {Error} If deletion fails
+ */
+export async function deleteRecording(recordingSid) {
+  try {
+    const recording = await Recording.findOneAndDelete({ recordingSid });
+    if (recording) {
+      await removeRecordingFromCall(recording.callSid, recording._id);
+      console.log(`[MongoDB] Deleted recording ${recordingSid}`);
+    }
+
+    return recording;
+  } catch (error) {
+    console.error(`[MongoDB] Error deleting recording ${recordingSid}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Record that Twilio's copy of an archived recording was deleted
+ * @param {string} recordingSid - Recording SID
+ * @returns {Promise<Object|null>} Updated recording document
+ * @throws {Error} If the update fails
+ */
+export async function markTwilioCopyDeleted(recordingSid) {
+  try {
+    return await Recording.findOneAndUpdate(
+      { recordingSid },
+      { $set: { 'archive.twilioDeletedAt': new Date() } },
+      { new: true }
+    );
+  } catch (error) {
+    console.error(`[MongoDB] Error updating recording ${recordingSid}:`, error);
+    throw error;
+  }
+}
+
 export default {
   saveRecording,
   updateRecording,
   getRecordingsByCallSid,
   getRecordingBySid,
   updateProcessingStatus,
-  updateTranscriptionStatus
+  updateTranscriptionStatus,
+  getRecordingsToArchive,
+  claimRecordingArchive,
+  completeRecordingArchive,
+  markTwilioCopyDeleted,
+  getExpiredRecordings,
+  deleteRecording
 };
\ No newline at end of file
@@ -0,0 +1,391 @@
+/**
+ * Suppression Repository
+ * Provides data access methods for the global do-not-call list and dial-time enforcement
+ */
+import Suppression from '../models/suppression.model.js';
+import Contact from '../models/contact.model.js';
+import Call from '../models/call.model.js';
+import { logEvent } from './callEvent.repository.js';
+import { detectOptOut } from '../utils/opt-out-detection.js';
+import { invalidateCacheByPattern } from '../utils/cache.js';
+import { normalizePhoneNumber } from '../utils/phone-number.js';
+
+// Call SID that refused dials are stored under, since no Twilio call exists for them
+export const DO_NOT_CALL_REFUSED_CALL_SID = 'do-not-call-refused';
+
+/**
+ * Normalize a phone number the same way contacts are stored (E.164)
+ * Numbers without a country code are read in DEFAULT_PHONE_REGION.
+ * @param {string} phoneNumber - Phone number in any format
+ * @returns {string} E.164 number, or '' if the number cannot be parsed
+ */
+export function normalizeSuppressionNumber(phoneNumber) {
+  return normalizePhoneNumber(phoneNumber).e164 || '';
+}
+
+/**
+ * Mark every contact with a suppressed number as do-not-call
+ * Contacts mid-call are left alone; their next claim is refused instead.
+ * @param {Array<string>} phoneNumbers - Normalized phone numbers
+ * @returns {Promise<number>} Number of contacts updated
+ */
+async function markContactsDoNotCall(phoneNumbers) {
+  const result = await Contact.updateMany(
+    { phoneNumber: { $in: phoneNumbers }, status: { $nin: ['do-not-call', 'calling'] } },
+    { $set: { status: 'do-not-call', nextAttemptAt: null } }
+  );
+
+  if (result.modifiedCount > 0) {
+    invalidateCacheByPattern('contact_list');
+    invalidateCacheByPattern('campaign_');
+  }
+
+  return result.modifiedCount;
+}
+
+/**
+ * Get the suppression entry for a number
+ * @param {string} phoneNumber - Phone number in any format
+ * @returns {Promise<Object|null>} Suppression document, or null if the number may be dialed
+ * @throws {Error} If retrieval fails
+ */
+export async function getSuppression(phoneNumber) {
+  try {
+    const normalized = normalizeSuppressionNumber(phoneNumber);
+    if (!normalized) {
+      throw new Error(`Invalid phone number: ${phoneNumber}`);
+    }
+
+    return await Suppression.findOne({ phoneNumber: normalized });
+  } catch (error) {
+    console.error(`[MongoDB] Error getting suppression for ${phoneNumber}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Check whether a number is on the do-not-call list
+ * @param {string} phoneNumber - Phone number in any format
+ * @returns {Promise<boolean>} True if the number must not be dialed
+ * @throws {Error} If the check fails
+ */
+export async function isSuppressed(phoneNumber) {
+  return Boolean(await getSuppression(phoneNumber));
+}
+
+/**
+ * Add a number to the do-not-call list
+ * Adding a number that is already listed keeps the original entry.
+ * @param {Object} suppressionData - phoneNumber, reason, source, addedBy, callSid
+ * @returns {Promise<Object>} { suppression, created }
+ * @throws {Error} If saving fails
+ */
+export async function addSuppression(suppressionData = {}) {
+  try {
+    const phoneNumber = normalizeSuppressionNumber(suppressionData.phoneNumber);
+    if (!phoneNumber) {
+      throw new Error(`Invalid phone number: ${suppressionData.phoneNumber}`);
+    }
+
+    const result = await Suppression.findOneAndUpdate(
+      { phoneNumber },
+      {
+        $setOnInsert: {
+          phoneNumber,
+          reason: suppressionData.reason || null,
+          source: suppressionData.source || 'manual',
+          addedBy: suppressionData.addedBy || null,
+          addedAt: new Date(),
+          callSid: suppressionData.callSid || null
+        }
+      },
+      { upsert: true, new: true, runValidators: true, includeResultMetadata: true }
+    );
+
+    const suppression = result.value;
+    const created = !result.lastErrorObject?.updatedExisting;
+
+    if (created) {
+      const contactsUpdated = await markContactsDoNotCall([phoneNumber]);
+      console.log(`[MongoDB] Added ${phoneNumber} to do-not-call list (${suppression.source}), ${contactsUpdated} contacts marked do-not-call`);
+    }
+
+    return { suppression, created };
+  } catch (error) {
+    console.error(`[MongoDB] Error adding ${suppressionData.phoneNumber} to do-not-call list:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Bulk import numbers into the do-not-call list
+ * @param {Array<string|Object>} entries - Phone numbers, or objects with phoneNumber and reason
+ * @param {Object} defaults - reason, source and addedBy applied to entries without their own
+ * @returns {Promise<Object>} Import results
+ * @throws {Error} If import fails
+ */
+export async function importSuppressions(entries, defaults = {}) {
+  try {
+    if (!entries || !Array.isArray(entries) || entries.length === 0) {
+      throw new Error('Phone numbers array is required');
+    }
+
+    const results = {
+      total: entries.length,
+      added: 0,
+      existing: 0,
+      failed: 0,
+      errors: []
+    };
+
+    const operations = new Map();
+    for (const entry of entries) {
+      const data = typeof entry === 'object' && entry !== null ? entry : { phoneNumber: entry };
+      const phoneNumber = normalizeSuppressionNumber(data.phoneNumber);
+
+      if (!phoneNumber) {
+        results.failed++;
+        results.errors.push({ data: entry, error: normalizePhoneNumber(data.phoneNumber).reason });
+        continue;
+      }
+
+      if (operations.has(phoneNumber)) {
+        results.existing++;
+        continue;
+      }
+
+      operations.set(phoneNumber, {
+        updateOne: {
+          filter: { phoneNumber },
+          update: {
+            $setOnInsert: {
+              phoneNumber,
+              reason: data.reason || defaults.reason || null,
+              source: defaults.source || 'import',
+              addedBy: data.addedBy || defaults.addedBy || null,
+              addedAt: new Date()
+            }
+          },
+          upsert: true
+        }
+      });
+    }
+
+    if (operations.size > 0) {
+      const result = await Suppression.bulkWrite([...operations.values()], { ordered: false });
+      results.added = result.upsertedCount;
+      results.existing += operations.size - result.upsertedCount;
+
+      const contactsUpdated = await markContactsDoNotCall([...operations.keys()]);
+      results.contactsUpdated = contactsUpdated;
+    }
+
+    console.log(`[MongoDB] Imported do-not-call list: ${results.added} added, ${results.existing} already listed, ${results.failed} failed`);
+
+    return results;
+  } catch (error) {
+    console.error('[MongoDB] Error importing do-not-call list:', error);
+    throw error;
+  }
+}
+
+/**
+ * Build the query for listing or exporting suppressions
+ * @param {Object} filters - source, search, startDate, endDate
+ * @returns {Object} MongoDB query
+ */
+function buildSuppressionQuery(filters = {}) {
+  const { source, search, startDate, endDate } = filters;
+  const query = {};
+
+  if (source) {
+    query.source = source;
+  }
+
+  if (search) {
+    const digits = String(search).replace(/\D/g, '');
+    query.$or = [{ reason: { $regex: search, $options: 'i' } }];
+    if (digits) {
+      query.$or.push({ phoneNumber: { $regex: digits } });
+    }
+  }
+
+  if (startDate || endDate) {
+    query.addedAt = {};
+    if (startDate) {
+      query.addedAt.$gte = new Date(startDate);
+    }
+    if (endDate) {
+      query.addedAt.$lte = new Date(endDate);
+    }
+  }
+
+  return query;
+}
+
+/**
+ * Get suppressions with pagination
+ * @param {Object} filters - source, search, startDate, endDate
+ * @param {Object} pagination - page, limit
+ * @returns {Promise<Object>} Object with suppressions array and pagination metadata
+ * @throws {Error} If retrieval fails
+ */
+export async function getSuppressions(filters = {}, pagination = {}) {
+  try {
+    const { page = 1, limit = 50 } = pagination;
+    const query = buildSuppressionQuery(filters);
+
+    const [suppressions, total] = await Promise.all([
+      Suppression.find(query)
+        .sort({ addedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Suppression.countDocuments(query)
+    ]);
+
+    console.log(`[MongoDB] Retrieved ${suppressions.length} suppressions (page ${page}, total: ${total})`);
+
+    return {
+      suppressions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  } catch (error) {
+    console.error('[MongoDB] Error getting suppressions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get every suppression matching the filters (for export)
+ * @param {Object} filters - source, search, startDate, endDate
+ * @returns {Promise<Array>} Plain suppression objects, newest first
+ * @throws {Error} If retrieval fails
+ */
+export async function exportSuppressions(filters = {}) {
+  try {
+    const suppressions = await Suppression.find(buildSuppressionQuery(filters))
+      .select('phoneNumber reason source addedBy addedAt callSid')
+      .sort({ addedAt: -1 })
+      .lean();
+
+    console.log(`[MongoDB] Exported ${suppressions.length} suppressions`);
+
+    return suppressions;
+  } catch (error) {
+    console.error('[MongoDB] Error exporting suppressions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a number from the do-not-call list
+ * Contacts already marked do-not-call keep that status and must be reset individually.
+ * @param {string} phoneNumber - Phone number in any format
+ * @returns {Promise<boolean>} True if removed, false if the number was not listed
+ * @throws {Error} If removal fails
+ */
+export async function removeSuppression(phoneNumber) {
+  try {
+    const normalized = normalizeSuppressionNumber(phoneNumber);
+    if (!normalized) {
+      throw new Error(`Invalid phone number: ${phoneNumber}`);
+    }
+
+    const result = await Suppression.findOneAndDelete({ phoneNumber: normalized });
+
+    if (!result) {
+      console.log(`[MongoDB] ${normalized} is not on the do-not-call list`);
+      return false;
+    }
+
+    console.log(`[MongoDB] Removed ${normalized} from do-not-call list`);
+
+    return true;
+  } catch (error) {
+    console.error(`[MongoDB] Error removing ${phoneNumber} from do-not-call list:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Log a refused dial
+ * A refused dial has no Twilio call, so it is stored under DO_NOT_CALL_REFUSED_CALL_SID with the contact and campaign in its data.
+ * @param {Object} suppression - Suppression entry that blocked the dial
+ * @param {Object} context - stage ('dial' or 'claim'), campaignId, contactId
+ * @returns {Promise<Object|null>} Logged event, or null if it could not be stored
+ */
+export async function logSuppressedDial(suppression, context = {}) {
+  const stage = context.stage || 'dial';
+  console.log(`[Do Not Call] Refused to dial ${suppression.phoneNumber} (${stage}, contact ${context.contactId || 'none'}, campaign ${context.campaignId || 'none'}): ${suppression.reason || suppression.source}`);
+
+  return logEvent(DO_NOT_CALL_REFUSED_CALL_SID, 'custom', {
+    type: 'do_not_call_refused',
+    stage,
+    phoneNumber: suppression.phoneNumber,
+    reason: suppression.reason || null,
+    suppressionSource: suppression.source,
+    campaignId: context.campaignId ? context.campaignId.toString() : null,
+    contactId: context.contactId ? context.contactId.toString() : null
+  }, { source: 'system' });
+}
+
+/**
+ * Add the callee to the do-not-call list if they opted out during the call
+ * @param {Object} transcript - Transcript document ({ callSid, transcript, analysis })
+ * @returns {Promise<Object|null>} Suppression entry, or null if the callee did not opt out
+ * @throws {Error} If the number cannot be added
+ */
+export async function applyTranscriptOptOut(transcript) {
+  try {
+    const optOut = detectOptOut(transcript);
+    if (!optOut) {
+      return null;
+    }
+
+    const call = await Call.findOne({ callSid: transcript.callSid }).select('from to direction').lean();
+    const phoneNumber = call?.direction === 'inbound' ? call.from : call?.to;
+    if (!phoneNumber) {
+      console.warn(`[MongoDB] Opt-out detected for call ${transcript.callSid} but the callee's number is unknown`);
+      return null;
+    }
+
+    const { suppression, created } = await addSuppression({
+      phoneNumber,
+      reason: optOut.reason,
+      source: 'opt-out',
+      addedBy: 'system',
+      callSid: transcript.callSid
+    });
+
+    await logEvent(transcript.callSid, 'custom', {
+      type: 'do_not_call_opt_out',
+      method: optOut.method,
+      phoneNumber: suppression.phoneNumber,
+      alreadyListed: !created
+    }, { source: 'system' });
+
+    return suppression;
+  } catch (error) {
+    console.error(`[MongoDB] Error applying opt-out for call ${transcript?.callSid}:`, error);
+    throw error;
+  }
+}
+
+export default {
+  DO_NOT_CALL_REFUSED_CALL_SID,
+  normalizeSuppressionNumber,
+  getSuppression,
+  isSuppressed,
+  addSuppression,
+  importSuppressions,
+  getSuppressions,
+  exportSuppressions,
+  removeSuppression,
+  logSuppressedDial,
+  applyTranscriptOptOut
+};
@@ -0,0 +1,285 @@
+/**
+ * Topic Repository
+ * Provides data access methods for the topic taxonomy and per-transcript topic extraction
+ */
+import Topic from '../models/topic.model.js';
+import Transcript from '../models/transcript.model.js';
+import Call from '../models/call.model.js';
+import { extractTopics } from '../utils/topic-extraction.js';
+import { invalidateCacheByPattern } from '../utils/cache.js';
+
+// Seeded when the topics collection is empty, edit via /api/db/topics
+export const DEFAULT_TOPICS = [
+  { name: 'Pricing', keywords: ['price', 'pricing', 'cost', 'costs', 'how much', 'expensive', 'cheap', 'discount', 'quote'] },
+  { name: 'Billing', keywords: ['bill', 'billing', 'invoice', 'payment', 'charged', 'refund', 'direct debit', 'credit card'] },
+  { name: 'Support', keywords: ['help', 'support', 'problem', 'issue', 'complaint', 'speak to someone', 'customer service'] },
+  { name: 'Technical Issues', keywords: ['not working', 'broken', 'error', 'crash', 'bug', 'login', 'password', 'cant access'] },
+  { name: 'Features', keywords: ['feature', 'features', 'functionality', 'integration', 'integrate', 'option', 'options'] },
+  { name: 'Scheduling', keywords: ['call back', 'callback', 'later', 'tomorrow', 'next week', 'appointment', 'busy right now'] },
+  { name: 'Not Interested', keywords: ['not interested', 'no thanks', 'no thank you', 'remove me', 'stop calling', 'dont call'] }
+];
+
+// Transcripts processed per batch when reprocessing
+const REPROCESS_BATCH_SIZE = 100;
+
+/**
+ * Invalidate cached topic analytics
+ */
+function invalidateTopicCache() {
+  invalidateCacheByPattern('^topics_');
+}
+
+/**
+ * Seed the default taxonomy if no topics exist yet
+ * @returns {Promise<number>} Number of topics created
+ */
+export async function ensureDefaultTopics() {
+  try {
+    const existing = await Topic.estimatedDocumentCount();
+    if (existing > 0) {
+      return 0;
+    }
+
+    await Topic.insertMany(DEFAULT_TOPICS);
+    console.log(`[MongoDB] Seeded ${DEFAULT_TOPICS.length} default topics`);
+
+    return DEFAULT_TOPICS.length;
+  } catch (error) {
+    console.error('[MongoDB] Error seeding default topics:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save a new topic
+ * @param {Object} topicData - Topic data (name, keywords, description, isActive)
+ * @returns {Promise<Object>} Saved topic document
+ * @throws {Error} If saving fails
+ */
+export async function saveTopic(topicData) {
+  try {
+    const topic = await new Topic(topicData).save();
+    console.log(`[MongoDB] Saved topic: ${topic.name} (${topic.keywords.length} keywords)`);
+
+    invalidateTopicCache();
+
+    return topic;
+  } catch (error) {
+    console.error('[MongoDB] Error saving topic:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get topic by ID
+ * @param {string} topicId - Topic ID
+ * @returns {Promise<Object|null>} Topic document or null if not found
+ * @throws {Error} If retrieval fails
+ */
+export async function getTopicById(topicId) {
+  try {
+    if (!topicId) {
+      throw new Error('Topic ID is required');
+    }
+
+    return await Topic.findById(topicId);
+  } catch (error) {
+    console.error(`[MongoDB] Error getting topic with ID ${topicId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get topics
+ * @param {Object} filters - Filter criteria (isActive)
+ * @returns {Promise<Array>} Topic documents sorted by name
+ * @throws {Error} If retrieval fails
+ */
+export async function getTopics(filters = {}) {
+  try {
+    const query = {};
+    if (filters.isActive !== undefined) {
+      query.isActive = filters.isActive;
+    }
+
+    const topics = await Topic.find(query).sort({ name: 1 });
+    console.log(`[MongoDB] Retrieved ${topics.length} topics`);
+
+    return topics;
+  } catch (error) {
+    console.error('[MongoDB] Error getting topics:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update topic
+ * @param {string} topicId - Topic ID
+ * @param {Object} updateData - Data to update
+ * @returns {Promise<Object|null>} Updated topic document or null if not found
+ * @throws {Error} If update fails
+ */
+export async function updateTopic(topicId, updateData) {
+  try {
+    if (!topicId) {
+      throw new Error('Topic ID is required');
+    }
+
+    const topic = await Topic.findByIdAndUpdate(
+      topicId,
+      { $set: updateData },
+      { new: true, runValidators: true }
+    );
+
+    if (!topic) {
+      console.log(`[MongoDB] No topic found with ID: ${topicId}`);
+      return null;
+    }
+
+    console.log(`[MongoDB] Updated topic: ${topic.name} (${topic._id})`);
+
+    invalidateTopicCache();
+
+    return topic;
+  } catch (error) {
+    console.error(`[MongoDB] Error updating topic with ID ${topicId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete topic
+ * Transcripts keep previously extracted topics until they are reprocessed.
+ * @param {string} topicId - Topic ID
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ * @throws {Error} If deletion fails
+ */
+export async function deleteTopic(topicId) {
+  try {
+    if (!topicId) {
+      throw new Error('Topic ID is required');
+    }
+
+    const result = await Topic.findByIdAndDelete(topicId);
+
+    if (!result) {
+      console.log(`[MongoDB] No topic found with ID: ${topicId}`);
+      return false;
+    }
+
+    console.log(`[MongoDB] Deleted topic: ${result.name} (${result._id})`);
+
+    invalidateTopicCache();
+
+    return true;
+  } catch (error) {
+    console.error(`[MongoDB] Error deleting topic with ID ${topicId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Extract and persist topics for a single transcript
+ * @param {Object} transcript - Transcript document
+ * @param {Array} taxonomy - Active topics (loaded if not provided)
+ * @returns {Promise<Array>} Extracted topics
+ * @throws {Error} If extraction or saving fails
+ */
+export async function extractTranscriptTopics(transcript, taxonomy = null) {
+  try {
+    if (!transcript?._id) {
+      throw new Error('Transcript is required');
+    }
+
+    const topics = taxonomy || await Topic.find({ isActive: true }).lean();
+    const extracted = extractTopics(transcript, topics);
+
+    // Copy the campaign from the call so topics can be aggregated per campaign
+    let campaignId = transcript.campaignId || null;
+    if (!campaignId) {
+      const call = await Call.findOne({ callSid: transcript.callSid }).select('campaignId').lean();
+      campaignId = call?.campaignId || null;
+    }
+
+    await Transcript.updateOne(
+      { _id: transcript._id },
+      { $set: { topics: extracted, topicsExtractedAt: new Date(), campaignId } }
+    );
+
+    console.log(`[MongoDB] Extracted ${extracted.length} topics for transcript ${transcript._id} (call ${transcript.callSid}): ${extracted.map(topic => topic.name).join(', ') || 'none'}`);
+
+    invalidateTopicCache();
+
+    return extracted;
+  } catch (error) {
+    console.error(`[MongoDB] Error extracting topics for transcript ${transcript?._id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Re-run topic extraction over stored transcripts (e.g. after the taxonomy changes)
+ * @param {Object} options - startDate, endDate, campaignId, onlyMissing
+ * @returns {Promise<Object>} Processed and failed counts
+ * @throws {Error} If the taxonomy cannot be loaded
+ */
+export async function reprocessTranscriptTopics(options = {}) {
+  try {
+    const { startDate = null, endDate = null, campaignId = null, onlyMissing = false } = options;
+
+    const query = { status: 'done' };
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) {
+        query.createdAt.$gte = new Date(startDate);
+      }
+      if (endDate) {
+        query.createdAt.$lte = new Date(endDate);
+      }
+    }
+    if (campaignId) {
+      query.campaignId = campaignId;
+    }
+    if (onlyMissing) {
+      query.topicsExtractedAt = null;
+    }
+
+    const taxonomy = await Topic.find({ isActive: true }).lean();
+    let processed = 0;
+    let failed = 0;
+
+    const cursor = Transcript.find(query)
+      .select('callSid transcript.role transcript.message analysis.data_collection_results campaignId')
+      .lean()
+      .batchSize(REPROCESS_BATCH_SIZE)
+      .cursor();
+
+    for await (const transcript of cursor) {
+      try {
+        await extractTranscriptTopics(transcript, taxonomy);
+        processed++;
+      } catch (error) {
+        failed++;
+      }
+    }
+
+    console.log(`[MongoDB] Reprocessed topics for ${processed} transcripts (${failed} failed)`);
+
+    return { processed, failed };
+  } catch (error) {
+    console.error('[MongoDB] Error reprocessing transcript topics:', error);
+    throw error;
+  }
+}
+
+export default {
+  DEFAULT_TOPICS,
+  ensureDefaultTopics,
+  saveTopic,
+  getTopicById,
+  getTopics,
+  updateTopic,
+  deleteTopic,
+  extractTranscriptTopics,
+  reprocessTranscriptTopics
+};
@@ -4,9 +4,43 @@
  */
 import Transcript from '../models/transcript.model.js';
 import { emitTranscriptMessage, emitTranscriptTypewriter } from '../../socket-server.js';
-import { setTranscriptForCall } from './call.repository.js'; // Assuming this function still exists and works
+import { setTranscriptForCall, clearTranscriptForCall } from './call.repository.js'; // Assuming this function still exists and works
+import { extractTranscriptTopics } from './topic.repository.js';
+import { applyTranscriptOptOut } from './suppression.repository.js';
+import { getCampaignRetention } from './campaign.repository.js';
+import Call from '../models/call.model.js';
+import { redactTranscript, redactTranscriptItem, addRedactionCounts } from '../utils/pii-redaction.js';
+import { resolveRetentionPolicy, buildRetentionPipeline } from '../utils/retention-policy.js';
+import { getCacheValue, setCacheValue } from '../utils/cache.js';
 import mongoose from 'mongoose';
 
+/**
+ * Check whether a call's retention policy keeps unredacted transcript messages
+ * Cached for a few minutes, as it is checked for every real-time message.
+ * @param {string} callSid - Call SID
+ * @returns {Promise<boolean>} Whether originals are kept
+ */
+async function keepsOriginalTranscripts(callSid) {
+  const cacheKey = `retention_originals_${callSid}`;
+  const cached = getCacheValue(cacheKey);
+  if (cached !== null && cached !== undefined) {
+    return cached;
+  }
+
+  try {
+    const call = await Call.findOne({ callSid }, 'campaignId').setOptions({ withDeleted: true }).lean();
+    const retention = call?.campaignId ? await getCampaignRetention(call.campaignId) : null;
+    const keep = resolveRetentionPolicy(retention).keepOriginalTranscripts;
+
+    setCacheValue(cacheKey, keep, 5 * 60 * 1000);
+    return keep;
+  } catch (error) {
+    // Redact without keeping originals rather than fail to save the transcript
+    console.error(`[MongoDB] Error getting retention policy of call ${callSid}:`, error.message);
+    return false;
+  }
+}
+
 /**
  * Creates or updates a transcript document using data fetched from the ElevenLabs Conversation API.
  * Uses callSid as the primary key for upserting.
@@ -37,19 +71,24 @@ export async function createOrUpdateTranscriptFromElevenLabs(callSid, elevenLabs
     throw new Error('ElevenLabs data must include a transcript array.');
   }
 
-  // Map ElevenLabs data directly to our schema fields
-  const transcriptDocData = {
-    callSid: callSid,
-    conversationId: elevenLabsData.conversation_id,
-    agent_id: elevenLabsData.agent_id,
-    status: elevenLabsData.status,
-    transcript: elevenLabsData.transcript, // Assuming structure matches transcriptItemSchema
-    metadata: elevenLabsData.metadata || {}, // Use provided metadata or default to empty object
-    analysis: elevenLabsData.analysis // Use provided analysis object (can be null/undefined if optional)
-    // createdAt and updatedAt will be handled by mongoose timestamps
-  };
-
   try {
+    // Mask PII the caller spoke aloud; the originals are only kept if the retention policy allows it
+    const keepOriginal = await keepsOriginalTranscripts(callSid);
+    const { items, counts } = redactTranscript(elevenLabsData.transcript, { keepOriginal });
+
+    // Map ElevenLabs data directly to our schema fields
+    const transcriptDocData = {
+      callSid: callSid,
+      conversationId: elevenLabsData.conversation_id,
+      agent_id: elevenLabsData.agent_id,
+      status: elevenLabsData.status,
+      transcript: items, // Assuming structure matches transcriptItemSchema
+      metadata: elevenLabsData.metadata || {}, // Use provided metadata or default to empty object
+      analysis: elevenLabsData.analysis, // Use provided analysis object (can be null/undefined if optional)
+      redaction: { counts, originalsKept: keepOriginal }
+      // createdAt and updatedAt will be handled by mongoose timestamps
+    };
+
     console.log(`[MongoDB] Upserting transcript for callSid: ${callSid}, conversationId: ${transcriptDocData.conversationId}`);
 
     const options = {
@@ -78,6 +117,21 @@ export async function createOrUpdateTranscriptFromElevenLabs(callSid, elevenLabs
         // Decide if this should be a fatal error or just a warning
     }
 
+    // Extract topics once the conversation is complete (never blocks saving the transcript)
+    if (savedTranscript.status === 'done') {
+      try {
+        savedTranscript.topics = await extractTranscriptTopics(savedTranscript);
+      } catch (topicError) {
+        console.error(`[MongoDB] Warning: Topic extraction failed for call ${callSid}:`, topicError.message);
+      }
+
+      // Callee asked not to be called again
+      try {
+        await applyTranscriptOptOut(savedTranscript);
+      } catch (optOutError) {
+        console.error(`[MongoDB] Warning: Opt-out check failed for call ${callSid}:`, optOutError.message);
+      }
+    }
 
     return savedTranscript;
   } catch (error) {
@@ -153,9 +207,10 @@ export async function getTranscriptByConversationId(conversationId) {
  * @param {string} role - Message role (user/agent)
  * @param {string} message - Message text
  * @param {number} timeInCall - Time in call (seconds)
+ * @param {Object} details - Other transcript item fields, e.g. tool_calls and tool_results (optional)
  * @returns {Promise<Object>} Updated transcript document
  */
-export async function appendRealtimeTranscriptMessage(callSid, conversationId, role, message, timeInCall = 0) {
+export async function appendRealtimeTranscriptMessage(callSid, conversationId, role, message, timeInCall = 0, details = {}) {
   try {
     if (!callSid) {
       throw new Error('Call SID is required');
@@ -198,14 +253,19 @@ export async function appendRealtimeTranscriptMessage(callSid, conversationId, r
       console.log(`[Transcript] Found existing transcript for call ${callSid}, current message count: ${transcript.transcript?.length || 0}`);
     }
 
-    // Add the new message to the transcript array
-    const transcriptItem = {
+    // Add the new message to the transcript array, with PII masked
+    const keepOriginal = await keepsOriginalTranscripts(callSid);
+    const { item: transcriptItem, counts } = redactTranscriptItem({
+      ...details,
       role,
       message,
       time_in_call_secs: timeInCall
-    };
+    }, { keepOriginal });
+    message = transcriptItem.message;
     
     transcript.transcript.push(transcriptItem);
+    addRedactionCounts(transcript.redaction.counts, counts);
+    transcript.redaction.originalsKept = keepOriginal;
     console.log(`[Transcript] Added message to transcript array, new count: ${transcript.transcript.length}`);
     
     // Save the updated transcript
@@ -217,19 +277,21 @@ export async function appendRealtimeTranscriptMessage(callSid, conversationId, r
       throw updateError;
     }
     
-    // Emit the transcript message via Socket.IO for real-time updates
-    try {
-      // Use typewriter effect for better UX
-      emitTranscriptTypewriter(callSid, {
-        role,
-        message,
-        timestamp: new Date().toISOString()
-      }, 4); // 4 words per second
-      
-      console.log(`[Transcript] Emitted real-time transcript message for call ${callSid}`);
-    } catch (emitError) {
-      console.error(`[Transcript] Error emitting transcript message:`, emitError);
-      // Don't throw - saving to DB is more important than real-time emit
+    // Emit the transcript message via Socket.IO for real-time updates (tool call items have no text to type out)
+    if (message) {
+      try {
+        // Use typewriter effect for better UX
+        emitTranscriptTypewriter(callSid, {
+          role,
+          message,
+          timestamp: new Date().toISOString()
+        }, 4); // 4 words per second
+        
+        console.log(`[Transcript] Emitted real-time transcript message for call ${callSid}`);
+      } catch (emitError) {
+        console.error(`[Transcript] Error emitting transcript message:`, emitError);
+        // Don't throw - saving to DB is more important than real-time emit
+      }
     }
     
     return transcript;
@@ -239,10 +301,71 @@ export async function appendRealtimeTranscriptMessage(callSid, conversationId, r
   }
 }
 
+/**
+ * Get a call's transcript with the unredacted messages the retention policy kept
+ * @param {string} callSid - Call SID
+ * @returns {Promise<Object|null>} Transcript document (items include original_message), or null if not found
+ * @throws {Error} If retrieval fails
+ */
+export async function getTranscriptWithOriginals(callSid) {
+  try {
+    return await Transcript.findOne({ callSid })
+      .select('+transcript.original_message')
+      .sort({ createdAt: -1 });
+  } catch (error) {
+    console.error(`[MongoDB] Error getting unredacted transcript for call ${callSid}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get transcripts whose retention has passed, oldest first
+ * @param {Object} options - minDays (shortest retention of any policy), limit
+ * @returns {Promise<Array>} Plain transcripts with retentionDays, policySource and campaignId
+ * @throws {Error} If the aggregation fails
+ */
+export async function getExpiredTranscripts({ minDays, limit = 100 }) {
+  try {
+    return await Transcript.aggregate(buildRetentionPipeline({
+      daysField: 'transcriptDays',
+      minDays,
+      limit,
+      project: { conversationId: 1, messageCount: { $size: { $ifNull: ['$transcript', []] } }, 'redaction.originalsKept': 1 }
+    }));
+  } catch (error) {
+    console.error('[MongoDB] Error getting expired transcripts:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a transcript and clear it from its call
+ * @param {string} transcriptId - Transcript ID
+ * @returns {Promise<Object|null>} Deleted transcript, or null if not found
+ * @throws {Error} If deletion fails
+ */
+export async function deleteTranscript(transcriptId) {
+  try {
+    const transcript = await Transcript.findByIdAndDelete(transcriptId);
+    if (transcript) {
+      await clearTranscriptForCall(transcript.callSid, transcript._id);
+      console.log(`[MongoDB] Deleted transcript ${transcriptId} of call ${transcript.callSid}`);
+    }
+
+    return transcript;
+  } catch (error) {
+    console.error(`[MongoDB] Error deleting transcript ${transcriptId}:`, error);
+    throw error;
+  }
+}
+
 // Export the relevant functions
 export default {
   createOrUpdateTranscriptFromElevenLabs,
   getTranscriptByCallSid,
   getTranscriptByConversationId,
-  appendRealtimeTranscriptMessage
+  appendRealtimeTranscriptMessage,
+  getTranscriptWithOriginals,
+  getExpiredTranscripts,
+  deleteTranscript
 };
\ No newline at end of file
@@ -0,0 +1,214 @@
+/**
+ * Retention Job
+ * Deletes recordings and transcripts once their retention policy has passed (see utils/retention-policy.js).
+ * A recording goes with its archived audio and Twilio's copy. Every purge is written to the audit log.
+ */
+import { getRecordingRepository, getTranscriptRepository, getCampaignRepository, getAuditLogRepository } from './index.js';
+import { INSTANCE_ID } from './campaign-engine.js';
+import { removeArchivedRecordings } from './recording-archiver.js';
+import { getDefaultRetentionPolicy } from './utils/retention-policy.js';
+import { invalidateCacheByPattern } from './utils/cache.js';
+import { createTwilioClient } from '../service-clients.js';
+
+// How often to look for expired recordings and transcripts
+const RETENTION_INTERVAL = parseInt(process.env.RETENTION_JOB_INTERVAL_MS, 10) || 60 * 60 * 1000;
+
+// Documents purged per batch, and batches per run
+const BATCH_SIZE = 100;
+const MAX_BATCHES = 10;
+
+let retentionInterval = null;
+let running = false;
+
+/**
+ * Get the shortest retention of any policy
+ * @param {string} daysField - 'recordingDays' or 'transcriptDays'
+ * @returns {Promise<number|null>} Days, or null if nothing expires
+ */
+async function getShortestRetentionDays(daysField) {
+  const defaultDays = getDefaultRetentionPolicy()[daysField];
+  const campaignDays = await getCampaignRepository().getShortestRetentionDays(daysField);
+  const days = [defaultDays, campaignDays].filter(value => value !== null);
+  return days.length > 0 ? Math.min(...days) : null;
+}
+
+/**
+ * Delete Twilio's copy of a recording
+ * @param {string} recordingSid - Recording SID
+ * @returns {Promise<boolean>} Whether Twilio had a copy
+ * @throws {Error} If Twilio could not delete it
+ */
+async function deleteFromTwilio(recordingSid) {
+  try {
+    await createTwilioClient().recordings(recordingSid).remove();
+    return true;
+  } catch (error) {
+    if (error.status === 404) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Purge an expired recording: its archived audio, Twilio's copy and the recording itself
+ * @param {Object} recording - Expired recording (from getExpiredRecordings)
+ * @returns {Promise<void>}
+ */
+async function purgeRecording(recording) {
+  const details = { duration: recording.duration ?? null };
+
+  if (recording.archive?.status === 'archived' && recording.archive.key) {
+    details.archiveKey = recording.archive.key;
+    details.archiveRemoved = (await removeArchivedRecordings([recording.archive.key])) === 1;
+  }
+  details.twilioDeleted = recording.archive?.twilioDeletedAt ? 'earlier' : await deleteFromTwilio(recording.recordingSid);
+
+  await getRecordingRepository().deleteRecording(recording.recordingSid);
+  await getAuditLogRepository().writeAuditLog({
+    action: 'recording_purged',
+    resourceId: recording.recordingSid,
+    callSid: recording.callSid,
+    campaignId: recording.campaignId ? recording.campaignId.toString() : null,
+    policy: { days: recording.retentionDays, source: recording.policySource },
+    resourceCreatedAt: recording.createdAt,
+    details,
+    performedBy: INSTANCE_ID
+  });
+
+  invalidateCacheByPattern(`call_details_${recording.callSid}`);
+}
+
+/**
+ * Purge an expired transcript
+ * @param {Object} transcript - Expired transcript (from getExpiredTranscripts)
+ * @returns {Promise<void>}
+ */
+async function purgeTranscript(transcript) {
+  await getTranscriptRepository().deleteTranscript(transcript._id);
+  await getAuditLogRepository().writeAuditLog({
+    action: 'transcript_purged',
+    resourceId: transcript._id.toString(),
+    callSid: transcript.callSid,
+    campaignId: transcript.campaignId ? transcript.campaignId.toString() : null,
+    policy: { days: transcript.retentionDays, source: transcript.policySource },
+    resourceCreatedAt: transcript.createdAt,
+    details: {
+      conversationId: transcript.conversationId,
+      messages: transcript.messageCount,
+      originalsKept: Boolean(transcript.redaction?.originalsKept)
+    },
+    performedBy: INSTANCE_ID
+  });
+
+  invalidateCacheByPattern(`call_details_${transcript.callSid}`);
+}
+
+/**
+ * Purge expired documents batch by batch
+ * A document that fails is logged and left for the next run; a batch that purges nothing ends the run.
+ * @param {string} label - What is purged, for logs
+ * @param {Function} getExpired - async (limit) => expired documents
+ * @param {Function} purge - async (document) => void
+ * @returns {Promise<Object>} { purged, failed }
+ */
+async function purgeExpired(label, getExpired, purge) {
+  const counts = { purged: 0, failed: 0 };
+
+  for (let batch = 0; batch < MAX_BATCHES; batch++) {
+    const expired = await getExpired(BATCH_SIZE);
+    let purgedInBatch = 0;
+
+    for (const document of expired) {
+      try {
+        await purge(document);
+        purgedInBatch++;
+      } catch (error) {
+        counts.failed++;
+        console.error(`[Retention] Error purging ${label} ${document.recordingSid || document._id} of call ${document.callSid}:`, error.message);
+      }
+    }
+
+    counts.purged += purgedInBatch;
+    if (expired.length < BATCH_SIZE || purgedInBatch === 0) {
+      break;
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Purge the recordings and transcripts whose retention has passed
+ * @returns {Promise<Object>} { recordings: { purged, failed }, transcripts: { purged, failed } }
+ */
+export async function runRetentionJob() {
+  const result = {
+    recordings: { purged: 0, failed: 0 },
+    transcripts: { purged: 0, failed: 0 }
+  };
+  if (running) {
+    return result;
+  }
+  running = true;
+
+  try {
+    const recordingDays = await getShortestRetentionDays('recordingDays');
+    if (recordingDays !== null) {
+      result.recordings = await purgeExpired(
+        'recording',
+        limit => getRecordingRepository().getExpiredRecordings({ minDays: recordingDays, limit }),
+        purgeRecording
+      );
+    }
+
+    const transcriptDays = await getShortestRetentionDays('transcriptDays');
+    if (transcriptDays !== null) {
+      result.transcripts = await purgeExpired(
+        'transcript',
+        limit => getTranscriptRepository().getExpiredTranscripts({ minDays: transcriptDays, limit }),
+        purgeTranscript
+      );
+    }
+
+    if (result.recordings.purged > 0 || result.transcripts.purged > 0) {
+      invalidateCacheByPattern('dashboard_');
+      console.log(`[Retention] Purged ${result.recordings.purged} recordings and ${result.transcripts.purged} transcripts`);
+    }
+
+    return result;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start purging expired recordings and transcripts periodically
+ */
+export function initializeRetentionJob() {
+  if (retentionInterval) {
+    return;
+  }
+
+  retentionInterval = setInterval(() => {
+    runRetentionJob().catch(error => console.error('[Retention] Error running retention job:', error.message));
+  }, RETENTION_INTERVAL);
+
+  console.log(`[Retention] Checking for expired recordings and transcripts every ${Math.round(RETENTION_INTERVAL / 60000)} min`);
+}
+
+/**
+ * Stop purging
+ */
+export function shutdownRetentionJob() {
+  if (retentionInterval) {
+    clearInterval(retentionInterval);
+    retentionInterval = null;
+  }
+}
+
+export default {
+  runRetentionJob,
+  initializeRetentionJob,
+  shutdownRetentionJob
+};
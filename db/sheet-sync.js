@@ -0,0 +1,218 @@
+/**
+ * Google Sheet Sync
+ * Keeps a sheet campaign's contacts in step with its sheet while the campaign runs: rows appended
+ * to the sheet are imported as pending contacts, and rows a human marks "DNC" or "Skip" are taken
+ * out of the queue. Runs from the campaign engine's cycle, so only the instance holding the
+ * campaign's lease polls the sheet.
+ */
+import { getCampaignRepository, getContactRepository } from './index.js';
+import { getGoogleSheetsApi, quoteSheetName } from '../google-sheets.js';
+import { normalizePhoneNumber } from './utils/phone-number.js';
+
+// Header names recognised for each column (compared in lower case)
+const COLUMN_ALIASES = {
+  phone: ['phone', 'phone number', 'mobile'],
+  name: ['name', 'contact name', 'full name'],
+  status: ['status', 'call status'],
+  customMessage: ['message', 'custom message']
+};
+
+// Campaign sheetInfo fields that name each column
+const COLUMN_SETTINGS = {
+  phone: 'phoneColumn',
+  name: 'nameColumn',
+  status: 'statusColumn',
+  customMessage: 'customMessageColumn'
+};
+
+// Row statuses that mean the row has not been called yet
+const PENDING_ROW_STATUSES = ['', 'pending'];
+
+// Row statuses a human sets to keep a row out of the campaign, and the contact status they map to
+const EXCLUDED_ROW_STATUSES = {
+  'dnc': 'do-not-call',
+  'do not call': 'do-not-call',
+  'skip': 'inactive'
+};
+
+/**
+ * Read contact rows from sheet values
+ * Columns are found by header name; names configured on the campaign's sheetInfo take precedence.
+ * @param {Array<Array<string>>} rows - Sheet values, header row first
+ * @param {Object} sheetInfo - Campaign sheetInfo (phoneColumn, nameColumn, statusColumn, customMessageColumn)
+ * @returns {Object} { columns, rows } - column indexes (-1 if missing) and one entry per data row
+ */
+export function parseSheetRows(rows, sheetInfo = {}) {
+  const headers = (rows[0] || []).map(h => String(h).toLowerCase().trim());
+
+  const columns = {};
+  for (const [key, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const configured = sheetInfo[COLUMN_SETTINGS[key]];
+    const names = configured ? [String(configured).toLowerCase().trim(), ...aliases] : aliases;
+    columns[key] = headers.findIndex(h => names.includes(h));
+  }
+
+  const cell = (row, index) => (index === -1 ? '' : String(row[index] || '').trim());
+
+  return {
+    columns,
+    rows: rows.slice(1).map((row, index) => ({
+      rowIndex: index + 2, // 1-indexed + header
+      phone: cell(row, columns.phone),
+      name: cell(row, columns.name),
+      status: cell(row, columns.status).toLowerCase(),
+      customMessage: cell(row, columns.customMessage)
+    }))
+  };
+}
+
+/**
+ * Check whether a row is waiting to be called
+ * @param {Object} row - Row from parseSheetRows
+ * @returns {boolean} True if the row has a phone number and name and has not been called
+ */
+export function isPendingSheetRow(row) {
+  return Boolean(row.phone && row.name && PENDING_ROW_STATUSES.includes(row.status));
+}
+
+/**
+ * Build the contact imported for a sheet row
+ * @param {Object} row - Row from parseSheetRows
+ * @param {string} campaignId - Campaign ID
+ * @param {Object} sheetInfo - spreadsheetId and sheetName the row came from
+ * @returns {Object} Contact data for importContacts
+ */
+export function buildSheetContact(row, campaignId, sheetInfo) {
+  return {
+    phoneNumber: row.phone,
+    name: row.name,
+    email: '', // Assuming email is not a primary field from sheet for now
+    status: 'pending', // Set to pending so the campaign engine picks them up
+    campaignIds: [campaignId],
+    customFields: {
+      customMessage: row.customMessage
+    },
+    sheetInfo: { // Store sheet origin info (used to write results back to the row)
+      spreadsheetId: sheetInfo.spreadsheetId,
+      sheetName: sheetInfo.sheetName,
+      rowIndex: row.rowIndex
+    }
+  };
+}
+
+/**
+ * Check whether a campaign's sheet is due to be synced
+ * @param {Object} campaign - Campaign document
+ * @returns {boolean} True for continuous-sync campaigns whose sync interval has elapsed
+ */
+export function isSheetSyncDue(campaign) {
+  const sheetInfo = campaign?.sheetInfo;
+  if (sheetInfo?.syncMode !== 'continuous' || !sheetInfo.spreadsheetId) {
+    return false;
+  }
+
+  const lastSyncedAt = sheetInfo.sync?.lastSyncedAt;
+  return !lastSyncedAt || Date.now() - new Date(lastSyncedAt).getTime() >= (sheetInfo.syncInterval || 60000);
+}
+
+/**
+ * Sync a campaign's contacts with its Google Sheet
+ * New rows are detected by E.164 phone number: pending rows whose number is not yet a contact of
+ * the campaign are imported. Rows whose number cannot be parsed are ignored. Pending contacts whose row is now marked DNC or Skip are excluded.
+ * Failures are recorded on the campaign's sync status rather than thrown.
+ * @param {Object} campaign - Campaign document
+ * @returns {Promise<Object>} { rowsAdded, rowsExcluded } or { error }
+ */
+export async function syncCampaignSheet(campaign) {
+  const campaignId = campaign._id.toString();
+  const { spreadsheetId, sheetName } = campaign.sheetInfo;
+  const campaignRepository = getCampaignRepository();
+  const contactRepository = getContactRepository();
+
+  try {
+    const sheets = await getGoogleSheetsApi();
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range: `${quoteSheetName(sheetName)}!A:Z`
+    });
+
+    const { columns, rows } = parseSheetRows(response.data.values || [], campaign.sheetInfo);
+    if (columns.phone === -1) {
+      throw new Error(`No phone column found in sheet "${sheetName}"`);
+    }
+
+    // Numbers of rows marked DNC/Skip, by the contact status they map to
+    const excludedNumbers = new Map();
+    const pendingRows = new Map();
+    let rowsExcluded = 0;
+
+    for (const row of rows) {
+      const phoneNumber = normalizePhoneNumber(row.phone, { defaultRegion: campaign.defaultRegion }).e164;
+      if (!phoneNumber) {
+        continue;
+      }
+
+      const excludedStatus = EXCLUDED_ROW_STATUSES[row.status];
+      if (excludedStatus) {
+        rowsExcluded++;
+        if (!excludedNumbers.has(excludedStatus)) {
+          excludedNumbers.set(excludedStatus, new Set());
+        }
+        excludedNumbers.get(excludedStatus).add(phoneNumber);
+      } else if (isPendingSheetRow(row) && !pendingRows.has(phoneNumber)) {
+        pendingRows.set(phoneNumber, row);
+      }
+    }
+
+    for (const [status, phoneNumbers] of excludedNumbers) {
+      await contactRepository.excludePendingContacts(campaignId, [...phoneNumbers], status);
+      phoneNumbers.forEach(phoneNumber => pendingRows.delete(phoneNumber));
+    }
+
+    // Only rows whose number is not in the campaign yet are new
+    let rowsAdded = 0;
+    if (pendingRows.size > 0) {
+      const existingNumbers = new Set(await contactRepository.getCampaignPhoneNumbers(campaignId, [...pendingRows.keys()]));
+      const newContacts = [...pendingRows.entries()]
+        .filter(([phoneNumber]) => !existingNumbers.has(phoneNumber))
+        .map(([, row]) => buildSheetContact(row, campaign._id, campaign.sheetInfo));
+
+      if (newContacts.length > 0) {
+        const importResults = await contactRepository.importContacts(newContacts, campaign._id);
+        rowsAdded = importResults.created + importResults.updated;
+
+        if (rowsAdded > 0) {
+          await campaignRepository.updateCampaignStats(campaignId, {
+            totalContacts: (campaign.stats?.totalContacts || 0) + rowsAdded
+          });
+        }
+      }
+    }
+
+    await campaignRepository.recordSheetSync(campaignId, { rowsAdded, rowsExcluded });
+
+    if (rowsAdded > 0) {
+      console.log(`[Sheet Sync] Added ${rowsAdded} new rows from ${spreadsheetId}/${sheetName} to campaign ${campaignId}`);
+    }
+
+    return { rowsAdded, rowsExcluded };
+  } catch (error) {
+    console.error(`[Sheet Sync] Error syncing sheet ${spreadsheetId}/${sheetName} for campaign ${campaignId}:`, error.message);
+
+    try {
+      await campaignRepository.recordSheetSync(campaignId, { error: error.message });
+    } catch (recordError) {
+      // Already logged by the repository
+    }
+
+    return { error: error.message };
+  }
+}
+
+export default {
+  parseSheetRows,
+  isPendingSheetRow,
+  buildSheetContact,
+  isSheetSyncDue,
+  syncCampaignSheet
+};
@@ -0,0 +1,279 @@
+/**
+ * Google Sheet Write-Back Worker
+ * Writes the result of each call back to the sheet row its contact was imported from.
+ * Calls are queued as they finish and flushed with one spreadsheets.values.batchUpdate per
+ * spreadsheet, so a busy campaign costs a handful of Sheets API requests per interval.
+ */
+import Call from './models/call.model.js';
+import Contact from './models/contact.model.js';
+import Transcript from './models/transcript.model.js';
+import Recording from './models/recording.model.js';
+import { getGoogleSheetsApi, columnLetter, quoteSheetName } from '../google-sheets.js';
+import { getBaseUrl } from '../api-utils.js';
+import { createRecordingLink, recordingLinksEnabled } from './utils/recording-links.js';
+
+// How long finished calls are collected before they are written in one batch
+const FLUSH_INTERVAL = parseInt(process.env.SHEET_WRITEBACK_INTERVAL_MS, 10) || 15000;
+
+// Flush straight away once this many calls are queued
+const MAX_BATCH_SIZE = 100;
+
+// Give up on a call after this many failed writes (e.g. sheet deleted or access revoked)
+const MAX_WRITE_ATTEMPTS = 3;
+
+// Columns written back, matched against the header row (case-insensitive).
+// Columns the sheet does not have yet are added to the end of the header row,
+// unless the column is disabled (Recording needs RECORDING_LINK_SECRET for its signed links).
+const WRITEBACK_COLUMNS = [
+  { key: 'status', header: 'Status', aliases: ['status', 'call status'] },
+  { key: 'duration', header: 'Duration', aliases: ['duration', 'call duration'] },
+  { key: 'answeredBy', header: 'Answered By', aliases: ['answered by', 'answeredby'] },
+  { key: 'summary', header: 'Summary', aliases: ['summary', 'call summary'] },
+  { key: 'recording', header: 'Recording', aliases: ['recording', 'recording link', 'recording url'], enabled: recordingLinksEnabled }
+];
+
+// Queued calls: callSid -> failed write attempts so far
+const pendingWriteBacks = new Map();
+
+let flushTimer = null;
+let flushInProgress = false;
+
+/**
+ * Queue a finished call for write-back to its contact's sheet row
+ * Calls whose contact did not come from a Google Sheet are dropped at flush time.
+ * Queuing the same call again before the flush just refreshes what gets written.
+ * @param {string} callSid - Call SID
+ */
+export function queueSheetWriteBack(callSid) {
+  if (!callSid) {
+    return;
+  }
+
+  if (!pendingWriteBacks.has(callSid)) {
+    pendingWriteBacks.set(callSid, 0);
+  }
+
+  if (pendingWriteBacks.size >= MAX_BATCH_SIZE) {
+    flushSheetWriteBacks();
+  } else {
+    scheduleFlush();
+  }
+}
+
+/**
+ * Start the flush timer if one is not already pending
+ */
+function scheduleFlush() {
+  if (!flushTimer) {
+    flushTimer = setTimeout(flushSheetWriteBacks, FLUSH_INTERVAL);
+  }
+}
+
+/**
+ * Put a call back on the queue after a failed write, unless it has run out of attempts
+ * @param {string} callSid - Call SID
+ * @param {number} attempts - Failed attempts before this one
+ * @param {Error} error - Error from the failed attempt
+ */
+function requeueWriteBack(callSid, attempts, error) {
+  if (attempts + 1 >= MAX_WRITE_ATTEMPTS) {
+    console.error(`[Sheet Write-Back] Giving up on call ${callSid} after ${MAX_WRITE_ATTEMPTS} attempts: ${error.message}`);
+    return;
+  }
+
+  // A newer queue entry for the same call keeps its own attempt count
+  if (!pendingWriteBacks.has(callSid)) {
+    pendingWriteBacks.set(callSid, attempts + 1);
+  }
+}
+
+/**
+ * Describe how a call ended, as written to the status column
+ * @param {Object} call - Call document
+ * @returns {string} e.g. "completed", "voicemail-left", "voicemail", "no-answer"
+ */
+function describeOutcome(call) {
+  if (call.voicemail?.leftAt) {
+    return 'voicemail-left';
+  }
+  const answeredBy = call.enhancedAnsweredBy || call.answeredBy;
+  if (answeredBy && answeredBy.startsWith('machine')) {
+    return 'voicemail';
+  }
+  return call.status;
+}
+
+/**
+ * Build the row update for a finished call
+ * @param {string} callSid - Call SID
+ * @returns {Promise<Object|null>} { spreadsheetId, sheetName, rowIndex, values }, or null if the call has no sheet row
+ */
+async function buildRowUpdate(callSid) {
+  const call = await Call.findOne({ callSid }).lean();
+  if (!call) {
+    return null;
+  }
+
+  const contact = await Contact.findOne({ callIds: call._id }).select('sheetInfo').lean();
+  const sheetInfo = contact?.sheetInfo;
+  if (!sheetInfo?.spreadsheetId || !sheetInfo.sheetName || !sheetInfo.rowIndex) {
+    return null;
+  }
+
+  const [transcript, recording] = await Promise.all([
+    Transcript.findOne({ callSid }).select('analysis.transcript_summary').lean(),
+    Recording.findOne({ callSid, status: 'completed' }).sort({ createdAt: -1 }).select('recordingSid').lean()
+  ]);
+
+  return {
+    spreadsheetId: sheetInfo.spreadsheetId,
+    sheetName: sheetInfo.sheetName,
+    rowIndex: sheetInfo.rowIndex,
+    values: {
+      status: describeOutcome(call),
+      duration: call.duration ?? null,
+      answeredBy: call.enhancedAnsweredBy || call.answeredBy || null,
+      summary: transcript?.analysis?.transcript_summary || null,
+      // Signed so it opens from the sheet without an API key; left empty when RECORDING_LINK_SECRET is not set
+      recording: recording ? createRecordingLink(recording.recordingSid, getBaseUrl()) : null
+    }
+  };
+}
+
+/**
+ * Write a batch of row updates to one spreadsheet
+ * Reads the header rows of every sheet involved in one batchGet, then writes all cells
+ * (and any missing headers) in one batchUpdate. Empty values are skipped so a partial
+ * update, e.g. before the summary is available, never clears what an earlier one wrote.
+ * @param {Object} sheets - Google Sheets API client
+ * @param {string} spreadsheetId - Spreadsheet ID
+ * @param {Array<Object>} rows - Row updates from buildRowUpdate
+ * @returns {Promise<number>} Number of cells written
+ */
+async function writeSpreadsheetRows(sheets, spreadsheetId, rows) {
+  const sheetNames = [...new Set(rows.map(row => row.sheetName))];
+
+  const headerResponse = await sheets.spreadsheets.values.batchGet({
+    spreadsheetId,
+    ranges: sheetNames.map(sheetName => `${quoteSheetName(sheetName)}!1:1`)
+  });
+
+  const data = [];
+  const columnsBySheet = new Map();
+
+  sheetNames.forEach((sheetName, i) => {
+    const headers = (headerResponse.data.valueRanges?.[i]?.values?.[0] || []).map(h => String(h).toLowerCase().trim());
+    const columns = {};
+
+    for (const column of WRITEBACK_COLUMNS) {
+      if (column.enabled && !column.enabled()) {
+        continue;
+      }
+
+      let index = headers.findIndex(h => column.aliases.includes(h));
+      if (index === -1) {
+        index = headers.length;
+        headers.push(column.header.toLowerCase());
+        data.push({ range: `${quoteSheetName(sheetName)}!${columnLetter(index)}1`, values: [[column.header]] });
+      }
+      columns[column.key] = columnLetter(index);
+    }
+
+    columnsBySheet.set(sheetName, columns);
+  });
+
+  for (const row of rows) {
+    const columns = columnsBySheet.get(row.sheetName);
+    for (const [key, value] of Object.entries(row.values)) {
+      if (value === null || value === undefined || value === '') {
+        continue;
+      }
+      data.push({ range: `${quoteSheetName(row.sheetName)}!${columns[key]}${row.rowIndex}`, values: [[value]] });
+    }
+  }
+
+  await sheets.spreadsheets.values.batchUpdate({
+    spreadsheetId,
+    resource: {
+      valueInputOption: 'RAW', // Summaries are free text; never let them be parsed as formulas
+      data
+    }
+  });
+
+  return data.length;
+}
+
+/**
+ * Write every queued call back to its sheet
+ * @returns {Promise<void>}
+ */
+export async function flushSheetWriteBacks() {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+
+  if (flushInProgress || pendingWriteBacks.size === 0) {
+    return;
+  }
+
+  flushInProgress = true;
+  const batch = new Map(pendingWriteBacks);
+  pendingWriteBacks.clear();
+
+  try {
+    // Group the rows by spreadsheet: one batchUpdate each
+    const rowsBySpreadsheet = new Map();
+
+    for (const [callSid, attempts] of batch) {
+      try {
+        const row = await buildRowUpdate(callSid);
+        if (!row) {
+          continue;
+        }
+        if (!rowsBySpreadsheet.has(row.spreadsheetId)) {
+          rowsBySpreadsheet.set(row.spreadsheetId, []);
+        }
+        rowsBySpreadsheet.get(row.spreadsheetId).push({ ...row, callSid, attempts });
+      } catch (error) {
+        console.error(`[Sheet Write-Back] Error loading results for call ${callSid}:`, error);
+        requeueWriteBack(callSid, attempts, error);
+      }
+    }
+
+    if (rowsBySpreadsheet.size === 0) {
+      return;
+    }
+
+    let sheets;
+    try {
+      sheets = await getGoogleSheetsApi();
+    } catch (error) {
+      console.error('[Sheet Write-Back] Google Sheets API unavailable:', error.message);
+      for (const rows of rowsBySpreadsheet.values()) {
+        rows.forEach(row => requeueWriteBack(row.callSid, row.attempts, error));
+      }
+      return;
+    }
+
+    for (const [spreadsheetId, rows] of rowsBySpreadsheet) {
+      try {
+        const cellsWritten = await writeSpreadsheetRows(sheets, spreadsheetId, rows);
+        console.log(`[Sheet Write-Back] Wrote ${rows.length} rows (${cellsWritten} cells) to spreadsheet ${spreadsheetId}`);
+      } catch (error) {
+        console.error(`[Sheet Write-Back] Error writing ${rows.length} rows to spreadsheet ${spreadsheetId}:`, error.message);
+        rows.forEach(row => requeueWriteBack(row.callSid, row.attempts, error));
+      }
+    }
+  } finally {
+    flushInProgress = false;
+    if (pendingWriteBacks.size > 0) {
+      scheduleFlush();
+    }
+  }
+}
+
+export default {
+  queueSheetWriteBack,
+  flushSheetWriteBacks
+};
@@ -0,0 +1,164 @@
+/**
+ * AMD Ground Truth Utilities
+ * Works out from a call's transcript who actually answered, to check answering machine detection against
+ */
+import { normalizeText, countKeyword } from './topic-extraction.js';
+
+// Phrases from voicemail and carrier greetings (matched in callee messages only)
+export const VOICEMAIL_GREETING_PHRASES = [
+  'leave a message',
+  'leave your message',
+  'leave me a message',
+  'leave your name',
+  'after the tone',
+  'after the beep',
+  'at the tone',
+  'voicemail',
+  'voice mail',
+  'mailbox',
+  'not available',
+  'unavailable',
+  'cant take your call',
+  'cannot take your call',
+  'cant come to the phone',
+  'unable to take your call',
+  'get back to you',
+  'record your message',
+  'is not in service',
+  'the person you are calling',
+  'the number you have dialed'
+];
+
+// Agent -> callee exchanges that only a person holds
+export const MIN_HUMAN_EXCHANGES = 2;
+
+/**
+ * Reduce a Twilio or enhanced AMD result to who it says answered
+ * @param {string} answeredBy - AnsweredBy value (human, machine_*, fax, unknown, ...)
+ * @returns {string} 'human', 'machine' or 'unknown'
+ */
+export function classifyDetection(answeredBy) {
+  if (answeredBy === 'human') {
+    return 'human';
+  }
+  if (typeof answeredBy === 'string' && (answeredBy.startsWith('machine') || answeredBy === 'fax')) {
+    return 'machine';
+  }
+  return 'unknown';
+}
+
+/**
+ * Count agent -> callee exchanges: callee messages that reply to an agent message
+ * @param {Array} transcriptItems - Transcript items ({ role, message })
+ * @returns {number} Number of exchanges
+ */
+export function countExchanges(transcriptItems = []) {
+  let exchanges = 0;
+  let lastRole = null;
+
+  for (const item of transcriptItems) {
+    if (!item?.message || !item.message.trim()) {
+      continue;
+    }
+    if (item.role === 'user' && lastRole === 'agent') {
+      exchanges++;
+    }
+    lastRole = item.role;
+  }
+
+  return exchanges;
+}
+
+/**
+ * Find a voicemail greeting phrase in a callee message
+ * @param {string} message - Callee message
+ * @returns {string|null} Matched phrase, or null
+ */
+function findGreetingPhrase(message) {
+  const text = normalizeText(message);
+  return VOICEMAIL_GREETING_PHRASES.find(phrase => countKeyword(text, phrase) > 0) || null;
+}
+
+/**
+ * Work out who answered a call from its transcript
+ * A greeting in the callee's first message means a machine even if the agent talked over it;
+ * otherwise a real back-and-forth means a person, and a greeting later on means a machine.
+ * @param {Object} transcript - Transcript document ({ transcript })
+ * @returns {Object} { actual: 'human'|'machine'|'unknown', reason }
+ */
+export function deriveAnsweredBy(transcript) {
+  const items = transcript?.transcript || [];
+  const calleeMessages = items.filter(item => item?.role === 'user' && item.message && item.message.trim());
+
+  if (calleeMessages.length === 0) {
+    return { actual: 'unknown', reason: 'Callee said nothing' };
+  }
+
+  const openingPhrase = findGreetingPhrase(calleeMessages[0].message);
+  if (openingPhrase) {
+    return { actual: 'machine', reason: `Voicemail greeting: "${openingPhrase}"` };
+  }
+
+  const exchanges = countExchanges(items);
+  if (exchanges >= MIN_HUMAN_EXCHANGES) {
+    return { actual: 'human', reason: `${exchanges} exchanges with the agent` };
+  }
+
+  for (const item of calleeMessages.slice(1)) {
+    const phrase = findGreetingPhrase(item.message);
+    if (phrase) {
+      return { actual: 'machine', reason: `Voicemail greeting: "${phrase}"` };
+    }
+  }
+
+  return { actual: 'unknown', reason: `Only ${exchanges} exchange${exchanges === 1 ? '' : 's'} and no voicemail greeting` };
+}
+
+/**
+ * Format a share as a percentage string
+ * @param {number} count - Count
+ * @param {number} total - Total
+ * @returns {string} Percentage, e.g. "12.50%"
+ */
+function percentage(count, total) {
+  return total > 0 ? `${(count / total * 100).toFixed(2)}%` : '0%';
+}
+
+/**
+ * Summarize a confusion matrix (actual answerer -> detected answerer)
+ * humansLost are people detected as machines, who were hung up on or sent a voicemail.
+ * @param {Object} matrix - { human: { human, machine, unknown }, machine: { human, machine, unknown } }
+ * @returns {Object} Matrix with totals, humansLost, machinesMissed, accuracy and rates
+ */
+export function summarizeConfusionMatrix(matrix = {}) {
+  const counts = actual => ({
+    human: matrix?.[actual]?.human || 0,
+    machine: matrix?.[actual]?.machine || 0,
+    unknown: matrix?.[actual]?.unknown || 0
+  });
+  const human = counts('human');
+  const machine = counts('machine');
+
+  const humans = human.human + human.machine + human.unknown;
+  const machines = machine.human + machine.machine + machine.unknown;
+
+  return {
+    matrix: { human, machine },
+    humans,
+    machines,
+    humansLost: human.machine,
+    machinesMissed: machine.human,
+    accuracy: percentage(human.human + machine.machine, humans + machines),
+    humanLossRate: percentage(human.machine, humans),
+    machineMissRate: percentage(machine.human, machines)
+  };
+}
+
+export default {
+  VOICEMAIL_GREETING_PHRASES,
+  MIN_HUMAN_EXCHANGES,
+  classifyDetection,
+  countExchanges,
+  deriveAnsweredBy,
+  summarizeConfusionMatrix
+};
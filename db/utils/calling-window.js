@@ -0,0 +1,100 @@
+/**
+ * Calling Window Utility
+ * Decides whether a contact may be called at a given instant based on the
+ * campaign's calling window and the contact's local time
+ */
+import { DEFAULT_TIMEZONE, isValidTimezone, getLocalTimeParts } from './timezone.js';
+
+/**
+ * Parse an "HH:mm" time into minutes since midnight
+ * @param {string} time - Time string
+ * @returns {number|null} Minutes since midnight or null if invalid
+ */
+export function parseWindowTime(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+
+  if (!match) {
+    return null;
+  }
+
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) {
+    return null;
+  }
+
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check if a calling window is enabled
+ * @param {Object} callingWindow - Campaign calling window settings
+ * @returns {boolean} True if the window restricts calling
+ */
+export function isCallingWindowEnabled(callingWindow) {
+  return Boolean(callingWindow?.enabled);
+}
+
+/**
+ * Get the timezone used for contacts that have no timezone of their own
+ * @param {Object} callingWindow - Campaign calling window settings
+ * @returns {string} IANA timezone
+ */
+export function getFallbackTimezone(callingWindow) {
+  return isValidTimezone(callingWindow?.timezone) ? callingWindow.timezone : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Check if a local time in a timezone falls inside the calling window
+ * Windows whose end time is before the start time run overnight into the next day.
+ * @param {Object} callingWindow - Campaign calling window settings
+ * @param {string|null} timezone - Contact timezone (falls back to the window's timezone)
+ * @param {Date} date - Instant to check
+ * @returns {boolean} True if calling is allowed
+ */
+export function isWithinCallingWindow(callingWindow, timezone, date = new Date()) {
+  if (!isCallingWindowEnabled(callingWindow)) {
+    return true;
+  }
+
+  const start = parseWindowTime(callingWindow.startTime);
+  const end = parseWindowTime(callingWindow.endTime);
+
+  if (start === null || end === null || start === end) {
+    console.warn(`[Calling Window] Invalid window ${callingWindow.startTime}-${callingWindow.endTime}, not calling`);
+    return false;
+  }
+
+  const zone = isValidTimezone(timezone) ? timezone : getFallbackTimezone(callingWindow);
+  const { dayOfWeek, minutes } = getLocalTimeParts(date, zone);
+  const days = callingWindow.days || [];
+
+  if (start < end) {
+    return days.includes(dayOfWeek) && minutes >= start && minutes < end;
+  }
+
+  // Overnight window: the evening part belongs to today, the early part to yesterday's window
+  const previousDay = (dayOfWeek + 6) % 7;
+  return (days.includes(dayOfWeek) && minutes >= start) ||
+    (days.includes(previousDay) && minutes < end);
+}
+
+/**
+ * Filter contact timezones down to those currently inside the calling window
+ * @param {Object} callingWindow - Campaign calling window settings
+ * @param {Array<string|null>} timezones - Distinct contact timezones (null for unknown)
+ * @param {Date} date - Instant to check
+ * @returns {Array<string|null>} Timezones that may be called now
+ */
+export function getEligibleTimezones(callingWindow, timezones, date = new Date()) {
+  return timezones.filter(timezone => isWithinCallingWindow(callingWindow, timezone, date));
+}
+
+export default {
+  parseWindowTime,
+  isCallingWindowEnabled,
+  getFallbackTimezone,
+  isWithinCallingWindow,
+  getEligibleTimezones
+};
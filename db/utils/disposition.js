@@ -0,0 +1,205 @@
+/**
+ * Disposition Utilities
+ * Resolves a call's business outcome ("interested", "wrong number", ...) from the ElevenLabs analysis,
+ * using the disposition codes in a campaign's settings.dispositions (or DEFAULT_DISPOSITION_CODES)
+ */
+
+// Where a condition reads its value from in the analysis
+export const CONDITION_SOURCES = ['data_collection', 'evaluation_criteria', 'call_successful'];
+
+export const CONDITION_OPERATORS = ['equals', 'not_equals', 'in', 'contains', 'exists', 'truthy', 'falsy'];
+
+// Values that count as a yes or a no from the agent's data collection
+const TRUTHY_VALUES = ['true', 'yes', 'y', '1'];
+const FALSY_VALUES = ['false', 'no', 'n', '0'];
+
+// data_collection_results item whose value names the disposition directly (e.g. "not interested")
+export const DISPOSITION_FIELD = 'disposition';
+
+/**
+ * Build a default code: matched by the disposition data collection item, or by any of its own conditions
+ * @param {string} code - Disposition code
+ * @param {string} label - Display label
+ * @param {Array<Object>} conditions - Conditions
+ * @returns {Object} Disposition code
+ */
+function defaultCode(code, label, conditions) {
+  return {
+    code,
+    label,
+    match: 'any',
+    conditions: [
+      { source: 'data_collection', id: DISPOSITION_FIELD, operator: 'in', value: [code, label] },
+      ...conditions
+    ]
+  };
+}
+
+// Used by campaigns without settings.dispositions.codes; the first code that matches wins
+export const DEFAULT_DISPOSITION_CODES = [
+  defaultCode('dnc_request', 'DNC request', [
+    { source: 'data_collection', id: 'opt_out', operator: 'truthy' },
+    { source: 'data_collection', id: 'do_not_call', operator: 'truthy' }
+  ]),
+  defaultCode('wrong_number', 'Wrong number', [
+    { source: 'data_collection', id: 'wrong_number', operator: 'truthy' }
+  ]),
+  defaultCode('already_customer', 'Already customer', [
+    { source: 'data_collection', id: 'already_customer', operator: 'truthy' }
+  ]),
+  defaultCode('callback_requested', 'Callback requested', [
+    { source: 'data_collection', id: 'callback_time', operator: 'exists' }
+  ]),
+  defaultCode('interested', 'Interested', [
+    { source: 'data_collection', id: 'interested', operator: 'truthy' }
+  ]),
+  defaultCode('not_interested', 'Not interested', [
+    { source: 'data_collection', id: 'interested', operator: 'falsy' }
+  ])
+];
+
+/**
+ * Normalize a value for comparison ("Not Interested" and "not_interested" are equal)
+ * @param {*} value - Value
+ * @returns {string} Lowercase text with runs of other characters as underscores
+ */
+function normalizeValue(value) {
+  return String(value ?? '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Get a map from the analysis as a plain object
+ * @param {Map|Object} results - data_collection_results or evaluation_criteria_results
+ * @returns {Object} Results by id
+ */
+function toObject(results) {
+  return results instanceof Map ? Object.fromEntries(results) : (results || {});
+}
+
+/**
+ * Read the value a condition tests
+ * @param {Object} condition - Condition (source, id)
+ * @param {Object} analysis - Transcript analysis
+ * @returns {*} Value, or undefined if the analysis does not have it
+ */
+function readConditionValue(condition, analysis) {
+  switch (condition.source) {
+    case 'data_collection':
+      return toObject(analysis?.data_collection_results)[condition.id]?.value;
+    case 'evaluation_criteria':
+      return toObject(analysis?.evaluation_criteria_results)[condition.id]?.result;
+    case 'call_successful':
+      return analysis?.call_successful;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Check whether the analysis meets a condition
+ * @param {Object} condition - Condition (source, id, operator, value)
+ * @param {Object} analysis - Transcript analysis
+ * @returns {boolean} Whether it matches
+ */
+export function matchesCondition(condition, analysis) {
+  const actual = readConditionValue(condition, analysis);
+  const missing = actual === undefined || actual === null || actual === '';
+  const normalized = normalizeValue(actual);
+
+  switch (condition.operator || 'equals') {
+    case 'exists':
+      return !missing;
+    case 'truthy':
+      return actual === true || TRUTHY_VALUES.includes(normalized);
+    case 'falsy':
+      return actual === false || FALSY_VALUES.includes(normalized);
+    case 'equals':
+      return !missing && normalized === normalizeValue(condition.value);
+    case 'not_equals':
+      return !missing && normalized !== normalizeValue(condition.value);
+    case 'in':
+      return !missing && [].concat(condition.value ?? []).some(value => normalizeValue(value) === normalized);
+    case 'contains':
+      return !missing && normalizeValue(condition.value) !== '' && normalized.includes(normalizeValue(condition.value));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Describe a condition for logs and the call's disposition.matchedBy
+ * @param {Object} condition - Condition
+ * @returns {string} e.g. "data_collection.interested truthy"
+ */
+function describeCondition(condition) {
+  const field = condition.source === 'call_successful' ? condition.source : `${condition.source}.${condition.id}`;
+  const value = ['exists', 'truthy', 'falsy'].includes(condition.operator) ? '' : ` ${[].concat(condition.value ?? []).join('|')}`;
+  return `${field} ${condition.operator || 'equals'}${value}`;
+}
+
+/**
+ * Get the disposition codes that apply to a campaign
+ * @param {Object|null} dispositions - The campaign's settings.dispositions (null for calls without a campaign)
+ * @returns {Array<Object>} Disposition codes, in the order they are tried
+ */
+export function getDispositionCodes(dispositions) {
+  return dispositions?.codes?.length > 0 ? dispositions.codes : DEFAULT_DISPOSITION_CODES;
+}
+
+/**
+ * Find a disposition code by code
+ * @param {Array<Object>} codes - Disposition codes
+ * @param {string} code - Code to find
+ * @returns {Object|null} Disposition code, or null if it is not one of the codes
+ */
+export function findDispositionCode(codes, code) {
+  const wanted = normalizeValue(code);
+  return codes.find(candidate => normalizeValue(candidate.code) === wanted) || null;
+}
+
+/**
+ * Resolve a disposition from the ElevenLabs analysis
+ * Codes are tried in order; a code with match 'all' needs every condition, 'any' needs one.
+ * @param {Object} analysis - Transcript analysis
+ * @param {Object|null} dispositions - The campaign's settings.dispositions
+ * @returns {Object|null} { code, label, matchedBy, source }, or null if no code matches and there is no default
+ */
+export function resolveDisposition(analysis, dispositions = null) {
+  if (analysis) {
+    for (const candidate of getDispositionCodes(dispositions)) {
+      const conditions = candidate.conditions || [];
+      if (conditions.length === 0) {
+        continue;
+      }
+
+      const matched = conditions.filter(condition => matchesCondition(condition, analysis));
+      const matches = candidate.match === 'any' ? matched.length > 0 : matched.length === conditions.length;
+      if (matches) {
+        return {
+          code: candidate.code,
+          label: candidate.label || candidate.code,
+          matchedBy: matched.map(describeCondition).join(candidate.match === 'any' ? ' or ' : ' and '),
+          source: 'rule'
+        };
+      }
+    }
+  }
+
+  const fallback = dispositions?.defaultCode ? findDispositionCode(getDispositionCodes(dispositions), dispositions.defaultCode) : null;
+  if (fallback) {
+    return { code: fallback.code, label: fallback.label || fallback.code, matchedBy: null, source: 'default' };
+  }
+
+  return null;
+}
+
+export default {
+  CONDITION_SOURCES,
+  CONDITION_OPERATORS,
+  DISPOSITION_FIELD,
+  DEFAULT_DISPOSITION_CODES,
+  matchesCondition,
+  getDispositionCodes,
+  findDispositionCode,
+  resolveDisposition
+};
@@ -0,0 +1,105 @@
+/**
+ * Opt-Out Detection Utilities
+ * Detects "don't call me again" requests in ElevenLabs data collection results and transcripts
+ */
+import { normalizeText, countKeyword } from './topic-extraction.js';
+
+// Phrases that mean the callee wants no further calls (matched in callee messages only)
+export const OPT_OUT_PHRASES = [
+  'dont call me again',
+  'do not call me again',
+  'dont call again',
+  'dont ever call',
+  'never call me',
+  'stop calling',
+  'dont contact me again',
+  'do not contact me again',
+  'remove me from your list',
+  'take me off your list',
+  'remove my number',
+  'take my number off',
+  'do not call list',
+  'unsubscribe'
+];
+
+// data_collection_results ids that carry an opt-out flag (e.g. "opt_out", "do_not_call", "dnc")
+const DATA_COLLECTION_OPT_OUT_PATTERN = /opt_?out|do_?not_?call|\bdnc\b/i;
+
+// Values that count as a yes from the agent's data collection
+const TRUTHY_VALUES = ['true', 'yes', 'y', '1'];
+
+/**
+ * Check the ElevenLabs agent's data collection for an opt-out flag
+ * @param {Object} analysis - Transcript analysis (data_collection_results may be a Map or plain object)
+ * @returns {string|null} Id of the data collection item that flagged the opt-out, or null
+ */
+export function detectDataCollectionOptOut(analysis) {
+  const results = analysis?.data_collection_results;
+  if (!results) {
+    return null;
+  }
+
+  const entries = results instanceof Map ? [...results.entries()] : Object.entries(results);
+
+  for (const [id, result] of entries) {
+    const collectionId = result?.data_collection_id || id;
+    if (!DATA_COLLECTION_OPT_OUT_PATTERN.test(collectionId)) {
+      continue;
+    }
+
+    const value = result?.value;
+    if (value === true || TRUTHY_VALUES.includes(String(value).trim().toLowerCase())) {
+      return collectionId;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find an opt-out phrase in the callee's side of a transcript
+ * @param {Array} transcriptItems - Transcript items ({ role, message })
+ * @returns {Object|null} { phrase, message } for the first match, or null
+ */
+export function detectTranscriptOptOut(transcriptItems = []) {
+  for (const item of transcriptItems) {
+    if (item?.role !== 'user' || !item.message) {
+      continue;
+    }
+
+    const text = normalizeText(item.message);
+    const phrase = OPT_OUT_PHRASES.find(candidate => countKeyword(text, candidate) > 0);
+    if (phrase) {
+      return { phrase, message: item.message };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Detect an opt-out request in a transcript
+ * The agent's data collection takes precedence over phrase matching.
+ * @param {Object} transcript - Transcript document ({ transcript, analysis })
+ * @returns {Object|null} { method, reason } or null if the callee did not opt out
+ */
+export function detectOptOut(transcript) {
+  const collectionId = detectDataCollectionOptOut(transcript?.analysis);
+  if (collectionId) {
+    return { method: 'data_collection', reason: `Opted out during call (data collection: ${collectionId})` };
+  }
+
+  const match = detectTranscriptOptOut(transcript?.transcript || []);
+  if (match) {
+    return { method: 'transcript', reason: `Opted out during call: "${match.message}"` };
+  }
+
+  return null;
+}
+
+export default {
+  OPT_OUT_PHRASES,
+  detectDataCollectionOptOut,
+  detectTranscriptOptOut,
+  detectOptOut
+};
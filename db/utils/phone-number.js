@@ -0,0 +1,110 @@
+/**
+ * Phone Number Normalization
+ * Parses phone numbers into E.164 for storage and dialing. Every import path, the contact routes,
+ * the do-not-call list and makeOutboundCall go through normalizePhoneNumber, so the same person
+ * always ends up with the same stored number.
+ */
+import { parsePhoneNumberFromString, isSupportedCountry } from 'libphonenumber-js/max';
+
+// Region used for numbers without a country code when the campaign does not set one
+export const DEFAULT_PHONE_REGION = (process.env.DEFAULT_PHONE_REGION || 'AU').toUpperCase();
+
+// libphonenumber number types as stored on contacts
+const NUMBER_TYPES = {
+  MOBILE: 'mobile',
+  FIXED_LINE: 'landline',
+  FIXED_LINE_OR_MOBILE: 'landline-or-mobile',
+  TOLL_FREE: 'toll-free',
+  PREMIUM_RATE: 'premium-rate',
+  SHARED_COST: 'shared-cost',
+  VOIP: 'voip',
+  PERSONAL_NUMBER: 'personal',
+  PAGER: 'pager',
+  UAN: 'uan',
+  VOICEMAIL: 'voicemail'
+};
+
+/**
+ * Check if a region is a supported ISO 3166-1 alpha-2 country code
+ * @param {string} region - Region code, e.g. "AU"
+ * @returns {boolean} True if numbers can be parsed for the region
+ */
+export function isValidPhoneRegion(region) {
+  return typeof region === 'string' && isSupportedCountry(region.trim().toUpperCase());
+}
+
+/**
+ * Resolve the region used for numbers without a country code
+ * @param {string} region - Campaign or request region, if any
+ * @returns {string} Region code
+ */
+export function resolvePhoneRegion(region) {
+  return isValidPhoneRegion(region) ? region.trim().toUpperCase() : DEFAULT_PHONE_REGION;
+}
+
+/**
+ * Normalize a phone number to E.164
+ * Numbers without a country code are read in the default region. Digits-only international
+ * numbers (as stored before contacts kept the leading +) are also recognised.
+ * @param {string} phoneNumber - Phone number in any format
+ * @param {Object} options - defaultRegion (ISO country code)
+ * @returns {Object} { raw, e164, country, type, valid, reason } - e164 is null if the number cannot
+ *   be parsed at all; valid is false (with a reason) for numbers that parse but are not valid
+ */
+export function normalizePhoneNumber(phoneNumber, options = {}) {
+  const raw = String(phoneNumber ?? '').trim();
+  const region = resolvePhoneRegion(options.defaultRegion);
+  const result = { raw, e164: null, country: null, type: null, valid: false, reason: null };
+
+  const digits = raw.replace(/\D/g, '');
+  if (!digits) {
+    result.reason = 'Phone number is required';
+    return result;
+  }
+
+  let parsed = parsePhoneNumberFromString(raw, region);
+  if (!parsed?.isValid() && !raw.startsWith('+')) {
+    const international = parsePhoneNumberFromString(`+${digits}`);
+    if (international?.isValid()) {
+      parsed = international;
+    }
+  }
+
+  if (!parsed || !parsed.isPossible()) {
+    result.reason = `Invalid phone number for region ${region}`;
+    return result;
+  }
+
+  result.e164 = parsed.number;
+  result.country = parsed.country || null;
+  result.type = NUMBER_TYPES[parsed.getType()] || null;
+  result.valid = parsed.isValid();
+  if (!result.valid) {
+    result.reason = `Not a valid ${result.country || region} phone number`;
+  }
+
+  return result;
+}
+
+/**
+ * Contact fields for a normalized number
+ * @param {Object} normalized - Result of normalizePhoneNumber
+ * @returns {Object} phoneNumber (E.164), phoneNumberRaw, phoneType, phoneCountry, phoneValid
+ */
+export function toContactPhoneFields(normalized) {
+  return {
+    phoneNumber: normalized.e164,
+    phoneNumberRaw: normalized.raw,
+    phoneType: normalized.type,
+    phoneCountry: normalized.country,
+    phoneValid: normalized.valid
+  };
+}
+
+export default {
+  DEFAULT_PHONE_REGION,
+  isValidPhoneRegion,
+  resolvePhoneRegion,
+  normalizePhoneNumber,
+  toContactPhoneFields
+};
@@ -0,0 +1,146 @@
+/**
+ * PII Redaction Utilities
+ * Masks personal details callers speak aloud (emails, card numbers, phone numbers, street addresses)
+ * in transcript messages before they are saved
+ */
+
+// Placeholders that replace each kind of detected PII
+export const PII_PLACEHOLDERS = {
+  email: '[EMAIL]',
+  card: '[CARD]',
+  phone: '[PHONE]',
+  address: '[ADDRESS]'
+};
+
+// Street suffixes that end a street address ("12 Smith Street", "4/120 George St")
+const STREET_SUFFIXES = [
+  'Street', 'St', 'Road', 'Rd', 'Avenue', 'Ave', 'Boulevard', 'Blvd', 'Drive', 'Dr', 'Lane', 'Ln',
+  'Court', 'Ct', 'Place', 'Pl', 'Crescent', 'Cres', 'Terrace', 'Tce', 'Parade', 'Pde', 'Highway', 'Hwy',
+  'Close', 'Circuit', 'Cct', 'Grove', 'Square', 'Way'
+];
+
+// Matched in this order, so card numbers are not taken for phone numbers
+const PII_PATTERNS = [
+  // Written ("jo@example.com") and transcribed speech ("jo at example dot com")
+  { type: 'email', pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+  { type: 'email', pattern: /\b[A-Za-z0-9._%+-]+ at [A-Za-z0-9-]+(?: dot [A-Za-z]{2,})+\b/gi },
+  // 13 to 19 digits, optionally grouped with spaces or dashes
+  { type: 'card', pattern: /\b(?:\d[ -]?){12,18}\d\b/g },
+  // 8 to 15 digits with optional +, spaces, dashes, dots and brackets (dates are left alone, see below)
+  { type: 'phone', pattern: /(?<![\w+])\+?\(?\d[\d ().-]{6,}\d(?!\w)/g },
+  // A street number, up to three capitalized words and a street suffix
+  {
+    type: 'address',
+    pattern: new RegExp(
+      `\\b\\d{1,5}[A-Za-z]?(?:/\\d{1,5})?,? (?:[A-Z][A-Za-z'-]* ){1,3}(?:${STREET_SUFFIXES.map(suffix => `${suffix}|${suffix.toLowerCase()}`).join('|')})\\b\\.?`,
+      'g'
+    )
+  }
+];
+
+// Digit runs the phone pattern matches that are dates or times, not phone numbers
+const DATE_PATTERN = /^\d{4}[-./]\d{1,2}[-./]\d{1,2}$|^\d{1,2}[-./]\d{1,2}[-./]\d{2,4}$/;
+
+/**
+ * Check whether a phone pattern match is a phone number
+ * @param {string} match - Matched text
+ * @returns {boolean} Whether to mask it
+ */
+function isPhoneNumber(match) {
+  const digits = match.replace(/\D/g, '').length;
+  return digits >= 8 && digits <= 15 && !DATE_PATTERN.test(match.trim());
+}
+
+/**
+ * Create an empty count of redactions by PII type
+ * @returns {Object} { email, card, phone, address }
+ */
+export function emptyRedactionCounts() {
+  return Object.fromEntries(Object.keys(PII_PLACEHOLDERS).map(type => [type, 0]));
+}
+
+/**
+ * Mask the PII in a text
+ * @param {string} text - Text to redact
+ * @returns {Object} { text, counts } with the redacted text and redactions by PII type
+ */
+export function redactPii(text) {
+  const counts = emptyRedactionCounts();
+  if (typeof text !== 'string' || !text) {
+    return { text, counts };
+  }
+
+  let redacted = text;
+  for (const { type, pattern } of PII_PATTERNS) {
+    redacted = redacted.replace(pattern, (match) => {
+      if (type === 'phone' && !isPhoneNumber(match)) {
+        return match;
+      }
+      counts[type]++;
+      return PII_PLACEHOLDERS[type];
+    });
+  }
+
+  return { text: redacted, counts };
+}
+
+/**
+ * Mask the PII in a transcript item's message
+ * @param {Object} item - Transcript item (role, message, ...)
+ * @param {Object} options - keepOriginal (keep the unredacted message in original_message)
+ * @returns {Object} { item, counts } with a redacted copy of the item and redactions by PII type
+ */
+export function redactTranscriptItem(item, { keepOriginal = false } = {}) {
+  const { text, counts } = redactPii(item?.message);
+  if (text === item?.message) {
+    return { item, counts };
+  }
+
+  return {
+    item: {
+      ...item,
+      message: text,
+      ...(keepOriginal ? { original_message: item.message } : {})
+    },
+    counts
+  };
+}
+
+/**
+ * Mask the PII in a transcript's items
+ * @param {Array<Object>} items - Transcript items
+ * @param {Object} options - keepOriginal (keep unredacted messages in original_message)
+ * @returns {Object} { items, counts } with redacted copies of the items and redactions by PII type
+ */
+export function redactTranscript(items, { keepOriginal = false } = {}) {
+  const counts = emptyRedactionCounts();
+  const redactedItems = (items || []).map((item) => {
+    const result = redactTranscriptItem(item, { keepOriginal });
+    addRedactionCounts(counts, result.counts);
+    return result.item;
+  });
+
+  return { items: redactedItems, counts };
+}
+
+/**
+ * Add redaction counts together
+ * @param {Object} total - Counts to add to (changed in place)
+ * @param {Object} counts - Counts to add
+ * @returns {Object} The total
+ */
+export function addRedactionCounts(total, counts) {
+  for (const type of Object.keys(PII_PLACEHOLDERS)) {
+    total[type] = (total[type] || 0) + (counts?.[type] || 0);
+  }
+  return total;
+}
+
+export default {
+  PII_PLACEHOLDERS,
+  emptyRedactionCounts,
+  redactPii,
+  redactTranscriptItem,
+  redactTranscript,
+  addRedactionCounts
+};
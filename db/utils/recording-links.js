@@ -0,0 +1,85 @@
+/**
+ * Recording Link Utility
+ * Signed, expiring recording links for places that cannot send an API key (e.g. Google Sheet cells).
+ * A link is signed with RECORDING_LINK_SECRET and is valid for RECORDING_LINK_TTL_DAYS (default 30).
+ * Without a secret no links are issued and signed links are refused.
+ */
+import { createHmac, timingSafeEqual } from 'crypto';
+
+const DEFAULT_TTL_DAYS = 30;
+
+/**
+ * Get the signing secret
+ * @returns {string|null} Secret, or null if signed links are disabled
+ */
+function getSecret() {
+  return process.env.RECORDING_LINK_SECRET || null;
+}
+
+/**
+ * Check whether signed recording links are enabled
+ * @returns {boolean} True if RECORDING_LINK_SECRET is set
+ */
+export function recordingLinksEnabled() {
+  return Boolean(getSecret());
+}
+
+/**
+ * Sign a recording SID and expiry time
+ * @param {string} recordingSid - Recording SID
+ * @param {number} expires - Expiry time (Unix seconds)
+ * @param {string} secret - Signing secret
+ * @returns {string} Hex HMAC-SHA256 signature
+ */
+function sign(recordingSid, expires, secret) {
+  return createHmac('sha256', secret).update(`${recordingSid}.${expires}`).digest('hex');
+}
+
+/**
+ * Create a signed link to play a recording without an API key
+ * @param {string} recordingSid - Recording SID
+ * @param {string} baseUrl - Public server URL
+ * @param {Object} options - ttlDays (defaults to RECORDING_LINK_TTL_DAYS)
+ * @returns {string|null} Link, or null if RECORDING_LINK_SECRET is not set
+ */
+export function createRecordingLink(recordingSid, baseUrl, options = {}) {
+  const secret = getSecret();
+  if (!secret || !recordingSid) {
+    return null;
+  }
+
+  const ttlDays = options.ttlDays ?? (parseFloat(process.env.RECORDING_LINK_TTL_DAYS) || DEFAULT_TTL_DAYS);
+  const expires = Math.floor(Date.now() / 1000) + Math.round(ttlDays * 24 * 60 * 60);
+  const signature = sign(recordingSid, expires, secret);
+
+  return `${baseUrl}/api/recordings/${encodeURIComponent(recordingSid)}/shared?expires=${expires}&signature=${signature}`;
+}
+
+/**
+ * Check a signed recording link
+ * @param {string} recordingSid - Recording SID from the link
+ * @param {string|number} expires - expires query parameter
+ * @param {string} signature - signature query parameter
+ * @returns {boolean} Whether the link is genuine and has not expired
+ */
+export function verifyRecordingLink(recordingSid, expires, signature) {
+  const secret = getSecret();
+  const expiresAt = parseInt(expires, 10);
+  if (!secret || !recordingSid || !signature || !Number.isFinite(expiresAt)) {
+    return false;
+  }
+
+  if (expiresAt < Date.now() / 1000) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(recordingSid, expiresAt, secret), 'hex');
+  const provided = Buffer.from(String(signature), 'hex');
+  return provided.length === expected.length && timingSafeEqual(provided, expected);
+}
+
+export default {
+  recordingLinksEnabled,
+  createRecordingLink,
+  verifyRecordingLink
+};
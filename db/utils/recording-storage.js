@@ -0,0 +1,276 @@
+/**
+ * Recording Storage Utility
+ * Where archived call recordings are kept, so they outlive both the server's disk and Twilio's copy.
+ * RECORDING_STORAGE_DRIVER picks the driver:
+ *   local - files under RECORDING_STORAGE_DIR (mount a persistent disk there)
+ *   s3    - an S3-compatible bucket (AWS S3, MinIO, R2, ...) configured with the RECORDING_S3_* variables
+ * Without a driver recordings are not archived and are streamed from Twilio.
+ *
+ * Both drivers implement:
+ *   put(key, body, { contentType })       - Store a Buffer; resolves to { key, size }
+ *   get(key, { start, end })              - Read a whole object or an inclusive byte range;
+ *                                           resolves to { body, size, contentLength, contentType } or null
+ *   head(key)                             - Resolves to { size, contentType } or null
+ *   remove(key)                           - Delete the object (missing objects are ignored)
+ */
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand
+} from '@aws-sdk/client-s3';
+
+export const STORAGE_DRIVERS = ['local', 's3'];
+
+// Content types by file extension
+const CONTENT_TYPES = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  ogg: 'audio/ogg',
+  m4a: 'audio/mp4'
+};
+
+// Driver in use, created on first use
+let storage;
+
+/**
+ * Get the content type of a stored file
+ * @param {string} key - Object key
+ * @returns {string} MIME type (audio/mpeg when unknown)
+ */
+export function getContentType(key) {
+  const extension = path.extname(key).slice(1).toLowerCase();
+  return CONTENT_TYPES[extension] || 'audio/mpeg';
+}
+
+/**
+ * Build the object key of a recording
+ * @param {Object} recording - Recording document (callSid, recordingSid)
+ * @param {string} extension - File extension
+ * @returns {string} Object key
+ */
+export function buildRecordingKey(recording, extension = 'mp3') {
+  return `recordings/${recording.callSid}/${recording.recordingSid}.${extension}`;
+}
+
+/**
+ * Create a driver storing files on the local filesystem
+ * @param {Object} options - rootDir
+ * @returns {Object} Storage driver
+ */
+export function createLocalStorage({ rootDir }) {
+  const root = path.resolve(rootDir);
+
+  /**
+   * Resolve an object key to a path under the root
+   * @param {string} key - Object key
+   * @returns {string} File path
+   * @throws {Error} If the key points outside the root
+   */
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, body, { contentType } = {}) {
+      const filePath = resolveKey(key);
+      await fsp.mkdir(path.dirname(filePath), { recursive: true });
+
+      // Written next to the target and renamed, so readers never see a partial file
+      const tempPath = `${filePath}.${randomBytes(4).toString('hex')}.tmp`;
+      try {
+        await fsp.writeFile(tempPath, body);
+        await fsp.rename(tempPath, filePath);
+      } catch (error) {
+        await fsp.rm(tempPath, { force: true });
+        throw error;
+      }
+
+      return { key, size: body.length, contentType: contentType || getContentType(key) };
+    },
+
+    async get(key, { start, end } = {}) {
+      const info = await this.head(key);
+      if (!info) {
+        return null;
+      }
+
+      const ranged = start !== undefined;
+      const body = fs.createReadStream(resolveKey(key), ranged ? { start, end } : {});
+      return {
+        body,
+        size: info.size,
+        contentLength: ranged ? end - start + 1 : info.size,
+        contentType: info.contentType
+      };
+    },
+
+    async head(key) {
+      try {
+        const stats = await fsp.stat(resolveKey(key));
+        return { size: stats.size, contentType: getContentType(key) };
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await fsp.rm(resolveKey(key), { force: true });
+    }
+  };
+}
+
+/**
+ * Create a driver storing objects in an S3-compatible bucket
+ * @param {Object} options - bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix
+ * @returns {Object} Storage driver
+ */
+export function createS3Storage({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle = false, prefix = '' }) {
+  if (!bucket) {
+    throw new Error('An S3 bucket is required for S3 recording storage');
+  }
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    ...(endpoint ? { endpoint } : {}),
+    forcePathStyle,
+    // Without keys the SDK's default chain is used (environment, instance role, ...)
+    ...(accessKeyId && secretAccessKey ? { credentials: { accessKeyId, secretAccessKey } } : {})
+  });
+  const objectKey = key => `${prefix}${key}`;
+  const isNotFound = error => error.name === 'NotFound' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+
+  return {
+    name: 's3',
+
+    async put(key, body, { contentType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: body,
+        ContentLength: body.length,
+        ContentType: contentType || getContentType(key)
+      }));
+
+      return { key, size: body.length, contentType: contentType || getContentType(key) };
+    },
+
+    async get(key, { start, end } = {}) {
+      const ranged = start !== undefined;
+      try {
+        const response = await client.send(new GetObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(key),
+          ...(ranged ? { Range: `bytes=${start}-${end}` } : {})
+        }));
+
+        // Content-Range is "bytes start-end/size"
+        const size = ranged ? parseInt(response.ContentRange?.split('/')[1], 10) : response.ContentLength;
+        return {
+          body: response.Body,
+          size,
+          contentLength: response.ContentLength,
+          contentType: response.ContentType || getContentType(key)
+        };
+      } catch (error) {
+        if (isNotFound(error)) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async head(key) {
+      try {
+        const response = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return { size: response.ContentLength, contentType: response.ContentType || getContentType(key) };
+      } catch (error) {
+        if (isNotFound(error)) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    }
+  };
+}
+
+/**
+ * Create the driver configured by the environment
+ * @returns {Object|null} Storage driver, or null if recordings are not archived
+ * @throws {Error} If the driver is unknown or misconfigured
+ */
+function createConfiguredStorage() {
+  const driver = (process.env.RECORDING_STORAGE_DRIVER || '').trim().toLowerCase();
+
+  if (!driver || driver === 'none') {
+    return null;
+  }
+
+  if (driver === 'local') {
+    return createLocalStorage({
+      rootDir: process.env.RECORDING_STORAGE_DIR || path.join(process.cwd(), 'storage')
+    });
+  }
+
+  if (driver === 's3') {
+    return createS3Storage({
+      bucket: process.env.RECORDING_S3_BUCKET,
+      region: process.env.RECORDING_S3_REGION,
+      endpoint: process.env.RECORDING_S3_ENDPOINT,
+      accessKeyId: process.env.RECORDING_S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.RECORDING_S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.RECORDING_S3_FORCE_PATH_STYLE === 'true',
+      prefix: process.env.RECORDING_S3_PREFIX || ''
+    });
+  }
+
+  throw new Error(`Unknown RECORDING_STORAGE_DRIVER "${driver}" (expected ${STORAGE_DRIVERS.join(' or ')})`);
+}
+
+/**
+ * Get the configured recording storage
+ * @returns {Object|null} Storage driver, or null if recordings are not archived
+ * @throws {Error} If the driver is unknown or misconfigured
+ */
+export function getRecordingStorage() {
+  if (storage === undefined) {
+    storage = createConfiguredStorage();
+  }
+  return storage;
+}
+
+/**
+ * Replace the recording storage (e.g. in tests)
+ * @param {Object|null} driver - Storage driver, or null to stop archiving
+ */
+export function setRecordingStorage(driver) {
+  storage = driver;
+}
+
+export default {
+  STORAGE_DRIVERS,
+  getContentType,
+  buildRecordingKey,
+  createLocalStorage,
+  createS3Storage,
+  getRecordingStorage,
+  setRecordingStorage
+};
@@ -0,0 +1,107 @@
+/**
+ * Retention Policy Utilities
+ * How long recordings and transcripts are kept. A campaign's settings.retention overrides the defaults
+ * from RETENTION_RECORDING_DAYS, RETENTION_TRANSCRIPT_DAYS and RETENTION_KEEP_ORIGINAL_TRANSCRIPTS;
+ * data of calls without a campaign follows the defaults. Unset days mean the data is kept.
+ */
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a number of days from the environment
+ * @param {string} value - Environment value
+ * @returns {number|null} Days, or null if unset or invalid
+ */
+function parseDays(value) {
+  const days = parseInt(value, 10);
+  return days > 0 ? days : null;
+}
+
+/**
+ * Get the default retention policy
+ * @returns {Object} { recordingDays, transcriptDays, keepOriginalTranscripts }
+ */
+export function getDefaultRetentionPolicy() {
+  return {
+    recordingDays: parseDays(process.env.RETENTION_RECORDING_DAYS),
+    transcriptDays: parseDays(process.env.RETENTION_TRANSCRIPT_DAYS),
+    keepOriginalTranscripts: process.env.RETENTION_KEEP_ORIGINAL_TRANSCRIPTS === 'true'
+  };
+}
+
+/**
+ * Resolve the retention policy of a campaign
+ * @param {Object|null} retention - The campaign's settings.retention (null for calls without a campaign)
+ * @returns {Object} { recordingDays, transcriptDays, keepOriginalTranscripts }
+ */
+export function resolveRetentionPolicy(retention) {
+  const defaults = getDefaultRetentionPolicy();
+  return {
+    recordingDays: retention?.recordingDays ?? defaults.recordingDays,
+    transcriptDays: retention?.transcriptDays ?? defaults.transcriptDays,
+    keepOriginalTranscripts: retention?.keepOriginalTranscripts ?? defaults.keepOriginalTranscripts
+  };
+}
+
+/**
+ * Build an aggregation pipeline finding the documents whose retention has passed
+ * For collections of call data with callSid and createdAt; the policy comes from the call's campaign.
+ * Results have retentionDays, policySource ('campaign' or 'default') and campaignId added.
+ * @param {Object} options - daysField ('recordingDays' or 'transcriptDays'), minDays, project, limit, now
+ * @returns {Array<Object>} Aggregation pipeline
+ */
+export function buildRetentionPipeline({ daysField, minDays, project = {}, limit = 100, now = new Date() }) {
+  const defaultDays = getDefaultRetentionPolicy()[daysField];
+
+  return [
+    // Nothing younger than the shortest policy can have expired
+    { $match: { createdAt: { $lt: new Date(now.getTime() - minDays * DAY_MS) } } },
+    {
+      $lookup: {
+        from: 'calls',
+        let: { callSid: '$callSid' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$callSid', '$$callSid'] } } },
+          { $project: { campaignId: 1 } },
+          { $limit: 1 }
+        ],
+        as: 'call'
+      }
+    },
+    { $addFields: { campaignId: { $arrayElemAt: ['$call.campaignId', 0] } } },
+    {
+      $lookup: {
+        from: 'campaigns',
+        let: { campaignId: '$campaignId' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$_id', '$$campaignId'] } } },
+          { $project: { days: `$settings.retention.${daysField}` } }
+        ],
+        as: 'campaign'
+      }
+    },
+    { $addFields: { campaignDays: { $arrayElemAt: ['$campaign.days', 0] } } },
+    {
+      $addFields: {
+        retentionDays: { $ifNull: ['$campaignDays', defaultDays] },
+        policySource: { $cond: [{ $eq: [{ $ifNull: ['$campaignDays', null] }, null] }, 'default', 'campaign'] }
+      }
+    },
+    {
+      $match: {
+        retentionDays: { $ne: null },
+        $expr: { $lt: ['$createdAt', { $subtract: [now, { $multiply: ['$retentionDays', DAY_MS] }] }] }
+      }
+    },
+    { $sort: { createdAt: 1 } },
+    { $limit: limit },
+    { $project: { ...project, callSid: 1, createdAt: 1, campaignId: 1, retentionDays: 1, policySource: 1 } }
+  ];
+}
+
+export default {
+  DAY_MS,
+  getDefaultRetentionPolicy,
+  resolveRetentionPolicy,
+  buildRetentionPipeline
+};
@@ -0,0 +1,74 @@
+/**
+ * Soft Delete Utility
+ * Mongoose plugin for collections whose documents can be deleted and restored (see deletion-service.js).
+ * Adds a deletedAt field; queries and aggregations leave soft-deleted documents out unless they filter
+ * on deletedAt themselves or set the withDeleted option.
+ */
+
+// Query operations that skip soft-deleted documents (deletes are left alone, so hard deletion reaches them)
+const FILTERED_QUERY_OPERATIONS = [
+  'countDocuments',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'updateOne',
+  'updateMany'
+];
+
+// Aggregation stages that must come first in a pipeline
+const LEADING_STAGES = ['$geoNear', '$search', '$searchMeta', '$vectorSearch', '$collStats', '$indexStats', '$changeStream'];
+
+/**
+ * Check whether a filter already selects on deletedAt
+ * @param {Object} filter - Query filter
+ * @returns {boolean} Whether deletedAt is part of the filter
+ */
+function filtersOnDeletedAt(filter = {}) {
+  if (Object.prototype.hasOwnProperty.call(filter, 'deletedAt')) {
+    return true;
+  }
+
+  return ['$and', '$or', '$nor'].some(operator => Array.isArray(filter[operator]) && filter[operator].some(filtersOnDeletedAt));
+}
+
+/**
+ * Add soft deletion to a schema
+ * @param {Object} schema - Mongoose schema
+ */
+export function softDeletePlugin(schema) {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    }
+  });
+
+  schema.pre(FILTERED_QUERY_OPERATIONS, function excludeSoftDeleted() {
+    const options = this.getOptions();
+    const withDeleted = Boolean(options.withDeleted);
+    delete this.options.withDeleted;
+
+    // Upserts must match a soft-deleted document rather than insert a duplicate next to it
+    if (withDeleted || options.upsert || filtersOnDeletedAt(this.getFilter())) {
+      return;
+    }
+
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function excludeSoftDeleted() {
+    const withDeleted = Boolean(this.options.withDeleted);
+    delete this.options.withDeleted;
+
+    const pipeline = this.pipeline();
+    const firstStage = Object.keys(pipeline[0] || {})[0];
+    if (withDeleted || LEADING_STAGES.includes(firstStage)) {
+      return;
+    }
+
+    pipeline.unshift({ $match: { deletedAt: null } });
+  });
+}
+
+export default softDeletePlugin;
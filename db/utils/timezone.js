@@ -0,0 +1,194 @@
+/**
+ * Timezone Utility
+ * Resolves contact timezones from phone numbers and local time parts for a timezone
+ */
+import { parsePhoneNumberFromString } from 'libphonenumber-js';
+
+// Fallback timezone for contacts whose timezone cannot be determined
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Australia/Sydney';
+
+// Countries that observe a single timezone
+const COUNTRY_TIMEZONES = {
+  AE: 'Asia/Dubai',
+  AT: 'Europe/Vienna',
+  BE: 'Europe/Brussels',
+  CH: 'Europe/Zurich',
+  CN: 'Asia/Shanghai',
+  DE: 'Europe/Berlin',
+  DK: 'Europe/Copenhagen',
+  FI: 'Europe/Helsinki',
+  FR: 'Europe/Paris',
+  GB: 'Europe/London',
+  HK: 'Asia/Hong_Kong',
+  IE: 'Europe/Dublin',
+  IL: 'Asia/Jerusalem',
+  IN: 'Asia/Kolkata',
+  IT: 'Europe/Rome',
+  JP: 'Asia/Tokyo',
+  KR: 'Asia/Seoul',
+  MY: 'Asia/Kuala_Lumpur',
+  NL: 'Europe/Amsterdam',
+  NO: 'Europe/Oslo',
+  NZ: 'Pacific/Auckland',
+  PH: 'Asia/Manila',
+  PL: 'Europe/Warsaw',
+  SE: 'Europe/Stockholm',
+  SG: 'Asia/Singapore',
+  TH: 'Asia/Bangkok',
+  TW: 'Asia/Taipei',
+  VN: 'Asia/Ho_Chi_Minh',
+  ZA: 'Africa/Johannesburg'
+};
+
+// Australian geographic area codes (national number prefix) mapped to timezones.
+// Mobile numbers (04) are not geographic and cannot be resolved.
+const AU_AREA_TIMEZONES = [
+  { prefix: '2', timezone: 'Australia/Sydney' },
+  { prefix: '3', timezone: 'Australia/Melbourne' },
+  { prefix: '7', timezone: 'Australia/Brisbane' },
+  { prefix: '86', timezone: 'Australia/Perth' },
+  { prefix: '89', timezone: 'Australia/Perth' },
+  { prefix: '88', timezone: 'Australia/Adelaide' }
+];
+
+/**
+ * Check if a string is a valid IANA timezone
+ * @param {string} timezone - Timezone name
+ * @returns {boolean} True if the timezone is supported by Intl
+ */
+export function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Derive a timezone from an E.164 phone number
+ * Returns null when the number spans several timezones and the area cannot be resolved
+ * @param {string} phoneNumber - Phone number (E.164, with or without the leading +)
+ * @returns {string|null} IANA timezone or null if it cannot be determined
+ */
+export function getTimezoneForPhoneNumber(phoneNumber) {
+  if (!phoneNumber) {
+    return null;
+  }
+
+  const digits = String(phoneNumber).replace(/\D/g, '');
+  const parsed = parsePhoneNumberFromString(`+${digits}`);
+
+  if (!parsed || !parsed.country) {
+    return null;
+  }
+
+  if (parsed.country === 'AU') {
+    const area = AU_AREA_TIMEZONES.find(({ prefix }) => parsed.nationalNumber.startsWith(prefix));
+    return area ? area.timezone : null;
+  }
+
+  return COUNTRY_TIMEZONES[parsed.country] || null;
+}
+
+/**
+ * Resolve the timezone to store on a contact
+ * An explicitly provided timezone (e.g. from a CSV column) wins over the derived one
+ * @param {string} phoneNumber - Phone number
+ * @param {string} timezone - Explicit timezone, if any
+ * @returns {string|null} IANA timezone or null if it cannot be determined
+ */
+export function resolveContactTimezone(phoneNumber, timezone = null) {
+  if (timezone && isValidTimezone(timezone.trim())) {
+    return timezone.trim();
+  }
+
+  return getTimezoneForPhoneNumber(phoneNumber);
+}
+
+/**
+ * Get the local day of week and minutes since midnight for a timezone
+ * @param {Date} date - Instant to convert
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} dayOfWeek (0 = Sunday) and minutes since local midnight
+ */
+export function getLocalTimeParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const values = Object.fromEntries(parts.map(part => [part.type, part.value]));
+  const dayOfWeek = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(values.weekday);
+
+  return {
+    dayOfWeek,
+    minutes: parseInt(values.hour, 10) * 60 + parseInt(values.minute, 10)
+  };
+}
+
+/**
+ * Parse a date and time, reading it as local time in a timezone unless it has its own offset
+ * @param {string} value - ISO 8601 date and time, e.g. '2025-06-12T14:00' or '2025-06-12T14:00:00+10:00'
+ * @param {string} timezone - IANA timezone for values without an offset
+ * @returns {Date|null} Instant, or null if the value cannot be parsed
+ */
+export function parseLocalDateTime(value, timezone = DEFAULT_TIMEZONE) {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+
+  const match = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?(Z|[+-]\d{2}:?\d{2})?$/i);
+  if (!match) {
+    return null;
+  }
+
+  if (match[7]) {
+    const date = new Date(value.trim());
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const [year, month, day, hour, minute, second = 0] = match.slice(1, 7).map(part => parseInt(part ?? 0, 10));
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  if (isNaN(wallClock) || !isValidTimezone(timezone)) {
+    return null;
+  }
+
+  // Offset of the timezone at an instant, in milliseconds
+  const offsetAt = (instant) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(new Date(instant)).map(part => [part.type, part.value]));
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return local - Math.floor(instant / 1000) * 1000;
+  };
+
+  // Second pass corrects the offset when the first guess falls on the other side of a DST change
+  let instant = wallClock - offsetAt(wallClock);
+  instant = wallClock - offsetAt(instant);
+
+  return new Date(instant);
+}
+
+export default {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getTimezoneForPhoneNumber,
+  resolveContactTimezone,
+  getLocalTimeParts,
+  parseLocalDateTime
+};
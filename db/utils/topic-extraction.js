@@ -0,0 +1,189 @@
+/**
+ * Topic Extraction Utilities
+ * Deterministic, offline keyword/phrase matching of transcripts against the topic taxonomy
+ */
+
+// Callee messages say more about why they engaged than the agent's script does
+export const ROLE_WEIGHTS = {
+  user: 2,
+  agent: 1
+};
+
+// A topic needs at least one callee mention (or two agent mentions) to count
+export const MIN_TOPIC_SCORE = 2;
+
+// Keep only the strongest topics per transcript
+export const MAX_TOPICS_PER_TRANSCRIPT = 3;
+
+// data_collection_results ids that carry a topic (e.g. "topic", "call_topic", "main_topics")
+const DATA_COLLECTION_TOPIC_PATTERN = /topic/i;
+
+/**
+ * Normalize text for matching: lowercase, punctuation stripped, single spaces, padded
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text, padded with spaces so phrases match on word boundaries
+ */
+export function normalizeText(text) {
+  if (!text || typeof text !== 'string') {
+    return ' ';
+  }
+
+  const normalized = text
+    .toLowerCase()
+    .replace(/[’']/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+  return ` ${normalized} `;
+}
+
+/**
+ * Count occurrences of a keyword or phrase in normalized text
+ * @param {string} normalizedText - Output of normalizeText
+ * @param {string} keyword - Keyword or phrase
+ * @returns {number} Number of whole-word occurrences
+ */
+export function countKeyword(normalizedText, keyword) {
+  const needle = normalizeText(keyword);
+  if (needle.trim() === '') {
+    return 0;
+  }
+
+  let count = 0;
+  let index = normalizedText.indexOf(needle);
+  while (index !== -1) {
+    count++;
+    // Step back over the trailing space so adjacent matches are still found
+    index = normalizedText.indexOf(needle, index + needle.length - 1);
+  }
+
+  return count;
+}
+
+/**
+ * Extract topics from transcript items by keyword matching
+ * @param {Array} transcriptItems - Transcript items ({ role, message })
+ * @param {Array} taxonomy - Topics ({ name, keywords })
+ * @param {Object} options - minScore, maxTopics
+ * @returns {Array} Matched topics ({ name, score, matchedKeywords, source }) strongest first
+ */
+export function extractKeywordTopics(transcriptItems = [], taxonomy = [], options = {}) {
+  const { minScore = MIN_TOPIC_SCORE, maxTopics = MAX_TOPICS_PER_TRANSCRIPT } = options;
+
+  const messages = transcriptItems
+    .filter(item => item && item.message)
+    .map(item => ({
+      weight: ROLE_WEIGHTS[item.role] || 1,
+      text: normalizeText(item.message)
+    }));
+
+  if (messages.length === 0) {
+    return [];
+  }
+
+  const matches = [];
+
+  for (const topic of taxonomy) {
+    let score = 0;
+    const matchedKeywords = new Set();
+
+    for (const keyword of topic.keywords || []) {
+      for (const { weight, text } of messages) {
+        const occurrences = countKeyword(text, keyword);
+        if (occurrences > 0) {
+          score += occurrences * weight;
+          matchedKeywords.add(keyword);
+        }
+      }
+    }
+
+    if (score >= minScore) {
+      matches.push({
+        name: topic.name,
+        score,
+        matchedKeywords: [...matchedKeywords].sort(),
+        source: 'keyword'
+      });
+    }
+  }
+
+  // Highest score first, ties broken by name so results are stable
+  matches.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+
+  return matches.slice(0, maxTopics);
+}
+
+/**
+ * Read topics reported by the ElevenLabs agent's data collection
+ * Values are mapped onto taxonomy names case-insensitively where possible.
+ * @param {Object} analysis - Transcript analysis (data_collection_results may be a Map or plain object)
+ * @param {Array} taxonomy - Topics ({ name })
+ * @returns {Array} Topics ({ name, score, matchedKeywords, source }) or an empty array
+ */
+export function extractDataCollectionTopics(analysis, taxonomy = []) {
+  const results = analysis?.data_collection_results;
+  if (!results) {
+    return [];
+  }
+
+  const entries = results instanceof Map ? [...results.entries()] : Object.entries(results);
+  const taxonomyNames = new Map(taxonomy.map(topic => [topic.name.toLowerCase(), topic.name]));
+  const names = [];
+
+  for (const [id, result] of entries) {
+    if (!DATA_COLLECTION_TOPIC_PATTERN.test(result?.data_collection_id || id)) {
+      continue;
+    }
+
+    const value = result?.value;
+    const values = Array.isArray(value)
+      ? value
+      : typeof value === 'string' ? value.split(',') : [];
+
+    for (const raw of values) {
+      if (typeof raw !== 'string' || !raw.trim()) {
+        continue;
+      }
+      const trimmed = raw.trim();
+      const name = taxonomyNames.get(trimmed.toLowerCase()) || trimmed;
+      if (!names.includes(name)) {
+        names.push(name);
+      }
+    }
+  }
+
+  return names.map(name => ({
+    name,
+    score: null,
+    matchedKeywords: [],
+    source: 'data_collection'
+  }));
+}
+
+/**
+ * Extract topics for a transcript
+ * Topics reported by ElevenLabs data collection take precedence over keyword matching.
+ * @param {Object} transcript - Transcript document ({ transcript, analysis })
+ * @param {Array} taxonomy - Active topics ({ name, keywords })
+ * @param {Object} options - Options passed to extractKeywordTopics
+ * @returns {Array} Extracted topics
+ */
+export function extractTopics(transcript, taxonomy = [], options = {}) {
+  const dataCollectionTopics = extractDataCollectionTopics(transcript?.analysis, taxonomy);
+  if (dataCollectionTopics.length > 0) {
+    return dataCollectionTopics;
+  }
+
+  return extractKeywordTopics(transcript?.transcript || [], taxonomy, options);
+}
+
+export default {
+  ROLE_WEIGHTS,
+  MIN_TOPIC_SCORE,
+  MAX_TOPICS_PER_TRANSCRIPT,
+  normalizeText,
+  countKeyword,
+  extractKeywordTopics,
+  extractDataCollectionTopics,
+  extractTopics
+};
@@ -0,0 +1,38 @@
+/**
+ * Transaction Utility
+ * Runs work in a MongoDB transaction where the server supports one.
+ */
+import mongoose from 'mongoose';
+
+// Code MongoDB returns for transactions on a standalone server
+const ILLEGAL_OPERATION = 20;
+
+/**
+ * Run work in a transaction
+ * Standalone servers (local development) have no transactions; the work then runs without one.
+ * @param {Function} work - async (session) => result; may be retried, so it must start from scratch
+ * @returns {Promise<*>} Result of the work
+ */
+export async function runInTransaction(work) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    if (error.code !== ILLEGAL_OPERATION && !/replica set member or mongos/.test(error.message)) {
+      throw error;
+    }
+
+    console.warn('[MongoDB] Server does not support transactions, running without one');
+    return await work(null);
+  } finally {
+    await session.endSession();
+  }
+}
+
+export default {
+  runInTransaction
+};
@@ -6,7 +6,7 @@ import crypto from 'crypto';
 // Removed node-fetch import - using native fetch
 import getRawBody from 'raw-body'; // Import raw-body
 import Twilio from 'twilio';
-import { saveCall, updateCallStatus, getCallBySid } from './repositories/call.repository.js';
+import { saveCall, updateCallStatus, getCallBySid, applyTranscriptDisposition } from './repositories/call.repository.js';
 // Import the new function for saving full ElevenLabs data
 import { createOrUpdateTranscriptFromElevenLabs } from './repositories/transcript.repository.js';
 import { logEvent } from './repositories/callEvent.repository.js';
@@ -14,6 +14,9 @@ import { emitTranscriptUpdate, emitTranscriptMessage } from '../socket-server.js
 import mongoose from 'mongoose'; // Import mongoose for error checking
 import Call from './models/call.model.js'; // Import Call model for database searches
 import { getTerminationInfo } from '../call-termination-tracker.js'; // Import termination tracker
+import { queueSheetWriteBack } from './sheet-writeback.js';
+import { createCallbackFromTranscript } from './repositories/callback.repository.js';
+import { getElevenLabsApiUrl } from '../service-clients.js';
 
 // Reference to the active calls map (will be kept for backward compatibility)
 let activeCalls = null;
@@ -302,7 +305,7 @@ async function processFinalCallData(callSid, conversationId) {
   }
 
   // --- Fetch Full Conversation Details from ElevenLabs API ---
-  const elevenLabsUrl = `https://api.elevenlabs.io/v1/convai/conversations/${conversationId}`;
+  const elevenLabsUrl = getElevenLabsApiUrl(`/v1/convai/conversations/${conversationId}`);
   let elevenLabsFullData;
   try {
     console.log(`[Webhook Process] Fetching full conversation details from ElevenLabs for ${conversationId} (Call SID: ${callSid})`);
@@ -331,7 +334,7 @@ async function processFinalCallData(callSid, conversationId) {
   const name = extractName(elevenLabsFullData);
   const phoneNumber = extractPhoneNumber(elevenLabsFullData);
 
-  // Map status to valid outcome enum values
+  // Map status to valid outcome enum values (the business outcome is the call's disposition, resolved below)
   const mapStatusToOutcome = (status) => {
     switch(status) {
       case 'completed':
@@ -347,11 +350,19 @@ async function processFinalCallData(callSid, conversationId) {
     }
   };
 
+  // A voicemail left by the voicemail drop has no conversation, but its outcome stands
+  let voicemailLeft = false;
+  try {
+    voicemailLeft = Boolean((await getCallBySid(callSid))?.voicemail?.leftAt);
+  } catch (lookupError) {
+    console.error(`[MongoDB] Error loading call ${callSid} before update:`, lookupError);
+  }
+
   const callData = {
     callSid,
     conversationId, // Ensure this is saved
     status: status, // Use status derived from API response
-    outcome: mapStatusToOutcome(status), // Map to valid outcome enum
+    outcome: voicemailLeft ? 'voicemail' : mapStatusToOutcome(status), // Map to valid outcome enum
     to: phoneNumber !== 'Unknown' ? phoneNumber : undefined,
     contactName: name !== 'Unknown' ? name : undefined,
     duration: duration > 0 ? duration : undefined,
@@ -395,6 +406,23 @@ async function processFinalCallData(callSid, conversationId) {
   }
   // --- End Transcript Save ---
 
+  // Resolve the business outcome from the analysis with the campaign's disposition codes
+  try {
+    updatedCall = (await applyTranscriptDisposition(updatedCall, savedTranscript)) || updatedCall;
+  } catch (dispositionError) {
+    // Already logged by the repository; the call data itself is saved
+  }
+
+  // Write the outcome, summary and recording link back to the contact's Google Sheet row (if any)
+  queueSheetWriteBack(callSid);
+
+  // Schedule the callback the prospect asked for, if the agent collected one and did not already schedule it
+  try {
+    await createCallbackFromTranscript(updatedCall, savedTranscript);
+  } catch (callbackError) {
+    // Already logged by the repository; the call data itself is saved
+  }
+
   return {
     success: true,
     callSid,
@@ -64,7 +64,7 @@ async function debugContactImport() {
     });
 
     // Check all contacts with these phone numbers
-    const phoneNumbers = testContacts.map(c => c.phoneNumber.replace(/\D/g, ''));
+    const phoneNumbers = testContacts.map(c => c.phoneNumber); // Normalized to E.164 in place by importContacts
     console.log(`\n🔍 Checking for contacts with phone numbers: ${phoneNumbers.join(', ')}`);
     
     const allMatchingContacts = await Contact.find({ 
@@ -2,6 +2,7 @@
  * Debug script for phone validation endpoint timeout
  */
 
+import 'dotenv/config';
 import https from 'https';
 
 const API_HOST = 'twilio-elevenlabs-app.onrender.com';
@@ -17,14 +18,15 @@ function makeRequest() {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
-      'Content-Length': data.length
+      'Content-Length': data.length,
+      'Authorization': `Bearer ${process.env.API_KEY}`
     },
     timeout: 120000 // 2 minute timeout
   };
 
   console.log(`Making request to https://${API_HOST}${API_PATH}`);
   console.log('Request body:', data);
-  console.log('Headers:', options.headers);
+  console.log('Headers:', { ...options.headers, 'Authorization': 'Bearer <API_KEY>' });
 
   const req = https.request(options, (res) => {
     console.log(`Status Code: ${res.statusCode}`);
@@ -79,7 +81,7 @@ async function testOtherEndpoints() {
   
   // Test /api/call-stats endpoint
   setTimeout(() => {
-    const statsReq = https.get(`https://${API_HOST}/api/call-stats`, (res) => {
+    const statsReq = https.get(`https://${API_HOST}/api/call-stats`, { headers: { 'Authorization': `Bearer ${process.env.API_KEY}` } }, (res) => {
       console.log(`/api/call-stats status: ${res.statusCode}`);
       let data = '';
       res.on('data', chunk => data += chunk);
@@ -1,14 +1,13 @@
 /**
  * API Routes for proxying requests to the ElevenLabs API
  */
-// Removed node-fetch import - using native fetch
+// Removed node-fetch import - using native fetch
 import { 
   asyncHandler, 
   createSuccessResponse, 
   ApiError 
 } from './api-utils.js';
-
-const ELEVENLABS_API_BASE_URL = 'https://api.elevenlabs.io/v1';
+import { getElevenLabsApiUrl } from './service-clients.js';
 
 /**
  * Register ElevenLabs proxy API routes with Fastify
@@ -33,7 +32,7 @@ export async function registerElevenLabsApiRoutes(fastify, options = {}) {
       throw ApiError.internalServerError('Server configuration error: Missing API key.');
     }
 
-    const elevenLabsUrl = `${ELEVENLABS_API_BASE_URL}/convai/conversations/${conversationId}`;
+    const elevenLabsUrl = getElevenLabsApiUrl(`/v1/convai/conversations/${conversationId}`);
     console.log(`[API Proxy] Fetching from ElevenLabs: ${elevenLabsUrl}`);
 
     try {
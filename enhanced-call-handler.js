@@ -262,9 +262,12 @@ export function processRecording(recordingData) {
 /**
  * Process machine detection results
  * @param {Object} amdData - Twilio Answering Machine Detection data
+ * @param {Object} options - Options for machine handling
+ * @param {boolean} options.leavingVoicemail - The call has been redirected to leave a voicemail, so only stop the agent
  */
-export function processMachineDetection(amdData) {
+export function processMachineDetection(amdData, options = {}) {
   const { CallSid, AnsweredBy, MachineBehavior } = amdData;
+  const { leavingVoicemail = false } = options;
   
   if (!activeCalls || !CallSid) return;
   
@@ -295,7 +298,17 @@ export function processMachineDetection(amdData) {
   // Don't terminate if it's been verified as human
   const isVerifiedHuman = AnsweredBy === 'human_verified' || AnsweredBy === 'human_assumed';
   
-  if (isMachine && !isVerifiedHuman) {
+  if (isMachine && !isVerifiedHuman && leavingVoicemail) {
+    console.log(`[AMD] Machine detected (${AnsweredBy}). Leaving voicemail on call ${CallSid}.`);
+    
+    trackTermination(CallSid, 'amd', `voicemail_left_${AnsweredBy}`, {
+      answeredBy: AnsweredBy,
+      machineBehavior: MachineBehavior
+    });
+    
+    // The agent was stopped when the call was handed off (see voicemail.js);
+    // the voicemail TwiML hangs up once the message has played
+  } else if (isMachine && !isVerifiedHuman) {
     console.log(`[AMD] Machine detected (${AnsweredBy}). Terminating call ${CallSid}.`);
     
     // Track AMD termination
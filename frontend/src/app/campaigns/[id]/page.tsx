@@ -202,6 +202,9 @@ export default function CampaignPageEnhanced({ params }: CampaignPageProps) {
     answeredBy: string | null
     terminatedBy: string | null
     lastCallDuration: number | null
+    attemptCount: number
+    nextAttemptAt: string | null
+    callAttempts: CallAttemptData[]
   }
   
   // State for campaign stats and call data
@@ -855,9 +858,25 @@ export default function CampaignPageEnhanced({ params }: CampaignPageProps) {
                                 </TooltipProvider>
                               </div>
                             </TableHead>
+                            <TableHead className="text-center">
+                              <div className="flex items-center justify-center gap-1">
+                                Campaign Attempts
+                                <TooltipProvider>
+                                  <Tooltip>
+                                    <TooltipTrigger>
+                                      <Info className="h-3 w-3 text-muted-foreground" />
+                                    </TooltipTrigger>
+                                    <TooltipContent>
+                                      <p className="max-w-xs">Dial attempts made by the campaign scheduler, including retries. Hover a count to see the attempt history.</p>
+                                    </TooltipContent>
+                                  </Tooltip>
+                                </TooltipProvider>
+                              </div>
+                            </TableHead>
                             <TableHead>Answered By</TableHead>
                             <TableHead>Terminated By</TableHead>
                             <TableHead>Last Contact</TableHead>
+                            <TableHead>Next Retry</TableHead>
                             <TableHead></TableHead>
                           </TableRow>
                         </TableHeader>
@@ -883,6 +902,12 @@ export default function CampaignPageEnhanced({ params }: CampaignPageProps) {
                                   {contact.liveCallCount || 0}
                                 </Badge>
                               </TableCell>
+                              <TableCell className="text-center">
+                                <CallAttemptsBadge 
+                                  attemptCount={contact.attemptCount || 0} 
+                                  attempts={contact.callAttempts || []} 
+                                />
+                              </TableCell>
                               <TableCell>
                                 {contact.answeredBy ? (
                                   <AnsweredByBadge answeredBy={contact.answeredBy} />
@@ -906,6 +931,15 @@ export default function CampaignPageEnhanced({ params }: CampaignPageProps) {
                                   <span className="text-sm text-muted-foreground">Never</span>
                                 )}
                               </TableCell>
+                              <TableCell>
+                                {contact.status === 'pending' && contact.nextAttemptAt ? (
+                                  <span className="text-sm">
+                                    {new Date(contact.nextAttemptAt).toLocaleString()}
+                                  </span>
+                                ) : (
+                                  <span className="text-sm text-muted-foreground">-</span>
+                                )}
+                              </TableCell>
                               <TableCell>
                                 <Button 
                                   variant="ghost" 
@@ -942,6 +976,8 @@ export default function CampaignPageEnhanced({ params }: CampaignPageProps) {
                           <li>• <strong>Total Attempts:</strong> All call attempts including those that failed in the backend</li>
                           <li>• <strong>Live Calls:</strong> Calls that actually rang on the recipient's phone (excludes technical failures)</li>
                           <li>• <strong>Answered By:</strong> Who picked up - Human, Machine, or call outcome (No Answer, Busy, Failed)</li>
+                          <li>• <strong>Campaign Attempts:</strong> Dials made by the campaign, including retries after busy, no answer or voicemail</li>
+                          <li>• <strong>Next Retry:</strong> When a re-queued contact becomes eligible to be dialled again</li>
                           <li>• <strong>Terminated By:</strong> Who ended the call - User (recipient), Agent (AI), System, or Timeout</li>
                         </ul>
                       </div>
@@ -1212,6 +1248,10 @@ function CampaignStatusBadge({ status }: CampaignStatusBadgeProps) {
       variant = 'default'
       label = 'active'
       break
+    case 'waiting-for-window':
+      variant = 'secondary'
+      label = 'waiting for window'
+      break
     case 'paused':
       variant = 'secondary'
       break
@@ -1329,3 +1369,56 @@ function ContactStatusBadge({ status }: ContactStatusBadgeProps) {
     </Badge>
   )
 }
+
+interface CallAttemptData {
+  attemptNumber: number
+  callSid?: string
+  result?: string
+  answeredBy?: string
+  duration?: number
+  error?: string
+  attemptedAt: string
+  nextAttemptAt?: string
+}
+
+interface CallAttemptsBadgeProps {
+  attemptCount: number
+  attempts: CallAttemptData[]
+}
+
+function CallAttemptsBadge({ attemptCount, attempts }: CallAttemptsBadgeProps) {
+  const badge = (
+    <Badge variant={attemptCount > 0 ? 'secondary' : 'outline'}>
+      {attemptCount}
+    </Badge>
+  )
+  
+  if (attempts.length === 0) {
+    return badge
+  }
+  
+  return (
+    <TooltipProvider>
+      <Tooltip>
+        <TooltipTrigger>{badge}</TooltipTrigger>
+        <TooltipContent>
+          <div className="space-y-1 text-xs">
+            {attempts.map((attempt) => (
+              <div key={`${attempt.attemptNumber}-${attempt.attemptedAt}`}>
+                <span className="font-medium">#{attempt.attemptNumber}</span>{' '}
+                {new Date(attempt.attemptedAt).toLocaleString()} -{' '}
+                <span className="capitalize">{(attempt.result || 'unknown').replace(/[-_]/g, ' ')}</span>
+                {attempt.duration ? ` (${attempt.duration}s)` : ''}
+                {attempt.nextAttemptAt && (
+                  <span className="text-muted-foreground">
+                    {' '}· retry {new Date(attempt.nextAttemptAt).toLocaleString()}
+                  </span>
+                )}
+              </div>
+            ))}
+          </div>
+        </TooltipContent>
+      </Tooltip>
+    </TooltipProvider>
+  )
+}
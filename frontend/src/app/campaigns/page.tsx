@@ -511,6 +511,10 @@ function CampaignStatusBadge({ status }: CampaignStatusBadgeProps) {
       variant = 'default'
       label = 'active'
       break
+    case 'waiting-for-window':
+      variant = 'secondary'
+      label = 'waiting for window'
+      break
     case 'paused':
       variant = 'secondary'
       break
@@ -6,6 +6,7 @@ import { ModernRealTimeDashboard } from '@/components/modern-realtime-dashboard'
 import { EnhancedCallsChart } from '@/components/enhanced-calls-chart'
 import { EnhancedRecentCalls } from '@/components/enhanced-recent-calls'
 import { ActiveCampaigns } from '@/components/active-campaigns'
+import { UpcomingCallbacks } from '@/components/upcoming-callbacks'
 
 export default function Home() {
   return (
@@ -24,6 +25,9 @@ export default function Home() {
       {/* Active Campaigns Monitor */}
       <ActiveCampaigns />
       
+      {/* Upcoming and Overdue Callbacks */}
+      <UpcomingCallbacks />
+      
       {/* Call Activity and Recent Calls */}
       <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-7">
         <div className="col-span-4">
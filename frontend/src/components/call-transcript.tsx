@@ -6,7 +6,7 @@ import { fetchCallTranscript } from '@/lib/mongodb-api';
 // Import the specific types needed
 import { TranscriptData, TranscriptItem, EvaluationCriteriaResult } from '@/lib/types';
 import { formatTimeInSeconds } from '@/lib/utils'; // Assuming a helper for seconds exists or create one
-import { MessageSquare, Search, User, Bot } from 'lucide-react';
+import { MessageSquare, Search, User, Bot, Wrench } from 'lucide-react';
 import { Input } from '@/components/ui/input';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
@@ -267,13 +267,36 @@ export function CallTranscript({ callSid }: CallTranscriptProps) {
                       ({formatTimeInSeconds(message.time_in_call_secs)})
                     </div>
                   </div>
-                  <div className="mt-1 text-sm text-foreground/90">
-                    {/* Access message.message, handle undefined */}
-                    {searchTerm.trim()
-                      ? highlightText(message.message, searchTerm)
-                      : message.message || <span className="italic text-muted-foreground">[No message content]</span>
-                    }
-                  </div>
+                  {(message.message || !message.tool_calls?.length) && (
+                    <div className="mt-1 text-sm text-foreground/90">
+                      {/* Access message.message, handle undefined */}
+                      {searchTerm.trim()
+                        ? highlightText(message.message, searchTerm)
+                        : message.message || <span className="italic text-muted-foreground">[No message content]</span>
+                      }
+                    </div>
+                  )}
+                  {/* Client tools the agent called, with their results */}
+                  {message.tool_calls?.map((toolCall, toolIndex) => {
+                    const toolResult = message.tool_results?.find(result =>
+                      toolCall.request_id ? result.request_id === toolCall.request_id : result.tool_name === toolCall.tool_name
+                    );
+                    return (
+                      <div key={toolIndex} className="mt-2 p-2 text-xs border rounded bg-muted/50 dark:bg-muted/20">
+                        <div className="flex items-center gap-2 font-medium text-foreground">
+                          <Wrench className="h-3 w-3 text-muted-foreground" />
+                          {toolCall.tool_name.replace(/_/g, ' ')}
+                          {toolResult?.is_error && <Badge variant="destructive">Failed</Badge>}
+                        </div>
+                        {toolCall.params_as_json && toolCall.params_as_json !== '{}' && (
+                          <pre className="mt-1 whitespace-pre-wrap break-all text-muted-foreground">{toolCall.params_as_json}</pre>
+                        )}
+                        {toolResult?.result_value && (
+                          <p className="mt-1 text-foreground/90">{toolResult.result_value}</p>
+                        )}
+                      </div>
+                    );
+                  })}
                 </div>
               </div>
             ))
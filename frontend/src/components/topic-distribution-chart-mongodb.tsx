@@ -38,12 +38,12 @@ export function TopicDistributionChart({ filters }: TopicDistributionChartProps)
           setData(response.data || []) // Added fallback for undefined
         } else {
           setError(response.error || 'Failed to load topic distribution data')
-          setData(generateSampleData())
+          setData([])
         }
       } catch (err) {
         setError('An error occurred while loading data')
         console.error(err)
-        setData(generateSampleData())
+        setData([])
       } finally {
         setLoading(false)
       }
@@ -52,17 +52,6 @@ export function TopicDistributionChart({ filters }: TopicDistributionChartProps)
     loadData()
   }, [filters])
 
-  // Generate sample data for fallback
-  function generateSampleData() {
-    return [
-      { name: 'Product Features', value: 35 },
-      { name: 'Pricing', value: 25 },
-      { name: 'Technical Support', value: 20 },
-      { name: 'Billing Issues', value: 12 },
-      { name: 'Returns', value: 8 }
-    ]
-  }
-
   if (loading) {
     return <Skeleton className="w-full h-[400px]" />
   }
@@ -83,6 +72,14 @@ export function TopicDistributionChart({ filters }: TopicDistributionChartProps)
     )
   }
 
+  if (data.length === 0) {
+    return (
+      <Card className="w-full h-[400px] flex items-center justify-center">
+        <p className="text-muted-foreground">No topics have been extracted from transcripts in this period yet</p>
+      </Card>
+    )
+  }
+
   return (
     <ResponsiveContainer width="100%" height="100%">
       <PieChart>
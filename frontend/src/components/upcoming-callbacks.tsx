@@ -0,0 +1,124 @@
+"use client"
+
+import { useState, useEffect } from 'react'
+import { PhoneForwarded, AlertCircle, Clock } from 'lucide-react'
+import { formatDistanceToNow } from 'date-fns'
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { fetchCallbackSummary } from '@/lib/mongodb-api'
+import { CallbackInfo, CallbackSummary } from '@/lib/types'
+
+// How often the lists are refreshed
+const REFRESH_INTERVAL = 60 * 1000
+
+function contactLabel(callback: CallbackInfo) {
+  if (typeof callback.contactId === 'object' && callback.contactId?.name) {
+    return callback.contactId.name
+  }
+  return callback.phoneNumber
+}
+
+function CallbackRow({ callback, overdue }: { callback: CallbackInfo; overdue?: boolean }) {
+  return (
+    <div className="flex items-start justify-between gap-3 py-2 border-b last:border-b-0">
+      <div className="min-w-0">
+        <div className="font-medium truncate">{contactLabel(callback)}</div>
+        {callback.reason && (
+          <div className="text-xs text-muted-foreground truncate">{callback.reason}</div>
+        )}
+      </div>
+      <div className="text-right flex-shrink-0">
+        <div className={overdue ? 'text-sm text-red-600 dark:text-red-400' : 'text-sm'}>
+          {formatDistanceToNow(new Date(callback.scheduledFor), { addSuffix: true })}
+        </div>
+        {callback.localTime && (
+          <div className="text-xs text-muted-foreground">
+            {callback.localTime.replace('T', ' ')} {callback.timezone}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export function UpcomingCallbacks() {
+  const [summary, setSummary] = useState<CallbackSummary | null>(null)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    async function loadCallbacks() {
+      const result = await fetchCallbackSummary(5)
+      if (result.success && result.data) {
+        setSummary(result.data)
+        setError(null)
+      } else {
+        setError(typeof result.error === 'string' ? result.error : 'Failed to load callbacks')
+      }
+    }
+
+    loadCallbacks()
+    const interval = setInterval(loadCallbacks, REFRESH_INTERVAL)
+    return () => clearInterval(interval)
+  }, [])
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <PhoneForwarded className="h-5 w-5 text-primary" />
+          Callbacks
+        </CardTitle>
+        <CardDescription>
+          Calls back that prospects asked for
+          {summary && (
+            <>
+              {' '}({summary.counts.upcoming} upcoming
+              {summary.counts.dialing > 0 && `, ${summary.counts.dialing} dialing`})
+            </>
+          )}
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {error ? (
+          <div className="flex items-center gap-2 text-sm text-red-600 dark:text-red-400">
+            <AlertCircle className="h-4 w-4" />
+            {error}
+          </div>
+        ) : !summary ? (
+          <div className="text-sm text-muted-foreground">Loading callbacks...</div>
+        ) : (
+          <div className="grid gap-6 md:grid-cols-2">
+            <div>
+              <h4 className="flex items-center gap-2 text-sm font-semibold mb-2">
+                Overdue
+                {summary.counts.overdue > 0 && <Badge variant="destructive">{summary.counts.overdue}</Badge>}
+              </h4>
+              {summary.overdue.length > 0 ? (
+                summary.overdue.map(callback => <CallbackRow key={callback._id} callback={callback} overdue />)
+              ) : (
+                <div className="text-sm text-muted-foreground">No overdue callbacks</div>
+              )}
+            </div>
+            <div>
+              <h4 className="flex items-center gap-2 text-sm font-semibold mb-2">
+                <Clock className="h-4 w-4 text-muted-foreground" />
+                Upcoming
+              </h4>
+              {summary.upcoming.length > 0 ? (
+                summary.upcoming.map(callback => <CallbackRow key={callback._id} callback={callback} />)
+              ) : (
+                <div className="text-sm text-muted-foreground">No upcoming callbacks</div>
+              )}
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -15,46 +15,25 @@ import {
 // Flag to bypass API requests and use mock data during development
 const USE_MOCK_DATA = false; // Set to false to use the real MongoDB backend
 
-// Determine the base API URL
-// Use NEXT_PUBLIC_API_URL if available (for production/staging), otherwise fallback to relative /api for local proxy
-const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || '/api';
-console.log(`[API] Using base URL: ${API_BASE_URL}`); // Log the base URL being used
+// All API requests go through the Next.js /api proxy (see next.config.js), which forwards them
+// to NEXT_PUBLIC_API_URL. src/middleware.ts attaches the dashboard's API key on the server side,
+// so the key never reaches the browser.
+console.log(`[API] Proxying API requests to: ${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:8000'}`);
 
 // Helper function to construct full API URL
 const getApiUrl = (path: string): string => {
-  // 1. Ensure the path component starts with /api/
-  let apiPath = path;
-  if (!path.startsWith('/api/')) {
-      // Prepend /api/, handling potential leading slash on original path
-      apiPath = `/api${path.startsWith('/') ? '' : '/'}${path}`;
-  }
-
-  // 2. Determine the base URL
-  const baseUrl = process.env.NEXT_PUBLIC_API_URL || '/api'; // Use env var or fallback to /api for local
-
-  // 3. Combine Base and Path
-  if (baseUrl === '/api') {
-    // If using local proxy, the path already includes /api/ correctly
-    return apiPath;
-  } else {
-    // If using a full URL (like Railway), combine it with the ensured /api/... path
-    const cleanedBaseUrl = baseUrl.replace(/\/$/, ''); // Remove trailing slash
-    return `${cleanedBaseUrl}${apiPath}`; // e.g., https://twilioel-production.up.railway.app/api/db/dashboard/overview
+  // Ensure the path component starts with /api/ so it is routed through the proxy
+  if (path.startsWith('/api/')) {
+    return path;
   }
+  // Prepend /api/, handling potential leading slash on original path
+  return `/api${path.startsWith('/') ? '' : '/'}${path}`;
 };
 
 // Function to get the full URL for media/recording endpoints
 function getMediaUrl(recordingSid: string): string {
-  // Get base URL from environment variable or use default
-  const baseUrl = process.env.NEXT_PUBLIC_API_URL || '';
-  
-  if (baseUrl) {
-    // If we have a base URL (like production), use it
-    return `${baseUrl.replace(/\/$/, '')}/api/media/recordings/${recordingSid}`;
-  } else {
-    // For local development, use relative path
-    return `/api/media/recordings/${recordingSid}`;
-  }
+  // Relative path so the audio request is proxied (and authenticated) by the Next.js server
+  return `/api/media/recordings/${recordingSid}`;
 }
 
 // Export the helper functions for use in other modules
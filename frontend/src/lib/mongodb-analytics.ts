@@ -288,36 +288,24 @@ export async function fetchTopicDistribution(filters: AnalyticsFilters = {}): Pr
     
     if (timeframe.start_date) queryParams.append('startDate', timeframe.start_date);
     if (timeframe.end_date) queryParams.append('endDate', timeframe.end_date);
+    if (filters.campaign_id) queryParams.append('campaignId', filters.campaign_id);
     
-    // Try to fetch from the API endpoint
-    try {
-      const apiUrl = getApiUrl(`/api/db/analytics/topics?${queryParams.toString()}`);
-      const response = await fetch(apiUrl);
-      
-      if (response.ok) {
-        const result = await response.json();
-        if (result.success && result.data) {
-          return result;
-        }
-      } else {
-         console.warn(`API request for topic distribution failed with status ${response.status}. Falling back to mock data.`);
-      }
-    } catch (apiError) {
-      console.warn('API endpoint not available or error during fetch, using mock data:', apiError);
+    const apiUrl = getApiUrl(`/api/db/analytics/topics?${queryParams.toString()}`);
+    const response = await fetch(apiUrl);
+    
+    if (!response.ok) {
+      throw new Error(`Topic distribution request failed with status ${response.status}`);
     }
     
-    // Fallback to mock data if API fails or doesn't exist yet
-    console.log("Using mock data for topic distribution.");
+    const result = await response.json();
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to load topic distribution data');
+    }
+    
+    // Topics are extracted from stored transcripts; an empty list means none have been analysed yet
     return {
       success: true,
-      data: [
-        { name: "Pricing", value: 32 },
-        { name: "Support", value: 27 },
-        { name: "Features", value: 22 },
-        { name: "Technical Issues", value: 18 },
-        { name: "Billing", value: 14 },
-        { name: "Other", value: 7 }
-      ]
+      data: result.data?.topics || []
     };
   } catch (error) {
     console.error('Error fetching topic distribution data:', error);
@@ -1007,4 +1007,23 @@ export async function getConversationQuality(callSids: string[]) {
   } catch (error) {
     return handleApiError(error, 'Failed to get conversation quality:') as any;
   }
-}
\ No newline at end of file
+}
+/**
+ * Fetch upcoming and overdue callbacks for the dashboard
+ * @param {number} limit - Callbacks per list
+ * @returns {Promise<{success: boolean, data: CallbackSummary}>}
+ */
+export async function fetchCallbackSummary(limit: number = 10) {
+  try {
+    const apiUrl = getApiUrl(`/api/db/callbacks/summary?limit=${limit}`);
+    const response = await fetch(apiUrl);
+
+    if (!response.ok) {
+      throw new Error(`Error fetching callbacks: ${response.statusText} for URL: ${apiUrl}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    return handleApiError(error, 'Failed to fetch callbacks:') as any;
+  }
+}
@@ -93,13 +93,26 @@ export interface RecentCall {
 
 // --- Updated Transcript Types (Aligned with ElevenLabs API / New DB Schema) ---
 
+export interface TranscriptToolCall {
+  request_id?: string;
+  tool_name: string;
+  params_as_json?: string;
+}
+
+export interface TranscriptToolResult {
+  request_id?: string;
+  tool_name: string;
+  result_value?: string;
+  is_error?: boolean;
+}
+
 export interface TranscriptItem {
   role: 'user' | 'agent';
   time_in_call_secs: number;
   message?: string; // Optional
+  tool_calls?: TranscriptToolCall[];
+  tool_results?: TranscriptToolResult[];
   // Optional fields from ElevenLabs API (can add if needed for display)
-  // tool_calls?: any[];
-  // tool_results?: any[];
   // feedback?: any;
   // llm_override?: string;
   // conversation_turn_metrics?: any;
@@ -205,6 +218,7 @@ export interface AnalyticsFilters {
   minimum_quality_score?: number;
   topics?: string[];
   call_status?: string[];
+  campaign_id?: string;
 }
 
 export interface SheetInfo {
@@ -237,7 +251,7 @@ export interface CampaignConfig {
     max_retries?: number;
     retry_interval_ms?: number;
   };
-  status?: 'draft' | 'scheduled' | 'in-progress' | 'completed' | 'paused' | 'cancelled';
+  status?: 'draft' | 'scheduled' | 'in-progress' | 'waiting-for-window' | 'completed' | 'paused' | 'cancelled';
   created_at?: string;
   stats?: CampaignStats; // Added stats property
 }
@@ -280,6 +294,7 @@ export interface Contact {
   phoneNumber: string;
   name?: string;
   email?: string;
+  timezone?: string;
   tags?: string[];
   notes?: string;
   lastContacted?: string;
@@ -330,3 +345,30 @@ export interface ApiError {
   statusCode: number; // HTTP status code
   requestId?: string; // Optional request ID for tracing
 }
+
+// --- Callbacks (prospects asking to be called back) ---
+
+export interface CallbackInfo {
+  _id: string;
+  contactId: { _id: string; name?: string; phoneNumber: string } | string;
+  campaignId?: string | null;
+  phoneNumber: string;
+  scheduledFor: string;
+  localTime?: string | null;
+  timezone?: string | null;
+  reason?: string | null;
+  source: 'agent' | 'data_collection' | 'api';
+  status: 'scheduled' | 'dialing' | 'dialed' | 'failed' | 'canceled';
+  attempts: number;
+  error?: string | null;
+}
+
+export interface CallbackSummary {
+  upcoming: CallbackInfo[];
+  overdue: CallbackInfo[];
+  counts: {
+    upcoming: number;
+    overdue: number;
+    dialing: number;
+  };
+}
@@ -0,0 +1,30 @@
+import { NextResponse } from 'next/server'
+import type { NextRequest } from 'next/server'
+
+/**
+ * Attach the dashboard's API key to requests proxied to the backend.
+ *
+ * DASHBOARD_API_KEY is server-side configuration (no NEXT_PUBLIC_ prefix), so it is never
+ * bundled into client code. Mint it with POST /api/db/api-keys using an admin key.
+ */
+export function middleware(request: NextRequest) {
+  const apiKey = process.env.DASHBOARD_API_KEY
+
+  if (!apiKey) {
+    console.warn('[Middleware] DASHBOARD_API_KEY is not set - backend API requests will be rejected')
+    return NextResponse.next()
+  }
+
+  const requestHeaders = new Headers(request.headers)
+  requestHeaders.set('Authorization', `Bearer ${apiKey}`)
+
+  return NextResponse.next({
+    request: {
+      headers: requestHeaders,
+    },
+  })
+}
+
+export const config = {
+  matcher: '/api/:path*',
+}
@@ -0,0 +1,102 @@
+/**
+ * Google Sheets API client
+ * Shared by the Google Sheet campaign routes and the sheet write-back worker.
+ * Authenticates with credentials.json and token.json (created by google-auth.js) in the project root.
+ */
+import { google } from 'googleapis';
+import fs from 'fs/promises';
+import path from 'path';
+
+let sheetsApiInstance; // To cache the initialized sheets API
+
+/**
+ * Get an authenticated Google Sheets API client, refreshing the token if it is expiring
+ * @returns {Promise<Object>} Google Sheets v4 client
+ * @throws {Error} If credentials or token are missing or invalid
+ */
+export async function getGoogleSheetsApi() {
+  if (sheetsApiInstance) {
+    return sheetsApiInstance;
+  }
+  try {
+    const credentialsPath = path.join(process.cwd(), 'credentials.json');
+    try {
+      await fs.access(credentialsPath);
+    } catch (error) {
+      console.error('[Google Sheets] Error: credentials.json file not found.');
+      console.error('[Google Sheets] Please download your Google API credentials file and save it as credentials.json in the project root.');
+      throw new Error('credentials.json not found');
+    }
+
+    const credentials = JSON.parse(await fs.readFile(credentialsPath, 'utf8'));
+
+    const tokenPath = path.join(process.cwd(), 'token.json');
+    let token;
+    try {
+      token = JSON.parse(await fs.readFile(tokenPath, 'utf8'));
+    } catch (error) {
+      console.error('[Google Sheets] No token.json file found. Please authenticate first by running: node google-auth.js');
+      throw new Error('token.json not found, please run google-auth.js');
+    }
+
+    const { client_secret, client_id, redirect_uris } = credentials.installed || credentials.web;
+    if (!client_secret || !client_id || !redirect_uris || !redirect_uris.length) {
+      console.error('[Google Sheets] Invalid credentials.json structure. Missing client_secret, client_id, or redirect_uris.');
+      throw new Error('Invalid credentials.json structure');
+    }
+    const oAuth2Client = new google.auth.OAuth2(client_id, client_secret, redirect_uris[0]);
+    oAuth2Client.setCredentials(token);
+
+    // Check if token is expired and refresh if necessary
+    if (oAuth2Client.isTokenExpiring()) {
+      console.log('[Google Sheets] Token is expiring or expired, attempting to refresh...');
+      try {
+        const { credentials: newCredentials } = await oAuth2Client.refreshAccessToken();
+        oAuth2Client.setCredentials(newCredentials);
+        await fs.writeFile(tokenPath, JSON.stringify(newCredentials));
+        console.log('[Google Sheets] Token refreshed and saved successfully.');
+      } catch (refreshError) {
+        console.error('[Google Sheets] Error refreshing token:', refreshError.message);
+        console.error('[Google Sheets] Please re-authenticate by running: node google-auth.js');
+        throw new Error('Failed to refresh Google API token. Please re-authenticate.');
+      }
+    }
+
+    sheetsApiInstance = google.sheets({ version: 'v4', auth: oAuth2Client });
+    console.log('[Google Sheets] Successfully authenticated and initialized Google Sheets API client.');
+    return sheetsApiInstance;
+  } catch (error) {
+    console.error('[Google Sheets] Error setting up Google Sheets API client:', error.message);
+    // Ensure sheetsApiInstance is not set if setup fails
+    sheetsApiInstance = null;
+    throw error; // Re-throw the error to be caught by the caller
+  }
+}
+
+/**
+ * Convert a zero-based column index to its A1 letter(s), e.g. 0 -> "A", 27 -> "AB"
+ * @param {number} index - Zero-based column index
+ * @returns {string} Column letter(s)
+ */
+export function columnLetter(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+/**
+ * Quote a sheet name for use in an A1 range, e.g. "Leads 2024" -> "'Leads 2024'"
+ * @param {string} sheetName - Sheet (tab) name
+ * @returns {string} Quoted sheet name
+ */
+export function quoteSheetName(sheetName) {
+  return `'${String(sheetName).replace(/'/g, "''")}'`;
+}
+
+export default {
+  getGoogleSheetsApi,
+  columnLetter,
+  quoteSheetName
+};
@@ -0,0 +1,185 @@
+/**
+ * Inbound call handling
+ * Answers calls to our Twilio number with the agent of the campaign that last called the caller
+ */
+import { activeCalls } from './outbound.js';
+import { getBaseUrl } from './api-utils.js';
+import { validateTwilioRequest } from './twilio-request-validator.js';
+import { saveCall, getMostRecentCall } from './db/repositories/call.repository.js';
+import { logEvent } from './db/repositories/callEvent.repository.js';
+import { getContactByPhoneNumber, updateContactCallHistory } from './db/repositories/contact.repository.js';
+import { getCampaignById } from './db/repositories/campaign.repository.js';
+import { getTranscriptByCallSid } from './db/repositories/transcript.repository.js';
+import { resolveAgentForCampaign } from './db/repositories/agent.repository.js';
+import { emitActiveCallsList, emitCallUpdate } from './socket-server.js';
+
+/**
+ * Escape a value for use in a TwiML attribute
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Work out who is calling and which agent should answer
+ * Unknown callers (or lookup failures) are answered by the default agent.
+ * @param {string} callerNumber - Caller's phone number (Twilio "From")
+ * @returns {Promise<Object>} contact, campaign, lastCall, lastCallSummary, elevenLabsAgentId
+ */
+export async function resolveInboundCallContext(callerNumber) {
+  const context = {
+    contact: null,
+    campaign: null,
+    lastCall: null,
+    lastCallSummary: '',
+    elevenLabsAgentId: process.env.ELEVENLABS_AGENT_ID
+  };
+
+  try {
+    if (!callerNumber) {
+      return context;
+    }
+
+    context.contact = await getContactByPhoneNumber(callerNumber);
+    if (!context.contact) {
+      return context;
+    }
+
+    // The campaign that last called them decides which agent answers
+    context.lastCall = await getMostRecentCall(context.contact.callIds, { campaignOnly: true });
+    const campaignId = context.lastCall?.campaignId
+      || context.contact.campaignIds?.[context.contact.campaignIds.length - 1]?.toString()
+      || null;
+
+    if (campaignId) {
+      context.campaign = await getCampaignById(campaignId);
+      const { elevenLabsAgentId } = await resolveAgentForCampaign(campaignId);
+      context.elevenLabsAgentId = elevenLabsAgentId;
+    }
+
+    if (context.lastCall) {
+      const transcript = await getTranscriptByCallSid(context.lastCall.callSid);
+      context.lastCallSummary = transcript?.analysis?.transcript_summary || '';
+    }
+  } catch (error) {
+    console.error(`[Inbound] Error resolving context for caller ${callerNumber}, using default agent:`, error);
+  }
+
+  return context;
+}
+
+/**
+ * Register inbound calling routes on the Fastify server
+ * Point the Twilio number's voice webhook at /inbound-call-twiml and its status callback at /call-status-callback.
+ * @param {Object} fastify - Fastify server instance
+ * @param {Object} options - Options for route registration
+ */
+export function registerInboundRoutes(fastify, options = {}) {
+  // TwiML route for inbound calls
+  fastify.all("/inbound-call-twiml", { preHandler: validateTwilioRequest }, async (request, reply) => {
+    const params = request.method === 'POST' ? (request.body || {}) : (request.query || {});
+    const { CallSid: callSid, From: from, To: to } = params;
+
+    console.log(`[Inbound] Incoming call ${callSid} from ${from} to ${to}`);
+
+    const { contact, campaign, lastCall, lastCallSummary, elevenLabsAgentId } = await resolveInboundCallContext(from);
+
+    const name = contact?.name || '';
+    const campaignId = campaign?._id?.toString() || lastCall?.campaignId || '';
+    const contactId = contact?._id?.toString() || '';
+
+    console.log(`[Inbound] Call ${callSid}: contact ${contactId || 'unknown'}, campaign ${campaignId || 'none'}, agent ${elevenLabsAgentId}`);
+
+    // Dynamic variables the media stream proxy passes to ElevenLabs (too long for <Parameter> values)
+    const dynamicVariables = {
+      call_direction: 'inbound',
+      campaign_name: campaign?.name || '',
+      last_call_summary: lastCallSummary
+    };
+
+    if (callSid) {
+      activeCalls.set(callSid, {
+        sid: callSid,
+        status: 'in-progress',
+        direction: 'inbound',
+        to: to,
+        from: from,
+        conversation_id: null, // Will be updated by WebSocket proxy later
+        startTime: new Date(),
+        recordings: [],
+        campaignId: null, // Inbound calls never count towards campaign progress
+        contactId: contactId || null,
+        name: name,
+        dynamicVariables
+      });
+
+      emitActiveCallsList();
+      emitCallUpdate(callSid, 'new_call', {
+        sid: callSid,
+        status: 'in-progress',
+        direction: 'inbound',
+        to: to,
+        from: from,
+        startTime: new Date(),
+        name: name,
+        campaignId: campaignId
+      });
+
+      try {
+        const savedCall = await saveCall({
+          callSid,
+          from,
+          to,
+          status: 'in-progress',
+          direction: 'inbound',
+          startTime: new Date(),
+          contactName: name || null,
+          campaignId: campaignId || null,
+          agentId: elevenLabsAgentId
+        });
+
+        await logEvent(callSid, 'status_change', {
+          status: 'in-progress',
+          direction: 'inbound',
+          contactId: contactId || null,
+          campaignId: campaignId || null,
+          timestamp: new Date().toISOString()
+        }, { source: 'twilio' });
+
+        if (contact) {
+          await updateContactCallHistory(contact._id, savedCall._id);
+        }
+      } catch (error) {
+        // Still answer the call even if it could not be recorded
+        console.error(`[Inbound] Error saving inbound call ${callSid}:`, error);
+      }
+    }
+
+    const hostname = getBaseUrl(request).replace(/^(https?:\/\/)/, '');
+    const streamUrl = `wss://${hostname}/outbound-media-stream`;
+
+    // Same stream proxy as outbound calls; direction tells it this is a callback
+    const twimlResponse = `<?xml version="1.0" encoding="UTF-8"?>
+      <Response>
+        <Connect>
+          <Stream url="${streamUrl}">
+            <Parameter name="direction" value="inbound" />
+            <Parameter name="to" value="${escapeXml(from)}" />
+            <Parameter name="name" value="${escapeXml(name)}" />
+            <Parameter name="campaignId" value="${escapeXml(campaignId)}" />
+            <Parameter name="contactId" value="${escapeXml(contactId)}" />
+            <Parameter name="agentId" value="${escapeXml(elevenLabsAgentId)}" />
+          </Stream>
+        </Connect>
+      </Response>`;
+
+    reply.type("text/xml").send(twimlResponse);
+  });
+}
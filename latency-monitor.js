@@ -2,14 +2,14 @@
  * Latency monitoring and tracking utilities
  */
 
-// Store latency measurements
+import { recordMetric, resolveMetricWindow } from './db/metrics.js';
+import { getMetricTotals } from './db/repositories/metric.repository.js';
+
+// Latency settings (measurements are kept in MongoDB, see db/metrics.js)
 const latencyStats = {
-  apiCallLatency: [], // API call response times
-  audioRoundTrip: [], // Audio processing round trip times
   serverLocation: process.env.SERVER_LOCATION || (process.env.NODE_ENV === 'development' ? 'Local' : 'Railway'),
   debugEnabled: process.env.DEBUG_LATENCY === 'true',
-  startTime: Date.now(),
-  callsProcessed: 0
+  startTime: Date.now()
 };
 
 /**
@@ -20,12 +20,7 @@ const latencyStats = {
 export function recordApiLatency(endpoint, duration) {
   if (!latencyStats.debugEnabled) return;
   
-  latencyStats.apiCallLatency.push({
-    timestamp: Date.now(),
-    endpoint,
-    duration,
-    relativeTime: Date.now() - latencyStats.startTime
-  });
+  recordMetric('latency.api', duration, { endpoint });
   
   console.log(`[LATENCY] API call to ${endpoint}: ${duration}ms`);
 }
@@ -33,15 +28,12 @@ export function recordApiLatency(endpoint, duration) {
 /**
  * Record audio round trip latency
  * @param {number} duration - Duration in ms
+ * @param {string} callSid - Call the audio belongs to (optional)
  */
-export function recordAudioLatency(duration) {
+export function recordAudioLatency(duration, callSid = null) {
   if (!latencyStats.debugEnabled) return;
   
-  latencyStats.audioRoundTrip.push({
-    timestamp: Date.now(),
-    duration,
-    relativeTime: Date.now() - latencyStats.startTime
-  });
+  recordMetric('latency.audio_round_trip', duration, {}, callSid);
 }
 
 /**
@@ -49,47 +41,37 @@ export function recordAudioLatency(duration) {
  */
 export function trackCallStart() {
   if (!latencyStats.debugEnabled) return;
-  latencyStats.callsProcessed++;
+  recordMetric('calls.started', 1);
 }
 
 /**
- * Get summary of latency statistics
+ * Get summary of latency statistics for a time window
+ * @param {Object} window - { startDate, endDate } (defaults to the last 24 hours)
+ * @returns {Promise<Object>} Latency statistics
  */
-export function getLatencyStats() {
-  // Calculate API latency stats
-  const apiLatencies = latencyStats.apiCallLatency.map(item => item.duration);
-  const avgApiLatency = apiLatencies.length > 0 
-    ? apiLatencies.reduce((sum, val) => sum + val, 0) / apiLatencies.length 
-    : 0;
-  
-  // Calculate audio round trip stats
-  const audioLatencies = latencyStats.audioRoundTrip.map(item => item.duration);
-  const avgAudioLatency = audioLatencies.length > 0 
-    ? audioLatencies.reduce((sum, val) => sum + val, 0) / audioLatencies.length 
-    : 0;
-  
-  // Find min/max values
-  const minApiLatency = apiLatencies.length > 0 ? Math.min(...apiLatencies) : 0;
-  const maxApiLatency = apiLatencies.length > 0 ? Math.max(...apiLatencies) : 0;
-  const minAudioLatency = audioLatencies.length > 0 ? Math.min(...audioLatencies) : 0;
-  const maxAudioLatency = audioLatencies.length > 0 ? Math.max(...audioLatencies) : 0;
+export async function getLatencyStats(window = resolveMetricWindow()) {
+  const [[apiLatency], [audioLatency], [callsStarted]] = await Promise.all([
+    getMetricTotals('latency.api', window),
+    getMetricTotals('latency.audio_round_trip', window),
+    getMetricTotals('calls.started', window)
+  ]);
+
+  // Totals are undefined when there were no samples
+  const summarize = totals => ({
+    average: totals?.average || 0,
+    min: totals?.min || 0,
+    max: totals?.max || 0,
+    samples: totals?.count || 0
+  });
   
   return {
     serverLocation: latencyStats.serverLocation,
     uptime: Math.floor((Date.now() - latencyStats.startTime) / 1000), // in seconds
-    callsProcessed: latencyStats.callsProcessed,
-    apiLatency: {
-      average: Math.round(avgApiLatency),
-      min: minApiLatency,
-      max: maxApiLatency,
-      samples: apiLatencies.length
-    },
-    audioLatency: {
-      average: Math.round(avgAudioLatency),
-      min: minAudioLatency,
-      max: maxAudioLatency,
-      samples: audioLatencies.length
-    },
+    startDate: window.startDate.toISOString(),
+    endDate: window.endDate.toISOString(),
+    callsProcessed: callsStarted?.count || 0,
+    apiLatency: summarize(apiLatency),
+    audioLatency: summarize(audioLatency),
     debugEnabled: latencyStats.debugEnabled
   };
 }
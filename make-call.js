@@ -49,6 +49,7 @@ async function makeCall(phoneNumber) {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        'Authorization': `Bearer ${process.env.API_KEY}`,
       },
       body: JSON.stringify({
         number: phoneNumber,
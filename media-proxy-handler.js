@@ -7,9 +7,13 @@ import WebSocket from 'ws';
 import { getSignedUrl, isConversationComplete, terminateCall, activeCalls } from './outbound.js';
 import { createTimer, recordAudioLatency } from './latency-monitor.js';
 import { getTranscriptRepository } from './db/index.js';
+import { updateCallStatus } from './db/repositories/call.repository.js';
 import { emitTranscriptTypewriter } from './socket-server.js';
-import { registerWebSockets, closeWebSockets } from './websocket-registry.js';
+import { registerWebSockets, closeWebSockets, getHandOff } from './websocket-registry.js';
 import { trackTermination } from './call-termination-tracker.js';
+import { resolveConversationVariables, renderTemplate } from './conversation-variables.js';
+import { handleClientToolCall } from './client-tools.js';
+import { getBaseUrl } from './api-utils.js';
 
 /**
  * Register WebSocket proxy handler on the Fastify server
@@ -36,6 +40,8 @@ export function registerWebSocketProxy(fastify, options = {}) {
       let conversationId = null;
       let inactivityTimeout = null;
       let lastActivity = Date.now();
+      let streamStartedAt = null; // When Twilio started the media stream, i.e. when the call was answered
+      let handedOff = null; // Set when the call was redirected away from the agent (voicemail, transfer)
       
       // Set an inactivity handler
       const startInactivityTimer = () => {
@@ -65,6 +71,9 @@ export function registerWebSocketProxy(fastify, options = {}) {
         lastActivity = Date.now();
         startInactivityTimer();
       };
+      
+      // Seconds since the stream started, for transcript messages and client tool calls
+      const getTimeInCall = () => streamStartedAt ? Math.floor((Date.now() - streamStartedAt) / 1000) : 0;
 
       // Handle WebSocket errors
       ws.on('error', console.error);
@@ -80,7 +89,8 @@ export function registerWebSocketProxy(fastify, options = {}) {
       const setupElevenLabs = async () => {
         try {
           const wsSetupTimer = createTimer('WebSocket Setup').start();
-          const { signed_url, conversation_id } = await getSignedUrl();
+          // Use the agent chosen for this call (passed from the TwiML), falling back to the default agent
+          const { signed_url, conversation_id } = await getSignedUrl(customParameters?.agentId || undefined);
           
           // Store conversation ID
           conversationId = conversation_id;
@@ -96,7 +106,6 @@ export function registerWebSocketProxy(fastify, options = {}) {
           // CRITICAL: Save conversation ID to database immediately
           if (callSid && conversationId) {
             try {
-              const { updateCallStatus } = await import('./db/repositories/call.repository.js');
               await updateCallStatus(callSid, null, { conversationId });
               console.log(`[WebSocket Proxy] Saved conversation ID ${conversationId} to database for call ${callSid}`);
             } catch (dbError) {
@@ -105,6 +114,18 @@ export function registerWebSocketProxy(fastify, options = {}) {
             }
           }
           
+          // Contact/campaign fields for the agent, also used to fill {{variable}} templates
+          const conversationVariables = {
+            ...(await resolveConversationVariables({
+              contactId: customParameters?.contactId,
+              campaignId: customParameters?.campaignId
+            })),
+            // Extra context set when the call was answered (e.g. inbound callbacks)
+            ...(activeCalls.get(callSid)?.dynamicVariables || {})
+          };
+          const firstMessage = renderTemplate(customParameters?.first_message, conversationVariables);
+          const prompt = renderTemplate(customParameters?.prompt, conversationVariables);
+          
           // Configure WebSocket with optimized settings
           const wsOptions = {
             perMessageDeflate: false,
@@ -135,9 +156,10 @@ export function registerWebSocketProxy(fastify, options = {}) {
               type: "conversation_initiation_client_data",
               conversation_config_override: {
                 // Only override agent settings if explicitly provided, otherwise let ElevenLabs handle it
-                ...(customParameters?.first_message && {
+                ...((firstMessage || prompt) && {
                   agent: {
-                    first_message: customParameters.first_message
+                    ...(firstMessage && { first_message: firstMessage }),
+                    ...(prompt && { prompt: { prompt } })
                   }
                 }),
                 audio: {
@@ -161,7 +183,8 @@ export function registerWebSocketProxy(fastify, options = {}) {
                 phone_number: customParameters?.to || "Unknown",
                 call_sid: callSid || "Unknown",
                 conversation_id: conversationId || "Unknown",
-                server_location: process.env.SERVER_LOCATION || "Unknown"
+                server_location: process.env.SERVER_LOCATION || "Unknown",
+                ...conversationVariables
               }
             };
 
@@ -183,7 +206,7 @@ export function registerWebSocketProxy(fastify, options = {}) {
               minLatency = Math.min(minLatency, roundTrip);
               maxLatency = Math.max(maxLatency, roundTrip);
               
-              recordAudioLatency(roundTrip);
+              recordAudioLatency(roundTrip, callSid);
               
               if (messageCount % 5 === 0) {
                 const avgRoundTrip = (totalLatency / messageCount).toFixed(2);
@@ -267,7 +290,7 @@ export function registerWebSocketProxy(fastify, options = {}) {
                           conversationId,
                           'user',
                           transcript,
-                          Math.floor((Date.now() - lastActivity) / 1000)
+                          getTimeInCall()
                         );
                         console.log(`[WebSocket Proxy] Saved and emitted user transcript for call ${callSid}`);
                       } catch (error) {
@@ -291,7 +314,7 @@ export function registerWebSocketProxy(fastify, options = {}) {
                           conversationId,
                           'agent',  // Changed from 'assistant' to match ElevenLabs schema
                           response,
-                          Math.floor((Date.now() - lastActivity) / 1000)
+                          getTimeInCall()
                         );
                         console.log(`[WebSocket Proxy] Saved and emitted agent response for call ${callSid}`);
                       } catch (error) {
@@ -301,6 +324,29 @@ export function registerWebSocketProxy(fastify, options = {}) {
                   }
                   break;
 
+                case "client_tool_call": {
+                  const toolCall = message.client_tool_call || {};
+                  console.log(`[WebSocket Proxy] Agent called client tool ${toolCall.tool_name} for call ${callSid}`);
+                  
+                  const { result, isError } = await handleClientToolCall(toolCall, {
+                    callSid,
+                    conversationId,
+                    baseUrl: getBaseUrl(req),
+                    timeInCall: getTimeInCall()
+                  });
+                  
+                  // Tools that hand the call off (e.g. a transfer) close the socket before this
+                  if (elevenLabsWs?.readyState === WebSocket.OPEN) {
+                    elevenLabsWs.send(JSON.stringify({
+                      type: "client_tool_result",
+                      tool_call_id: toolCall.tool_call_id,
+                      result,
+                      is_error: isError
+                    }));
+                  }
+                  break;
+                }
+
                 default:
                   // Log unhandled message types for debugging
                   if (!['audio', 'interruption', 'ping'].includes(message.type)) {
@@ -333,6 +379,7 @@ export function registerWebSocketProxy(fastify, options = {}) {
 
           switch (msg.event) {
             case "start":
+              streamStartedAt = Date.now();
               streamSid = msg.start.streamSid;
               callSid = msg.start.callSid;
               customParameters = msg.start.customParameters || {};
@@ -364,8 +411,11 @@ export function registerWebSocketProxy(fastify, options = {}) {
                 clearTimeout(inactivityTimeout);
               }
               
+              // The stream also stops when the call is handed off; the call carries on without the agent
+              handedOff = handedOff || getHandOff(callSid);
+              
               // Track stream stop - could be user hangup
-              if (callSid) {
+              if (callSid && !handedOff) {
                 trackTermination(callSid, 'twilio', 'stream_stop', {
                   conversationId,
                   conversationActive: elevenLabsWs?.readyState === WebSocket.OPEN
@@ -389,6 +439,26 @@ export function registerWebSocketProxy(fastify, options = {}) {
         }
       });
 
+      // Save the call's audio round trip so slow calls can be investigated afterwards
+      const saveAudioLatency = async () => {
+        if (!callSid || messageCount === 0) {
+          return;
+        }
+        
+        const audioLatency = {
+          min: minLatency,
+          avg: Math.round(totalLatency / messageCount),
+          max: maxLatency,
+          samples: messageCount
+        };
+        try {
+          await updateCallStatus(callSid, null, { audioLatency });
+          console.log(`[WebSocket Proxy] Saved audio latency for call ${callSid}: avg ${audioLatency.avg}ms (${audioLatency.min}-${audioLatency.max}ms, ${messageCount} samples)`);
+        } catch (dbError) {
+          console.error(`[WebSocket Proxy] Failed to save audio latency for call ${callSid}:`, dbError);
+        }
+      };
+
       // Handle WebSocket closure
       ws.on("close", () => {
         console.log("[WebSocket Proxy] Twilio WebSocket disconnected");
@@ -396,8 +466,11 @@ export function registerWebSocketProxy(fastify, options = {}) {
           clearTimeout(inactivityTimeout);
         }
         
+        saveAudioLatency();
+        handedOff = handedOff || getHandOff(callSid);
+        
         // Track disconnection - likely user hung up
-        if (callSid) {
+        if (callSid && !handedOff) {
           trackTermination(callSid, 'websocket', 'twilio_disconnected', {
             conversationId,
             elevenLabsActive: elevenLabsWs?.readyState === WebSocket.OPEN
@@ -405,7 +478,10 @@ export function registerWebSocketProxy(fastify, options = {}) {
         }
         
         // Use registry to close WebSockets
-        if (callSid) {
+        if (callSid && handedOff) {
+          closeWebSockets(callSid, 'twilio_disconnected');
+          console.log(`[WebSocket Proxy] WebSocket closed. Call ${callSid} was handed off (${handedOff}), leaving it connected.`);
+        } else if (callSid) {
           closeWebSockets(callSid, 'twilio_disconnected');
           console.log(`[WebSocket Proxy] WebSocket closed. Ensuring call ${callSid} is terminated.`);
           terminateCall(twilioClient, callSid);
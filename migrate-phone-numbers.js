@@ -0,0 +1,263 @@
+/**
+ * Script to re-normalize stored phone numbers to E.164
+ * Contacts and do-not-call entries were stored as digits only, so the same person could exist
+ * several times ("0412345678", "61412345678"). This re-normalizes every number with
+ * db/utils/phone-number.js (in the contact's campaign region) and merges the duplicates.
+ *
+ * Usage: node migrate-phone-numbers.js [--dry-run]
+ */
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { initializeMongoDB } from './db/index.js';
+import Contact from './db/models/contact.model.js';
+import Campaign from './db/models/campaign.model.js';
+import Suppression from './db/models/suppression.model.js';
+import { normalizePhoneNumber, toContactPhoneFields } from './db/utils/phone-number.js';
+import { runInTransaction } from './db/utils/transaction.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Union of ObjectId arrays, keeping the first occurrence of each ID
+ * @param {Array<Array>} lists - Arrays of ObjectIds
+ * @returns {Array} Unique ObjectIds
+ */
+function uniqueIds(lists) {
+  const ids = new Map();
+  for (const id of lists.flat()) {
+    if (id && !ids.has(id.toString())) {
+      ids.set(id.toString(), id);
+    }
+  }
+  return [...ids.values()];
+}
+
+/**
+ * Latest of a set of dates
+ * @param {Array<Date>} dates - Dates (nulls ignored)
+ * @returns {Date|null} Latest date
+ */
+function latestDate(dates) {
+  const times = dates.filter(Boolean).map(date => new Date(date).getTime());
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+}
+
+/**
+ * Merge duplicate contacts into the oldest one
+ * Campaigns, calls, tags and call attempts are combined; the primary's own fields and custom
+ * fields win; a contact that is do-not-call anywhere stays do-not-call.
+ * @param {Array<Object>} contacts - Contacts with the same E.164 number, oldest first
+ * @param {Object} phoneFields - Normalized phone fields from toContactPhoneFields
+ * @returns {Object} Update for the primary contact
+ */
+function mergeContacts(contacts, phoneFields) {
+  const [primary, ...duplicates] = contacts;
+  const pick = field => contacts.find(contact => contact[field])?.[field] ?? primary[field];
+  const latestCall = [...contacts]
+    .filter(contact => contact.lastCallDate)
+    .sort((a, b) => new Date(b.lastCallDate) - new Date(a.lastCallDate))[0];
+
+  const customFields = {};
+  for (const contact of [...duplicates].reverse().concat(primary)) {
+    Object.assign(customFields, contact.customFields || {});
+  }
+
+  return {
+    ...phoneFields,
+    name: pick('name'),
+    email: pick('email'),
+    timezone: pick('timezone'),
+    notes: pick('notes'),
+    sheetInfo: pick('sheetInfo'),
+    customFields,
+    campaignIds: uniqueIds(contacts.map(contact => contact.campaignIds || [])),
+    callIds: uniqueIds(contacts.map(contact => contact.callIds || [])),
+    tags: [...new Set(contacts.flatMap(contact => contact.tags || []))],
+    callAttempts: contacts
+      .flatMap(contact => contact.callAttempts || [])
+      .sort((a, b) => new Date(a.attemptedAt) - new Date(b.attemptedAt)),
+    callCount: contacts.reduce((sum, contact) => sum + (contact.callCount || 0), 0),
+    attemptCount: Math.max(...contacts.map(contact => contact.attemptCount || 0)),
+    lastContacted: latestDate(contacts.map(contact => contact.lastContacted)),
+    lastCallDate: latestCall?.lastCallDate || null,
+    lastCallResult: latestCall?.lastCallResult || null,
+    lastCallError: latestCall?.lastCallError || null,
+    priority: Math.max(...contacts.map(contact => contact.priority || 0)),
+    status: contacts.some(contact => contact.status === 'do-not-call') ? 'do-not-call' : primary.status
+  };
+}
+
+/**
+ * Re-normalize contact phone numbers and merge duplicates
+ * @param {Map<string, string>} campaignRegions - Campaign ID -> default region
+ * @returns {Promise<Object>} Counts
+ */
+async function migrateContacts(campaignRegions) {
+  const results = { total: 0, updated: 0, merged: 0, flagged: 0, unparseable: 0, skipped: 0 };
+  const contactsByNumber = new Map();
+
+  const cursor = Contact.find({}).sort({ createdAt: 1 }).lean().cursor();
+  for await (const contact of cursor) {
+    results.total++;
+
+    const defaultRegion = campaignRegions.get(contact.campaignIds?.[0]?.toString());
+    const normalized = normalizePhoneNumber(contact.phoneNumber, { defaultRegion });
+    if (!normalized.e164) {
+      results.unparseable++;
+      console.log(`- Cannot parse ${contact.phoneNumber} (${contact.name || contact._id}): ${normalized.reason}`);
+      continue;
+    }
+
+    if (!contactsByNumber.has(normalized.e164)) {
+      contactsByNumber.set(normalized.e164, { normalized, contacts: [] });
+    }
+    contactsByNumber.get(normalized.e164).contacts.push(contact);
+  }
+
+  for (const [e164, { normalized, contacts }] of contactsByNumber) {
+    const [primary, ...duplicates] = contacts;
+
+    // Merging a contact mid-call would lose the call's result; run the script again later
+    if (duplicates.length > 0 && contacts.some(contact => contact.status === 'calling')) {
+      results.skipped += contacts.length;
+      console.log(`- Skipping ${e164}: one of its ${contacts.length} contacts is being called`);
+      continue;
+    }
+
+    const phoneFields = {
+      ...toContactPhoneFields(normalized),
+      phoneNumberRaw: primary.phoneNumberRaw || primary.phoneNumber
+    };
+    if (!normalized.valid) {
+      results.flagged++;
+    }
+
+    if (duplicates.length === 0) {
+      const unchanged = Object.entries(phoneFields).every(([field, value]) => primary[field] === value);
+      if (!unchanged) {
+        results.updated++;
+        if (!dryRun) {
+          await Contact.updateOne({ _id: primary._id }, { $set: phoneFields });
+        }
+      }
+      continue;
+    }
+
+    results.merged += duplicates.length;
+    console.log(`- Merging ${contacts.map(contact => contact.phoneNumber).join(', ')} into ${e164} (${primary._id})`);
+    if (dryRun) {
+      continue;
+    }
+
+    // Without a transaction (standalone server) the steps are ordered so an interrupted run loses no
+    // call history: the primary takes the duplicates' data before they are deleted
+    const duplicateIds = duplicates.map(contact => contact._id);
+    const { phoneNumber, campaignIds, ...merged } = mergeContacts(contacts, phoneFields);
+    await runInTransaction(async (session) => {
+      await Contact.updateOne({ _id: primary._id }, { $set: merged }, { session });
+      await Campaign.updateMany({ contactIds: { $in: duplicateIds } }, { $addToSet: { contactIds: primary._id } }, { session });
+      await Campaign.updateMany({ contactIds: { $in: duplicateIds } }, { $pull: { contactIds: { $in: duplicateIds } } }, { session });
+      // The number and campaigns go last, once the duplicates no longer hold them in the unique phoneNumber/campaignIds index
+      await Contact.deleteMany({ _id: { $in: duplicateIds } }, { session });
+      await Contact.updateOne({ _id: primary._id }, { $set: { phoneNumber, campaignIds } }, { session });
+    });
+    results.updated++;
+  }
+
+  return results;
+}
+
+/**
+ * Re-normalize do-not-call entries and merge duplicates (the oldest entry's details are kept)
+ * The number stays listed at every step, so an interrupted run never lets it be dialed.
+ * @returns {Promise<Object>} Counts
+ */
+async function migrateSuppressions() {
+  const results = { total: 0, updated: 0, merged: 0, unparseable: 0 };
+  const kept = new Map(); // E.164 number -> ID of the entry kept for it
+
+  const suppressions = await Suppression.find({}).sort({ addedAt: 1 }).lean();
+  for (const suppression of suppressions) {
+    results.total++;
+
+    const e164 = normalizePhoneNumber(suppression.phoneNumber).e164;
+    if (!e164) {
+      results.unparseable++;
+      console.log(`- Cannot parse do-not-call number ${suppression.phoneNumber}`);
+      continue;
+    }
+
+    if (kept.has(e164)) {
+      // The stored E.164 entry that took over an older entry's details below
+      if (kept.get(e164).equals(suppression._id)) {
+        continue;
+      }
+
+      results.merged++;
+      console.log(`- Removing duplicate do-not-call entry ${suppression.phoneNumber} (${e164})`);
+      if (!dryRun) {
+        await Suppression.deleteOne({ _id: suppression._id });
+      }
+      continue;
+    }
+
+    if (suppression.phoneNumber === e164) {
+      kept.set(e164, suppression._id);
+      continue;
+    }
+
+    results.updated++;
+
+    // An entry already stored as E.164 sorts later but holds the unique number: it takes this entry's
+    // details before this entry is removed, rather than being removed to make way for a rename
+    const stored = await Suppression.findOne({ phoneNumber: e164 }).select('_id').lean();
+    kept.set(e164, stored?._id || suppression._id);
+    if (dryRun) {
+      continue;
+    }
+
+    if (stored) {
+      const { _id, __v, phoneNumber, ...details } = suppression;
+      await Suppression.updateOne({ _id: stored._id }, { $set: details });
+      await Suppression.deleteOne({ _id: suppression._id });
+    } else {
+      await Suppression.updateOne({ _id: suppression._id }, { $set: { phoneNumber: e164 } });
+    }
+  }
+
+  return results;
+}
+
+async function migratePhoneNumbers() {
+  try {
+    // Initialize MongoDB with models
+    await initializeMongoDB();
+    console.log('Connected to MongoDB');
+    if (dryRun) {
+      console.log('Dry run: no changes will be written');
+    }
+
+    const campaigns = await Campaign.find({ defaultRegion: { $ne: null } }).select('defaultRegion').lean();
+    const campaignRegions = new Map(campaigns.map(campaign => [campaign._id.toString(), campaign.defaultRegion]));
+
+    console.log('\nContacts:');
+    const contactResults = await migrateContacts(campaignRegions);
+    console.log(`✓ ${contactResults.total} contacts: ${contactResults.updated} updated, ${contactResults.merged} duplicates merged, ` +
+      `${contactResults.flagged} flagged invalid, ${contactResults.unparseable} unparseable, ${contactResults.skipped} skipped`);
+
+    console.log('\nDo-not-call list:');
+    const suppressionResults = await migrateSuppressions();
+    console.log(`✓ ${suppressionResults.total} entries: ${suppressionResults.updated} updated, ` +
+      `${suppressionResults.merged} duplicates removed, ${suppressionResults.unparseable} unparseable`);
+
+  } catch (error) {
+    console.error('Error:', error);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+// Run the migration
+migratePhoneNumbers();
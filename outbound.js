@@ -3,29 +3,38 @@
  * Extends the existing outbound.js with MongoDB integration
  */
 import WebSocket from "ws";
-import Twilio from "twilio";
 // Removed node-fetch import - using native fetch
 import { createTimer, recordAudioLatency, trackCallStart } from './latency-monitor.js';
 import { recordCallStart as recordAMDCallStart } from './amd-metrics.js';
 import { saveCall, updateCallStatus, getCallBySid } from './db/repositories/call.repository.js';
 import { logEvent } from './db/repositories/callEvent.repository.js';
 import { updateContactCallHistory } from './db/repositories/contact.repository.js';
+import { resolveAgentForCampaign } from './db/repositories/agent.repository.js';
+import { getSuppression, logSuppressedDial } from './db/repositories/suppression.repository.js';
+import { getCampaignById } from './db/repositories/campaign.repository.js';
+import { resolveAmdConfig } from './db/repositories/amdConfig.repository.js';
+import { normalizePhoneNumber } from './db/utils/phone-number.js';
 import { handleCallStatusUpdate } from './db/campaign-engine.js';
 import { emitActiveCallsList, emitCallUpdate, handleCallStatusChange } from './socket-server.js';
 import { AMD_CONFIG } from './amd-config.js';
+import { leavesVoicemail } from './voicemail.js';
+import { getBaseUrl } from './api-utils.js';
+import { validateTwilioRequest } from './twilio-request-validator.js';
+import { createTwilioClient, getElevenLabsApiUrl } from './service-clients.js';
 
 // Map to store active call information (keeping for backward compatibility)
 export const activeCalls = new Map();
 
 /**
  * Helper function to get signed URL for authenticated conversations
+ * @param {string} agentId - ElevenLabs agent ID (defaults to ELEVENLABS_AGENT_ID)
  * @returns {Promise<Object>} Signed URL and conversation ID
  */
-export async function getSignedUrl() { // Added export
+export async function getSignedUrl(agentId = process.env.ELEVENLABS_AGENT_ID) { // Added export
   const timer = createTimer('ElevenLabs getSignedUrl').start();
   try {
     const response = await fetch(
-      `https://api.elevenlabs.io/v1/convai/conversation/get_signed_url?agent_id=${process.env.ELEVENLABS_AGENT_ID}`,
+      getElevenLabsApiUrl(`/v1/convai/conversation/get_signed_url?agent_id=${encodeURIComponent(agentId || process.env.ELEVENLABS_AGENT_ID)}`),
       {
         method: 'GET',
         headers: {
@@ -69,7 +78,7 @@ export async function setDynamicVariables(conversationId, variables) { // Added
         console.error(`Failed to set dynamic variables: Conversation ID is undefined.`);
         return false;
     }
-    const apiUrl = `https://api.elevenlabs.io/v1/convai/conversations/${conversationId}/dynamic-variables`;
+    const apiUrl = getElevenLabsApiUrl(`/v1/convai/conversations/${conversationId}/dynamic-variables`);
     const response = await fetch(
       apiUrl,
       {
@@ -164,6 +173,42 @@ export function isConversationComplete(message) { // Added export
   return false;
 }
 
+/**
+ * Load the campaign a call belongs to (for its default phone region and voicemail settings)
+ * @param {string} campaignId - Campaign ID, if any
+ * @returns {Promise<Object|null>} Campaign, or null to use the defaults
+ */
+async function getCallCampaign(campaignId) {
+  if (!campaignId) {
+    return null;
+  }
+
+  try {
+    return await getCampaignById(campaignId);
+  } catch (error) {
+    console.warn(`[Outbound Call] Could not load campaign ${campaignId}, using defaults:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Resolve the AMD settings a call is placed with: the campaign's version, or the default version
+ * @param {Object|null} campaign - Campaign the call belongs to
+ * @returns {Promise<Object>} { version, settings }; version is null when amd-config.js is used directly
+ */
+async function getCallAmdConfig(campaign) {
+  try {
+    const config = await resolveAmdConfig(campaign?.amdConfigVersion ?? null);
+    if (config) {
+      return { version: config.version, settings: config.settings };
+    }
+  } catch (error) {
+    console.warn('[Outbound Call] Could not load AMD config, using amd-config.js:', error.message);
+  }
+
+  return { version: null, settings: AMD_CONFIG };
+}
+
 /**
  * Make an outbound call using the MongoDB-enhanced implementation
  * @param {Object} params - Call parameters
@@ -174,7 +219,7 @@ export async function makeOutboundCall(params) { // Added export
 
   // Destructure params with defaults
   const {
-    to,
+    to: requestedNumber,
     from = process.env.TWILIO_PHONE_NUMBER,
     region = 'au1',
     prompt, // No default - use ElevenLabs configured prompt
@@ -182,27 +227,59 @@ export async function makeOutboundCall(params) { // Added export
     name = "Unknown", // Now received from caller
     campaignId = null, // Now received from caller
     contactId = null, // Now received from caller
+    agentId: requestedAgentId = null, // ElevenLabs agent ID; resolved from the campaign when omitted
+    dynamicVariables = {}, // Extra ElevenLabs dynamic variables for this call (e.g. callback context)
     baseUrl = process.env.SERVER_URL || 'http://localhost:8000'
   } = params;
 
   // Validate required parameters
-  if (!to) {
-    return { success: false, error: "Phone number is required" };
+  if (!requestedNumber) {
+    return { success: false, error: "Phone number is required", statusCode: 400 };
+  }
+
+  // Dial the E.164 form, read in the campaign's default region when it has no country code
+  const campaign = await getCallCampaign(campaignId);
+  const normalized = normalizePhoneNumber(requestedNumber, { defaultRegion: campaign?.defaultRegion });
+  if (!normalized.e164) {
+    return { success: false, error: "Invalid phone number", details: normalized.reason, statusCode: 400 };
+  }
+  const to = normalized.e164;
+
+  // Never dial numbers on the do-not-call list (fail closed if the list cannot be checked)
+  try {
+    const suppression = await getSuppression(to);
+    if (suppression) {
+      await logSuppressedDial(suppression, { stage: 'dial', campaignId, contactId });
+      return {
+        success: false,
+        error: "Number is on the do-not-call list",
+        details: suppression.reason || `Added via ${suppression.source}`,
+        suppressed: true,
+        statusCode: 403
+      };
+    }
+  } catch (error) {
+    console.error(`[Outbound Call] Could not check do-not-call list for ${to}:`, error);
+    return { success: false, error: "Could not check the do-not-call list", details: error.message };
   }
 
   let twilioClient; // Define twilioClient in this scope
   let initialConversationId; // Store the potentially undefined ID from getSignedUrl
   try {
     // Initialize Twilio client with Australia region
-    twilioClient = new Twilio(
-      process.env.TWILIO_ACCOUNT_SID,
-      process.env.TWILIO_AUTH_TOKEN,
-      { region: 'au1' }
-    );
+    twilioClient = createTwilioClient();
+
+    // Resolve the agent for this call (explicit agent, campaign's agent, or the default agent)
+    const campaignAgent = await resolveAgentForCampaign(campaignId);
+    const agentId = requestedAgentId || campaignAgent.elevenLabsAgentId;
+    const effectiveFirstMessage = firstMessage || campaignAgent.defaultFirstMessage;
+
+    // Resolve the AMD settings version (recorded on the call so its accuracy can be measured)
+    const amdConfig = await getCallAmdConfig(campaign);
 
     // Get signed URL (conversation_id might be undefined here)
     const signedUrlTimer = createTimer('Getting Signed URL').start();
-    const { signed_url, conversation_id } = await getSignedUrl();
+    const { signed_url, conversation_id } = await getSignedUrl(agentId);
     signedUrlTimer.stop();
     initialConversationId = conversation_id; // Store it, even if undefined
     console.log(`[DEBUG] Received from getSignedUrl: conversation_id = ${initialConversationId}`);
@@ -213,10 +290,11 @@ export async function makeOutboundCall(params) { // Added export
     // REMOVED conversation_id from query params here.
     const twimlParams = new URLSearchParams({
         prompt: prompt || '',
-        first_message: firstMessage || '',
+        first_message: effectiveFirstMessage || '',
         name: name || '',
         campaignId: campaignId || '',
-        contactId: contactId || ''
+        contactId: contactId || '',
+        agentId: agentId || ''
     });
     const twimlUrl = `${baseUrl}/outbound-call-twiml?${twimlParams.toString()}`;
 
@@ -247,12 +325,13 @@ export async function makeOutboundCall(params) { // Added export
         'completed', 'busy', 'no-answer', 'canceled', 'failed'
       ],
       statusCallbackMethod: 'POST',
-      // AMD configuration using imported settings for better accuracy
-      machineDetection: AMD_CONFIG.machineDetection,
-      machineDetectionTimeout: AMD_CONFIG.machineDetectionTimeout,
-      machineDetectionSpeechThreshold: AMD_CONFIG.machineDetectionSpeechThreshold,
-      machineDetectionSpeechEndThreshold: AMD_CONFIG.machineDetectionSpeechEndThreshold,
-      machineDetectionSilenceTimeout: AMD_CONFIG.machineDetectionSilenceTimeout,
+      // AMD configuration from the campaign's AMD config version. Campaigns that leave
+      // voicemails wait for the end of the greeting (machine_end_beep / machine_end_silence).
+      machineDetection: leavesVoicemail(campaign) ? 'DetectMessageEnd' : amdConfig.settings.machineDetection,
+      machineDetectionTimeout: amdConfig.settings.machineDetectionTimeout,
+      machineDetectionSpeechThreshold: amdConfig.settings.machineDetectionSpeechThreshold,
+      machineDetectionSpeechEndThreshold: amdConfig.settings.machineDetectionSpeechEndThreshold,
+      machineDetectionSilenceTimeout: amdConfig.settings.machineDetectionSilenceTimeout,
       asyncAmd: AMD_CONFIG.asyncAmd,
       asyncAmdStatusCallback: `${baseUrl}/amd-status-callback`,
       asyncAmdStatusCallbackMethod: 'POST',
@@ -287,7 +366,8 @@ export async function makeOutboundCall(params) { // Added export
       recordings: [],
       campaignId: campaignId,
       contactId: contactId,
-      name: name
+      name: name,
+      dynamicVariables
     });
     
     // Emit Socket.IO events for real-time updates
@@ -314,9 +394,11 @@ export async function makeOutboundCall(params) { // Added export
       contactName: name,
       campaignId: campaignId,
       contactId: contactId,
+      agentId: agentId,
       prompt: prompt,
-      firstMessage: firstMessage,
-      region: region
+      firstMessage: effectiveFirstMessage,
+      region: region,
+      amdConfigVersion: amdConfig.version
     };
     const savedCall = await saveCall(callData);
 
@@ -389,9 +471,7 @@ export function registerOutboundRoutes(fastify, options = {}) { // Added export
     throw new Error("Missing required environment variables");
   }
 
-  const twilioClient = new Twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, {
-    region: 'au1'
-  });
+  const twilioClient = createTwilioClient();
   console.log("[Twilio] Initialized with Australia region (au1) for lower latency");
 
   // Route to initiate outbound call
@@ -405,7 +485,8 @@ export function registerOutboundRoutes(fastify, options = {}) { // Added export
         callerId,
         name,
         campaignId,
-        contactId
+        contactId,
+        agentId
       } = request.body;
 
       const baseUrl = getBaseUrl(request);
@@ -419,6 +500,7 @@ export function registerOutboundRoutes(fastify, options = {}) { // Added export
         name: name,
         campaignId: campaignId,
         contactId: contactId,
+        agentId: agentId,
         baseUrl: baseUrl
       });
 
@@ -438,22 +520,9 @@ export function registerOutboundRoutes(fastify, options = {}) { // Added export
     }
   });
 
-  const getBaseUrl = (request) => {
-    if (process.env.RENDER_EXTERNAL_URL) {
-      return process.env.RENDER_EXTERNAL_URL.replace(/\/$/, '');
-    }
-    if (process.env.SERVER_URL) { // SERVER_URL is still a valid fallback
-      return process.env.SERVER_URL.replace(/\/$/, '');
-    }
-    // Fallback for local development or other environments
-    const protocol = request.protocol || (request.headers['x-forwarded-proto'] ? request.headers['x-forwarded-proto'].split(',')[0] : 'http');
-    const hostname = request.hostname || request.headers.host;
-    return `${protocol}://${hostname}`;
-  };
-
   // Conditional registration of basic /call-status-callback
   if (!options.skipCallStatusCallback) {
-    fastify.post("/call-status-callback", async (request, reply) => {
+    fastify.post("/call-status-callback", { preHandler: validateTwilioRequest }, async (request, reply) => {
        // Basic handler logic (as previously existed)
        // ... (omitted for brevity, assuming enhanced handler in server-mongodb.js is used)
        return reply.code(200).send({ success: true, message: "Status update received" });
@@ -475,13 +544,14 @@ export function registerOutboundRoutes(fastify, options = {}) { // Added export
   });
 
   // TwiML route for outbound calls
-  fastify.all("/outbound-call-twiml", async (request, reply) => {
+  fastify.all("/outbound-call-twiml", { preHandler: validateTwilioRequest }, async (request, reply) => {
     // Extract params passed from makeOutboundCall via twimlUrl
     const prompt = request.query.prompt || '';
     const first_message = request.query.first_message || '';
     const name = request.query.name || '';
     const campaignId = request.query.campaignId || '';
     const contactId = request.query.contactId || '';
+    const agentId = request.query.agentId || '';
     // Note: conversation_id is intentionally NOT read from query here
 
     const baseUrl = getBaseUrl(request);
@@ -504,6 +574,7 @@ export function registerOutboundRoutes(fastify, options = {}) { // Added export
             <Parameter name="name" value="${name}" />
             <Parameter name="campaignId" value="${campaignId}" />
             <Parameter name="contactId" value="${contactId}" />
+            <Parameter name="agentId" value="${agentId}" />
             <!-- conversation_id is established *by* the WebSocket connection -->
           </Stream>
         </Connect>
@@ -23,7 +23,6 @@ import fastifyHelmet from '@fastify/helmet'; // Added for security headers
 // Removed node-fetch import - using native fetch
 import crypto from 'crypto';
 import getRawBody from 'raw-body'; // Import raw-body library
-import Twilio from 'twilio';
 import mongoose from 'mongoose';
 import { recordAMDResult, recordCallStart, getAMDStats } from './amd-metrics.js';
 import {
@@ -34,6 +33,11 @@ import {
   terminateCall, // Keep if needed by webhooks/API directly
   // setDynamicVariables // Keep commented unless needed directly by main server logic
 } from './outbound.js';
+import { registerInboundRoutes } from './inbound.js';
+import { registerVoicemailRoutes, getVoicemailDrop, leaveVoicemail } from './voicemail.js';
+import { registerTransferRoutes } from './transfer.js';
+import { getBaseUrl } from './api-utils.js';
+import { resolveConversationVariables, renderTemplate } from './conversation-variables.js';
 import { sendEmail } from './email-tools/api-email-service.js';
 import { sendSESEmail } from './email-tools/aws-ses-email.js';
 import { handleTwilioCallCompletion } from './src/integrations/twilio-crm-webhook.js';
@@ -46,6 +50,7 @@ import { getTerminationFromVoiceInsights } from './twilio-voice-insights.js';
 import { registerRecordingApiRoutes } from './db/api/recording-api.js'; // ADDED Import
 // Removed import for registerElevenLabsApiRoutes
 import { registerApiMiddleware } from './api-middleware.js';
+import { validateTwilioRequest } from './twilio-request-validator.js';
 import {
   initializeSocketServer,
   emitCallUpdate,
@@ -66,7 +71,9 @@ import {
   getCallEventRepository,
   getAnalyticsRepository,
   getCampaignRepository, // Added for Google Sheet campaign
-  getContactRepository   // Added for Google Sheet campaign
+  getContactRepository,  // Added for Google Sheet campaign
+  getImportJobRepository,
+  getAmdConfigRepository
   // getRecordingRepository // Removed dangling identifier causing SyntaxError
 } from './db/index.js';
 // Import specific repository function needed for the temporary route
@@ -74,15 +81,32 @@ import { getRecordingBySid } from './db/repositories/recording.repository.js';
 import { verifyWebhookSignature } from './db/webhook-handler-db.js';
 import { 
   initializeCampaignEngine, 
+  shutdownCampaignEngine,
   handleCallStatusUpdate as handleCampaignCallStatus,
   startCampaign as startCampaignEngine
 } from './db/campaign-engine.js';
-import { google } from 'googleapis';
-import fs from 'fs/promises';
-import path from 'path';
-import { parse } from 'csv-parse';
-import { parsePhoneNumber, isValidPhoneNumber } from 'libphonenumber-js';
+import { getGoogleSheetsApi } from './google-sheets.js';
+import { queueSheetWriteBack, flushSheetWriteBacks } from './db/sheet-writeback.js';
+import { parseSheetRows, isPendingSheetRow, buildSheetContact } from './db/sheet-sync.js';
+import {
+  IMPORT_MAX_FILE_SIZE,
+  saveImportUpload,
+  removeImportUpload,
+  scanImportFile,
+  suggestColumnMapping,
+  validateColumnMapping,
+  startImportJob,
+  initializeImportJobs,
+  shutdownImportJobs
+} from './db/import-jobs.js';
+import { initializeAmdFeedback, shutdownAmdFeedback } from './db/amd-feedback.js';
+import { initializeCallbackScheduler, shutdownCallbackScheduler } from './db/callback-scheduler.js';
+import { initializeRecordingArchiver, shutdownRecordingArchiver, queueRecordingArchive } from './db/recording-archiver.js';
+import { initializeRetentionJob, shutdownRetentionJob } from './db/retention-job.js';
+import { flushMetrics, resolveMetricWindow } from './db/metrics.js';
+import { isValidPhoneRegion, resolvePhoneRegion } from './db/utils/phone-number.js';
 import { registerWebSocketProxy } from './media-proxy-handler.js';
+import { createTwilioClient } from './service-clients.js';
 
 // Get Twilio credentials from environment
 const {
@@ -93,9 +117,7 @@ const {
 // Create Twilio client
 let twilioClient = null;
 if (TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN) {
-  twilioClient = new Twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, {
-    region: 'au1' 
-  });
+  twilioClient = createTwilioClient();
   console.log("[Twilio] Server initialized Twilio client with Australia region (au1)");
 }
 
@@ -272,6 +294,9 @@ server.options('/api/outbound-call', async (request, reply) => {
 console.log('[Server] Registered explicit OPTIONS handler for /api/outbound-call');
 // Register outbound calling routes (will need MEDIA_PROXY_SERVICE_URL env var)
 registerOutboundRoutes(server, { skipCallStatusCallback: true });
+registerInboundRoutes(server);
+registerVoicemailRoutes(server, { twilioClient });
+registerTransferRoutes(server, { twilioClient });
 
 // Register WebSocket proxy handler for Twilio-ElevenLabs bridge
 if (twilioClient) {
@@ -334,68 +359,6 @@ function verifySignature(payload, signature, secret) {
   }
 }
 
-// --- Google Sheets API Helper ---
-let sheetsApiInstance; // To cache the initialized sheets API
-
-async function getGoogleSheetsApi() {
-  if (sheetsApiInstance) {
-    return sheetsApiInstance;
-  }
-  try {
-    const credentialsPath = path.join(process.cwd(), 'credentials.json');
-    try {
-      await fs.access(credentialsPath);
-    } catch (error) {
-      console.error('[Google Sheets] Error: credentials.json file not found.');
-      console.error('[Google Sheets] Please download your Google API credentials file and save it as credentials.json in the project root.');
-      throw new Error('credentials.json not found');
-    }
-
-    const credentials = JSON.parse(await fs.readFile(credentialsPath, 'utf8'));
-    
-    const tokenPath = path.join(process.cwd(), 'token.json');
-    let token;
-    try {
-      token = JSON.parse(await fs.readFile(tokenPath, 'utf8'));
-    } catch (error) {
-      console.error('[Google Sheets] No token.json file found. Please authenticate first by running: node google-auth.js');
-      throw new Error('token.json not found, please run google-auth.js');
-    }
-
-    const { client_secret, client_id, redirect_uris } = credentials.installed || credentials.web;
-    if (!client_secret || !client_id || !redirect_uris || !redirect_uris.length) {
-      console.error('[Google Sheets] Invalid credentials.json structure. Missing client_secret, client_id, or redirect_uris.');
-      throw new Error('Invalid credentials.json structure');
-    }
-    const oAuth2Client = new google.auth.OAuth2(client_id, client_secret, redirect_uris[0]);
-    oAuth2Client.setCredentials(token);
-
-    // Check if token is expired and refresh if necessary
-    if (oAuth2Client.isTokenExpiring()) {
-      console.log('[Google Sheets] Token is expiring or expired, attempting to refresh...');
-      try {
-        const { credentials: newCredentials } = await oAuth2Client.refreshAccessToken();
-        oAuth2Client.setCredentials(newCredentials);
-        await fs.writeFile(tokenPath, JSON.stringify(newCredentials));
-        console.log('[Google Sheets] Token refreshed and saved successfully.');
-      } catch (refreshError) {
-        console.error('[Google Sheets] Error refreshing token:', refreshError.message);
-        console.error('[Google Sheets] Please re-authenticate by running: node google-auth.js');
-        throw new Error('Failed to refresh Google API token. Please re-authenticate.');
-      }
-    }
-
-    sheetsApiInstance = google.sheets({ version: 'v4', auth: oAuth2Client });
-    console.log('[Google Sheets] Successfully authenticated and initialized Google Sheets API client.');
-    return sheetsApiInstance;
-  } catch (error) {
-    console.error('[Google Sheets] Error setting up Google Sheets API client:', error.message);
-    // Ensure sheetsApiInstance is not set if setup fails
-    sheetsApiInstance = null; 
-    throw error; // Re-throw the error to be caught by the route handler
-  }
-}
-// --- End Google Sheets API Helper ---
 // --- Google Sheet Campaign API Endpoints ---
 
 // Endpoint to load and preview Google Sheet data
@@ -455,6 +418,8 @@ server.post('/api/campaigns/google-sheet/load-data', async (request, reply) => {
     }
     return reply.code(500).send({ success: false, error: 'Failed to load Google Sheet data.', details: error.message });
   }
+});
+
 // Endpoint to start a campaign from Google Sheet
 server.post('/api/campaigns/google-sheet/start', async (request, reply) => {
   const { 
@@ -463,10 +428,14 @@ server.post('/api/campaigns/google-sheet/start', async (request, reply) => {
     maxCalls: maxCallsStr, // Will be string from JSON
     agentPrompt, 
     firstMessage,
-    campaignName: customCampaignName 
+    campaignName: customCampaignName,
+    syncMode = 'snapshot', // 'continuous' keeps importing rows added to the sheet while the campaign runs
+    syncInterval: syncIntervalStr,
+    defaultRegion // ISO country code for numbers without a country code (default DEFAULT_PHONE_REGION)
   } = request.body;
 
   const maxCalls = maxCallsStr ? parseInt(maxCallsStr) : undefined;
+  const syncInterval = syncIntervalStr ? parseInt(syncIntervalStr) : undefined;
 
   if (!spreadsheetId) {
     return reply.code(400).send({ success: false, error: 'Spreadsheet ID is required.' });
@@ -477,6 +446,12 @@ server.post('/api/campaigns/google-sheet/start', async (request, reply) => {
   if (!firstMessage) {
     return reply.code(400).send({ success: false, error: 'First message is required.' });
   }
+  if (!['snapshot', 'continuous'].includes(syncMode)) {
+    return reply.code(400).send({ success: false, error: 'Sync mode must be "snapshot" or "continuous".' });
+  }
+  if (defaultRegion && !isValidPhoneRegion(defaultRegion)) {
+    return reply.code(400).send({ success: false, error: `Unsupported default region: ${defaultRegion}` });
+  }
 
   server.log.info(`[GS Start] Received request to start campaign from Spreadsheet ID: ${spreadsheetId}, Sheet: ${sheetName}`);
 
@@ -501,6 +476,7 @@ server.post('/api/campaigns/google-sheet/start', async (request, reply) => {
       currentCampaign = await campaignRepository.updateCampaign(currentCampaign._id, {
         prompt: agentPrompt,
         firstMessage: firstMessage,
+        ...(defaultRegion ? { defaultRegion: resolvePhoneRegion(defaultRegion) } : {}),
         // Potentially update other settings if they are part of the UI form
         sheetInfo: { // Ensure sheetInfo is preserved/updated
           spreadsheetId,
@@ -508,7 +484,10 @@ server.post('/api/campaigns/google-sheet/start', async (request, reply) => {
           phoneColumn: 'phone', // Keep defaults or make configurable
           nameColumn: 'name',
           statusColumn: 'status',
-          customMessageColumn: 'message'
+          customMessageColumn: 'message',
+          syncMode,
+          ...(syncInterval ? { syncInterval } : {}),
+          sync: currentCampaign.sheetInfo?.sync || {} // Keep the sync history
         }
       });
       server.log.info(`[GS Start] Using and updated existing campaign: ${currentCampaign.name} (${currentCampaign._id})`);
@@ -520,13 +499,16 @@ server.post('/api/campaigns/google-sheet/start', async (request, reply) => {
         prompt: agentPrompt,
         firstMessage: firstMessage,
         callerId: process.env.TWILIO_PHONE_NUMBER,
+        ...(defaultRegion ? { defaultRegion: resolvePhoneRegion(defaultRegion) } : {}),
         sheetInfo: {
           spreadsheetId,
           sheetName,
           phoneColumn: 'phone',
           nameColumn: 'name',
           statusColumn: 'status',
-          customMessageColumn: 'message'
+          customMessageColumn: 'message',
+          syncMode,
+          ...(syncInterval ? { syncInterval } : {})
         },
         settings: { // Default settings, consider making these configurable
           callDelay: 10000, // 10 seconds
@@ -551,32 +533,21 @@ server.post('/api/campaigns/google-sheet/start', async (request, reply) => {
       return reply.code(404).send({ success: false, error: 'No data found in the specified sheet.' });
     }
 
-    const headers = rows[0].map(h => String(h).toLowerCase().trim());
-    const phoneIndex = headers.findIndex(h => ['phone', 'phone number', 'mobile'].includes(h));
-    const nameIndex = headers.findIndex(h => ['name', 'contact name', 'full name'].includes(h));
-    const statusIndex = headers.findIndex(h => ['status', 'call status'].includes(h)); // For updating sheet
-    const customMessageIndex = headers.findIndex(h => ['message', 'custom message'].includes(h));
+    const { columns, rows: sheetRows } = parseSheetRows(rows, currentCampaign.sheetInfo);
 
-    if (phoneIndex === -1) {
+    if (columns.phone === -1) {
       server.log.error('[GS Start] Phone column not found in sheet.');
       return reply.code(400).send({ success: false, error: 'A "phone" column (e.g., "phone", "phone number", "mobile") is required in the sheet.' });
     }
-    if (nameIndex === -1) { // Added check for name column
+    if (columns.name === -1) { // Added check for name column
       server.log.error('[GS Start] Name column not found in sheet.');
       return reply.code(400).send({ success: false, error: 'A "name" column (e.g., "name", "contact name", "full name") is required in the sheet for personalized first messages.' });
     }
 
-    const sheetContactsData = rows.slice(1)
-      .map((row, index) => ({
-        rowIndex: index + 2, // 1-indexed + header
-        phone: String(row[phoneIndex] || '').trim(),
-        name: nameIndex !== -1 ? String(row[nameIndex] || '').trim() : '', // Name is now guaranteed to be found due to check above, but keep defensive access
-        currentSheetStatus: statusIndex !== -1 ? String(row[statusIndex] || '').toLowerCase().trim() : '',
-        customMessage: customMessageIndex !== -1 ? String(row[customMessageIndex] || '').trim() : ''
-      }))
-      .filter(c => c.phone && c.name && (c.currentSheetStatus === 'pending' || c.currentSheetStatus === '')); // Added c.name to filter
+    const sheetContactsData = sheetRows.filter(isPendingSheetRow);
 
-    if (sheetContactsData.length === 0) {
+    // Continuous campaigns start even without pending rows and wait for new ones
+    if (sheetContactsData.length === 0 && syncMode !== 'continuous') {
         server.log.info('[GS Start] No pending contacts found in the sheet.');
         // await campaignRepository.updateCampaignStatus(currentCampaign._id, 'completed');
         return reply.code(200).send({ success: true, message: 'No pending contacts to call.', campaignId: currentCampaign._id });
@@ -585,23 +556,8 @@ server.post('/api/campaigns/google-sheet/start', async (request, reply) => {
     const contactsToCall = maxCalls ? sheetContactsData.slice(0, maxCalls) : sheetContactsData;
     server.log.info(`[GS Start] Prepared ${contactsToCall.length} contacts for calling for campaign ${currentCampaign.name}.`);
 
-    // Import/Update contacts in MongoDB
-    const contactsToImport = sheetContactsData.map(contact => ({
-      phoneNumber: contact.phone,
-      name: contact.name,
-      email: '', // Assuming email is not a primary field from sheet for now
-      status: 'active', // Default status for new/updated contacts in DB
-      campaigns: [currentCampaign._id], // Associate with current campaign
-      customFields: {
-        customMessage: contact.customMessage,
-        // sheet_status: contact.currentSheetStatus // Optionally store original sheet status
-      },
-      sheetInfo: { // Store sheet origin info
-        spreadsheetId,
-        sheetName,
-        rowIndex: contact.rowIndex
-      }
-    }));
+    // Import/Update contacts in MongoDB (only the rows for this run, so maxCalls limits what the engine dials)
+    const contactsToImport = contactsToCall.map(contact => buildSheetContact(contact, currentCampaign._id, { spreadsheetId, sheetName }));
 
     if (contactsToImport.length > 0) {
       server.log.info(`[GS Start] Importing/updating ${contactsToImport.length} contacts into MongoDB for campaign ${currentCampaign.name}...`);
@@ -609,98 +565,39 @@ server.post('/api/campaigns/google-sheet/start', async (request, reply) => {
       server.log.info(`[GS Start] MongoDB Import Results: Created ${importResults.created}, Updated: ${importResults.updated}, Failed: ${importResults.failed}`);
     }
     
-    // Fetch all contacts newly associated or already part of this campaign that are pending a call
-    // This requires a method in contactRepository to fetch by campaign and status
-    // For now, we'll use the sheetContactsData and assume they are the ones to call if pending
-    // A more robust way: query contactRepository for contacts linked to campaignId with a 'pending_call' status.
-    
     // Update campaign with total contacts (consider only new ones or all for this run)
     await campaignRepository.updateCampaignStats(currentCampaign._id, {
       totalContacts: contactsToCall.length // Based on filtered contacts from sheet for this run
     });
     
-    // Activate campaign now that contacts are processed
-    currentCampaign = await campaignRepository.updateCampaignStatus(currentCampaign._id, 'active');
-    server.log.info(`[GS Start] Campaign ${currentCampaign.name} activated.`);
-
-    // 3. Initiate Calls (Loop and call /outbound-call)
-    // IMPORTANT: This is a simplified loop. For production, use a job queue.
-    let callsInitiatedCount = 0;
-    for (const contact of contactsToCall) {
-      try {
-        const effectiveFirstMessage = contact.customMessage || firstMessage.replace("{name}", contact.name || "there");
-        
-        server.log.info(`[GS Start] Initiating call to ${contact.name || contact.phone} for campaign ${currentCampaign.name}`);
-        const callApiResponse = await fetch(`${request.protocol}://${request.hostname}/api/outbound-call`, { // Use relative URL
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            number: contact.phone,
-            prompt: agentPrompt,
-            first_message: effectiveFirstMessage,
-            name: contact.name || "Unknown",
-            campaignId: currentCampaign._id,
-            contactId: contact.db_id || null // Pass MongoDB contact ID if available after import
-          }),
-        });
-
-        const callApiData = await callApiResponse.json();
-        if (callApiResponse.ok && callApiData.success) {
-          callsInitiatedCount++;
-          server.log.info(`[GS Start] Call to ${contact.phone} initiated. SID: ${callApiData.callSid}`);
-          // Update sheet status (simplified)
-          if (statusIndex !== -1) {
-            await sheets.spreadsheets.values.update({
-              spreadsheetId,
-              range: `${sheetName}!${String.fromCharCode(65 + statusIndex)}${contact.rowIndex}`,
-              valueInputOption: 'USER_ENTERED', // Or 'RAW'
-              resource: { values: [['Calling...']] }, // Or 'Dialing'
-            });
-          }
-        } else {
-          server.log.error(`[GS Start] Failed to initiate call to ${contact.phone}: ${callApiData.error || 'Unknown error'}`);
-           if (statusIndex !== -1) {
-            await sheets.spreadsheets.values.update({
-              spreadsheetId,
-              range: `${sheetName}!${String.fromCharCode(65 + statusIndex)}${contact.rowIndex}`,
-              valueInputOption: 'USER_ENTERED',
-              resource: { values: [['Failed to initiate']] },
-            });
-          }
-        }
-      } catch (callError) {
-        server.log.error({ err: callError, contactPhone: contact.phone }, `[GS Start] Error during call initiation loop for ${contact.phone}`);
-      }
-      // Optional: Add a delay between calls if needed
-      const callDelay = currentCampaign.settings?.callDelay || 60000; // Use campaign setting or default to 60s
-      server.log.info(`[GS Start] Waiting for ${callDelay / 1000} seconds before next call.`);
-      await new Promise(resolve => setTimeout(resolve, callDelay));
+    // 3. Hand the campaign to the campaign engine, as for CSV campaigns. Results are written
+    // back to each contact's row by the sheet write-back worker once the call has been processed.
+    let engineStarted = false;
+    let engineError = null;
+    try {
+      engineStarted = await startCampaignEngine(currentCampaign._id.toString());
+    } catch (error) {
+      engineError = error;
+      server.log.error({ err: error }, `[GS Start] Error starting campaign ${currentCampaign._id} in engine`);
     }
-    
-    await campaignRepository.updateCampaignStats(currentCampaign._id, {
-      callsPlaced: (currentCampaign.stats.callsPlaced || 0) + callsInitiatedCount
-      // Potentially update other stats like 'inProgress' or 'completed' based on loop outcome
-    });
 
-    // If all contacts intended for this run were processed, consider updating campaign status
-    // This logic might be more complex depending on whether this is a partial run or full campaign execution
-    if (callsInitiatedCount > 0 && callsInitiatedCount === contactsToCall.length) {
-       server.log.info(`[GS Start] All ${callsInitiatedCount} contacts for this run processed for campaign ${currentCampaign.name}.`);
-       // Optionally set to 'in-progress' or 'completed' if this run finishes the campaign batch
-       // For now, leave as 'active' as calls are asynchronous.
-    } else if (callsInitiatedCount === 0 && contactsToCall.length > 0) {
-        server.log.warn(`[GS Start] No calls were successfully initiated for campaign ${currentCampaign.name} despite having contacts.`);
+    if (!engineStarted) {
+      // The contacts stay imported; the campaign can be started again once the engine problem is fixed
+      return reply.code(500).send({
+        success: false,
+        error: 'Failed to start campaign engine',
+        details: engineError ? engineError.message : 'The campaign engine refused to start the campaign; check the server logs',
+        campaignId: currentCampaign._id
+      });
     }
 
-
-    server.log.info(`[GS Start] Finished processing ${contactsToCall.length} contacts for campaign ${currentCampaign.name}. Successfully initiated ${callsInitiatedCount} calls.`);
+    server.log.info(`[GS Start] Campaign ${currentCampaign.name} started with ${contactsToCall.length} contacts.`);
     return reply.code(200).send({ 
       success: true, 
-      message: `Campaign started. Attempted to initiate ${callsInitiatedCount} of ${contactsToCall.length} calls.`,
+      message: `Campaign started. Calling ${contactsToCall.length} contacts.`,
       campaignId: currentCampaign._id,
       campaignName: currentCampaign.name,
-      contactsProcessed: contactsToCall.length,
-      callsInitiated: callsInitiatedCount
+      contactsProcessed: contactsToCall.length
     });
 
   } catch (error) {
@@ -720,7 +617,6 @@ server.post('/api/campaigns/google-sheet/start', async (request, reply) => {
     return reply.code(500).send({ success: false, error: 'Failed to start Google Sheet campaign.', details: error.message });
   }
 });
-});
 // --- End Google Sheet Campaign API Endpoints ---
 
 // --- CSV Upload Campaign API Endpoint ---
@@ -728,16 +624,20 @@ server.post('/api/db/campaigns/start-from-csv', async (request, reply) => {
   server.log.info('[CSV Upload] Received request to start campaign from CSV upload');
   
   try {
-    // Parse multipart form data - process all parts
-    const parts = request.parts();
+    // Parse multipart form data - the file is streamed to disk for the import job
+    const parts = request.parts({ limits: { fileSize: IMPORT_MAX_FILE_SIZE } });
     let fileData = null;
     const fields = {};
     
     for await (const part of parts) {
       if (part.type === 'file') {
         // This is the CSV file
-        fileData = part;
-        server.log.info(`[CSV Upload] Received file: ${part.filename}`);
+        fileData = { filename: part.filename, ...(await saveImportUpload(part.file)) };
+        server.log.info(`[CSV Upload] Received file: ${part.filename} (${fileData.fileSize} bytes)`);
+        if (part.file.truncated) {
+          await removeImportUpload(fileData.filePath);
+          return reply.code(413).send({ success: false, error: `File is larger than ${IMPORT_MAX_FILE_SIZE} bytes.` });
+        }
       } else if (part.type === 'field') {
         // This is a form field
         fields[part.fieldname] = part.value;
@@ -749,12 +649,26 @@ server.post('/api/db/campaigns/start-from-csv', async (request, reply) => {
       return reply.code(400).send({ success: false, error: 'No file uploaded.' });
     }
 
+    // The upload is only kept once the import job has been created
+    const rejectUpload = async (error) => {
+      await removeImportUpload(fileData.filePath);
+      return reply.code(400).send({ success: false, error });
+    };
+
     const { 
       agentPrompt, 
       firstMessage, 
       campaignName: customCampaignName,
       callInterval: callIntervalStr,
-      validatePhoneNumbers 
+      validatePhoneNumbers,
+      defaultRegion, // ISO country code for numbers without a country code (default DEFAULT_PHONE_REGION)
+      callingWindowStart,
+      callingWindowEnd,
+      callingWindowDays,
+      callingWindowTimezone,
+      agentId,
+      variableMapping: variableMappingJson,
+      mapping: columnMappingJson // Optional JSON column mapping: { phone, name, firstName, lastName, email, timezone, customFields }
     } = fields;
     
     server.log.info('[CSV Upload] Form fields:', { 
@@ -767,11 +681,20 @@ server.post('/api/db/campaigns/start-from-csv', async (request, reply) => {
 
     // Parse call interval (default to 90 seconds - middle of 1-2 minute range)
     const callInterval = callIntervalStr ? parseInt(callIntervalStr) : 90000;
+    
+    // Optional calling window (e.g. 09:00-18:00 on "1,2,3,4,5"), evaluated in each contact's local time
+    const callingWindow = callingWindowStart && callingWindowEnd ? {
+      enabled: true,
+      startTime: callingWindowStart,
+      endTime: callingWindowEnd,
+      ...(callingWindowDays ? { days: callingWindowDays.split(',').map(day => parseInt(day, 10)).filter(day => day >= 0 && day <= 6) } : {}),
+      ...(callingWindowTimezone ? { timezone: callingWindowTimezone } : {})
+    } : undefined;
 
     // Agent prompt is optional - if blank, ElevenLabs will use default system prompt
     // Only validate if it's provided but contains only whitespace
     if (agentPrompt && agentPrompt.trim() === '') {
-      return reply.code(400).send({ success: false, error: 'Agent prompt cannot be just whitespace. Leave blank to use default.' });
+      return rejectUpload('Agent prompt cannot be just whitespace. Leave blank to use default.');
     }
     
     // First message is optional - if not provided, ElevenLabs will use the platform's default
@@ -783,266 +706,114 @@ server.post('/api/db/campaigns/start-from-csv', async (request, reply) => {
       server.log.info('[CSV Upload] Using ElevenLabs platform default first message');
     }
     if (!customCampaignName || customCampaignName.trim() === '') {
-      return reply.code(400).send({ success: false, error: 'Campaign name is required.' });
+      return rejectUpload('Campaign name is required.');
     }
 
-    // Read and parse CSV file
-    const csvContent = await fileData.toBuffer();
-    const csvText = csvContent.toString('utf-8');
-    
-    server.log.info('[CSV Upload] Parsing CSV file...');
-    
-    // Parse CSV with header row
-    const records = await new Promise((resolve, reject) => {
-      parse(csvText, {
-        columns: true,
-        skip_empty_lines: true,
-        trim: true
-      }, (err, records) => {
-        if (err) reject(err);
-        else resolve(records);
-      });
-    });
+    // Optional CSV column -> dynamic variable mapping, e.g. [{"field":"Company","variable":"company_name"}]
+    let variableMapping;
+    if (variableMappingJson) {
+      try {
+        variableMapping = JSON.parse(variableMappingJson);
+        if (!Array.isArray(variableMapping) || variableMapping.some(entry => !entry?.field || !/^[A-Za-z0-9_]+$/.test(entry?.variable || ''))) {
+          throw new Error('expected an array of { field, variable } with variable names made of letters, digits and underscores');
+        }
+      } catch (error) {
+        return rejectUpload(`Invalid variable mapping: ${error.message}`);
+      }
+    }
 
-    if (!records || records.length === 0) {
-      return reply.code(400).send({ success: false, error: 'CSV file is empty or invalid.' });
+    if (defaultRegion && !isValidPhoneRegion(defaultRegion)) {
+      return rejectUpload(`Unsupported default region: ${defaultRegion}`);
     }
+    const phoneRegion = resolvePhoneRegion(defaultRegion);
 
-    server.log.info(`[CSV Upload] Found ${records.length} records in CSV`);
+    // Scan the CSV for its columns and row count; the rows themselves are imported by the job
+    server.log.info('[CSV Upload] Scanning CSV file...');
+    let scan;
+    try {
+      scan = await scanImportFile(fileData.filePath);
+    } catch (error) {
+      await removeImportUpload(fileData.filePath);
+      return reply.code(400).send({ success: false, error: 'CSV file is invalid.', details: error.message });
+    }
 
-    // Process and validate contacts
-    const validContacts = [];
-    const invalidNumbers = [];
-    const seenPhoneNumbers = new Map(); // Track phone numbers and their first occurrence
-    
-    for (const record of records) {
-      // Helper function to clean quotes from values
-      const cleanValue = (value) => {
-        if (!value) return '';
-        // Remove leading and trailing quotes (both single and double)
-        return String(value).replace(/^["']|["']$/g, '').trim();
-      };
-      
-      // Try to find phone number in various possible column names and clean quotes
-      const phoneNumber = cleanValue(
-        record.Phone || record.phone || record['Phone Number'] || record['phone number'] || 
-        record.Mobile || record.mobile || record.Cell || record.cell
-      );
-      
-      // Clean quotes from name fields
-      const firstName = cleanValue(
-        record.FirstName || record.firstname || record['First Name'] || record['first name'] || 
-        record.First || record.first || ''
-      );
-      const lastName = cleanValue(
-        record.LastName || record.lastname || record['Last Name'] || record['last name'] || 
-        record.Last || record.last || ''
-      );
-      
-      // Also try full name field if first/last not available
-      let fullName = '';
-      if (firstName || lastName) {
-        fullName = `${firstName} ${lastName}`.trim();
-      } else {
-        // Try to get from Name or Full Name column
-        const nameField = cleanValue(
-          record.Name || record.name || record['Full Name'] || record['full name'] || 
-          record.FullName || record.fullname || record['Contact Name'] || record['contact name']
-        );
-        fullName = nameField || 'Unknown';
-      }
-      
-      const email = cleanValue(
-        record.Email || record.email || record['Email Address'] || record['email address'] || 
-        record.EmailAddress || record.emailaddress || ''
-      );
-      
-      if (!phoneNumber) {
-        server.log.warn('[CSV Upload] Skipping record - no phone number found:', record);
-        continue;
-      }
-      
-      // Validate phone number if requested
-      let isValid = true;
-      let formattedPhone = phoneNumber;
-      
-      if (validatePhoneNumbers === 'true') {
-        try {
-          // First check if the number already has a country code (starts with +)
-          if (phoneNumber.startsWith('+')) {
-            // Try to parse as-is (already has country code)
-            const phoneObj = parsePhoneNumber(phoneNumber);
-            if (phoneObj && phoneObj.isValid()) {
-              // Check if it's an Australian number
-              if (phoneObj.country !== 'AU') {
-                invalidNumbers.push({ name: fullName, phone: phoneNumber, reason: 'Only Australian numbers are supported' });
-                continue;
-              }
-              formattedPhone = phoneObj.format('E.164');
-              isValid = true;
-            } else {
-              invalidNumbers.push({ name: fullName, phone: phoneNumber, reason: 'Invalid phone number format' });
-              continue;
-            }
-          } else {
-            // No country code, default to Australian (+61)
-            const phoneObj = parsePhoneNumber(phoneNumber, 'AU');
-            if (phoneObj && phoneObj.isValid()) {
-              formattedPhone = phoneObj.format('E.164');
-              isValid = true;
-            } else {
-              // Try validation with AU country code
-              isValid = isValidPhoneNumber(phoneNumber, 'AU');
-              if (!isValid) {
-                invalidNumbers.push({ name: fullName, phone: phoneNumber, reason: 'Invalid phone number format' });
-                continue;
-              } else {
-                // If valid but couldn't parse, prepend +61 manually
-                // Remove leading 0 if present (common in Australian numbers)
-                let cleanedNumber = phoneNumber.trim();
-                if (cleanedNumber.startsWith('0')) {
-                  cleanedNumber = cleanedNumber.substring(1);
-                }
-                formattedPhone = `+61${cleanedNumber}`;
-              }
-            }
-          }
-        } catch (error) {
-          server.log.warn(`[CSV Upload] Phone validation error for ${phoneNumber}:`, error.message);
-          invalidNumbers.push({ name: fullName, phone: phoneNumber, reason: error.message });
-          continue;
-        }
-      }
-      
-      // Check for duplicate phone numbers
-      if (seenPhoneNumbers.has(formattedPhone)) {
-        const firstOccurrence = seenPhoneNumbers.get(formattedPhone);
-        invalidNumbers.push({ 
-          name: fullName, 
-          phone: phoneNumber, 
-          reason: `Duplicate phone number (first seen with ${firstOccurrence})` 
-        });
-        continue;
-      }
-      
-      // Track this phone number
-      seenPhoneNumbers.set(formattedPhone, fullName);
-
-      validContacts.push({
-        phoneNumber: formattedPhone,
-        name: fullName,
-        email: email,
-        firstName: firstName,
-        lastName: lastName
-      });
+    if (scan.totalRows === 0) {
+      return rejectUpload('CSV file is empty or invalid.');
     }
 
-    server.log.info(`[CSV Upload] Valid contacts: ${validContacts.length}, Invalid: ${invalidNumbers.length}`);
+    server.log.info(`[CSV Upload] Found ${scan.totalRows} records in CSV`);
 
-    if (validContacts.length === 0) {
-      return reply.code(400).send({ 
-        success: false, 
-        error: 'No valid contacts found in CSV.', 
-        invalidNumbers: invalidNumbers 
-      });
+    // Optional column mapping (as previewed via /api/db/import-jobs); guessed from the header row otherwise
+    let mapping = suggestColumnMapping(scan.columns);
+    try {
+      if (columnMappingJson) {
+        mapping = JSON.parse(columnMappingJson);
+      }
+    } catch (error) {
+      return rejectUpload(`Invalid column mapping: ${error.message}`);
+    }
+    const mappingError = validateColumnMapping(mapping, scan.columns);
+    if (mappingError) {
+      return rejectUpload(`Invalid column mapping: ${mappingError}`);
     }
 
     // Get repositories
     const campaignRepository = getCampaignRepository();
-    const contactRepository = getContactRepository();
+    const importJobRepository = getImportJobRepository();
 
     // Create campaign
     const campaignTitle = customCampaignName || `CSV Campaign - ${new Date().toISOString().split('T')[0]}`;
     
     const campaign = await campaignRepository.saveCampaign({
       name: campaignTitle,
-      description: `Campaign created from CSV upload with ${validContacts.length} contacts`,
+      description: `Campaign created from CSV upload with ${scan.totalRows} rows`,
       status: 'draft',
-      agentPrompt: agentPrompt || null, // Allow null for default ElevenLabs prompt
+      prompt: agentPrompt || null, // Allow null for default ElevenLabs prompt
       firstMessage: actualFirstMessage,
+      ...(variableMapping ? { variableMapping } : {}),
+      ...(agentId ? { agentId } : {}), // Agent registry entry; default ELEVENLABS_AGENT_ID when omitted
       callerId: process.env.TWILIO_PHONE_NUMBER,
-      csvInfo: {
-        originalFileName: fileData.filename,
-        totalRecords: records.length,
-        validContacts: validContacts.length,
-        invalidContacts: invalidNumbers.length
-      },
+      ...(defaultRegion ? { defaultRegion: phoneRegion } : {}),
       settings: {
         callDelay: callInterval, // Use the configured interval
         maxConcurrentCalls: 1,
         retryCount: 1,
-        retryDelay: 3600000 // 1 hour
+        retryDelay: 3600000, // 1 hour
+        ...(callingWindow ? { callingWindow } : {})
       }
     });
 
     server.log.info(`[CSV Upload] Created campaign: ${campaign.name} (${campaign._id})`);
 
-    // Import contacts
-    const contactsToImport = validContacts.map(contact => ({
-      phoneNumber: contact.phoneNumber,
-      name: contact.name,
-      email: contact.email,
-      status: 'pending',  // Set to pending so they're ready to be called
-      campaignIds: [campaign._id],
-      customFields: {
-        firstName: contact.firstName,
-        lastName: contact.lastName
-      }
-    }));
-
-    const importResults = await contactRepository.importContacts(contactsToImport, campaign._id);
-    server.log.info(`[CSV Upload] Import results: Created ${importResults.created}, Updated: ${importResults.updated}, Failed: ${importResults.failed}`);
-    
-    if (importResults.errors && importResults.errors.length > 0) {
-      server.log.warn('[CSV Upload] Import errors:', importResults.errors);
-    }
-    
-    // Consider both created and updated as "valid contacts" for the campaign
-    const totalValidContacts = importResults.created + importResults.updated;
-    if (totalValidContacts === 0) {
-      server.log.error('[CSV Upload] No contacts were imported or updated!');
-      return reply.code(500).send({ 
-        success: false, 
-        error: 'Failed to import any contacts from CSV.' 
-      });
-    }
-
-    // Update campaign stats with actual imported contacts
-    await campaignRepository.updateCampaignStats(campaign._id, {
-      totalContacts: totalValidContacts
+    // Import in the background; the job starts the campaign once its contacts are in
+    const job = await importJobRepository.createImportJob({
+      status: 'queued',
+      fileName: fileData.filename,
+      filePath: fileData.filePath,
+      fileSize: fileData.fileSize,
+      columns: scan.columns,
+      previewRows: scan.previewRows,
+      mapping,
+      options: {
+        defaultRegion: phoneRegion,
+        rejectInvalid: validatePhoneNumbers === 'true',
+        startCampaign: true
+      },
+      campaignId: campaign._id,
+      progress: { totalRows: scan.totalRows },
+      createdBy: request.apiKey?.label || null
     });
+    await startImportJob(job._id);
 
-    // Initialize campaign engine if not already initialized
-    await initializeCampaignEngine();
-    
-    // Start campaign using the campaign engine
-    server.log.info(`[CSV Upload] Starting campaign using campaign engine with ${validContacts.length} contacts`);
-    
-    try {
-      const engineStarted = await startCampaignEngine(campaign._id.toString());
-      
-      if (engineStarted) {
-        server.log.info(`[CSV Upload] Campaign started successfully in campaign engine`);
-      } else {
-        throw new Error('Failed to start campaign in engine');
-      }
-    } catch (error) {
-      server.log.error(`[CSV Upload] Error starting campaign in engine:`, error);
-      // Fallback to set campaign as active
-      await campaignRepository.updateCampaignStatus(campaign._id, 'active');
-    }
-
-    // Return immediate response
-    return reply.code(200).send({
+    return reply.code(202).send({
       success: true,
-      message: `Campaign created successfully. Starting to call ${validContacts.length} contacts.`,
+      message: `Campaign created. Importing ${scan.totalRows} rows; calling starts when the import finishes.`,
       data: {
         campaignId: campaign._id,
         campaignName: campaign.name,
-        totalContacts: validContacts.length,
-        invalidNumbers: invalidNumbers.length,
-        callInterval: callInterval / 1000, // Return in seconds
-        invalidNumbersList: invalidNumbers // Include details about invalid numbers
+        jobId: job._id,
+        totalRows: scan.totalRows,
+        callInterval: callInterval / 1000 // Return in seconds
       }
     });
 
@@ -1144,7 +915,7 @@ server.post('/api/test-crm-webhook', async (request, reply) => {
 });
 
 // Fallback TwiML endpoint
-server.all('/fallback-twiml', async (request, reply) => {
+server.all('/fallback-twiml', { preHandler: validateTwilioRequest }, async (request, reply) => {
   const { CallSid, ErrorCode } = request.body;
   console.log(`[Fallback] Received fallback for call ${CallSid}, error code: ${ErrorCode}`);
   const twimlResponse = `<?xml version="1.0" encoding="UTF-8"?><Response><Say>We're sorry, but there was a problem connecting your call. Please try again later.</Say><Hangup/></Response>`;
@@ -1162,7 +933,7 @@ server.all('/fallback-twiml', async (request, reply) => {
 });
 
 // Recording status callback
-server.post('/recording-status-callback', async (request, reply) => {
+server.post('/recording-status-callback', { preHandler: validateTwilioRequest }, async (request, reply) => {
   try {
     console.log('[Recording] Received recording status callback. Event:', request.body.RecordingStatus);
     const result = recordingHandler.processRecordingCallback(request.body);
@@ -1179,6 +950,10 @@ server.post('/recording-status-callback', async (request, reply) => {
           status: RecordingStatus || 'completed'
         });
         console.log(`[MongoDB] Saved recording ${RecordingSid} for call ${CallSid}`);
+        if (RecordingStatus === 'completed') {
+          queueSheetWriteBack(CallSid); // Add the recording link to the contact's sheet row
+          queueRecordingArchive(RecordingSid); // Copy it into recording storage before Twilio purges it
+        }
       }
     } catch (error) { console.error(`[MongoDB] Error storing recording data:`, error); }
     return reply.code(200).send({ success: true, message: 'Recording status update received', ...result });
@@ -1189,7 +964,7 @@ server.post('/recording-status-callback', async (request, reply) => {
 });
 
 // AMD status callback
-server.post('/amd-status-callback', async (request, reply) => {
+server.post('/amd-status-callback', { preHandler: validateTwilioRequest }, async (request, reply) => {
   try {
     console.log('[AMD] Received answering machine detection callback');
     const { CallSid, AnsweredBy, CallStatus, MachineBehavior, Timestamp, TranscribedText, ...rest } = request.body;
@@ -1213,8 +988,20 @@ server.post('/amd-status-callback', async (request, reply) => {
     const effectiveDetection = enhancedResult.enhancedDetection;
     const processData = { ...amdData, AnsweredBy: effectiveDetection };
     
+    // Campaigns with a voicemail strategy leave a voicemail once the greeting has ended instead of hanging up
+    let leavingVoicemail = false;
+    const voicemailDrop = await getVoicemailDrop(CallSid, effectiveDetection);
+    if (voicemailDrop) {
+      try {
+        await leaveVoicemail(CallSid, voicemailDrop, { answeredBy: effectiveDetection, baseUrl: getBaseUrl(request) });
+        leavingVoicemail = true;
+      } catch (error) {
+        console.error(`[AMD] Could not leave voicemail on call ${CallSid}, hanging up:`, error);
+      }
+    }
+    
     // Process machine detection (includes ElevenLabs termination)
-    enhancedCallHandler.processMachineDetection(processData);
+    enhancedCallHandler.processMachineDetection(processData, { leavingVoicemail });
     
     // Emit Socket.IO update with both original and enhanced detection
     emitCallUpdate(CallSid, 'machine_detection', { 
@@ -1253,7 +1040,7 @@ server.post('/amd-status-callback', async (request, reply) => {
 });
 
 // Enhanced call status callback
-server.post('/call-status-callback', async (request, reply) => {
+server.post('/call-status-callback', { preHandler: validateTwilioRequest }, async (request, reply) => {
   try {
     const { CallSid, CallStatus, RecordingUrl, RecordingSid } = request.body;
     console.log(`[Twilio Callback] Call ${CallSid} status: ${CallStatus}`);
@@ -1342,8 +1129,8 @@ server.post('/call-status-callback', async (request, reply) => {
             updateData.terminationSource = terminationInfo.source;
           }
           
-          // Override with actual Twilio data if we have it
-          if (whoHungUp) {
+          // Override with actual Twilio data if we have it (a transferred call was ended by the human or prospect, not the agent)
+          if (whoHungUp && terminationInfo?.terminatedBy !== 'transfer') {
             updateData.terminatedBy = whoHungUp;
             updateData.terminationSource = 'twilio_call_details';
           }
@@ -1400,7 +1187,7 @@ server.post('/call-status-callback', async (request, reply) => {
 });
 
 // Quality insights callback
-server.post('/quality-insights-callback', async (request, reply) => {
+server.post('/quality-insights-callback', { preHandler: validateTwilioRequest }, async (request, reply) => {
   try {
     console.log('[Quality] Received call quality metrics callback');
     const result = callQualityMetrics.processQualityData(request.body);
@@ -1467,15 +1254,27 @@ server.post('/api/email/send', async (request, reply) => {
 });
 
 // AMD statistics endpoint
+// stats covers AMD results between startDate and endDate (default: the last 24 hours); versions holds
+// the accuracy of each AMD config version, measured against call transcripts (see db/amd-feedback.js)
 server.get('/api/amd-stats', async (request, reply) => {
   try {
     server.log.info('[AMD Stats] Retrieving AMD performance statistics');
     
-    const stats = getAMDStats();
+    const window = resolveMetricWindow(request.query);
+    if (!window) {
+      return reply.code(400).send({
+        success: false,
+        error: 'startDate and endDate must be valid dates, with startDate before endDate'
+      });
+    }
+    
+    const stats = await getAMDStats(window);
+    const versions = await getAmdConfigRepository().getAmdAccuracyByVersion();
     
     return reply.send({
       success: true,
       stats: stats,
+      versions: versions,
       message: 'AMD statistics retrieved successfully'
     });
   } catch (error) {
@@ -1655,6 +1454,7 @@ wss.on('connection', (ws, request) => {
   let customParameters = {}; // Will be populated from 'start' message
   let conversationId = null;
   let initialConfigSent = false;
+  let conversationVariables = {}; // Contact/campaign dynamic variables, resolved before connecting
   const INACTIVITY_TIMEOUT_MS = 300000; // 300 seconds (5 minutes)
   let inactivityTimeout = null; // Stores the timeout ID
 
@@ -1716,8 +1516,16 @@ wss.on('connection', (ws, request) => {
 
   const setupElevenLabs = async () => {
     try {
-      const { signed_url } = await getSignedUrl();
-      server.log.info('[WS Manual] Creating ElevenLabs WebSocket connection');
+      const { signed_url } = await getSignedUrl(customParameters?.agentId || undefined);
+      conversationVariables = {
+        ...(await resolveConversationVariables({
+          contactId: customParameters?.contactId,
+          campaignId: customParameters?.campaignId
+        })),
+        // Extra context set when the call was answered (e.g. inbound callbacks)
+        ...(activeCalls.get(callSid)?.dynamicVariables || {})
+      };
+      server.log.info(`[WS Manual] Creating ElevenLabs WebSocket connection (agent: ${customParameters?.agentId || 'default'})`);
       elevenLabsWs = new WebSocket(signed_url);
 
       elevenLabsWs.on("open", () => {
@@ -1760,12 +1568,11 @@ wss.on('connection', (ws, request) => {
           // Handle first_message override FROM THE FORM ONLY
           if (customParameters?.first_message && customParameters.first_message.trim() !== "") {
               // If a first message is provided in the form, use it.
-              // Replace {name} in THIS form-provided message if applicable.
-              let formFirstMessage = customParameters.first_message;
-              if (customParameters?.name && formFirstMessage.includes('{name}')) {
-                  formFirstMessage = formFirstMessage.replace(/{name}/g, customParameters.name);
-              }
-              agentOverrideConfig.first_message = formFirstMessage;
+              // Fill {{variable}} (and legacy {name}) placeholders from the contact and campaign.
+              agentOverrideConfig.first_message = renderTemplate(customParameters.first_message, {
+                  name: customParameters?.name,
+                  ...conversationVariables
+              });
           }
           // If customParameters.first_message (from form) is EMPTY,
           // agentOverrideConfig will NOT have a first_message property.
@@ -1774,7 +1581,7 @@ wss.on('connection', (ws, request) => {
 
           // Handle system_prompt override from the form
           if (customParameters?.prompt && customParameters.prompt.trim() !== "") {
-              agentOverrideConfig.system_prompt = customParameters.prompt;
+              agentOverrideConfig.system_prompt = renderTemplate(customParameters.prompt, conversationVariables);
           }
 
           const initialConfig = {
@@ -1786,7 +1593,8 @@ wss.on('connection', (ws, request) => {
                   name: customParameters?.name || "Unknown", // This is what EL should use for its {{name}} template
                   call_sid: callSid || "Unknown",
                   campaign_id: customParameters?.campaignId || null,
-                  contact_id: customParameters?.contactId || null
+                  contact_id: customParameters?.contactId || null,
+                  ...conversationVariables
               }
           };
           server.log.debug('[WS Manual] Sending initial config to ElevenLabs');
@@ -2076,6 +1884,30 @@ const start = async () => {
       // Continue running - campaigns won't work but other features will
     }
     
+    // Resume CSV imports left unfinished by a restart
+    try {
+      await initializeImportJobs();
+      console.log('[Server] Import jobs initialized successfully');
+    } catch (importErr) {
+      console.error('[Server] Import job initialization failed:', importErr);
+    }
+    
+    // Check AMD results against call transcripts for per-version accuracy
+    initializeAmdFeedback();
+    
+    // Dial the callbacks prospects asked for once they are due
+    initializeCallbackScheduler();
+    
+    // Archive completed recordings to recording storage
+    try {
+      initializeRecordingArchiver();
+    } catch (archiverErr) {
+      console.error('[Server] Recording archiver initialization failed:', archiverErr);
+    }
+    
+    // Purge recordings and transcripts past their retention policy
+    initializeRetentionJob();
+    
     // Removed custom WebSocket server initialization - moved to media-proxy-server.js
 
     console.log('[Server] Enhanced features activated.'); 
@@ -2090,9 +1922,49 @@ const start = async () => {
 };
 
 // Handle graceful shutdown
-function cleanup() {
+async function cleanup() {
   console.log('\n[Server] Shutting down...');
   enhancedCallHandler.stopCallMonitoringHeartbeat();
+  
+  // Hand campaigns over to other instances straight away instead of waiting for their leases to expire
+  try {
+    await shutdownCampaignEngine();
+  } catch (error) {
+    console.error('[Server] Error stopping campaign engine:', error);
+  }
+  
+  // Put running CSV imports back in the queue for the next instance
+  try {
+    await shutdownImportJobs();
+  } catch (error) {
+    console.error('[Server] Error stopping import jobs:', error);
+  }
+  
+  shutdownAmdFeedback();
+  shutdownCallbackScheduler();
+  shutdownRetentionJob();
+  
+  // Finish archiving the recordings already queued
+  try {
+    await shutdownRecordingArchiver();
+  } catch (error) {
+    console.error('[Server] Error stopping recording archiver:', error);
+  }
+  
+  // Write buffered AMD, latency and termination metrics before exiting
+  try {
+    await flushMetrics();
+  } catch (error) {
+    console.error('[Server] Error flushing metrics:', error);
+  }
+  
+  // Write any queued call results to Google Sheets before exiting
+  try {
+    await flushSheetWriteBacks();
+  } catch (error) {
+    console.error('[Server] Error flushing sheet write-backs:', error);
+  }
+  
   if (mongodbIntegration) {
     try {
       mongodbIntegration.closeConnection();
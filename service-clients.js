@@ -0,0 +1,62 @@
+/**
+ * External service clients
+ * Where the server reaches Twilio and ElevenLabs. Both can be pointed somewhere else, e.g. at the
+ * simulator in tests/simulator: ElevenLabs with ELEVENLABS_API_BASE_URL, Twilio by installing a
+ * client factory before the server creates its clients.
+ */
+import Twilio from 'twilio';
+
+const DEFAULT_ELEVENLABS_API_BASE_URL = 'https://api.elevenlabs.io';
+
+// Region the server's Twilio clients use unless told otherwise (lower latency from Australia)
+const DEFAULT_TWILIO_REGION = 'au1';
+
+// Set by setTwilioClientFactory; null creates real Twilio clients
+let twilioClientFactory = null;
+
+/**
+ * Build an ElevenLabs API URL
+ * Read on every call, so ELEVENLABS_API_BASE_URL can be set after this module is loaded.
+ * @param {string} path - Path including the API version, e.g. /v1/convai/conversations/abc
+ * @returns {string} Full URL
+ */
+export function getElevenLabsApiUrl(path) {
+  const baseUrl = (process.env.ELEVENLABS_API_BASE_URL || DEFAULT_ELEVENLABS_API_BASE_URL).replace(/\/+$/, '');
+  return `${baseUrl}${path}`;
+}
+
+/**
+ * Replace how Twilio clients are created
+ * Must be called before the server starts, as it creates its clients on startup.
+ * @param {Function|null} factory - (accountSid, authToken, options) => client, or null for real Twilio clients
+ */
+export function setTwilioClientFactory(factory) {
+  if (factory !== null && typeof factory !== 'function') {
+    throw new Error('Twilio client factory must be a function or null');
+  }
+
+  twilioClientFactory = factory;
+}
+
+/**
+ * Create a Twilio REST client
+ * @param {Object} options - Twilio client options (region defaults to au1)
+ * @returns {Object} Twilio client
+ */
+export function createTwilioClient(options = {}) {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const clientOptions = { region: DEFAULT_TWILIO_REGION, ...options };
+
+  if (twilioClientFactory) {
+    return twilioClientFactory(accountSid, authToken, clientOptions);
+  }
+
+  return new Twilio(accountSid, authToken, clientOptions);
+}
+
+export default {
+  getElevenLabsApiUrl,
+  setTwilioClientFactory,
+  createTwilioClient
+};
@@ -114,6 +114,12 @@ export function initializeSocketServer(server, activeCallsMap) {
       }
     });
 
+    // Handle client subscription to a contact import job's progress
+    socket.on('subscribe_to_import_job', (jobId) => {
+      console.log(`[Socket.IO] Client ${socket.id} subscribed to import job ${jobId}`);
+      socket.join(`import-job-${jobId}`);
+    });
+
     // Enhanced reconnection event handlers
     socket.on('reconnect', (attempt) => {
       console.log(`[Socket.IO] Client ${socket.id} reconnected after ${attempt} attempts`);
@@ -558,6 +564,21 @@ export function updateCampaignProgress(campaignId, progress, stats = {}) {
   console.log(`[Socket.IO] Updated campaign ${campaignId} progress to ${progress}%`);
 }
 
+/**
+ * Emit contact import job progress to subscribed clients
+ * @param {string} jobId - Import job ID
+ * @param {Object} data - Job status and progress
+ */
+export function emitImportJobUpdate(jobId, data) {
+  if (!io || !jobId) return;
+
+  io.to(`import-job-${jobId}`).emit('import_job_update', {
+    jobId,
+    ...data,
+    timestamp: new Date().toISOString()
+  });
+}
+
 export default {
   initializeSocketServer,
   setActiveCallsReference,
@@ -572,5 +593,6 @@ export default {
   emitCampaignUpdate,
   emitActiveCampaignsList,
   updateCampaignStatus,
-  updateCampaignProgress
+  updateCampaignProgress,
+  emitImportJobUpdate
 };
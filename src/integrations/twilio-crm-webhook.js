@@ -4,10 +4,11 @@
  * This module handles sending call data to the CRM after Twilio call completion.
  * Attempts to fetch AI summaries from ElevenLabs API, with fallback to simple summaries.
  */
-// Removed node-fetch import - using native fetch
+// Removed node-fetch import - using native fetch
 import { getCallBySid } from '../../db/repositories/call.repository.js';
 import { getCampaignById } from '../../db/repositories/campaign.repository.js';
 import { logEvent } from '../../db/repositories/callEvent.repository.js';
+import { getElevenLabsApiUrl } from '../../service-clients.js';
 
 /**
  * Fetch conversation details from ElevenLabs API
@@ -28,7 +29,7 @@ async function fetchElevenLabsConversation(conversationId, retryCount = 3, retry
       console.log(`[Twilio CRM] Fetching ElevenLabs conversation (attempt ${attempt}/${retryCount})`);
       
       const response = await fetch(
-        `https://api.elevenlabs.io/v1/convai/conversations/${conversationId}`,
+        getElevenLabsApiUrl(`/v1/convai/conversations/${conversationId}`),
         {
           method: 'GET',
           headers: { 'xi-api-key': apiKey }
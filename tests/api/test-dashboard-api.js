@@ -10,7 +10,11 @@ async function testDashboardAPI() {
   
   try {
     console.log(`[Test] Fetching from: ${apiUrl}`);
-    const response = await fetch(apiUrl);
+    const response = await fetch(apiUrl, {
+      headers: {
+        'Authorization': `Bearer ${process.env.API_KEY}`
+      }
+    });
     
     console.log(`[Test] Response status: ${response.status} ${response.statusText}`);
     
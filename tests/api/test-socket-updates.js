@@ -13,6 +13,7 @@ async function testSocketUpdates() {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        'Authorization': `Bearer ${process.env.API_KEY}`,
       },
       body: JSON.stringify({
         number: '+61488776655', // Test number
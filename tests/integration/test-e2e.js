@@ -2,6 +2,7 @@
  * End-to-End Testing Script for ElevenLabs Outbound Calling
  * Tests all major functionality and cleans up afterwards
  */
+import 'dotenv/config';
 
 const API_BASE_URL = process.env.API_BASE_URL || 'https://twilio-elevenlabs-app.onrender.com';
 
@@ -40,6 +41,7 @@ async function makeRequest(endpoint, options = {}) {
       ...options,
       headers: {
         'Content-Type': 'application/json',
+        'Authorization': `Bearer ${process.env.API_KEY}`,
         ...options.headers
       }
     });
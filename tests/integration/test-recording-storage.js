@@ -0,0 +1,139 @@
+/**
+ * Recording Storage Test
+ * Exercises the recording storage drivers: the local driver always, and the S3 driver when
+ * RECORDING_S3_ENDPOINT and RECORDING_S3_BUCKET point at an S3-compatible server, e.g. a local MinIO
+ * (see Recording Storage in the README).
+ *
+ * Run with: npm run test-recording-storage
+ */
+import os from 'os';
+import path from 'path';
+import fsp from 'fs/promises';
+import { randomBytes } from 'crypto';
+import {
+  createLocalStorage,
+  createS3Storage,
+  buildRecordingKey
+} from '../../db/utils/recording-storage.js';
+
+const results = { passed: 0, failed: 0 };
+
+/**
+ * Record a check
+ * @param {string} name - What is checked
+ * @param {boolean} ok - Whether it passed
+ * @param {*} details - Logged when the check fails
+ */
+function check(name, ok, details = undefined) {
+  if (ok) {
+    results.passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    results.failed++;
+    console.log(`❌ ${name}`, details === undefined ? '' : details);
+  }
+}
+
+/**
+ * Read a stream into a buffer
+ * @param {Object} stream - Readable stream
+ * @returns {Promise<Buffer>} Contents
+ */
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Run the driver checks against one storage
+ * @param {Object} storage - Storage driver
+ * @returns {Promise<void>}
+ */
+async function testDriver(storage) {
+  console.log(`\n🗄️  ${storage.name} driver`);
+
+  const recording = { callSid: `CA${randomBytes(16).toString('hex')}`, recordingSid: `RE${randomBytes(16).toString('hex')}` };
+  const key = buildRecordingKey(recording);
+  const audio = randomBytes(64 * 1024);
+
+  const stored = await storage.put(key, audio, { contentType: 'audio/mpeg' });
+  check(`${storage.name}: put reports the size`, stored.size === audio.length, stored);
+
+  const info = await storage.head(key);
+  check(`${storage.name}: head finds the object`, info?.size === audio.length, info);
+
+  const whole = await storage.get(key);
+  const wholeBody = await readAll(whole.body);
+  check(`${storage.name}: get returns the whole object`, wholeBody.equals(audio) && whole.contentLength === audio.length);
+  check(`${storage.name}: content type kept`, whole.contentType === 'audio/mpeg', whole.contentType);
+
+  const ranged = await storage.get(key, { start: 1000, end: 1999 });
+  const rangedBody = await readAll(ranged.body);
+  check(`${storage.name}: get returns a byte range`, rangedBody.equals(audio.subarray(1000, 2000)), rangedBody.length);
+  check(`${storage.name}: ranged get reports the range and total size`, ranged.contentLength === 1000 && ranged.size === audio.length, ranged);
+
+  const tail = await storage.get(key, { start: audio.length - 10, end: audio.length - 1 });
+  check(`${storage.name}: get returns the last bytes`, (await readAll(tail.body)).equals(audio.subarray(audio.length - 10)));
+
+  await storage.remove(key);
+  check(`${storage.name}: removed objects are gone`, (await storage.head(key)) === null && (await storage.get(key)) === null);
+
+  await storage.remove(key);
+  check(`${storage.name}: removing a missing object is not an error`, true);
+}
+
+/**
+ * Run the test
+ * @returns {Promise<void>}
+ */
+async function runTest() {
+  console.log('🚀 Starting recording storage test');
+
+  const rootDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'recording-storage-'));
+  try {
+    const local = createLocalStorage({ rootDir });
+    await testDriver(local);
+
+    let escaped = false;
+    try {
+      await local.put('../outside.mp3', Buffer.from('x'));
+      escaped = true;
+    } catch (error) {
+      escaped = false;
+    }
+    check('local: keys cannot point outside the storage directory', !escaped);
+  } catch (error) {
+    check('Local driver ran', false, error.message);
+  } finally {
+    await fsp.rm(rootDir, { recursive: true, force: true });
+  }
+
+  if (process.env.RECORDING_S3_ENDPOINT && process.env.RECORDING_S3_BUCKET) {
+    try {
+      await testDriver(createS3Storage({
+        bucket: process.env.RECORDING_S3_BUCKET,
+        region: process.env.RECORDING_S3_REGION,
+        endpoint: process.env.RECORDING_S3_ENDPOINT,
+        accessKeyId: process.env.RECORDING_S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.RECORDING_S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.RECORDING_S3_FORCE_PATH_STYLE === 'true',
+        prefix: 'test/'
+      }));
+    } catch (error) {
+      check('S3 driver ran', false, error.message);
+    }
+  } else {
+    console.log('\n⏭️  Skipping the S3 driver (set RECORDING_S3_ENDPOINT and RECORDING_S3_BUCKET to test it)');
+  }
+
+  console.log(`\n📊 ${results.passed} passed, ${results.failed} failed`);
+  process.exit(results.failed === 0 ? 0 : 1);
+}
+
+runTest().catch(error => {
+  console.error('❌ Recording storage test failed:', error);
+  process.exit(1);
+});
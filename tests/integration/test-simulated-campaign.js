@@ -0,0 +1,314 @@
+/**
+ * Simulated Campaign Test
+ * Runs a whole campaign end to end without live services: MongoDB comes from mongodb-memory-server,
+ * Twilio and ElevenLabs from the simulator in tests/simulator. Each contact's number has a scenario,
+ * so the outcomes are deterministic and the test can run in CI.
+ *
+ * mongodb-memory-server runs MONGOMS_SYSTEM_BINARY (an installed mongod) if set, otherwise the mongod
+ * it downloaded before (cached under node_modules/.cache/mongodb-memory-server), downloading it once.
+ * Without either (e.g. where downloads are blocked and no mongod is installed) the test fails;
+ * set SKIP_SIMULATED_CAMPAIGN=1 to skip it on purpose.
+ *
+ * Run with: npm run test-simulated-campaign (or npm test, after the unit tests)
+ */
+import net from 'net';
+import { startSimulator } from '../simulator/index.js';
+import { setTwilioClientFactory } from '../../service-clients.js';
+
+const API_KEY = 'simulated-api-key';
+const CAMPAIGN_TIMEOUT = 120000;
+
+// Contacts and how their calls play out
+const PROSPECT = '+61412000001';
+const BUSY = '+61412000002';
+const NO_ANSWER = '+61412000003';
+const VOICEMAIL = '+61412000004';
+
+const results = { passed: 0, failed: 0 };
+
+/**
+ * Record a check
+ * @param {string} name - What is checked
+ * @param {boolean} ok - Whether it passed
+ * @param {*} details - Logged when the check fails
+ */
+function check(name, ok, details = undefined) {
+  if (ok) {
+    results.passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    results.failed++;
+    console.log(`❌ ${name}`, details === undefined ? '' : details);
+  }
+}
+
+/**
+ * Wait
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Find a free local port
+ * @returns {Promise<number>} Port
+ */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Call the server's API
+ * @param {string} serverUrl - Server URL
+ * @param {string} path - API path
+ * @param {Object} options - method and body
+ * @returns {Promise<Object>} Response data
+ * @throws {Error} If the request fails
+ */
+async function api(serverUrl, path, { method = 'GET', body } = {}) {
+  const response = await fetch(`${serverUrl}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${API_KEY}`,
+      ...(body ? { 'Content-Type': 'application/json' } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || data.success === false) {
+    throw new Error(`${method} ${path} failed with HTTP ${response.status}: ${data.error || JSON.stringify(data)}`);
+  }
+
+  return data.data;
+}
+
+/**
+ * Wait until the condition holds
+ * @param {Function} condition - Async function returning a truthy value when done
+ * @param {number} timeout - Milliseconds to wait
+ * @param {string} description - Used in the timeout error
+ * @returns {Promise<*>} The condition's value
+ * @throws {Error} If the timeout passes first
+ */
+async function waitFor(condition, timeout, description) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const value = await condition().catch(() => null);
+    if (value) {
+      return value;
+    }
+    await delay(500);
+  }
+
+  throw new Error(`Timed out waiting for ${description}`);
+}
+
+/**
+ * Run the test
+ * @returns {Promise<void>}
+ */
+async function runTest() {
+  if (process.env.SKIP_SIMULATED_CAMPAIGN === '1') {
+    console.warn('⏭️  Skipping the simulated campaign test (SKIP_SIMULATED_CAMPAIGN=1)');
+    process.exit(0);
+  }
+
+  let MongoMemoryServer;
+  try {
+    ({ MongoMemoryServer } = await import('mongodb-memory-server'));
+  } catch (error) {
+    console.error('❌ mongodb-memory-server is not installed, run npm install first');
+    process.exit(1);
+  }
+
+  console.log('🚀 Starting simulated campaign test');
+
+  let mongod;
+  try {
+    mongod = await MongoMemoryServer.create();
+  } catch (error) {
+    console.error(`❌ Could not start MongoDB: ${error.message}`);
+    console.error('   Set MONGOMS_SYSTEM_BINARY to an installed mongod, let mongodb-memory-server download one once,');
+    console.error('   or set SKIP_SIMULATED_CAMPAIGN=1 to skip this test');
+    process.exit(1);
+  }
+  const port = await getFreePort();
+  const serverUrl = `http://127.0.0.1:${port}`;
+
+  Object.assign(process.env, {
+    MONGODB_URI: mongod.getUri('simulated-campaign'),
+    PORT: String(port),
+    SERVER_URL: serverUrl,
+    RENDER_EXTERNAL_URL: '',
+    TWILIO_ACCOUNT_SID: 'AC00000000000000000000000000000000',
+    TWILIO_AUTH_TOKEN: 'simulated-auth-token',
+    TWILIO_PHONE_NUMBER: '+61400000000',
+    TWILIO_SIGNATURE_VALIDATION: 'enforce',
+    ELEVENLABS_API_KEY: 'simulated-elevenlabs-key',
+    ELEVENLABS_AGENT_ID: 'simulated-agent',
+    ELEVENLABS_WEBHOOK_SECRET: 'simulated-webhook-secret',
+    API_KEY
+  });
+
+  // The prospect asks for a call back tomorrow, which the agent's data collection captures
+  const callbackTime = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+  const simulator = await startSimulator({
+    serverUrl,
+    accountSid: process.env.TWILIO_ACCOUNT_SID,
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    webhookSecret: process.env.ELEVENLABS_WEBHOOK_SECRET,
+    scenarios: {
+      [PROSPECT]: {
+        outcome: 'answered',
+        answeredBy: 'human',
+        dialogue: {
+          turns: [
+            { agent: 'Hi, this is Sam from the simulated team. Is now a good time?' },
+            { user: 'Not really, can you call me back tomorrow?' },
+            { tool: 'tag_contact', parameters: { tags: 'simulated, callback-requested' } },
+            { agent: 'Of course, I will call you back tomorrow. Goodbye!' }
+          ],
+          dataCollection: {
+            callback_time: callbackTime,
+            callback_reason: 'Busy right now'
+          }
+        }
+      },
+      [BUSY]: { outcome: 'busy' },
+      [NO_ANSWER]: { outcome: 'no-answer' },
+      [VOICEMAIL]: { outcome: 'answered', answeredBy: 'machine_end_beep' }
+    }
+  });
+
+  setTwilioClientFactory(simulator.twilioClientFactory);
+  process.env.ELEVENLABS_API_BASE_URL = simulator.elevenLabsUrl;
+
+  try {
+    await import('../../server-mongodb.js');
+    await waitFor(async () => {
+      const response = await fetch(`${serverUrl}/healthz`);
+      return response.ok;
+    }, 30000, 'the server to start');
+    console.log(`✅ Server started on ${serverUrl}`);
+
+    // Set up the campaign through the API, as the dashboard does
+    const campaign = await api(serverUrl, '/api/db/campaigns', {
+      method: 'POST',
+      body: {
+        name: 'Simulated Campaign',
+        callerId: process.env.TWILIO_PHONE_NUMBER,
+        settings: { callDelay: 1000, maxConcurrentCalls: 2, retryCount: 0 }
+      }
+    });
+    const campaignId = campaign._id || campaign.id;
+
+    const contactIds = {};
+    for (const [name, phoneNumber] of Object.entries({ PROSPECT, BUSY, NO_ANSWER, VOICEMAIL })) {
+      const contact = await api(serverUrl, '/api/db/contacts', {
+        method: 'POST',
+        body: { name: `Simulated ${name}`, phoneNumber }
+      });
+      contactIds[phoneNumber] = contact.id || contact._id;
+    }
+
+    await api(serverUrl, `/api/db/campaigns/${campaignId}/contacts`, {
+      method: 'POST',
+      body: { contactIds: Object.values(contactIds) }
+    });
+    await api(serverUrl, `/api/db/campaigns/${campaignId}/start`, { method: 'POST' });
+    console.log(`✅ Started campaign ${campaignId} with ${Object.keys(contactIds).length} contacts`);
+
+    const { default: Call } = await import('../../db/models/call.model.js');
+    const { default: Contact } = await import('../../db/models/contact.model.js');
+    const { default: Transcript } = await import('../../db/models/transcript.model.js');
+    const { default: Callback } = await import('../../db/models/callback.model.js');
+
+    // The campaign stays open while the prospect's callback is scheduled, so wait for the contacts instead
+    await waitFor(async () => {
+      const open = await Contact.countDocuments({ _id: { $in: Object.values(contactIds) }, status: { $in: ['pending', 'calling'] } });
+      return open === 0;
+    }, CAMPAIGN_TIMEOUT, 'every contact to be called');
+    check('Every contact called', true);
+
+    // Post-call webhooks may still be in flight when the last call ends
+    await simulator.waitForCalls();
+
+    const calls = await Call.find({ campaignId }).lean();
+    const callTo = phoneNumber => calls.find(call => call.to === phoneNumber);
+    const contactFor = phoneNumber => Contact.findById(contactIds[phoneNumber]).lean();
+
+    check('One call per contact', calls.length === 4, calls.map(call => `${call.to}: ${call.status}`));
+
+    // Answered by the prospect: conversation, tool call and collected callback
+    const prospectCall = callTo(PROSPECT);
+    check('Prospect call completed', prospectCall?.status === 'completed', prospectCall?.status);
+    check('Prospect call linked to its conversation', Boolean(prospectCall?.conversationId));
+
+    const transcript = prospectCall ? await Transcript.findOne({ callSid: prospectCall.callSid }).lean() : null;
+    check(
+      'Transcript saved with the prospect\'s turns',
+      Boolean(transcript?.transcript?.some(item => item.role === 'user' && /call me back/.test(item.message))),
+      transcript?.transcript
+    );
+
+    const prospect = await contactFor(PROSPECT);
+    check('Prospect contact completed', prospect?.status === 'completed' && prospect?.lastCallResult === 'completed', prospect?.status);
+    check('Prospect tagged by the agent\'s tool call', ['simulated', 'callback-requested'].every(tag => prospect?.tags?.includes(tag)), prospect?.tags);
+
+    const callback = await Callback.findOne({ contactId: contactIds[PROSPECT] }).lean();
+    check('Callback scheduled from data collection', callback?.source === 'data_collection' && callback?.status === 'scheduled', callback);
+    check(
+      'Callback scheduled for the requested time',
+      callback && Math.abs(new Date(callback.scheduledFor).getTime() - new Date(callbackTime).getTime()) < 60000,
+      callback?.scheduledFor
+    );
+
+    // Not answered: the contacts fail as the campaign has no retries
+    for (const [phoneNumber, outcome] of [[BUSY, 'busy'], [NO_ANSWER, 'no-answer']]) {
+      const call = callTo(phoneNumber);
+      const contact = await contactFor(phoneNumber);
+      check(`${outcome} call recorded`, call?.status === outcome, call?.status);
+      check(`${outcome} contact failed`, contact?.status === 'failed' && contact?.lastCallResult === outcome, contact?.lastCallResult);
+    }
+
+    // Answered by a machine: AMD result recorded, and the campaign counts it as voicemail
+    const voicemailCall = callTo(VOICEMAIL);
+    const voicemailContact = await contactFor(VOICEMAIL);
+    check('Voicemail call answered by a machine', voicemailCall?.answeredBy === 'machine_end_beep', voicemailCall?.answeredBy);
+    check('Voicemail contact result', voicemailContact?.lastCallResult === 'voicemail', voicemailContact?.lastCallResult);
+
+    // Stopping the campaign cancels the callback it was kept open for
+    await api(serverUrl, `/api/db/campaigns/${campaignId}/stop`, { method: 'POST' });
+    const stopped = await api(serverUrl, `/api/db/campaigns/${campaignId}`);
+    check('Campaign stopped', stopped.status === 'completed', stopped.status);
+    const canceledCallback = callback ? await Callback.findById(callback._id).lean() : null;
+    check('Stopping the campaign canceled its callback', canceledCallback?.status === 'canceled', canceledCallback?.status);
+  } catch (error) {
+    check('Simulated campaign ran', false, error.message);
+  } finally {
+    await simulator.close().catch(() => {});
+    await mongod.stop().catch(() => {});
+  }
+
+  console.log(`\n📊 ${results.passed} passed, ${results.failed} failed`);
+
+  // The server keeps listening and its schedulers keep running, so exit explicitly
+  process.exit(results.failed === 0 ? 0 : 1);
+}
+
+runTest().catch(error => {
+  console.error('❌ Simulated campaign test failed:', error);
+  process.exit(1);
+});
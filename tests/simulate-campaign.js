@@ -6,6 +6,9 @@ import 'dotenv/config';
 import { initializeMongoDB } from './db/index.js';
 import { startCampaign, pauseCampaign, resumeCampaign, stopCampaign, getActiveCampaigns } from './db/campaign-engine.js';
 
+// The API needs a key on every route except the Twilio and ElevenLabs callbacks
+const authHeaders = { 'Authorization': `Bearer ${process.env.API_KEY}` };
+
 // Campaign ID to simulate
 let campaignId = null;
 
@@ -20,7 +23,8 @@ async function createTestCampaign() {
     const { campaign } = await fetch(`${process.env.SERVER_URL || 'http://localhost:8000'}/api/db/campaigns`, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...authHeaders
       },
       body: JSON.stringify({
         name: `Test Campaign ${Date.now()}`,
@@ -68,7 +72,8 @@ async function createTestContacts(campaignId, count = 5) {
       const response = await fetch(`${process.env.SERVER_URL || 'http://localhost:8000'}/api/db/contacts`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...authHeaders
         },
         body: JSON.stringify({
           phoneNumber: `+1${Math.floor(1000000000 + Math.random() * 9000000000)}`,
@@ -112,7 +117,8 @@ async function addContactsToCampaign(campaignId, contactIds) {
     const response = await fetch(`${process.env.SERVER_URL || 'http://localhost:8000'}/api/db/campaigns/${campaignId}/contacts`, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...authHeaders
       },
       body: JSON.stringify({ contactIds })
     }).then(res => res.json());
@@ -186,7 +192,8 @@ async function cleanupTestData(campaignId) {
     
     // Delete campaign
     const response = await fetch(`${process.env.SERVER_URL || 'http://localhost:8000'}/api/db/campaigns/${campaignId}`, {
-      method: 'DELETE'
+      method: 'DELETE',
+      headers: authHeaders
     }).then(res => res.json());
     
     if (response.success) {
@@ -0,0 +1,415 @@
+/**
+ * Fake ElevenLabs API
+ * Serves the ElevenLabs endpoints the server calls (signed URLs, dynamic variables, conversation
+ * details and agents) and the Conversational AI WebSocket, which replays a scripted dialogue.
+ * Point the server at it with ELEVENLABS_API_BASE_URL.
+ *
+ * A dialogue is an array of steps, or { turns, analysis, dataCollection } to also set what the
+ * post-call analysis reports:
+ *   { agent: 'Hi, is now a good time?' } - Agent speaks (audio plus an agent_response)
+ *   { user: 'Sure, go ahead' }           - Prospect speaks (a user_transcript)
+ *   { tool: 'tag_contact', parameters }  - Agent calls a client tool and waits for its result
+ *   { wait: 500 }                        - Pause
+ * Once the steps have played the agent ends the conversation, which makes the media proxy hang up.
+ */
+import crypto from 'crypto';
+import http from 'http';
+import { WebSocketServer, WebSocket } from 'ws';
+
+// Dialogue for calls without one
+export const DEFAULT_DIALOGUE = [
+  { agent: 'Hi, this is a simulated call. Is now a good time?' },
+  { user: 'Yes, go ahead.' },
+  { agent: 'Thanks, that is all for today. Goodbye!' }
+];
+
+// 20ms of μ-law silence, sent as the agent's audio
+const AGENT_AUDIO = Buffer.alloc(160, 0xff).toString('base64');
+
+// How long the agent waits for a client tool result
+const TOOL_RESULT_TIMEOUT = 10000;
+
+/**
+ * Wait
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Send a JSON response
+ * @param {Object} res - HTTP response
+ * @param {number} statusCode - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read a JSON request body
+ * @param {Object} req - HTTP request
+ * @returns {Promise<Object>} Parsed body ({} if empty or invalid)
+ */
+async function readJson(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Start the fake ElevenLabs API
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port to listen on (0 picks a free port)
+ * @param {Function} options.getDialogue - ({ agentId, conversationId, callSid, dynamicVariables }) => dialogue, or null for the default
+ * @param {Object} options.agents - Agent configs returned by GET /v1/convai/agents/:id, by agent ID
+ * @param {number} options.turnDelayMs - Pause between dialogue steps
+ * @param {string} options.webhookUrl - Where to post the post_call_transcription webhook (none if not set)
+ * @param {string} options.webhookSecret - Secret the webhook is signed with (the server's ELEVENLABS_WEBHOOK_SECRET)
+ * @returns {Promise<Object>} { url, conversations, close }
+ */
+export async function startFakeElevenLabs(options = {}) {
+  const {
+    port = 0,
+    getDialogue = () => null,
+    agents = {},
+    turnDelayMs = 100,
+    webhookUrl = null,
+    webhookSecret = null
+  } = options;
+
+  // Map of conversation ID -> conversation
+  const conversations = new Map();
+  const sockets = new Set();
+  let baseUrl = null;
+
+  /**
+   * Conversation details as GET /v1/convai/conversations/:id returns them
+   * @param {Object} conversation - Conversation
+   * @returns {Object} Conversation details
+   */
+  function toDetails(conversation) {
+    const { dialogue } = conversation;
+    const userSpoke = conversation.transcript.some(item => item.role === 'user' && item.message);
+    const dataCollection = Object.fromEntries(
+      Object.entries(dialogue?.dataCollection || {}).map(([id, value]) => [id, {
+        data_collection_id: id,
+        value,
+        rationale: 'Scripted by the simulator'
+      }])
+    );
+
+    return {
+      agent_id: conversation.agentId,
+      conversation_id: conversation.conversationId,
+      status: conversation.status,
+      transcript: conversation.transcript,
+      metadata: {
+        start_time_unix_secs: Math.floor(conversation.startedAt / 1000),
+        call_duration_secs: Math.round(((conversation.endedAt || Date.now()) - conversation.startedAt) / 1000),
+        phone_call: { call_sid: conversation.callSid }
+      },
+      analysis: conversation.status === 'done' ? {
+        call_successful: userSpoke ? 'success' : 'failure',
+        transcript_summary: `Simulated conversation with ${conversation.transcript.length} turns.`,
+        evaluation_criteria_results: {},
+        data_collection_results: dataCollection,
+        ...(dialogue?.analysis || {})
+      } : null,
+      conversation_initiation_client_data: {
+        dynamic_variables: conversation.dynamicVariables
+      }
+    };
+  }
+
+  /**
+   * Post the post-call webhook for a finished conversation
+   * @param {Object} conversation - Conversation
+   * @returns {Promise<void>}
+   */
+  async function postWebhook(conversation) {
+    if (!webhookUrl) {
+      return;
+    }
+
+    const body = JSON.stringify({
+      type: 'post_call_transcription',
+      event_timestamp: Math.floor(Date.now() / 1000),
+      data: toDetails(conversation)
+    });
+    const headers = { 'Content-Type': 'application/json' };
+    if (webhookSecret) {
+      const timestamp = Math.floor(Date.now() / 1000);
+      const hash = crypto.createHmac('sha256', webhookSecret).update(`${timestamp}.${body}`).digest('hex');
+      headers['elevenlabs-signature'] = `t=${timestamp},v0=${hash}`;
+    }
+
+    try {
+      const response = await fetch(webhookUrl, { method: 'POST', headers, body });
+      conversation.webhookStatus = response.status;
+      await response.text();
+    } catch (error) {
+      console.error(`[ElevenLabs Simulator] Could not post webhook for ${conversation.conversationId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark a conversation done and send its webhook
+   * @param {Object} conversation - Conversation
+   */
+  function finishConversation(conversation) {
+    if (conversation.status === 'done') {
+      return;
+    }
+    conversation.status = 'done';
+    conversation.endedAt = Date.now();
+    conversation.finished = postWebhook(conversation);
+  }
+
+  /**
+   * Add an item to a conversation's transcript
+   * @param {Object} conversation - Conversation
+   * @param {Object} item - Transcript item (role, message, tool_calls, tool_results)
+   */
+  function addTranscriptItem(conversation, item) {
+    conversation.transcript.push({
+      message: null,
+      time_in_call_secs: Math.floor((Date.now() - conversation.startedAt) / 1000),
+      ...item
+    });
+  }
+
+  /**
+   * Play a conversation's dialogue on its socket
+   * @param {Object} conversation - Conversation
+   * @param {Object} ws - Conversation socket
+   * @returns {Promise<void>}
+   */
+  async function playDialogue(conversation, ws) {
+    const send = (message) => {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(message));
+      }
+    };
+
+    let eventId = 0;
+    for (const step of conversation.dialogue.turns) {
+      await delay(turnDelayMs);
+      if (ws.readyState !== WebSocket.OPEN) {
+        return;
+      }
+
+      if (step.agent) {
+        eventId += 1;
+        send({ type: 'audio', audio_event: { audio_base_64: AGENT_AUDIO, event_id: eventId } });
+        send({ type: 'agent_response', agent_response_event: { agent_response: step.agent } });
+        addTranscriptItem(conversation, { role: 'agent', message: step.agent });
+      } else if (step.user) {
+        send({ type: 'user_transcript', user_transcript_event: { user_transcript: step.user } });
+        addTranscriptItem(conversation, { role: 'user', message: step.user });
+      } else if (step.tool) {
+        const toolCallId = `tool_${crypto.randomBytes(6).toString('hex')}`;
+        const parameters = step.parameters || {};
+        const result = new Promise(resolve => {
+          conversation.pendingTools.set(toolCallId, resolve);
+          setTimeout(() => resolve({ result: 'Timed out waiting for the tool result', is_error: true }), TOOL_RESULT_TIMEOUT);
+        });
+        send({ type: 'client_tool_call', client_tool_call: { tool_name: step.tool, tool_call_id: toolCallId, parameters } });
+
+        const { result: value, is_error: isError } = await result;
+        conversation.pendingTools.delete(toolCallId);
+        addTranscriptItem(conversation, {
+          role: 'agent',
+          tool_calls: [{ request_id: toolCallId, tool_name: step.tool, params_as_json: JSON.stringify(parameters) }],
+          tool_results: [{ request_id: toolCallId, tool_name: step.tool, result_value: String(value), is_error: Boolean(isError) }]
+        });
+      } else if (step.wait) {
+        await delay(step.wait);
+      }
+    }
+
+    // The agent ends the call (the media proxy hangs up on this event), then closes the conversation
+    await delay(turnDelayMs);
+    send({ type: 'conversation_completed' });
+    finishConversation(conversation);
+    ws.close(1000, 'Conversation ended');
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const path = url.pathname;
+
+    if (!req.headers['xi-api-key']) {
+      return sendJson(res, 401, { detail: { status: 'needs_authorization', message: 'Missing xi-api-key' } });
+    }
+
+    if (req.method === 'GET' && path === '/v1/convai/conversation/get_signed_url') {
+      const agentId = url.searchParams.get('agent_id');
+      const conversationId = `conv_${crypto.randomBytes(12).toString('hex')}`;
+      conversations.set(conversationId, {
+        conversationId,
+        agentId,
+        callSid: null,
+        status: 'initiated',
+        dynamicVariables: {},
+        transcript: [],
+        dialogue: null,
+        pendingTools: new Map(),
+        userAudioChunks: 0,
+        startedAt: Date.now(),
+        endedAt: null,
+        webhookStatus: null,
+        finished: null
+      });
+
+      const signedUrl = `${baseUrl.replace(/^http/, 'ws')}/v1/convai/conversation?agent_id=${encodeURIComponent(agentId || '')}&conversation_signature=${conversationId}`;
+      return sendJson(res, 200, { signed_url: signedUrl, conversation_id: conversationId });
+    }
+
+    const variablesMatch = /^\/v1\/convai\/conversations\/([^/]+)\/dynamic-variables$/.exec(path);
+    if (req.method === 'PUT' && variablesMatch) {
+      const conversation = conversations.get(variablesMatch[1]);
+      if (!conversation) {
+        return sendJson(res, 404, { detail: { status: 'conversation_not_found', message: 'Conversation not found' } });
+      }
+      Object.assign(conversation.dynamicVariables, (await readJson(req)).dynamic_variables || {});
+      return sendJson(res, 200, { success: true });
+    }
+
+    const conversationMatch = /^\/v1\/convai\/conversations\/([^/]+)$/.exec(path);
+    if (req.method === 'GET' && conversationMatch) {
+      const conversation = conversations.get(conversationMatch[1]);
+      if (!conversation) {
+        return sendJson(res, 404, { detail: { status: 'conversation_not_found', message: 'Conversation not found' } });
+      }
+      return sendJson(res, 200, toDetails(conversation));
+    }
+
+    const agentMatch = /^\/v1\/convai\/agents\/([^/]+)$/.exec(path);
+    if (req.method === 'GET' && agentMatch) {
+      const agentId = decodeURIComponent(agentMatch[1]);
+      return sendJson(res, 200, {
+        agent_id: agentId,
+        name: `Simulated agent ${agentId}`,
+        conversation_config: { agent: { first_message: '', prompt: { prompt: '' }, dynamic_variables: { dynamic_variable_placeholders: {} } } },
+        ...(agents[agentId] || {})
+      });
+    }
+
+    return sendJson(res, 404, { detail: { status: 'not_found', message: `No simulated route for ${req.method} ${path}` } });
+  });
+
+  const wss = new WebSocketServer({ server, path: '/v1/convai/conversation' });
+
+  wss.on('connection', (ws, req) => {
+    const conversationId = new URL(req.url, 'http://localhost').searchParams.get('conversation_signature');
+    const conversation = conversations.get(conversationId);
+    if (!conversation) {
+      ws.close(1008, 'Invalid conversation signature');
+      return;
+    }
+
+    sockets.add(ws);
+    conversation.status = 'in-progress';
+    conversation.startedAt = Date.now();
+
+    ws.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        return;
+      }
+
+      switch (message.type) {
+        case 'conversation_initiation_client_data': {
+          Object.assign(conversation.dynamicVariables, message.dynamic_variables || {});
+          conversation.callSid = conversation.dynamicVariables.call_sid || null;
+          const dialogue = getDialogue({
+            agentId: conversation.agentId,
+            conversationId,
+            callSid: conversation.callSid,
+            dynamicVariables: conversation.dynamicVariables
+          }) || DEFAULT_DIALOGUE;
+          conversation.dialogue = Array.isArray(dialogue) ? { turns: dialogue } : { turns: [], ...dialogue };
+
+          ws.send(JSON.stringify({
+            type: 'conversation_initiation_metadata',
+            conversation_initiation_metadata_event: {
+              conversation_id: conversationId,
+              agent_output_audio_format: 'ulaw_8000',
+              user_input_audio_format: 'ulaw_8000'
+            }
+          }));
+
+          playDialogue(conversation, ws).catch(error => {
+            console.error(`[ElevenLabs Simulator] Dialogue failed for ${conversationId}: ${error.message}`);
+          });
+          break;
+        }
+
+        case 'client_tool_result':
+          conversation.pendingTools.get(message.tool_call_id)?.({ result: message.result, is_error: message.is_error });
+          break;
+
+        case 'audio':
+        case 'user_audio_chunk':
+          conversation.userAudioChunks += 1;
+          break;
+
+        default:
+          break;
+      }
+    });
+
+    ws.on('close', () => {
+      sockets.delete(ws);
+      // The caller hung up (or the call was handed off) before the dialogue finished
+      finishConversation(conversation);
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url: baseUrl,
+    conversations,
+
+    /**
+     * Wait for every finished conversation's webhook to be delivered
+     * @returns {Promise<void>}
+     */
+    async waitForWebhooks() {
+      await Promise.all([...conversations.values()].map(conversation => conversation.finished));
+    },
+
+    /**
+     * Stop the server, closing open conversations
+     * @returns {Promise<void>}
+     */
+    async close() {
+      sockets.forEach(ws => ws.terminate());
+      wss.close();
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+export default {
+  DEFAULT_DIALOGUE,
+  startFakeElevenLabs
+};
@@ -0,0 +1,668 @@
+/**
+ * Fake Twilio REST client
+ * Stands in for the twilio package's client (install it with setTwilioClientFactory from
+ * service-clients.js). Calls it creates play out a scenario: signed status, AMD and recording
+ * callbacks are posted to the server, and answered calls fetch their TwiML and connect to its
+ * <Stream> the way Twilio Media Streams do.
+ */
+import crypto from 'crypto';
+import WebSocket from 'ws';
+import Twilio from 'twilio';
+
+/**
+ * How a simulated call plays out unless its scenario says otherwise
+ *   outcome         - 'answered', 'busy', 'no-answer' or 'failed'
+ *   answeredBy      - AMD result for answered calls ('human', 'machine_start', 'machine_end_beep', ...)
+ *   ringMs          - Time between each of initiated, ringing and answered (or the failed outcome)
+ *   amdMs           - Time after answering before the async AMD callback
+ *   hangupAfterMs   - The prospect hangs up this long after answering (null: the server ends the call)
+ *   maxDurationMs   - Answered calls are completed after this long, like Twilio's timeLimit
+ *   afterRedirectMs - How long a call stays up once the server redirects it (voicemail, transfer)
+ *   mediaIntervalMs - How often the prospect's (silent) audio is sent on the media stream
+ *   dialogue        - Conversation the fake ElevenLabs agent plays on this call (see fake-elevenlabs.js)
+ */
+export const DEFAULT_SCENARIO = {
+  outcome: 'answered',
+  answeredBy: 'human',
+  ringMs: 200,
+  amdMs: 300,
+  hangupAfterMs: null,
+  maxDurationMs: 60000,
+  afterRedirectMs: 500,
+  mediaIntervalMs: 100,
+  dialogue: null
+};
+
+// 100ms of μ-law silence
+const SILENCE = Buffer.alloc(800, 0xff).toString('base64');
+
+/**
+ * Create a Twilio-style SID
+ * @param {string} prefix - Two-letter resource prefix (CA, RE, SM, MZ)
+ * @returns {string} SID
+ */
+function createSid(prefix) {
+  return `${prefix}${crypto.randomBytes(16).toString('hex')}`;
+}
+
+/**
+ * Create an error shaped like the twilio package's RestException
+ * @param {number} status - HTTP status
+ * @param {number} code - Twilio error code
+ * @param {string} message - Error message
+ * @returns {Error} Error with status and code
+ */
+function restException(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.moreInfo = `https://www.twilio.com/docs/errors/${code}`;
+  return error;
+}
+
+/**
+ * Decode the XML entities in a TwiML attribute value
+ * @param {string} value - Attribute value
+ * @returns {string} Decoded value
+ */
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Read the <Stream> of a TwiML document
+ * @param {string} twiml - TwiML
+ * @returns {Object|null} { url, parameters }, or null if the TwiML does not stream
+ */
+export function parseStreamTwiml(twiml) {
+  const stream = /<Stream\b[^>]*\burl="([^"]*)"[^>]*>([\s\S]*?)<\/Stream>|<Stream\b[^>]*\burl="([^"]*)"[^>]*\/>/.exec(twiml || '');
+  if (!stream) {
+    return null;
+  }
+
+  const parameters = {};
+  const parameterPattern = /<Parameter\b[^>]*\bname="([^"]*)"[^>]*\bvalue="([^"]*)"[^>]*\/?>/g;
+  let match;
+  while ((match = parameterPattern.exec(stream[2] || '')) !== null) {
+    parameters[decodeXml(match[1])] = decodeXml(match[2]);
+  }
+
+  return { url: decodeXml(stream[1] || stream[3]), parameters };
+}
+
+/**
+ * Wait
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a fake Twilio client
+ * @param {Object} options - Client options
+ * @param {string} options.serverUrl - Server the calls' media streams connect to (its TwiML asks for wss://)
+ * @param {string} options.accountSid - Account SID reported on calls and callbacks
+ * @param {string} options.authToken - Auth token callbacks are signed with (the server's TWILIO_AUTH_TOKEN)
+ * @param {Object|Function} options.scenarios - Scenario per dialed number, or (createParams) => scenario
+ * @param {Object} options.defaultScenario - Scenario for numbers without one (merged over DEFAULT_SCENARIO)
+ * @returns {Object} Client with the Twilio API the server uses, plus a `simulator` object to inspect and stop calls
+ */
+export function createFakeTwilioClient(options = {}) {
+  const {
+    serverUrl,
+    accountSid = process.env.TWILIO_ACCOUNT_SID || createSid('AC'),
+    authToken = process.env.TWILIO_AUTH_TOKEN,
+    scenarios = {},
+    defaultScenario = {}
+  } = options;
+
+  if (!serverUrl || !authToken) {
+    throw new Error('serverUrl and authToken are required');
+  }
+
+  // Map of call SID -> simulated call
+  const calls = new Map();
+  const recordings = new Map();
+  const messages = [];
+
+  /**
+   * Resolve the scenario for a new call
+   * @param {Object} params - calls.create parameters
+   * @returns {Object} Scenario
+   */
+  function getScenario(params) {
+    const scenario = typeof scenarios === 'function' ? scenarios(params) : scenarios[params.to];
+    return { ...DEFAULT_SCENARIO, ...defaultScenario, ...(scenario || {}) };
+  }
+
+  /**
+   * Post a signed webhook to the server
+   * @param {string} url - Webhook URL
+   * @param {Object} params - Form parameters
+   * @returns {Promise<string|null>} Response body, or null if the request failed
+   */
+  async function postWebhook(url, params) {
+    const body = {};
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null) {
+        body[key] = String(value);
+      }
+    }
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'X-Twilio-Signature': Twilio.getExpectedTwilioSignature(authToken, url, body)
+        },
+        body: new URLSearchParams(body).toString()
+      });
+      const text = await response.text();
+      if (!response.ok) {
+        console.error(`[Twilio Simulator] ${url} responded ${response.status}: ${text.slice(0, 200)}`);
+      }
+      return text;
+    } catch (error) {
+      console.error(`[Twilio Simulator] Could not post to ${url}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Parameters Twilio sends with every call webhook
+   * @param {Object} call - Simulated call
+   * @returns {Object} Form parameters
+   */
+  function callParams(call) {
+    return {
+      AccountSid: accountSid,
+      ApiVersion: '2010-04-01',
+      CallSid: call.sid,
+      CallStatus: call.status,
+      Direction: 'outbound-api',
+      From: call.params.from,
+      To: call.params.to,
+      Timestamp: new Date().toUTCString()
+    };
+  }
+
+  /**
+   * Post a status callback if the call asked for the event
+   * @param {Object} call - Simulated call
+   * @param {string} event - initiated, ringing, answered or completed
+   * @returns {Promise<void>}
+   */
+  async function postStatus(call, event) {
+    const { statusCallback, statusCallbackEvent } = call.params;
+    const events = [].concat(statusCallbackEvent || 'completed');
+    if (!statusCallback || !events.includes(event)) {
+      return;
+    }
+
+    call.sequenceNumber += 1;
+    await postWebhook(statusCallback, {
+      ...callParams(call),
+      CallbackSource: 'call-progress-events',
+      SequenceNumber: call.sequenceNumber,
+      CallDuration: event === 'completed' ? call.duration : undefined,
+      AnsweredBy: call.answeredBy || undefined
+    });
+  }
+
+  /**
+   * Send a message on a call's media stream
+   * @param {Object} call - Simulated call
+   * @param {Object} message - Media Streams message
+   */
+  function sendStreamMessage(call, message) {
+    if (call.stream?.readyState === WebSocket.OPEN) {
+      call.stream.send(JSON.stringify({ ...message, streamSid: call.streamSid }));
+    }
+  }
+
+  /**
+   * Stop a call's media stream, as Twilio does when the call ends or gets new TwiML
+   * @param {Object} call - Simulated call
+   */
+  function stopStream(call) {
+    clearInterval(call.mediaTimer);
+    call.mediaTimer = null;
+    if (!call.stream) {
+      return;
+    }
+
+    sendStreamMessage(call, {
+      event: 'stop',
+      sequenceNumber: String(++call.streamSequence),
+      stop: { accountSid, callSid: call.sid }
+    });
+    call.stream.close();
+    call.stream = null;
+  }
+
+  /**
+   * Connect an answered call to the <Stream> in its TwiML
+   * @param {Object} call - Simulated call
+   * @param {Object} stream - Parsed <Stream> ({ url, parameters })
+   */
+  function connectStream(call, stream) {
+    // The TwiML asks for the public wss:// URL; connect to the server under test instead
+    const streamUrl = new URL(stream.url);
+    const target = new URL(`${streamUrl.pathname}${streamUrl.search}`, serverUrl.replace(/^http/, 'ws'));
+
+    const ws = new WebSocket(target.toString());
+    call.stream = ws;
+    call.streamSid = createSid('MZ');
+    call.streamSequence = 0;
+
+    ws.on('open', () => {
+      ws.send(JSON.stringify({ event: 'connected', protocol: 'Call', version: '1.0.0' }));
+      sendStreamMessage(call, {
+        event: 'start',
+        sequenceNumber: String(++call.streamSequence),
+        start: {
+          accountSid,
+          streamSid: call.streamSid,
+          callSid: call.sid,
+          tracks: ['inbound'],
+          customParameters: stream.parameters,
+          mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 }
+        }
+      });
+
+      let chunk = 0;
+      call.mediaTimer = setInterval(() => {
+        sendStreamMessage(call, {
+          event: 'media',
+          sequenceNumber: String(++call.streamSequence),
+          media: { track: 'inbound', chunk: String(++chunk), timestamp: String(chunk * call.scenario.mediaIntervalMs), payload: SILENCE }
+        });
+      }, call.scenario.mediaIntervalMs);
+    });
+
+    ws.on('message', (data) => {
+      try {
+        const message = JSON.parse(data);
+        call.streamEvents[message.event] = (call.streamEvents[message.event] || 0) + 1;
+      } catch (error) {
+        console.error(`[Twilio Simulator] Unreadable media stream message on call ${call.sid}: ${error.message}`);
+      }
+    });
+
+    ws.on('error', (error) => {
+      console.error(`[Twilio Simulator] Media stream error on call ${call.sid}: ${error.message}`);
+    });
+
+    ws.on('close', () => {
+      clearInterval(call.mediaTimer);
+      if (call.stream !== ws) {
+        return;
+      }
+      call.stream = null;
+
+      // Nothing follows <Connect><Stream> in the TwiML, so the call hangs up when the server closes the stream
+      if (!call.redirected) {
+        endCall(call, 'completed');
+      }
+    });
+  }
+
+  /**
+   * Answer a call: fetch its TwiML, start async AMD and connect its media stream
+   * @param {Object} call - Simulated call
+   * @returns {Promise<void>}
+   */
+  async function answerCall(call) {
+    const { scenario, params } = call;
+
+    call.status = 'in-progress';
+    call.answeredAt = new Date();
+    const asyncAmd = params.machineDetection && String(params.asyncAmd) === 'true';
+    if (params.machineDetection && !asyncAmd) {
+      call.answeredBy = scenario.answeredBy;
+    }
+    await postStatus(call, 'answered');
+
+    if (scenario.hangupAfterMs !== null && scenario.hangupAfterMs !== undefined) {
+      call.timers.push(setTimeout(() => endCall(call, 'completed', 'prospect'), scenario.hangupAfterMs));
+    }
+    call.timers.push(setTimeout(() => endCall(call, 'completed'), scenario.maxDurationMs));
+
+    if (asyncAmd) {
+      call.timers.push(setTimeout(() => {
+        if (call.ended) {
+          return;
+        }
+        call.answeredBy = scenario.answeredBy;
+        postWebhook(params.asyncAmdStatusCallback, {
+          ...callParams(call),
+          AnsweredBy: scenario.answeredBy,
+          MachineDetectionDuration: scenario.amdMs
+        });
+      }, scenario.amdMs));
+    }
+
+    const twiml = await postWebhook(params.url, { ...callParams(call), AnsweredBy: call.answeredBy || undefined });
+    if (call.ended) {
+      return;
+    }
+
+    const stream = parseStreamTwiml(twiml);
+    if (stream) {
+      connectStream(call, stream);
+    } else {
+      // Say, Play or Hangup TwiML: the call ends once it has played
+      call.timers.push(setTimeout(() => endCall(call, 'completed'), scenario.afterRedirectMs));
+    }
+  }
+
+  /**
+   * Play a new call's scenario
+   * @param {Object} call - Simulated call
+   * @returns {Promise<void>}
+   */
+  async function playCall(call) {
+    const { scenario } = call;
+
+    call.status = 'initiated';
+    await postStatus(call, 'initiated');
+    await delay(scenario.ringMs);
+    if (call.ended) {
+      return;
+    }
+
+    call.status = 'ringing';
+    await postStatus(call, 'ringing');
+    await delay(scenario.ringMs);
+    if (call.ended) {
+      return;
+    }
+
+    if (scenario.outcome !== 'answered') {
+      await endCall(call, scenario.outcome);
+      return;
+    }
+
+    await answerCall(call);
+  }
+
+  /**
+   * End a call and send its final status and recording callbacks
+   * @param {Object} call - Simulated call
+   * @param {string} status - Final status
+   * @param {string} endedBy - 'prospect' if the prospect hung up, otherwise null
+   * @returns {Promise<void>}
+   */
+  async function endCall(call, status, endedBy = null) {
+    if (call.ended) {
+      return;
+    }
+    call.ended = true;
+    call.timers.forEach(timer => clearTimeout(timer));
+    stopStream(call);
+
+    call.status = status;
+    call.endedBy = endedBy;
+    call.endTime = new Date();
+    call.duration = call.answeredAt ? Math.max(1, Math.round((call.endTime - call.answeredAt) / 1000)) : 0;
+
+    try {
+      await postStatus(call, 'completed');
+
+      const recordingEvents = [].concat(call.params.recordingStatusCallbackEvent || 'completed');
+      if (call.params.record && call.answeredAt && call.params.recordingStatusCallback && recordingEvents.includes('completed')) {
+        const recordingSid = createSid('RE');
+        const recording = {
+          sid: recordingSid,
+          accountSid,
+          callSid: call.sid,
+          status: 'completed',
+          duration: String(call.duration),
+          channels: call.params.recordingChannels === 'dual' ? 2 : 1,
+          source: 'OutboundAPI',
+          dateCreated: call.answeredAt,
+          startTime: call.answeredAt,
+          uri: `/2010-04-01/Accounts/${accountSid}/Recordings/${recordingSid}.json`
+        };
+        recordings.set(recording.sid, recording);
+        call.recordingSids.push(recording.sid);
+
+        await postWebhook(call.params.recordingStatusCallback, {
+          AccountSid: accountSid,
+          CallSid: call.sid,
+          RecordingSid: recording.sid,
+          RecordingUrl: `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Recordings/${recording.sid}`,
+          RecordingStatus: 'completed',
+          RecordingDuration: recording.duration,
+          RecordingChannels: recording.channels,
+          RecordingSource: recording.source,
+          RecordingStartTime: call.answeredAt.toUTCString()
+        });
+      }
+    } finally {
+      call.resolveDone();
+    }
+  }
+
+  /**
+   * Call resource as the twilio package returns it
+   * @param {Object} call - Simulated call
+   * @returns {Object} Call instance
+   */
+  function toResource(call) {
+    return {
+      sid: call.sid,
+      accountSid,
+      from: call.params.from,
+      to: call.params.to,
+      status: call.status,
+      direction: 'outbound-api',
+      answeredBy: call.answeredBy || null,
+      duration: call.ended ? String(call.duration) : null,
+      startTime: call.answeredAt || null,
+      endTime: call.endTime || null,
+      dateCreated: call.createdAt,
+      apiVersion: '2010-04-01'
+    };
+  }
+
+  /**
+   * Look up a call for a REST request
+   * @param {string} callSid - Call SID
+   * @returns {Object} Simulated call
+   * @throws {Error} 404 RestException if the call does not exist
+   */
+  function requireCall(callSid) {
+    const call = calls.get(callSid);
+    if (!call) {
+      throw restException(404, 20404, `The requested resource /Calls/${callSid}.json was not found`);
+    }
+    return call;
+  }
+
+  const client = { accountSid, lastRequest: null };
+
+  client.calls = (callSid) => ({
+    async fetch() {
+      return toResource(requireCall(callSid));
+    },
+
+    async update(params = {}) {
+      const call = requireCall(callSid);
+      call.updates.push(params);
+
+      if (call.ended) {
+        throw restException(400, 21220, 'Call is not in-progress. Cannot redirect.');
+      }
+
+      if (params.status === 'completed' || params.status === 'canceled') {
+        await endCall(call, call.answeredAt ? 'completed' : 'canceled');
+        return toResource(call);
+      }
+
+      if (params.twiml || params.url) {
+        // New TwiML replaces the <Connect><Stream>; the call stays up while it plays
+        call.redirected = true;
+        stopStream(call);
+        if (params.url) {
+          postWebhook(params.url, callParams(call));
+        }
+        call.timers.push(setTimeout(() => endCall(call, 'completed'), call.scenario.afterRedirectMs));
+      }
+
+      return toResource(call);
+    },
+
+    events: {
+      async list() {
+        requireCall(callSid);
+        return [];
+      }
+    },
+
+    recordings: {
+      async list() {
+        return requireCall(callSid).recordingSids.map(sid => recordings.get(sid));
+      }
+    }
+  });
+
+  client.calls.create = async (params = {}) => {
+    client.lastRequest = { method: 'POST', uri: `/2010-04-01/Accounts/${accountSid}/Calls.json`, params };
+
+    if (!params.to || !params.from || !(params.url || params.twiml)) {
+      throw restException(400, 21201, 'To, From and Url (or Twiml) are required');
+    }
+
+    const call = {
+      sid: createSid('CA'),
+      params,
+      scenario: getScenario(params),
+      status: 'queued',
+      createdAt: new Date(),
+      answeredAt: null,
+      endTime: null,
+      duration: 0,
+      answeredBy: null,
+      endedBy: null,
+      ended: false,
+      redirected: false,
+      stream: null,
+      streamSid: null,
+      streamSequence: 0,
+      streamEvents: {},
+      mediaTimer: null,
+      sequenceNumber: -1,
+      timers: [],
+      updates: [],
+      recordingSids: []
+    };
+    call.done = new Promise(resolve => { call.resolveDone = resolve; });
+    calls.set(call.sid, call);
+
+    // Twilio returns the queued call straight away and places it afterwards
+    setImmediate(() => {
+      playCall(call).catch(error => {
+        console.error(`[Twilio Simulator] Call ${call.sid} failed: ${error.message}`);
+        endCall(call, 'failed');
+      });
+    });
+
+    return toResource(call);
+  };
+
+  client.recordings = (recordingSid) => ({
+    async fetch() {
+      const recording = recordings.get(recordingSid);
+      if (!recording) {
+        throw restException(404, 20404, `The requested resource /Recordings/${recordingSid}.json was not found`);
+      }
+      return recording;
+    },
+
+    async remove() {
+      return recordings.delete(recordingSid);
+    }
+  });
+
+  client.recordings.list = async ({ callSid } = {}) => {
+    const all = [...recordings.values()];
+    return callSid ? all.filter(recording => recording.callSid === callSid) : all;
+  };
+
+  client.messages = {
+    async create(params = {}) {
+      const message = { sid: createSid('SM'), accountSid, status: 'queued', dateCreated: new Date(), ...params };
+      messages.push(message);
+      return message;
+    }
+  };
+
+  // Voice Insights has no data for simulated calls
+  client.insights = {
+    calls: (callSid) => ({
+      async fetch() {
+        throw restException(404, 20404, `No Voice Insights summary for ${callSid}`);
+      }
+    })
+  };
+
+  client.simulator = {
+    /**
+     * Get a simulated call
+     * @param {string} callSid - Call SID
+     * @returns {Object|undefined} Simulated call (params, scenario, status, answeredBy, updates, streamEvents, ...)
+     */
+    getCall(callSid) {
+      return calls.get(callSid);
+    },
+
+    /**
+     * Get all simulated calls, oldest first
+     * @returns {Array<Object>} Simulated calls
+     */
+    getCalls() {
+      return [...calls.values()];
+    },
+
+    /**
+     * Get the SMS messages sent
+     * @returns {Array<Object>} Messages
+     */
+    getMessages() {
+      return [...messages];
+    },
+
+    /**
+     * Wait for every call placed so far to end and send its final callbacks
+     * @returns {Promise<void>}
+     */
+    async waitForCalls() {
+      await Promise.all([...calls.values()].map(call => call.done));
+    },
+
+    /**
+     * Hang up every call still up
+     * @returns {Promise<void>}
+     */
+    async close() {
+      await Promise.all([...calls.values()].map(call => endCall(call, call.answeredAt ? 'completed' : 'canceled')));
+    }
+  };
+
+  return client;
+}
+
+export default {
+  DEFAULT_SCENARIO,
+  parseStreamTwiml,
+  createFakeTwilioClient
+};
@@ -0,0 +1,92 @@
+/**
+ * Twilio + ElevenLabs simulator
+ * Runs the server's calls end to end without live services: a fake Twilio client places the calls
+ * and drives their callbacks and media streams, and a fake ElevenLabs API plays each call's scripted
+ * dialogue. Each dialed number gets a scenario (see DEFAULT_SCENARIO), including its dialogue.
+ *
+ * Start the simulator before the server, then point the server at it:
+ *   const simulator = await startSimulator({ serverUrl, authToken, scenarios });
+ *   setTwilioClientFactory(simulator.twilioClientFactory);
+ *   process.env.ELEVENLABS_API_BASE_URL = simulator.elevenLabsUrl;
+ */
+import { createFakeTwilioClient, DEFAULT_SCENARIO, parseStreamTwiml } from './fake-twilio.js';
+import { startFakeElevenLabs, DEFAULT_DIALOGUE } from './fake-elevenlabs.js';
+
+/**
+ * Start the simulator
+ * @param {Object} options - Simulator options
+ * @param {string} options.serverUrl - Server under test (its SERVER_URL)
+ * @param {string} options.authToken - The server's TWILIO_AUTH_TOKEN
+ * @param {string} options.accountSid - The server's TWILIO_ACCOUNT_SID
+ * @param {Object|Function} options.scenarios - Scenario per dialed number, or (createParams) => scenario
+ * @param {Object} options.defaultScenario - Scenario for numbers without one
+ * @param {string} options.webhookSecret - The server's ELEVENLABS_WEBHOOK_SECRET (the post-call webhook is signed with it)
+ * @param {Object} options.agents - Agent configs by ElevenLabs agent ID
+ * @param {number} options.turnDelayMs - Pause between dialogue steps
+ * @returns {Promise<Object>} { twilioClient, twilioClientFactory, elevenLabs, elevenLabsUrl, waitForCalls, close }
+ */
+export async function startSimulator(options = {}) {
+  const {
+    serverUrl,
+    authToken,
+    accountSid,
+    scenarios,
+    defaultScenario,
+    webhookSecret = null,
+    agents,
+    turnDelayMs
+  } = options;
+
+  const twilioClient = createFakeTwilioClient({ serverUrl, authToken, accountSid, scenarios, defaultScenario });
+
+  const elevenLabs = await startFakeElevenLabs({
+    agents,
+    turnDelayMs,
+    webhookUrl: `${serverUrl.replace(/\/$/, '')}/webhooks/elevenlabs`,
+    webhookSecret,
+    // The dialogue is part of the scenario of the call the conversation is on
+    getDialogue: ({ callSid }) => twilioClient.simulator.getCall(callSid)?.scenario.dialogue || null
+  });
+
+  return {
+    twilioClient,
+    twilioClientFactory: () => twilioClient,
+    elevenLabs,
+    elevenLabsUrl: elevenLabs.url,
+
+    /**
+     * Wait for every call placed so far to end and every finished conversation's webhook to be delivered
+     * @returns {Promise<void>}
+     */
+    async waitForCalls() {
+      await twilioClient.simulator.waitForCalls();
+      await elevenLabs.waitForWebhooks();
+    },
+
+    /**
+     * Hang up open calls and stop the fake ElevenLabs API
+     * @returns {Promise<void>}
+     */
+    async close() {
+      await twilioClient.simulator.close();
+      await elevenLabs.close();
+    }
+  };
+}
+
+export {
+  createFakeTwilioClient,
+  startFakeElevenLabs,
+  parseStreamTwiml,
+  DEFAULT_SCENARIO,
+  DEFAULT_DIALOGUE
+};
+
+export default {
+  startSimulator,
+  createFakeTwilioClient,
+  startFakeElevenLabs,
+  parseStreamTwiml,
+  DEFAULT_SCENARIO,
+  DEFAULT_DIALOGUE
+};
@@ -74,6 +74,7 @@ async function makeCall(phoneNumber) {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        'Authorization': `Bearer ${process.env.API_KEY}`,
       },
       body: JSON.stringify(payload),
     });
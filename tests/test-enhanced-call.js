@@ -20,6 +20,9 @@ const firstMessage = args[2] || DEFAULT_FIRST_MESSAGE;
 const serverUrl = args[3] || SERVER_URL;
 const customerName = args[4] || null;
 
+// The API needs a key on every route except the Twilio and ElevenLabs callbacks
+const authHeaders = { 'Authorization': `Bearer ${process.env.API_KEY}` };
+
 // Get verified numbers from environment
 let phoneNumbers = [];
 if (phoneNumberArg) {
@@ -84,6 +87,7 @@ async function makeEnhancedCall(phoneNumber) {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...authHeaders,
       },
       body: JSON.stringify(payload),
     });
@@ -147,7 +151,7 @@ async function pollCallStatus(callSid) {
       await new Promise(resolve => setTimeout(resolve, 5000));
       
       // Check call status
-      const response = await fetch(`${serverUrl}/api/call/${callSid}`);
+      const response = await fetch(`${serverUrl}/api/call/${callSid}`, { headers: authHeaders });
       const data = await response.json();
       
       if (!response.ok) {
@@ -14,6 +14,9 @@ import Twilio from 'twilio';
 // Default test server URL
 const SERVER_URL = process.env.SERVER_URL || 'http://localhost:8000';
 
+// The API needs a key on every route except the Twilio and ElevenLabs callbacks
+const authHeaders = { 'Authorization': `Bearer ${process.env.API_KEY}` };
+
 // Initialize Twilio client for verification
 const twilioClient = new Twilio(
   process.env.TWILIO_ACCOUNT_SID,
@@ -44,6 +47,7 @@ async function makeTestCall() {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...authHeaders,
       },
       body: JSON.stringify({
         number: TEST_PHONE,
@@ -83,7 +87,7 @@ async function testCallRecording(callSid) {
   try {
     // Get recordings from server API
     console.log('Fetching recordings from server API...');
-    const response = await fetch(`${SERVER_URL}/api/calls/${callSid}/recordings`);
+    const response = await fetch(`${SERVER_URL}/api/calls/${callSid}/recordings`, { headers: authHeaders });
     const data = await response.json();
     
     if (response.ok && data.recordings && data.recordings.length > 0) {
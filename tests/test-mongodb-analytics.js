@@ -4,16 +4,20 @@
  * This script tests the MongoDB analytics API endpoints to ensure they're working correctly.
  * It makes requests to the API endpoints and logs the responses.
  */
+import 'dotenv/config';
 
 // Removed node-fetch import - using native fetch
 // Base URL for API requests
 const API_BASE_URL = 'http://localhost:8000/api/db';
 
+// The API needs a key on every route except the Twilio and ElevenLabs callbacks
+const authHeaders = { 'Authorization': `Bearer ${process.env.API_KEY}` };
+
 // Test functions
 async function testRecentCalls() {
   console.log('\n--- Testing Recent Calls API ---');
   try {
-    const response = await fetch(`${API_BASE_URL}/calls?limit=5&page=1`);
+    const response = await fetch(`${API_BASE_URL}/calls?limit=5&page=1`, { headers: authHeaders });
     
     if (!response.ok) {
       throw new Error(`Error fetching calls: ${response.statusText}`);
@@ -40,7 +44,7 @@ async function testRecentCalls() {
 async function testCallLogs() {
   console.log('\n--- Testing Call Logs API ---');
   try {
-    const response = await fetch(`${API_BASE_URL}/calls?limit=20&page=1`);
+    const response = await fetch(`${API_BASE_URL}/calls?limit=20&page=1`, { headers: authHeaders });
     
     if (!response.ok) {
       throw new Error(`Error fetching call logs: ${response.statusText}`);
@@ -68,7 +72,7 @@ async function testSuccessRateAnalytics() {
   console.log('\n--- Testing Success Rate Analytics API ---');
   try {
     // Add period parameter to ensure we get time-series data
-    const response = await fetch(`${API_BASE_URL}/analytics/outcomes?period=day`);
+    const response = await fetch(`${API_BASE_URL}/analytics/outcomes?period=day`, { headers: authHeaders });
     
     if (!response.ok) {
       throw new Error(`Error fetching success rate analytics: ${response.statusText}`);
@@ -54,7 +54,8 @@ async function makeMongoDbCall(to, prompt, firstMessage, serverUrl, name) {
     const response = await fetch(`${serverUrl}/outbound-call`, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${process.env.API_KEY}`
       },
       body: JSON.stringify({
         to,
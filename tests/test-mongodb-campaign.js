@@ -9,6 +9,9 @@ import { performance } from 'perf_hooks';
 // Server URL
 const serverUrl = process.env.SERVER_URL || 'http://localhost:8000';
 
+// The API needs a key on every route except the Twilio and ElevenLabs callbacks
+const authHeaders = { 'Authorization': `Bearer ${process.env.API_KEY}` };
+
 // Test data
 const testCampaignId = `TEST_CAMPAIGN_${Date.now()}`;
 const testContactIds = [];
@@ -39,7 +42,7 @@ async function measureApiResponse(url, options = {}) {
   const start = performance.now();
   
   try {
-    const response = await fetch(url, options);
+    const response = await fetch(url, { ...options, headers: { ...options.headers, ...authHeaders } });
     const data = await response.json();
     
     const end = performance.now();
@@ -92,7 +95,8 @@ async function createTestCampaign() {
     const response = await fetch(`${serverUrl}/api/db/campaigns`, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...authHeaders
       },
       body: JSON.stringify(campaignData)
     });
@@ -143,7 +147,8 @@ async function createTestContacts(count = 5) {
       const response = await fetch(`${serverUrl}/api/db/contacts`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...authHeaders
         },
         body: JSON.stringify(contactData)
       });
@@ -182,7 +187,8 @@ async function addContactsToCampaign(campaignId, contactIds) {
     const response = await fetch(`${serverUrl}/api/db/campaigns/${campaignId}/contacts`, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...authHeaders
       },
       body: JSON.stringify({ contactIds })
     });
@@ -10,6 +10,9 @@ import fs from 'fs/promises';
 // Server URL
 const serverUrl = process.env.SERVER_URL || 'http://localhost:8000';
 
+// The API needs a key on every route except the Twilio and ElevenLabs callbacks
+const authHeaders = { 'Authorization': `Bearer ${process.env.API_KEY}` };
+
 // Test data
 const testCallSid = `TEST_DASHBOARD_${Date.now()}`;
 
@@ -62,7 +65,8 @@ async function createTestData() {
       const response = await fetch(`${serverUrl}/api/db/calls`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...authHeaders
         },
         body: JSON.stringify({
           callSid,
@@ -85,7 +89,8 @@ async function createTestData() {
         await fetch(`${serverUrl}/api/db/events`, {
           method: 'POST',
           headers: {
-            'Content-Type': 'application/json'
+            'Content-Type': 'application/json',
+            ...authHeaders
           },
           body: JSON.stringify({
             callSid,
@@ -141,7 +146,7 @@ async function testDashboardOverview() {
       const startTime = performance.now();
       
       // Make request
-      const response = await fetch(url);
+      const response = await fetch(url, { headers: authHeaders });
       const data = await response.json();
       
       const endTime = performance.now();
@@ -259,7 +264,7 @@ async function testEmptyDatabase() {
     console.log('Deleting all test calls...');
     
     // Get all calls
-    const response = await fetch(`${serverUrl}/api/db/calls`);
+    const response = await fetch(`${serverUrl}/api/db/calls`, { headers: authHeaders });
     const data = await response.json();
     
     if (response.ok && data.success) {
@@ -271,7 +276,8 @@ async function testEmptyDatabase() {
       // Delete each test call
       for (const call of testCalls) {
         await fetch(`${serverUrl}/api/db/calls/${call.callSid}`, {
-          method: 'DELETE'
+          method: 'DELETE',
+          headers: authHeaders
         });
         console.log(`Deleted call: ${call.callSid}`);
       }
@@ -287,7 +293,7 @@ async function testEmptyDatabase() {
     const startTime = performance.now();
     
     // Make request
-    const emptyResponse = await fetch(`${serverUrl}/api/db/dashboard/overview`);
+    const emptyResponse = await fetch(`${serverUrl}/api/db/dashboard/overview`, { headers: authHeaders });
     const emptyData = await emptyResponse.json();
     
     const endTime = performance.now();
@@ -359,7 +365,8 @@ async function testLargeDataset() {
       const response = await fetch(`${serverUrl}/api/db/calls`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...authHeaders
         },
         body: JSON.stringify({
           callSid,
@@ -382,7 +389,8 @@ async function testLargeDataset() {
           await fetch(`${serverUrl}/api/db/events`, {
             method: 'POST',
             headers: {
-              'Content-Type': 'application/json'
+              'Content-Type': 'application/json',
+              ...authHeaders
             },
             body: JSON.stringify({
               callSid,
@@ -406,7 +414,7 @@ async function testLargeDataset() {
     const startTime = performance.now();
     
     // Make request
-    const largeResponse = await fetch(`${serverUrl}/api/db/dashboard/overview`);
+    const largeResponse = await fetch(`${serverUrl}/api/db/dashboard/overview`, { headers: authHeaders });
     const largeData = await largeResponse.json();
     
     const endTime = performance.now();
@@ -445,7 +453,8 @@ async function testLargeDataset() {
     
     for (const callSid of calls) {
       await fetch(`${serverUrl}/api/db/calls/${callSid}`, {
-        method: 'DELETE'
+        method: 'DELETE',
+        headers: authHeaders
       });
     }
     
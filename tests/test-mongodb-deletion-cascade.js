@@ -3,13 +3,16 @@
  * Tests the call deletion method and verifies that all associated data is properly deleted
  */
 import 'dotenv/config';
-// Removed node-fetch import - using native fetch
+// Removed node-fetch import - using native fetch
 import { performance } from 'perf_hooks';
 import mongoose from 'mongoose';
 
 // Server URL
 const serverUrl = process.env.SERVER_URL || 'http://localhost:8000';
 
+// The API needs a key on every route except the Twilio and ElevenLabs callbacks
+const authHeaders = { 'Authorization': `Bearer ${process.env.API_KEY}` };
+
 // MongoDB URI
 const mongodbUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/elevenlabs-outbound-calling';
 
@@ -64,7 +67,8 @@ async function createTestCallWithAssociatedData() {
     const callResponse = await fetch(`${serverUrl}/api/db/calls`, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...authHeaders
       },
       body: JSON.stringify({
         callSid: testCallSid,
@@ -103,7 +107,8 @@ async function createTestCallWithAssociatedData() {
     const recordingResponse = await fetch(`${serverUrl}/api/db/recordings`, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...authHeaders
       },
       body: JSON.stringify({
         recordingSid: testRecordingSid,
@@ -140,7 +145,8 @@ async function createTestCallWithAssociatedData() {
     const transcriptResponse = await fetch(`${serverUrl}/api/db/transcripts`, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...authHeaders
       },
       body: JSON.stringify({
         callSid: testCallSid,
@@ -191,7 +197,8 @@ async function createTestCallWithAssociatedData() {
     const statusEventResponse = await fetch(`${serverUrl}/api/db/events`, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...authHeaders
       },
       body: JSON.stringify({
         callSid: testCallSid,
@@ -219,7 +226,8 @@ async function createTestCallWithAssociatedData() {
     const machineEventResponse = await fetch(`${serverUrl}/api/db/events`, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...authHeaders
       },
       body: JSON.stringify({
         callSid: testCallSid,
@@ -248,7 +256,8 @@ async function createTestCallWithAssociatedData() {
     const transcriptEventResponse = await fetch(`${serverUrl}/api/db/events`, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...authHeaders
       },
       body: JSON.stringify({
         callSid: testCallSid,
@@ -298,7 +307,7 @@ async function verifyTestDataExists() {
   
   try {
     // Verify call exists
-    const callResponse = await fetch(`${serverUrl}/api/db/calls/${testCallSid}`);
+    const callResponse = await fetch(`${serverUrl}/api/db/calls/${testCallSid}`, { headers: authHeaders });
     const callData = await callResponse.json();
     
     if (!callResponse.ok || !callData.success || !callData.data) {
@@ -313,7 +322,7 @@ async function verifyTestDataExists() {
     console.log('✅ Test call exists');
     
     // Verify recording exists
-    const recordingResponse = await fetch(`${serverUrl}/api/db/recordings/${testRecordingSid}`);
+    const recordingResponse = await fetch(`${serverUrl}/api/db/recordings/${testRecordingSid}`, { headers: authHeaders });
     const recordingData = await recordingResponse.json();
     
     if (!recordingResponse.ok || !recordingData.success || !recordingData.data) {
@@ -328,7 +337,7 @@ async function verifyTestDataExists() {
     console.log('✅ Test recording exists');
     
     // Verify transcript exists
-    const transcriptResponse = await fetch(`${serverUrl}/api/db/calls/${testCallSid}/transcript`);
+    const transcriptResponse = await fetch(`${serverUrl}/api/db/calls/${testCallSid}/transcript`, { headers: authHeaders });
     const transcriptData = await transcriptResponse.json();
     
     if (!transcriptResponse.ok || !transcriptData.success || !transcriptData.data) {
@@ -343,7 +352,7 @@ async function verifyTestDataExists() {
     console.log('✅ Test transcript exists');
     
     // Verify events exist
-    const eventsResponse = await fetch(`${serverUrl}/api/db/events/${testCallSid}`);
+    const eventsResponse = await fetch(`${serverUrl}/api/db/events/${testCallSid}`, { headers: authHeaders });
     const eventsData = await eventsResponse.json();
     
     if (!eventsResponse.ok || !eventsData.success || !eventsData.data || !eventsData.data.events || eventsData.data.events.length === 0) {
@@ -369,18 +378,94 @@ async function verifyTestDataExists() {
   }
 }
 
+/**
+ * Soft-delete the test call and restore it
+ */
+async function softDeleteAndRestoreTestCall() {
+  console.log('\n3. Soft-deleting and restoring test call...');
+  
+  try {
+    const deleteResponse = await fetch(`${serverUrl}/api/db/calls/${testCallSid}`, {
+      method: 'DELETE',
+      headers: authHeaders
+    });
+    const deleteData = await deleteResponse.json();
+    
+    if (!deleteResponse.ok || !deleteData.success || deleteData.data?.permanent) {
+      console.error('❌ Failed to soft-delete test call');
+      metrics.errors.push({
+        operation: 'softDeleteCall',
+        error: deleteData.error || 'Unexpected response'
+      });
+      return false;
+    }
+    
+    // Hidden from the API, but kept with its data
+    const hiddenResponse = await fetch(`${serverUrl}/api/db/calls/${testCallSid}`, { headers: authHeaders });
+    const storedCall = mongoose.connection.readyState === 1
+      ? await mongoose.connection.collection('calls').findOne({ callSid: testCallSid })
+      : null;
+    
+    if (hiddenResponse.status !== 404) {
+      console.error('❌ Soft-deleted call is still returned by the API');
+      metrics.errors.push({
+        operation: 'softDeleteCall',
+        error: 'Call still returned'
+      });
+    } else {
+      console.log('✅ Soft-deleted call is hidden');
+    }
+    
+    if (mongoose.connection.readyState === 1 && !storedCall?.deletedAt) {
+      console.error('❌ Soft-deleted call was not kept with deletedAt set');
+      metrics.errors.push({
+        operation: 'softDeleteCall',
+        error: 'deletedAt not set'
+      });
+    }
+    
+    const restoreResponse = await fetch(`${serverUrl}/api/db/calls/${testCallSid}/restore`, {
+      method: 'POST',
+      headers: authHeaders
+    });
+    const restoreData = await restoreResponse.json();
+    const restoredResponse = await fetch(`${serverUrl}/api/db/calls/${testCallSid}`, { headers: authHeaders });
+    
+    if (!restoreResponse.ok || !restoreData.success || !restoredResponse.ok) {
+      console.error('❌ Failed to restore test call');
+      metrics.errors.push({
+        operation: 'restoreCall',
+        error: restoreData.error || `Call lookup returned ${restoredResponse.status}`
+      });
+      return false;
+    }
+    
+    console.log('✅ Test call restored');
+    
+    return true;
+  } catch (error) {
+    console.error('❌ Error soft-deleting test call:', error.message);
+    metrics.errors.push({
+      operation: 'softDeleteCall',
+      error: error.message
+    });
+    return false;
+  }
+}
+
 /**
  * Delete test call
  */
 async function deleteTestCall() {
-  console.log('\n3. Deleting test call...');
+  console.log('\n4. Permanently deleting test call...');
   
   try {
     const startTime = performance.now();
     
-    // Delete call
-    const response = await fetch(`${serverUrl}/api/db/calls/${testCallSid}`, {
-      method: 'DELETE'
+    // Delete call with its transcripts, recordings and events
+    const response = await fetch(`${serverUrl}/api/db/calls/${testCallSid}?permanent=true`, {
+      method: 'DELETE',
+      headers: authHeaders
     });
     
     const data = await response.json();
@@ -400,6 +485,7 @@ async function deleteTestCall() {
     
     console.log('✅ Test call deleted successfully');
     console.log(`   Deletion time: ${metrics.deletionTimes.call.toFixed(2)}ms`);
+    console.log(`   Removed: ${JSON.stringify(data.data?.removed || {})}`);
     
     return true;
   } catch (error) {
@@ -416,11 +502,11 @@ async function deleteTestCall() {
  * Check for orphaned data
  */
 async function checkForOrphanedData() {
-  console.log('\n4. Checking for orphaned data...');
+  console.log('\n5. Checking for orphaned data...');
   
   try {
     // Check if call still exists
-    const callResponse = await fetch(`${serverUrl}/api/db/calls/${testCallSid}`);
+    const callResponse = await fetch(`${serverUrl}/api/db/calls/${testCallSid}`, { headers: authHeaders });
     const callData = await callResponse.json();
     
     if (callResponse.status !== 404 && callData.data) {
@@ -432,7 +518,7 @@ async function checkForOrphanedData() {
     }
     
     // Check if recording still exists
-    const recordingResponse = await fetch(`${serverUrl}/api/db/recordings/${testRecordingSid}`);
+    const recordingResponse = await fetch(`${serverUrl}/api/db/recordings/${testRecordingSid}`, { headers: authHeaders });
     const recordingData = await recordingResponse.json();
     
     if (recordingResponse.status !== 404 && recordingData.data) {
@@ -444,7 +530,7 @@ async function checkForOrphanedData() {
     }
     
     // Check if transcript still exists
-    const transcriptResponse = await fetch(`${serverUrl}/api/db/calls/${testCallSid}/transcript`);
+    const transcriptResponse = await fetch(`${serverUrl}/api/db/calls/${testCallSid}/transcript`, { headers: authHeaders });
     const transcriptData = await transcriptResponse.json();
     
     if (transcriptResponse.status !== 404 && transcriptData.data) {
@@ -456,7 +542,7 @@ async function checkForOrphanedData() {
     }
     
     // Check if events still exist
-    const eventsResponse = await fetch(`${serverUrl}/api/db/events/${testCallSid}`);
+    const eventsResponse = await fetch(`${serverUrl}/api/db/events/${testCallSid}`, { headers: authHeaders });
     const eventsData = await eventsResponse.json();
     
     if (eventsResponse.status !== 404 && eventsData.data && eventsData.data.events && eventsData.data.events.length > 0) {
@@ -535,7 +621,7 @@ async function checkForOrphanedData() {
  * Test error scenarios
  */
 async function testErrorScenarios() {
-  console.log('\n5. Testing error scenarios...');
+  console.log('\n6. Testing error scenarios...');
   
   try {
     // Test deleting non-existent call
@@ -543,7 +629,8 @@ async function testErrorScenarios() {
     const nonExistentCallSid = `NONEXISTENT_${Date.now()}`;
     
     const response = await fetch(`${serverUrl}/api/db/calls/${nonExistentCallSid}`, {
-      method: 'DELETE'
+      method: 'DELETE',
+      headers: authHeaders
     });
     
     const data = await response.json();
@@ -564,7 +651,8 @@ async function testErrorScenarios() {
     console.log('\nTesting deletion with invalid call SID...');
     
     const invalidResponse = await fetch(`${serverUrl}/api/db/calls/invalid-sid`, {
-      method: 'DELETE'
+      method: 'DELETE',
+      headers: authHeaders
     });
     
     const invalidData = await invalidResponse.json();
@@ -596,7 +684,7 @@ async function testErrorScenarios() {
  * Measure deletion performance
  */
 async function measureDeletionPerformance() {
-  console.log('\n6. Measuring deletion performance with various data volumes...');
+  console.log('\n7. Measuring deletion performance with various data volumes...');
   
   try {
     // Create test calls with different volumes of associated data
@@ -622,7 +710,8 @@ async function measureDeletionPerformance() {
         await fetch(`${serverUrl}/api/db/calls`, {
           method: 'POST',
           headers: {
-            'Content-Type': 'application/json'
+            'Content-Type': 'application/json',
+            ...authHeaders
           },
           body: JSON.stringify({
             callSid,
@@ -639,7 +728,8 @@ async function measureDeletionPerformance() {
         await fetch(`${serverUrl}/api/db/recordings`, {
           method: 'POST',
           headers: {
-            'Content-Type': 'application/json'
+            'Content-Type': 'application/json',
+            ...authHeaders
           },
           body: JSON.stringify({
             recordingSid: `RE_${callSid}`,
@@ -656,7 +746,8 @@ async function measureDeletionPerformance() {
           await fetch(`${serverUrl}/api/db/events`, {
             method: 'POST',
             headers: {
-              'Content-Type': 'application/json'
+              'Content-Type': 'application/json',
+              ...authHeaders
             },
             body: JSON.stringify({
               callSid,
@@ -681,8 +772,9 @@ async function measureDeletionPerformance() {
       const deletionStartTime = performance.now();
       
       for (const callSid of calls) {
-        await fetch(`${serverUrl}/api/db/calls/${callSid}`, {
-          method: 'DELETE'
+        await fetch(`${serverUrl}/api/db/calls/${callSid}?permanent=true`, {
+          method: 'DELETE',
+          headers: authHeaders
         });
       }
       
@@ -716,7 +808,7 @@ async function measureDeletionPerformance() {
  * Generate performance report
  */
 function generatePerformanceReport() {
-  console.log('\n7. Generating performance report...');
+  console.log('\n8. Generating performance report...');
   
   console.log('\nCreation Times:');
   Object.entries(metrics.creationTimes).forEach(([key, value]) => {
@@ -793,6 +885,9 @@ async function main() {
       // Verify test data exists
       await verifyTestDataExists();
       
+      // Soft-delete and restore test call
+      await softDeleteAndRestoreTestCall();
+      
       // Delete test call
       await deleteTestCall();
       
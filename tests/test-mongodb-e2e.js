@@ -10,6 +10,9 @@ import { performance } from 'perf_hooks';
 // Server URL
 const serverUrl = process.env.SERVER_URL || 'http://localhost:8000';
 
+// The API needs a key on every route except the Twilio and ElevenLabs callbacks
+const authHeaders = { 'Authorization': `Bearer ${process.env.API_KEY}` };
+
 // Test data
 const testCallSid = `TEST_E2E_${Date.now()}`;
 const testRecordingSid = `RE_${Date.now()}`;
@@ -142,7 +145,8 @@ async function makeTestCall() {
     const response = await fetch(`${serverUrl}/outbound-call`, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...authHeaders
       },
       body: JSON.stringify({
         to: '+1234567890',
@@ -201,7 +205,7 @@ async function verifyCallInDatabase() {
   
   try {
     // Get call by SID
-    const response = await fetch(`${serverUrl}/api/db/calls/${testCallSid}`);
+    const response = await fetch(`${serverUrl}/api/db/calls/${testCallSid}`, { headers: authHeaders });
     const data = await response.json();
     
     const endTime = performance.now();
@@ -248,7 +252,8 @@ async function logTestEvents() {
     const statusChangeResponse = await fetch(`${serverUrl}/api/db/events`, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...authHeaders
       },
       body: JSON.stringify({
         callSid: testCallSid,
@@ -272,7 +277,8 @@ async function logTestEvents() {
     const machineResponse = await fetch(`${serverUrl}/api/db/events`, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...authHeaders
       },
       body: JSON.stringify({
         callSid: testCallSid,
@@ -297,7 +303,8 @@ async function logTestEvents() {
     const transcriptResponse = await fetch(`${serverUrl}/api/db/events`, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...authHeaders
       },
       body: JSON.stringify({
         callSid: testCallSid,
@@ -345,7 +352,7 @@ async function verifyEventsForCall() {
   
   try {
     // Get events for call
-    const response = await fetch(`${serverUrl}/api/db/events/${testCallSid}`);
+    const response = await fetch(`${serverUrl}/api/db/events/${testCallSid}`, { headers: authHeaders });
     const data = await response.json();
     
     const endTime = performance.now();
@@ -391,7 +398,7 @@ async function verifyActiveCalls() {
   
   try {
     // Get active calls
-    const response = await fetch(`${serverUrl}/api/db/dashboard/realtime`);
+    const response = await fetch(`${serverUrl}/api/db/dashboard/realtime`, { headers: authHeaders });
     const data = await response.json();
     
     const endTime = performance.now();
@@ -436,7 +443,7 @@ async function runAnalyticsQueries() {
   try {
     // Get dashboard overview
     const overviewStartTime = performance.now();
-    const overviewResponse = await fetch(`${serverUrl}/api/db/dashboard/overview`);
+    const overviewResponse = await fetch(`${serverUrl}/api/db/dashboard/overview`, { headers: authHeaders });
     const overviewData = await overviewResponse.json();
     const overviewEndTime = performance.now();
     const overviewTime = overviewEndTime - overviewStartTime;
@@ -446,7 +453,7 @@ async function runAnalyticsQueries() {
     
     // Get call duration stats
     const durationStartTime = performance.now();
-    const durationResponse = await fetch(`${serverUrl}/api/db/analytics/duration/day`);
+    const durationResponse = await fetch(`${serverUrl}/api/db/analytics/duration/day`, { headers: authHeaders });
     const durationData = await durationResponse.json();
     const durationEndTime = performance.now();
     const durationTime = durationEndTime - durationStartTime;
@@ -456,7 +463,7 @@ async function runAnalyticsQueries() {
     
     // Get call outcome distribution
     const outcomeStartTime = performance.now();
-    const outcomeResponse = await fetch(`${serverUrl}/api/db/analytics/outcomes`);
+    const outcomeResponse = await fetch(`${serverUrl}/api/db/analytics/outcomes`, { headers: authHeaders });
     const outcomeData = await outcomeResponse.json();
     const outcomeEndTime = performance.now();
     const outcomeTime = outcomeEndTime - outcomeStartTime;
@@ -499,7 +506,8 @@ async function deleteTestCall() {
   try {
     // Delete call
     const response = await fetch(`${serverUrl}/api/db/calls/${testCallSid}`, {
-      method: 'DELETE'
+      method: 'DELETE',
+      headers: authHeaders
     });
     const data = await response.json();
     
@@ -517,7 +525,7 @@ async function deleteTestCall() {
       
       // Verify call is deleted
       console.log('   Verifying call is deleted...');
-      const verifyResponse = await fetch(`${serverUrl}/api/db/calls/${testCallSid}`);
+      const verifyResponse = await fetch(`${serverUrl}/api/db/calls/${testCallSid}`, { headers: authHeaders });
       const verifyData = await verifyResponse.json();
       
       if (verifyResponse.status === 404 || !verifyData.data) {
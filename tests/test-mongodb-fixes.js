@@ -9,13 +9,16 @@ import { io } from 'socket.io-client';
 // Server URL
 const serverUrl = process.env.SERVER_URL || 'http://localhost:8000';
 
+// The API needs a key on every route except the Twilio and ElevenLabs callbacks
+const authHeaders = { 'Authorization': `Bearer ${process.env.API_KEY}` };
+
 /**
  * Test the dashboard overview endpoint
  */
 async function testDashboardOverview() {
   console.log('\n1. Testing dashboard overview endpoint...');
   try {
-    const response = await fetch(`${serverUrl}/api/db/dashboard/overview`);
+    const response = await fetch(`${serverUrl}/api/db/dashboard/overview`, { headers: authHeaders });
     const data = await response.json();
     
     if (response.ok) {
@@ -109,7 +112,8 @@ async function testCallDeletion() {
     const createResponse = await fetch(`${serverUrl}/api/db/calls`, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...authHeaders
       },
       body: JSON.stringify({
         callSid: testCallSid,
@@ -134,7 +138,8 @@ async function testCallDeletion() {
     
     // Delete the test call
     const deleteResponse = await fetch(`${serverUrl}/api/db/calls/${testCallSid}`, {
-      method: 'DELETE'
+      method: 'DELETE',
+      headers: authHeaders
     });
     
     const deleteData = await deleteResponse.json();
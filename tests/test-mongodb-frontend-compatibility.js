@@ -11,6 +11,9 @@ import { io } from 'socket.io-client';
 // Server URL
 const serverUrl = process.env.SERVER_URL || 'http://localhost:8000';
 
+// The API needs a key on every route except the Twilio and ElevenLabs callbacks
+const authHeaders = { 'Authorization': `Bearer ${process.env.API_KEY}` };
+
 // Test data
 const testCallSid = `TEST_FRONTEND_${Date.now()}`;
 
@@ -122,7 +125,7 @@ async function testApiResponseTimes() {
       const startTime = performance.now();
       
       // Send GET request
-      const response = await fetch(`${serverUrl}${endpoint.url}`);
+      const response = await fetch(`${serverUrl}${endpoint.url}`, { headers: authHeaders });
       const data = await response.json();
       
       const endTime = performance.now();
@@ -189,7 +192,8 @@ async function testPagination() {
     await fetch(`${serverUrl}/api/db/calls`, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...authHeaders
       },
       body: JSON.stringify({
         callSid,
@@ -221,7 +225,7 @@ async function testPagination() {
     
     try {
       // Send GET request with pagination
-      const response = await fetch(`${serverUrl}/api/db/calls?page=${test.page}&limit=${test.limit}`);
+      const response = await fetch(`${serverUrl}/api/db/calls?page=${test.page}&limit=${test.limit}`, { headers: authHeaders });
       const data = await response.json();
       
       console.log(`  Status: ${response.status}`);
@@ -279,7 +283,8 @@ async function testPagination() {
   
   for (const callSid of calls) {
     await fetch(`${serverUrl}/api/db/calls/${callSid}`, {
-      method: 'DELETE'
+      method: 'DELETE',
+      headers: authHeaders
     });
   }
   
@@ -305,7 +310,7 @@ async function testJsonStructureConsistency() {
     
     try {
       // Send GET request
-      const response = await fetch(`${serverUrl}${endpoint.url}`);
+      const response = await fetch(`${serverUrl}${endpoint.url}`, { headers: authHeaders });
       const data = await response.json();
       
       if (response.ok) {
@@ -391,11 +396,12 @@ async function testErrorHandling() {
     try {
       // Send request
       const options = {
-        method: test.method
+        method: test.method,
+        headers: authHeaders
       };
       
       if (test.body) {
-        options.headers = { 'Content-Type': 'application/json' };
+        options.headers = { 'Content-Type': 'application/json', ...authHeaders };
         options.body = JSON.stringify(test.body);
       }
       
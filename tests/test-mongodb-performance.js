@@ -9,6 +9,9 @@ import { performance } from 'perf_hooks';
 // Server URL
 const serverUrl = process.env.SERVER_URL || 'http://localhost:8000';
 
+// The API needs a key on every route except the Twilio and ElevenLabs callbacks
+const authHeaders = { 'Authorization': `Bearer ${process.env.API_KEY}` };
+
 // Test data
 const testCallSid = `TEST_PERF_${Date.now()}`;
 
@@ -38,7 +41,7 @@ async function measureApiResponse(url, options = {}) {
   const start = performance.now();
   
   try {
-    const response = await fetch(url, options);
+    const response = await fetch(url, { ...options, headers: { ...options.headers, ...authHeaders } });
     const data = await response.json();
     
     const end = performance.now();
@@ -74,7 +77,8 @@ async function createTestCall() {
     const response = await fetch(`${serverUrl}/api/db/calls`, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...authHeaders
       },
       body: JSON.stringify({
         callSid: testCallSid,
@@ -113,7 +117,8 @@ async function deleteTestCall() {
   
   try {
     const response = await fetch(`${serverUrl}/api/db/calls/${testCallSid}`, {
-      method: 'DELETE'
+      method: 'DELETE',
+      headers: authHeaders
     });
     
     const data = await response.json();
@@ -278,7 +283,8 @@ async function testCacheInvalidation() {
   const updateResponse = await fetch(`${serverUrl}/api/db/calls/${testCallSid}/status`, {
     method: 'PUT',
     headers: {
-      'Content-Type': 'application/json'
+      'Content-Type': 'application/json',
+      ...authHeaders
     },
     body: JSON.stringify({
       status: 'in-progress',
@@ -11,6 +11,9 @@ import os from 'os';
 // Server URL
 const serverUrl = process.env.SERVER_URL || 'http://localhost:8000';
 
+// The API needs a key on every route except the Twilio and ElevenLabs callbacks
+const authHeaders = { 'Authorization': `Bearer ${process.env.API_KEY}` };
+
 // Number of clients to create
 const NUM_CLIENTS = 10;
 
@@ -266,7 +269,8 @@ async function createTestCall() {
     const response = await fetch(`${serverUrl}/api/db/calls`, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...authHeaders
       },
       body: JSON.stringify({
         callSid: testCallSid,
@@ -309,7 +313,8 @@ async function triggerCallUpdateEvent() {
     const response = await fetch(`${serverUrl}/api/db/calls/${testCallSid}/status`, {
       method: 'PUT',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...authHeaders
       },
       body: JSON.stringify({
         status: 'in-progress',
@@ -347,7 +352,8 @@ async function triggerTranscriptUpdateEvent() {
     const response = await fetch(`${serverUrl}/api/db/transcripts`, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...authHeaders
       },
       body: JSON.stringify({
         callSid: testCallSid,
@@ -418,7 +424,8 @@ async function deleteTestCall() {
   try {
     // Delete call
     const response = await fetch(`${serverUrl}/api/db/calls/${testCallSid}`, {
-      method: 'DELETE'
+      method: 'DELETE',
+      headers: authHeaders
     });
     
     const data = await response.json();
@@ -0,0 +1,321 @@
+/**
+ * Human handoff
+ * Warm-transfers a live AI call to a person: the call is redirected to a <Dial> of the campaign's
+ * transfer number or SIP address, and the person hears (or is texted) a summary before connecting
+ */
+import { validateTwilioRequest } from './twilio-request-validator.js';
+import { getCallBySid, updateCallStatus } from './db/repositories/call.repository.js';
+import { logEvent } from './db/repositories/callEvent.repository.js';
+import { getCampaignById } from './db/repositories/campaign.repository.js';
+import { getContactByPhoneNumber } from './db/repositories/contact.repository.js';
+import { getTranscriptByCallSid } from './db/repositories/transcript.repository.js';
+import { normalizePhoneNumber } from './db/utils/phone-number.js';
+import { emitCallUpdate } from './socket-server.js';
+import { handOffCall } from './websocket-registry.js';
+import { trackTermination } from './call-termination-tracker.js';
+import { getBaseUrl } from './api-utils.js';
+
+// ElevenLabs client tool the agent calls when the prospect asks for a person
+export const TRANSFER_TOOL_NAME = 'transfer_to_human';
+
+// Said to the prospect when the person does not answer
+const DEFAULT_UNAVAILABLE_MESSAGE = "Sorry, no one is available to take your call right now. We'll get back to you as soon as we can. Goodbye.";
+
+// Transcript lines included in the text message
+const SMS_TRANSCRIPT_LINES = 10;
+
+// Twilio splits longer messages; keep the summary to a few segments
+const MAX_SMS_LENGTH = 1200;
+
+let twilioClient = null;
+
+/**
+ * Escape a value for use in TwiML
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Get a campaign's transfer settings
+ * Calls without a campaign, or campaigns without a target, use TRANSFER_DEFAULT_TARGET.
+ * @param {Object} campaign - Campaign document (optional)
+ * @returns {Object} target, whisper, sms, timeout, unavailableMessage
+ */
+export function getTransferSettings(campaign) {
+  const transfer = campaign?.settings?.transfer || {};
+  return {
+    target: transfer.target || process.env.TRANSFER_DEFAULT_TARGET || null,
+    whisper: transfer.whisper !== false,
+    sms: transfer.sms === true,
+    timeout: transfer.timeout || 30,
+    unavailableMessage: transfer.unavailableMessage || DEFAULT_UNAVAILABLE_MESSAGE
+  };
+}
+
+/**
+ * Work out whether a transfer target is a phone number or a SIP address
+ * @param {string} target - Phone number or SIP address
+ * @returns {Object|null} { type: 'number'|'sip', address }, or null if it is neither
+ */
+export function parseTransferTarget(target) {
+  if (!target || typeof target !== 'string') {
+    return null;
+  }
+
+  const trimmed = target.trim();
+  if (/^sips?:[^@\s]+@[^@\s]+$/i.test(trimmed)) {
+    return { type: 'sip', address: trimmed };
+  }
+
+  const { e164 } = normalizePhoneNumber(trimmed);
+  return e164 ? { type: 'number', address: e164 } : null;
+}
+
+/**
+ * Build what the person is told about the call before they are connected
+ * @param {Object} details - contact, campaign, reason, summary, transcriptItems
+ * @returns {Object} { whisper, sms }
+ */
+export function buildTransferBriefing({ contact, campaign, reason, summary, transcriptItems = [] }) {
+  const name = contact?.name || [contact?.firstName, contact?.lastName].filter(Boolean).join(' ') || 'A caller';
+  const lastCalleeMessage = [...transcriptItems].reverse().find(item => item?.role === 'user' && item.message)?.message;
+
+  const whisper = [
+    `Transfer from the AI agent. ${name}${campaign?.name ? ` from the ${campaign.name} campaign` : ''} is on the line.`,
+    reason ? `Reason: ${reason}.` : '',
+    summary ? `Summary: ${summary}` : (lastCalleeMessage ? `They last said: ${lastCalleeMessage}` : '')
+  ].filter(Boolean).join(' ');
+
+  const lines = transcriptItems
+    .filter(item => item?.message)
+    .slice(-SMS_TRANSCRIPT_LINES)
+    .map(item => `${item.role === 'agent' ? 'Agent' : 'Caller'}: ${item.message}`);
+  let sms = [whisper, ...(lines.length > 0 ? ['', 'Conversation so far:', ...lines] : [])].join('\n');
+  if (sms.length > MAX_SMS_LENGTH) {
+    sms = `${sms.slice(0, MAX_SMS_LENGTH - 3)}...`;
+  }
+
+  return { whisper, sms };
+}
+
+/**
+ * Transfer a live call to a person
+ * The AI agent is stopped and the call is redirected to /transfer-twiml, which dials the target.
+ * @param {string} callSid - Call SID
+ * @param {Object} options - requestedBy ('agent' or 'supervisor'), reason, summary, target (overrides the campaign's), baseUrl
+ * @returns {Promise<Object>} { success, transfer } or { success: false, error, statusCode }
+ */
+export async function transferCall(callSid, { requestedBy, reason = null, summary = null, target = null, baseUrl }) {
+  if (!twilioClient) {
+    return { success: false, error: 'No Twilio client available for transfers', statusCode: 503 };
+  }
+
+  const call = await getCallBySid(callSid);
+  if (!call) {
+    return { success: false, error: 'Call not found', statusCode: 404 };
+  }
+  if (call.status !== 'in-progress') {
+    return { success: false, error: `Call is ${call.status}, only calls in progress can be transferred`, statusCode: 409 };
+  }
+  if (call.transfer?.requestedAt) {
+    return { success: false, error: 'Call has already been transferred', statusCode: 409 };
+  }
+
+  const campaign = call.campaignId ? await getCampaignById(call.campaignId) : null;
+  const settings = getTransferSettings(campaign);
+  const destination = parseTransferTarget(target || settings.target);
+  if (!destination) {
+    return {
+      success: false,
+      error: target ? 'Invalid transfer target' : 'No transfer number or SIP address is configured for this call',
+      statusCode: 400
+    };
+  }
+
+  // Briefing for the person: the summary and the conversation so far
+  let transcriptItems = [];
+  let contact = null;
+  try {
+    transcriptItems = (await getTranscriptByCallSid(callSid))?.transcript || [];
+    const prospectNumber = call.direction === 'inbound' ? call.from : call.to;
+    contact = prospectNumber ? await getContactByPhoneNumber(prospectNumber) : null;
+  } catch (error) {
+    // Already logged by the repository; the transfer goes ahead with a shorter briefing
+  }
+  const briefing = buildTransferBriefing({ contact, campaign, reason, summary, transcriptItems });
+
+  const transfer = {
+    target: destination.address,
+    targetType: destination.type,
+    requestedBy,
+    reason,
+    summary: summary || null,
+    requestedAt: new Date()
+  };
+  await updateCallStatus(callSid, null, { transfer, terminatedBy: 'transfer', terminationReason: reason || 'transfer_requested', terminationSource: 'transfer' });
+
+  console.log(`[Transfer] Transferring call ${callSid} to ${destination.type} ${destination.address} (requested by ${requestedBy})`);
+
+  // Stop the agent first so the media stream ending does not hang the call up
+  trackTermination(callSid, 'transfer', 'transferred_to_human', { requestedBy, target: destination.address });
+  handOffCall(callSid, 'transfer');
+
+  try {
+    await twilioClient.calls(callSid).update({
+      url: `${baseUrl}/transfer-twiml`,
+      method: 'POST'
+    });
+  } catch (error) {
+    // The agent has already left the call; hang up rather than leave the prospect in silence
+    console.error(`[Transfer] Could not redirect call ${callSid}, hanging up:`, error);
+    await updateCallStatus(callSid, null, { 'transfer.dialStatus': 'failed' }).catch(() => {});
+    await twilioClient.calls(callSid).update({ status: 'completed' }).catch(() => {});
+    return { success: false, error: 'Could not redirect the call', details: error.message, statusCode: 502 };
+  }
+
+  try {
+    await logEvent(callSid, 'transfer', {
+      stage: 'requested',
+      ...transfer,
+      requestedAt: transfer.requestedAt.toISOString(),
+      campaignId: call.campaignId ? call.campaignId.toString() : null
+    }, { source: requestedBy === 'agent' ? 'elevenlabs' : 'api' });
+  } catch (error) {
+    console.error(`[Transfer] Error logging transfer for call ${callSid}:`, error);
+  }
+
+  if (settings.sms && destination.type === 'number') {
+    try {
+      await twilioClient.messages.create({
+        to: destination.address,
+        from: call.direction === 'inbound' ? call.to : call.from,
+        body: briefing.sms
+      });
+    } catch (error) {
+      console.error(`[Transfer] Could not text the transfer summary for call ${callSid}:`, error.message);
+    }
+  }
+
+  emitCallUpdate(callSid, 'transfer', { target: destination.address, targetType: destination.type, requestedBy, reason });
+
+  return { success: true, transfer };
+}
+
+/**
+ * Build the TwiML that dials the person
+ * @param {Object} call - Call document
+ * @param {string} baseUrl - Server base URL
+ * @returns {Promise<string>} TwiML
+ */
+async function buildTransferTwiml(call, baseUrl) {
+  const campaign = call?.campaignId ? await getCampaignById(call.campaignId) : null;
+  const settings = getTransferSettings(campaign);
+  const destination = parseTransferTarget(call?.transfer?.target);
+
+  if (!destination) {
+    return `<?xml version="1.0" encoding="UTF-8"?><Response><Say>${escapeXml(settings.unavailableMessage)}</Say><Hangup/></Response>`;
+  }
+
+  const callerId = call.direction === 'inbound' ? call.to : call.from;
+  const whisperUrl = settings.whisper ? ` url="${escapeXml(`${baseUrl}/transfer-whisper?callSid=${encodeURIComponent(call.callSid)}`)}"` : '';
+  const endpoint = destination.type === 'sip'
+    ? `<Sip${whisperUrl}>${escapeXml(destination.address)}</Sip>`
+    : `<Number${whisperUrl}>${escapeXml(destination.address)}</Number>`;
+
+  return `<?xml version="1.0" encoding="UTF-8"?><Response><Dial timeout="${settings.timeout}" callerId="${escapeXml(callerId)}" action="${escapeXml(`${baseUrl}/transfer-status`)}" method="POST">${endpoint}</Dial></Response>`;
+}
+
+/**
+ * Register human handoff routes on the Fastify server
+ * @param {Object} fastify - Fastify server instance
+ * @param {Object} options - twilioClient used to redirect calls and send texts
+ */
+export function registerTransferRoutes(fastify, options = {}) {
+  twilioClient = options.twilioClient || null;
+
+  // TwiML a call is redirected to when it is transferred
+  fastify.post('/transfer-twiml', { preHandler: validateTwilioRequest }, async (request, reply) => {
+    const { CallSid: callSid } = request.body || {};
+
+    let twimlResponse;
+    try {
+      twimlResponse = await buildTransferTwiml(await getCallBySid(callSid), getBaseUrl(request));
+    } catch (error) {
+      console.error(`[Transfer] Error building transfer TwiML for call ${callSid}:`, error);
+      twimlResponse = `<?xml version="1.0" encoding="UTF-8"?><Response><Say>${escapeXml(DEFAULT_UNAVAILABLE_MESSAGE)}</Say><Hangup/></Response>`;
+    }
+
+    reply.type('text/xml').send(twimlResponse);
+  });
+
+  // Played to the person when they answer, before they are connected
+  fastify.post('/transfer-whisper', { preHandler: validateTwilioRequest }, async (request, reply) => {
+    const { callSid } = request.query || {};
+
+    let whisper = 'Transfer from the AI agent.';
+    try {
+      const call = await getCallBySid(callSid);
+      if (call) {
+        const [campaign, transcript] = await Promise.all([
+          call.campaignId ? getCampaignById(call.campaignId) : null,
+          getTranscriptByCallSid(callSid)
+        ]);
+        const prospectNumber = call.direction === 'inbound' ? call.from : call.to;
+        const contact = prospectNumber ? await getContactByPhoneNumber(prospectNumber) : null;
+        whisper = buildTransferBriefing({
+          contact,
+          campaign,
+          reason: call.transfer?.reason,
+          summary: call.transfer?.summary,
+          transcriptItems: transcript?.transcript || []
+        }).whisper;
+      }
+    } catch (error) {
+      console.error(`[Transfer] Error building whisper for call ${callSid}:`, error);
+    }
+
+    reply.type('text/xml').send(`<?xml version="1.0" encoding="UTF-8"?><Response><Say>${escapeXml(whisper)}</Say></Response>`);
+  });
+
+  // Result of dialing the person
+  fastify.post('/transfer-status', { preHandler: validateTwilioRequest }, async (request, reply) => {
+    const { CallSid: callSid, DialCallStatus: dialStatus, DialCallDuration: dialDuration } = request.body || {};
+    console.log(`[Transfer] Dial result for call ${callSid}: ${dialStatus}`);
+
+    let unavailableMessage = DEFAULT_UNAVAILABLE_MESSAGE;
+    try {
+      const call = await updateCallStatus(callSid, null, {
+        'transfer.dialStatus': dialStatus,
+        'transfer.dialDuration': dialDuration ? parseInt(dialDuration, 10) : 0
+      });
+      await logEvent(callSid, 'transfer', {
+        stage: 'dial_result',
+        dialStatus,
+        dialDuration: dialDuration ? parseInt(dialDuration, 10) : 0,
+        timestamp: new Date().toISOString()
+      }, { source: 'twilio' });
+      emitCallUpdate(callSid, 'transfer_result', { dialStatus });
+
+      if (call?.campaignId) {
+        unavailableMessage = getTransferSettings(await getCampaignById(call.campaignId)).unavailableMessage;
+      }
+    } catch (error) {
+      console.error(`[Transfer] Error recording dial result for call ${callSid}:`, error);
+    }
+
+    // Connected calls end when either side hangs up; otherwise tell the prospect no one is available
+    const twimlResponse = dialStatus === 'completed'
+      ? `<?xml version="1.0" encoding="UTF-8"?><Response><Hangup/></Response>`
+      : `<?xml version="1.0" encoding="UTF-8"?><Response><Say>${escapeXml(unavailableMessage)}</Say><Hangup/></Response>`;
+
+    reply.type('text/xml').send(twimlResponse);
+  });
+}
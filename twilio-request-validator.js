@@ -0,0 +1,124 @@
+/**
+ * Twilio Request Validation
+ * Verifies the X-Twilio-Signature header on Twilio webhooks (status callbacks, TwiML and fallback fetches)
+ * so forged requests cannot update calls, contacts or campaign stats.
+ *
+ * Mode is set with TWILIO_SIGNATURE_VALIDATION:
+ *   enforce  - reject invalid requests with 403 (default)
+ *   log-only - log invalid requests but let them through (useful while checking SERVER_URL)
+ *   off      - skip validation entirely
+ */
+import Twilio from 'twilio';
+import { getBaseUrl } from './api-utils.js';
+import { logEvent } from './db/repositories/callEvent.repository.js';
+
+export const VALIDATION_MODES = ['enforce', 'log-only', 'off'];
+
+// Call SID that rejected requests are stored under, so a forged CallSid cannot add events to a real call
+export const SIGNATURE_REJECTED_CALL_SID = 'twilio-signature-rejected';
+
+const DEFAULT_MODE = 'enforce';
+
+/**
+ * Get the configured validation mode
+ * @returns {String} One of VALIDATION_MODES
+ */
+export function getValidationMode() {
+  const mode = (process.env.TWILIO_SIGNATURE_VALIDATION || DEFAULT_MODE).trim().toLowerCase();
+
+  if (!VALIDATION_MODES.includes(mode)) {
+    console.warn(`[Twilio Validation] Unknown TWILIO_SIGNATURE_VALIDATION "${mode}", using "${DEFAULT_MODE}"`);
+    return DEFAULT_MODE;
+  }
+
+  return mode;
+}
+
+/**
+ * Check a request's Twilio signature
+ * Twilio signs the full public URL (including the query string) plus the POST parameters.
+ * @param {Object} request - Fastify request
+ * @param {String} authToken - Twilio auth token
+ * @returns {Object} { valid, reason, url }
+ */
+export function checkTwilioSignature(request, authToken = process.env.TWILIO_AUTH_TOKEN) {
+  const url = `${getBaseUrl(request)}${request.url}`;
+
+  if (!authToken) {
+    return { valid: false, reason: 'TWILIO_AUTH_TOKEN is not configured', url };
+  }
+
+  const signature = request.headers['x-twilio-signature'];
+  if (!signature) {
+    return { valid: false, reason: 'Missing X-Twilio-Signature header', url };
+  }
+
+  // Only form POST bodies are part of the signature; GET parameters are already in the URL
+  const params = request.method === 'POST' && request.body && typeof request.body === 'object' ? request.body : {};
+
+  const valid = Twilio.validateRequest(authToken, signature, url, params);
+
+  return { valid, reason: valid ? null : 'Signature mismatch', url };
+}
+
+/**
+ * Create a Fastify preHandler that validates Twilio signatures
+ * @param {Object} options - Validator options
+ * @param {String} options.mode - Validation mode (defaults to TWILIO_SIGNATURE_VALIDATION)
+ * @param {String} options.authToken - Twilio auth token (defaults to TWILIO_AUTH_TOKEN)
+ * @returns {Function} Async preHandler
+ */
+export function createTwilioRequestValidator(options = {}) {
+  return async function twilioRequestValidator(request, reply) {
+    const mode = options.mode || getValidationMode();
+
+    if (mode === 'off') {
+      return;
+    }
+
+    const { valid, reason, url } = checkTwilioSignature(request, options.authToken);
+
+    if (valid) {
+      return;
+    }
+
+    // The call SID of an unsigned request cannot be trusted, so it is only kept in the event data
+    const claimedCallSid = request.body?.CallSid || request.query?.CallSid || null;
+    const route = request.routeOptions?.url || request.url;
+    const rejected = mode === 'enforce';
+
+    console.warn(`[Twilio Validation] ${rejected ? 'Rejected' : 'Would reject'} ${request.method} ${route} from ${request.ip} (claimed call ${claimedCallSid || 'unknown'}, signed URL ${url}): ${reason}`);
+
+    await logEvent(SIGNATURE_REJECTED_CALL_SID, 'error', {
+      error: 'twilio_signature_invalid',
+      claimedCallSid,
+      reason,
+      mode,
+      rejected,
+      route,
+      method: request.method,
+      url,
+      ip: request.ip
+    }, { source: 'system' });
+
+    if (rejected) {
+      return reply.code(403).send({
+        success: false,
+        error: 'Invalid Twilio signature',
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+}
+
+// Shared preHandler using the environment configuration
+export const validateTwilioRequest = createTwilioRequestValidator();
+
+export default {
+  VALIDATION_MODES,
+  SIGNATURE_REJECTED_CALL_SID,
+  getValidationMode,
+  checkTwilioSignature,
+  createTwilioRequestValidator,
+  validateTwilioRequest
+};
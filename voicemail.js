@@ -0,0 +1,198 @@
+/**
+ * Voicemail drop
+ * Leaves a campaign's voicemail when answering machine detection reports the end of a greeting
+ */
+import { validateTwilioRequest } from './twilio-request-validator.js';
+import { getCallBySid, updateCallStatus } from './db/repositories/call.repository.js';
+import { logEvent } from './db/repositories/callEvent.repository.js';
+import { getCampaignById } from './db/repositories/campaign.repository.js';
+import { getContactByPhoneNumber } from './db/repositories/contact.repository.js';
+import { buildContactVariables, renderTemplate } from './conversation-variables.js';
+import { emitCallUpdate } from './socket-server.js';
+import { handOffCall } from './websocket-registry.js';
+
+// AMD results marking the end of the greeting (requires machineDetection 'DetectMessageEnd').
+// machine_end_other means the end could not be placed, so those calls are hung up.
+const MESSAGE_END_RESULTS = ['machine_end_beep', 'machine_end_silence'];
+
+// {{variable}} placeholders left after rendering (no value for this contact)
+const UNRESOLVED_PLACEHOLDER = /\{\{\s*[A-Za-z0-9_]+\s*\}\}/g;
+
+let twilioClient = null;
+
+/**
+ * Escape a value for use in TwiML
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Get a campaign's voicemail settings
+ * A strategy missing its audio URL or message falls back to hanging up.
+ * @param {Object} campaign - Campaign document
+ * @returns {Object} strategy, audioUrl, message, voice, language
+ */
+export function getVoicemailSettings(campaign) {
+  const voicemail = campaign?.settings?.voicemail || {};
+  const settings = {
+    strategy: voicemail.strategy || 'hangup',
+    audioUrl: voicemail.audioUrl || null,
+    message: voicemail.message || null,
+    voice: voicemail.voice || null,
+    language: voicemail.language || null
+  };
+
+  if ((settings.strategy === 'audio' && !settings.audioUrl) || (settings.strategy === 'message' && !settings.message)) {
+    console.warn(`[Voicemail] Campaign ${campaign?._id} uses the ${settings.strategy} strategy without ${settings.strategy === 'audio' ? 'an audioUrl' : 'a message'}; hanging up instead`);
+    settings.strategy = 'hangup';
+  }
+
+  return settings;
+}
+
+/**
+ * Whether calls for a campaign should wait for the end of the greeting instead of hanging up
+ * @param {Object} campaign - Campaign document
+ * @returns {boolean} True if the campaign leaves voicemails
+ */
+export function leavesVoicemail(campaign) {
+  return getVoicemailSettings(campaign).strategy !== 'hangup';
+}
+
+/**
+ * Work out whether to leave a voicemail on a call answered by a machine
+ * Lookup failures are logged and result in the call being hung up, as before.
+ * @param {string} callSid - Call SID
+ * @param {string} answeredBy - Effective AMD result
+ * @returns {Promise<Object|null>} { call, campaign, settings }, or null to hang up
+ */
+export async function getVoicemailDrop(callSid, answeredBy) {
+  if (!MESSAGE_END_RESULTS.includes(answeredBy)) {
+    return null;
+  }
+
+  try {
+    const call = await getCallBySid(callSid);
+    if (!call?.campaignId) {
+      return null;
+    }
+
+    const campaign = await getCampaignById(call.campaignId);
+    const settings = getVoicemailSettings(campaign);
+    if (settings.strategy === 'hangup') {
+      return null;
+    }
+
+    return { call, campaign, settings };
+  } catch (error) {
+    console.error(`[Voicemail] Error loading voicemail settings for call ${callSid}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Redirect the live call to the voicemail TwiML and record the voicemail
+ * @param {string} callSid - Call SID
+ * @param {Object} drop - Result of getVoicemailDrop
+ * @param {Object} options - answeredBy, baseUrl
+ * @returns {Promise<void>}
+ * @throws {Error} If the call cannot be redirected
+ */
+export async function leaveVoicemail(callSid, drop, { answeredBy, baseUrl }) {
+  if (!twilioClient) {
+    throw new Error('No Twilio client available for voicemail drop');
+  }
+
+  const { strategy } = drop.settings;
+  console.log(`[Voicemail] Greeting ended on call ${callSid} (${answeredBy}), leaving ${strategy} voicemail`);
+
+  // Stop the agent first so the media stream ending does not hang the call up
+  handOffCall(callSid, 'voicemail');
+
+  await twilioClient.calls(callSid).update({
+    url: `${baseUrl}/voicemail-twiml`,
+    method: 'POST'
+  });
+
+  const leftAt = new Date();
+  try {
+    await updateCallStatus(callSid, null, {
+      outcome: 'voicemail',
+      voicemail: { strategy, answeredBy, leftAt }
+    });
+    await logEvent(callSid, 'voicemail_left', {
+      strategy,
+      answeredBy,
+      campaignId: drop.campaign._id.toString(),
+      ...(strategy === 'audio' ? { audioUrl: drop.settings.audioUrl } : {}),
+      timestamp: leftAt.toISOString()
+    }, { source: 'system' });
+  } catch (error) {
+    // The voicemail is still left; only its record is missing
+    console.error(`[Voicemail] Error recording voicemail for call ${callSid}:`, error);
+  }
+
+  emitCallUpdate(callSid, 'voicemail_left', { strategy, answeredBy });
+}
+
+/**
+ * Build the TwiML that leaves a voicemail
+ * @param {Object} call - Call document
+ * @returns {Promise<string>} TwiML
+ */
+async function buildVoicemailTwiml(call) {
+  const campaign = call?.campaignId ? await getCampaignById(call.campaignId) : null;
+  const settings = getVoicemailSettings(campaign);
+
+  if (settings.strategy === 'audio') {
+    return `<?xml version="1.0" encoding="UTF-8"?><Response><Play>${escapeXml(settings.audioUrl)}</Play><Hangup/></Response>`;
+  }
+
+  if (settings.strategy === 'message') {
+    const contact = call.to ? await getContactByPhoneNumber(call.to) : null;
+    const text = renderTemplate(settings.message, buildContactVariables(contact, campaign))
+      .replace(UNRESOLVED_PLACEHOLDER, '')
+      .replace(/\s{2,}/g, ' ')
+      .trim();
+    const attributes = [
+      settings.voice ? ` voice="${escapeXml(settings.voice)}"` : '',
+      settings.language ? ` language="${escapeXml(settings.language)}"` : ''
+    ].join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?><Response><Say${attributes}>${escapeXml(text)}</Say><Hangup/></Response>`;
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?><Response><Hangup/></Response>`;
+}
+
+/**
+ * Register voicemail drop routes on the Fastify server
+ * @param {Object} fastify - Fastify server instance
+ * @param {Object} options - twilioClient used to redirect calls
+ */
+export function registerVoicemailRoutes(fastify, options = {}) {
+  twilioClient = options.twilioClient || null;
+
+  // TwiML a call is redirected to once its voicemail greeting has ended
+  fastify.post('/voicemail-twiml', { preHandler: validateTwilioRequest }, async (request, reply) => {
+    const { CallSid: callSid } = request.body || {};
+
+    let twimlResponse;
+    try {
+      twimlResponse = await buildVoicemailTwiml(await getCallBySid(callSid));
+    } catch (error) {
+      console.error(`[Voicemail] Error building voicemail for call ${callSid}:`, error);
+      twimlResponse = `<?xml version="1.0" encoding="UTF-8"?><Response><Hangup/></Response>`;
+    }
+
+    reply.type('text/xml').send(twimlResponse);
+  });
+}
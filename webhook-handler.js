@@ -1,13 +1,8 @@
 import crypto from 'crypto';
-// Removed node-fetch import - using native fetch
+// Removed node-fetch import - using native fetch
 import Twilio from 'twilio';
-import { sendCallToCRM } from '../integrations/crm-webhook.js';
-import {
-  callRepository,
-  campaignRepository,
-  contactRepository,
-  transcriptRepository
-} from '../db/index.js';
+import { sendCallToCRM } from './src/integrations/crm-webhook.js';
+import { getCallRepository, getCampaignRepository } from './db/index.js';
 
 // Reference to the active calls map from outbound.js (will be set by server.js)
 let activeCalls = null;
@@ -282,7 +277,7 @@ export async function handleElevenLabsWebhook(request, secret, crmEndpoint, twil
 
     try {
       // Fetch the full Call document
-      const callDocument = await callRepository.getCallBySid(callSid);
+      const callDocument = await getCallRepository().getCallBySid(callSid);
       if (!callDocument) {
         console.error(`[CRM Webhook] Call document not found for callSid: ${callSid}`);
         return { success: false, error: `Call not found for callSid ${callSid}` };
@@ -291,7 +286,7 @@ export async function handleElevenLabsWebhook(request, secret, crmEndpoint, twil
       // Fetch associated Campaign to get the subject
       let campaignName = "Outbound Call"; // Default subject
       if (callDocument.campaignId) {
-        const campaignDocument = await campaignRepository.getCampaignById(callDocument.campaignId);
+        const campaignDocument = await getCampaignRepository().getCampaignById(callDocument.campaignId);
         if (campaignDocument) {
           campaignName = campaignDocument.name;
         }
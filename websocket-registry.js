@@ -135,6 +135,52 @@ export function closeElevenLabsWebSocket(callSid, reason = 'machine_detected') {
   return false;
 }
 
+/**
+ * Hand a call off from the AI agent (e.g. to a voicemail or a human)
+ * Stops the agent and marks the call so the media stream ending does not hang it up.
+ * Call this before redirecting the call to its new TwiML.
+ * @param {string} callSid - The call SID
+ * @param {string} reason - What the call is handed off to (e.g. 'voicemail', 'transfer')
+ * @returns {boolean} True if the ElevenLabs WebSocket was closed
+ */
+export function handOffCall(callSid, reason) {
+  const entry = activeWebSockets.get(callSid);
+  
+  if (!entry) {
+    console.log(`[WebSocket Registry] No WebSockets found for call ${callSid}`);
+    return false;
+  }
+  
+  console.log(`[WebSocket Registry] Handing off call ${callSid}: ${reason}`);
+  entry.handedOff = reason;
+  
+  try {
+    if (entry.elevenLabsWs && entry.elevenLabsWs.readyState === 1) { // OPEN
+      entry.elevenLabsWs.send(JSON.stringify({
+        type: 'conversation_termination',
+        reason: reason,
+        message: `Call handed off: ${reason}`
+      }));
+      entry.elevenLabsWs.close(1000, reason);
+      entry.elevenLabsWs = null;
+      return true;
+    }
+  } catch (error) {
+    console.error(`[WebSocket Registry] Error closing ElevenLabs WebSocket:`, error);
+  }
+  
+  return false;
+}
+
+/**
+ * What a call was handed off to, if it was
+ * @param {string} callSid - The call SID
+ * @returns {string|null} Hand-off reason or null
+ */
+export function getHandOff(callSid) {
+  return activeWebSockets.get(callSid)?.handedOff || null;
+}
+
 /**
  * Get all active WebSocket connections
  * @returns {Array} Array of { callSid, created, lastActivity }
@@ -192,6 +238,8 @@ export default {
   updateActivity,
   closeWebSockets,
   closeElevenLabsWebSocket,
+  handOffCall,
+  getHandOff,
   getAllActiveConnections,
   cleanupStaleConnections
 };
\ No newline at end of file